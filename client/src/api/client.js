@@ -40,15 +40,83 @@ export function invalidateCache(pattern) {
   }
 }
 
+/**
+ * Session token storage
+ * The server issues a signed, expiring token in exchange for the PIN;
+ * the PIN itself is never stored.
+ */
+const TOKEN_KEY = 'session_token';
+const TOKEN_EXPIRY_KEY = 'session_expires_at';
+const REFRESH_WINDOW = 24 * 60 * 60 * 1000; // Refresh when less than a day is left
+export const SESSION_EXPIRED_EVENT = 'session:expired';
+
+let refreshPromise = null;
+
+function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+function saveSession({ token, expiresAt }) {
+  if (!token) return;
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(TOKEN_EXPIRY_KEY, expiresAt);
+}
+
+function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(TOKEN_EXPIRY_KEY);
+  cache.clear();
+}
+
+/**
+ * Refresh the session token if it is close to expiring.
+ * Concurrent callers share a single refresh request.
+ */
+async function refreshSessionIfNeeded() {
+  const token = getToken();
+  const expiresAt = Date.parse(localStorage.getItem(TOKEN_EXPIRY_KEY));
+  if (!token || !expiresAt || expiresAt - Date.now() > REFRESH_WINDOW) return;
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (response) => {
+        if (response.ok) saveSession(await response.json());
+      })
+      .catch(() => {
+        // Keep the current token; the next request will surface any auth error
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  await refreshPromise;
+}
+
+/**
+ * Build request headers including the session token
+ */
+function buildHeaders(headers = {}) {
+  const token = getToken();
+  return {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` }),
+    ...headers,
+  };
+}
+
 /**
  * Custom API error class with status code and error code
  */
 export class APIError extends Error {
-  constructor(message, status, code) {
+  constructor(message, status, code, details = {}) {
     super(message);
     this.name = 'APIError';
     this.status = status;
     this.code = code;
+    this.details = details;
   }
 }
 
@@ -56,7 +124,7 @@ export class APIError extends Error {
  * Make an API request with timeout, error handling, and caching
  */
 async function request(endpoint, options = {}) {
-  const { timeout = DEFAULT_TIMEOUT, cache: useCache = true, ...fetchOptions } = options;
+  const { timeout = DEFAULT_TIMEOUT, cache: useCache = true, responseType = 'json', ...fetchOptions } = options;
   const isGet = !fetchOptions.method || fetchOptions.method === 'GET';
 
   // Check cache for GET requests
@@ -66,31 +134,36 @@ async function request(endpoint, options = {}) {
     if (cached) return cached;
   }
 
+  await refreshSessionIfNeeded();
+
   // Create abort controller for timeout
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
+    const { headers, ...rest } = fetchOptions;
     const response = await fetch(`${API_BASE}${endpoint}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        ...fetchOptions.headers,
-      },
       signal: controller.signal,
-      ...fetchOptions,
+      ...rest,
+      headers: buildHeaders(headers),
     });
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
+      if (response.status === 401 && error.code === 'AUTH_ERROR' && !endpoint.startsWith('/auth/')) {
+        clearSession();
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      }
       throw new APIError(
         error.error || error.message || `Request failed with status ${response.status}`,
         response.status,
-        error.code || 'API_ERROR'
+        error.code || 'API_ERROR',
+        error
       );
     }
 
     if (response.status === 204) return null;
-    const data = await response.json();
+    const data = responseType === 'text' ? await response.text() : await response.json();
 
     // Cache GET responses
     if (isGet && useCache) {
@@ -124,6 +197,8 @@ export function getErrorMessage(error) {
     if (error.code === 'TIMEOUT') return 'Request timed out. Please try again.';
     if (error.code === 'NETWORK_ERROR') return 'Network error. Please check your connection.';
     if (error.code === 'RATE_LIMIT') return 'Too many requests. Please wait a moment.';
+    if (error.code === 'AI_INVALID_RESPONSE') return 'The AI gave an unusable answer. Please try again.';
+    if (error.code === 'AUTH_LOCKED') return 'Too many wrong PINs. Please try again later.';
     if (error.status === 401) return 'Please log in to continue.';
     if (error.status === 403) return 'You do not have permission to do this.';
     if (error.status === 404) return 'The requested resource was not found.';
@@ -132,10 +207,29 @@ export function getErrorMessage(error) {
   return error?.message || 'An unexpected error occurred';
 }
 
+// Auth
+export const auth = {
+  status: () => request('/auth/status', { cache: false }),
+  verify: async (pin) => {
+    const result = await request('/auth/verify', { method: 'POST', body: JSON.stringify({ pin }) });
+    saveSession(result);
+    return result;
+  },
+  logout: async () => {
+    try {
+      await request('/auth/logout', { method: 'POST' });
+    } finally {
+      clearSession();
+    }
+  },
+  hasSession: () => !!getToken(),
+};
+
 // Inventory
 export const inventory = {
   getAll: () => request('/inventory'),
   getLowStock: () => request('/inventory/low-stock'),
+  getExpiring: (days = 3) => request(`/inventory/expiring?days=${days}`),
   add: async (item) => {
     const result = await request('/inventory', { method: 'POST', body: JSON.stringify(item) });
     invalidateCache('/inventory');
@@ -151,6 +245,46 @@ export const inventory = {
     invalidateCache('/inventory');
     return result;
   },
+  previewDeduction: (ingredients) => request('/inventory/deduction-preview', {
+    method: 'POST',
+    body: JSON.stringify({ ingredients }),
+  }),
+  getForecast: () => request('/inventory/forecast', { cache: false }),
+  getRunningOut: () => request('/inventory/running-out', { cache: false }),
+  // Add items running out before the next shopping day; all of them when itemIds is left out
+  addRunningOutToShopping: async (itemIds) => {
+    const result = await request('/inventory/running-out/shopping-list', {
+      method: 'POST',
+      body: JSON.stringify(itemIds ? { itemIds } : {}),
+    });
+    invalidateCache('/shopping');
+    return result;
+  },
+  exportCsv: () => request('/inventory/export.csv', { cache: false, responseType: 'text' }),
+  // With dryRun nothing is saved and each row comes back with what would happen to it
+  importCsv: async ({ csv, mapping, existing, dryRun }) => {
+    const result = await request('/inventory/import/csv', {
+      method: 'POST',
+      body: JSON.stringify({ csv, mapping, existing, dryRun }),
+      timeout: 120000,
+    });
+    if (!dryRun) invalidateCache('/inventory');
+    return result;
+  },
+  importText: async ({ text, existing, dryRun }) => {
+    const result = await request('/inventory/import/text', {
+      method: 'POST',
+      body: JSON.stringify({ text, existing, dryRun }),
+    });
+    if (!dryRun) invalidateCache('/inventory');
+    return result;
+  },
+  getMovements: (id, days = 30) => request(`/inventory/${id}/movements?days=${days}`, { cache: false }),
+  revertMovement: async (movementId) => {
+    const result = await request(`/inventory/movements/${movementId}/revert`, { method: 'POST' });
+    invalidateCache('/inventory');
+    return result;
+  },
 };
 
 // Meals
@@ -181,8 +315,95 @@ export const meals = {
 export const suggestions = {
   get: (params) => request('/suggest', { method: 'POST', body: JSON.stringify(params) }),
   chat: (params) => request('/suggest/chat', { method: 'POST', body: JSON.stringify(params) }),
+  chatStream: (params, handlers) => streamChat(params, handlers),
 };
 
+// Chat sessions
+export const chatSessions = {
+  list: (limit = 20) => request(`/chat/sessions?limit=${limit}`, { cache: false }),
+  get: (id) => request(`/chat/sessions/${id}`, { cache: false }),
+  create: (data) => request('/chat/sessions', { method: 'POST', body: JSON.stringify(data) }),
+  delete: (id) => request(`/chat/sessions/${id}`, { method: 'DELETE' }),
+};
+
+/**
+ * Stream conversational suggestions over Server-Sent Events.
+ * Calls onMessage with each chunk of the assistant's text and onSuggestion
+ * with each suggestion as it completes; resolves with the final
+ * { message, suggestions }. Abort via `signal` to cancel mid-stream.
+ */
+async function streamChat(params, { onMessage, onSuggestion, signal } = {}) {
+  await refreshSessionIfNeeded();
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE}/suggest/chat/stream`, {
+      method: 'POST',
+      headers: buildHeaders({ Accept: 'text/event-stream' }),
+      body: JSON.stringify(params),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new APIError(err.message || 'Network error', 0, 'NETWORK_ERROR');
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    if (response.status === 401 && error.code === 'AUTH_ERROR') {
+      clearSession();
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    }
+    throw new APIError(
+      error.error || error.message || `Request failed with status ${response.status}`,
+      response.status,
+      error.code || 'API_ERROR',
+      error
+    );
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleEvent = (block) => {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+
+    const payload = JSON.parse(data);
+    if (event === 'message') onMessage?.(payload.delta);
+    else if (event === 'suggestion') onSuggestion?.(payload.suggestion);
+    else if (event === 'done') result = payload;
+    else if (event === 'error') {
+      throw new APIError(payload.error || 'Stream failed', 500, payload.code || 'API_ERROR', payload);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) handleEvent(buffer);
+
+  if (!result) {
+    throw new APIError('The connection closed before the reply finished', 0, 'NETWORK_ERROR');
+  }
+  return result;
+}
+
 // History
 export const history = {
   getRecent: (days = 14) => request(`/history?days=${days}`),
@@ -192,6 +413,7 @@ export const history = {
   log: async (meal) => {
     const result = await request('/history', { method: 'POST', body: JSON.stringify(meal) });
     invalidateCache('/history');
+    if (meal.deductions || meal.ingredients) invalidateCache('/inventory');
     return result;
   },
   update: async (id, data) => {
@@ -206,6 +428,30 @@ export const preferences = {
   get: (key) => request(`/preferences/${key}`),
   set: (key, value) => request(`/preferences/${key}`, { method: 'PUT', body: JSON.stringify({ value }) }),
   getAll: () => request('/preferences'),
+  getDietaryRules: () => request('/preferences/dietary-rules'),
+  setDietaryRules: async (rules) => {
+    const result = await request('/preferences/dietary-rules', { method: 'PUT', body: JSON.stringify(rules) });
+    invalidateCache('/preferences/dietary-rules');
+    return result;
+  },
+  getPlanConstraints: () => request('/preferences/plan-constraints'),
+  setPlanConstraints: async (constraints) => {
+    const result = await request('/preferences/plan-constraints', { method: 'PUT', body: JSON.stringify(constraints) });
+    invalidateCache('/preferences/plan-constraints');
+    invalidateCache('/meal-plan/constraint-report');
+    return result;
+  },
+  getCalendarFeed: () => request('/preferences/calendar-feed', { cache: false }),
+  setCalendarFeed: (settings) => request('/preferences/calendar-feed', { method: 'PUT', body: JSON.stringify(settings) }),
+  // A new feed URL; the old one stops working
+  rotateCalendarFeed: () => request('/preferences/calendar-feed/token', { method: 'POST' }),
+  disableCalendarFeed: () => request('/preferences/calendar-feed/token', { method: 'DELETE' }),
+  getShoppingSchedule: () => request('/preferences/shopping-schedule'),
+  setShoppingSchedule: async (schedule) => {
+    const result = await request('/preferences/shopping-schedule', { method: 'PUT', body: JSON.stringify(schedule) });
+    invalidateCache('/preferences/shopping-schedule');
+    return result;
+  },
 };
 
 // Meal Plan
@@ -227,18 +473,64 @@ export const mealPlan = {
     invalidateCache('/meal-plan');
     return result;
   },
-  markComplete: async (id) => {
-    const result = await request(`/meal-plan/${id}/complete`, { method: 'POST' });
+  previewDeduction: (id) => request(`/meal-plan/${id}/inventory-preview`, { cache: false }),
+  // options: { deductions } to apply adjusted quantities, { deductInventory: false } to skip
+  markComplete: async (id, options = {}) => {
+    const result = await request(`/meal-plan/${id}/complete`, { method: 'POST', body: JSON.stringify(options) });
+    invalidateCache('/meal-plan');
+    invalidateCache('/inventory');
+    invalidateCache('/history');
+    return result;
+  },
+  // Whatever is planned in the target slot takes this entry's old slot
+  move: async (id, date, mealType) => {
+    const result = await request(`/meal-plan/${id}/move`, { method: 'POST', body: JSON.stringify({ date, mealType }) });
     invalidateCache('/meal-plan');
     return result;
   },
   markUncomplete: async (id) => {
     const result = await request(`/meal-plan/${id}/uncomplete`, { method: 'POST' });
     invalidateCache('/meal-plan');
+    invalidateCache('/inventory');
+    invalidateCache('/history');
+    return result;
+  },
+  // mode 'fill' plans only empty slots; 'replace' re-plans everything not eaten yet
+  generateWeek: async (weekStart, mode = 'fill') => {
+    const result = await request('/meal-plan/generate-week', { method: 'POST', body: JSON.stringify({ weekStart, mode }) });
+    invalidateCache('/meal-plan');
     return result;
   },
-  generateWeek: async (weekStart) => {
-    const result = await request('/meal-plan/generate-week', { method: 'POST', body: JSON.stringify({ weekStart }) });
+  regenerateSlot: async (date, mealType) => {
+    const result = await request('/meal-plan/regenerate-slot', { method: 'POST', body: JSON.stringify({ date, mealType }) });
+    invalidateCache('/meal-plan');
+    return result;
+  },
+  regenerateDay: async (date) => {
+    const result = await request('/meal-plan/regenerate-day', { method: 'POST', body: JSON.stringify({ date }) });
+    invalidateCache('/meal-plan');
+    return result;
+  },
+  getConstraintReport: (week) => request(`/meal-plan/constraint-report${week ? `?week=${week}` : ''}`),
+  // options: { mode: 'fill' | 'replace', shuffleDays }
+  copyWeek: async (fromWeekStart, weekStart, options = {}) => {
+    const result = await request('/meal-plan/copy-week', { method: 'POST', body: JSON.stringify({ fromWeekStart, weekStart, ...options }) });
+    invalidateCache('/meal-plan');
+    return result;
+  },
+  getTemplates: () => request('/meal-plan/templates'),
+  saveTemplate: async (name, weekStart) => {
+    const result = await request('/meal-plan/templates', { method: 'POST', body: JSON.stringify({ name, weekStart }) });
+    invalidateCache('/meal-plan/templates');
+    return result;
+  },
+  deleteTemplate: async (id) => {
+    const result = await request(`/meal-plan/templates/${id}`, { method: 'DELETE' });
+    invalidateCache('/meal-plan/templates');
+    return result;
+  },
+  applyTemplate: async (id, weekStart, options = {}) => {
+    const result = await request(`/meal-plan/templates/${id}/apply`, { method: 'POST', body: JSON.stringify({ weekStart, ...options }) });
     invalidateCache('/meal-plan');
     return result;
   },
@@ -272,6 +564,21 @@ export const shopping = {
     invalidateCache('/shopping');
     return result;
   },
+  // items: [{ id, category?, quantity?, unit?, expiresAt? }]
+  putAway: async (items) => {
+    const result = await request('/shopping/put-away', { method: 'POST', body: JSON.stringify({ items }) });
+    invalidateCache('/shopping');
+    invalidateCache('/inventory');
+    return result;
+  },
+  previewReceipt: (text) => request('/shopping/receipt/preview', { method: 'POST', body: JSON.stringify({ text }) }),
+  // items: [{ name, quantity, unit, category?, expiresAt?, shoppingItemId? }]
+  putAwayReceipt: async (items) => {
+    const result = await request('/shopping/receipt', { method: 'POST', body: JSON.stringify({ items }) });
+    invalidateCache('/shopping');
+    invalidateCache('/inventory');
+    return result;
+  },
 };
 
 // Reviews
@@ -308,3 +615,34 @@ export const recipes = {
   },
   search: (query) => request(`/recipes/search/${encodeURIComponent(query)}`),
 };
+
+// Backup and restore
+export const backup = {
+  download: () => request('/backup', { cache: false, timeout: 120000 }),
+  // mode 'merge' keeps what's saved and adds the archive; 'replace' swaps everything for it
+  restore: async (archive, mode) => {
+    const result = await request('/backup/restore', {
+      method: 'POST',
+      body: JSON.stringify({ archive, mode }),
+      timeout: 120000,
+    });
+    invalidateCache();
+    return result;
+  },
+};
+
+// Ingredient dictionary
+export const ingredients = {
+  getAll: () => request('/ingredients'),
+  resolve: (name) => request(`/ingredients/resolve?name=${encodeURIComponent(name)}`),
+  save: async (entry) => {
+    const result = await request('/ingredients', { method: 'POST', body: JSON.stringify(entry) });
+    invalidateCache('/ingredients');
+    return result;
+  },
+  delete: async (id) => {
+    const result = await request(`/ingredients/${id}`, { method: 'DELETE' });
+    invalidateCache('/ingredients');
+    return result;
+  },
+};
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { backup } from '../api/client';
+
+export default function BackupSettings() {
+  const [archive, setArchive] = useState(null); // { name, data }
+  const [mode, setMode] = useState('merge');
+  const [confirmReplace, setConfirmReplace] = useState(false);
+  const [busy, setBusy] = useState(null); // 'download' | 'restore'
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function handleDownload() {
+    setBusy('download');
+    setError(null);
+    try {
+      const data = await backup.download();
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `no-daal-chawal-backup-${data.createdAt.split('T')[0]}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to download a backup');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    setResult(null);
+    setError(null);
+    setConfirmReplace(false);
+    if (!file) {
+      setArchive(null);
+      return;
+    }
+    try {
+      setArchive({ name: file.name, data: JSON.parse(await file.text()) });
+    } catch {
+      setArchive(null);
+      setError('That file is not valid JSON');
+    }
+  }
+
+  async function handleRestore() {
+    if (mode === 'replace' && !confirmReplace) {
+      setConfirmReplace(true);
+      return;
+    }
+    setBusy('restore');
+    setError(null);
+    try {
+      setResult(await backup.restore(archive.data, mode));
+      setArchive(null);
+    } catch (err) {
+      console.error(err);
+      const details = err.details?.details?.map(d => `${d.field}: ${d.message}`).join('; ');
+      setError(details ? `${err.message} (${details})` : err.message || 'Failed to restore the backup');
+    } finally {
+      setBusy(null);
+      setConfirmReplace(false);
+    }
+  }
+
+  const restoredRows = result ? Object.values(result.counts).reduce((sum, n) => sum + n, 0) : 0;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h2 className="font-semibold text-gray-900 mb-1">Backup</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Download everything (pantry, plans, history, reviews, recipes and settings) as one file, or restore from one.
+      </p>
+
+      <div className="space-y-4">
+        <button
+          onClick={handleDownload}
+          disabled={Boolean(busy)}
+          className="px-3 py-1.5 border border-emerald-600 text-emerald-700 rounded-lg hover:bg-emerald-50 disabled:opacity-50 text-sm font-medium"
+        >
+          {busy === 'download' ? 'Preparing...' : 'Download Backup'}
+        </button>
+
+        <div className="border-t border-gray-100 pt-4 space-y-3">
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            className="block text-sm text-gray-600"
+          />
+
+          {archive && (
+            <>
+              <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm w-fit">
+                {[['merge', 'Merge with current data'], ['replace', 'Replace all data']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => { setMode(value); setConfirmReplace(false); }}
+                    className={`px-3 py-1.5 ${mode === value ? 'bg-emerald-100 text-emerald-700' : 'text-gray-600 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {confirmReplace && (
+                <p className="text-sm text-red-600">
+                  Everything saved now will be deleted and replaced with {archive.name}. Press Restore again to go ahead.
+                </p>
+              )}
+
+              <button
+                onClick={handleRestore}
+                disabled={Boolean(busy)}
+                className={`px-3 py-1.5 rounded-lg disabled:opacity-50 text-sm font-medium text-white ${
+                  confirmReplace ? 'bg-red-600 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'
+                }`}
+              >
+                {busy === 'restore' ? 'Restoring...' : 'Restore'}
+              </button>
+            </>
+          )}
+
+          {result && (
+            <p className="text-sm text-green-600">
+              Restored {restoredRows} records ({result.mode === 'replace' ? 'replaced' : 'merged'}).
+            </p>
+          )}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
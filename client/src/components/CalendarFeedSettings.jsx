@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import { preferences } from '../api/client';
+
+const MEAL_TIMES = [
+  { key: 'breakfast', label: 'Breakfast' },
+  { key: 'lunch', label: 'Lunch' },
+  { key: 'snack', label: 'Snack' },
+  { key: 'dinner', label: 'Dinner' },
+];
+
+export default function CalendarFeedSettings() {
+  const [feed, setFeed] = useState(null);
+  const [busy, setBusy] = useState(null); // 'save' | 'rotate' | 'disable'
+  const [saved, setSaved] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    preferences.getCalendarFeed()
+      .then(setFeed)
+      .catch(err => {
+        console.error('Failed to load calendar feed:', err);
+        setError('Could not load the calendar feed');
+      });
+  }, []);
+
+  const feedUrl = feed?.path ? `${window.location.origin}${feed.path}` : null;
+
+  async function run(key, action) {
+    setBusy(key);
+    setError(null);
+    try {
+      setFeed(await action());
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Something went wrong');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleSave() {
+    const ok = await run('save', () => preferences.setCalendarFeed({
+      mealTimes: feed.mealTimes,
+      durationMinutes: feed.durationMinutes,
+    }));
+    if (ok) {
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    }
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  if (!feed) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="font-semibold text-gray-900 mb-2">Calendar Feed</h2>
+        <p className="text-sm text-gray-500">{error || 'Loading...'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h2 className="font-semibold text-gray-900 mb-1">Calendar Feed</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Subscribe to this URL in your calendar app to see planned meals there.
+        Anyone with the URL can read the meal plan, so generate a new one if it gets shared.
+      </p>
+
+      <div className="space-y-4">
+        {feedUrl ? (
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-1.5 text-sm text-gray-700 bg-gray-50"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm font-medium"
+            >
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">The feed is off.</p>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => run('rotate', preferences.rotateCalendarFeed)}
+            disabled={Boolean(busy)}
+            className="px-3 py-1.5 border border-emerald-600 text-emerald-700 rounded-lg hover:bg-emerald-50 disabled:opacity-50 text-sm font-medium"
+          >
+            {busy === 'rotate' ? 'Generating...' : feedUrl ? 'Generate New URL' : 'Generate Feed URL'}
+          </button>
+          {feedUrl && (
+            <button
+              onClick={() => run('disable', preferences.disableCalendarFeed)}
+              disabled={Boolean(busy)}
+              className="px-3 py-1.5 text-gray-500 hover:text-red-600 disabled:opacity-50 text-sm"
+            >
+              Turn Off
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          {MEAL_TIMES.map(({ key, label }) => (
+            <label key={key} className="text-sm text-gray-700">
+              {label}
+              <input
+                type="time"
+                value={feed.mealTimes[key]}
+                onChange={(e) => setFeed(prev => ({ ...prev, mealTimes: { ...prev.mealTimes, [key]: e.target.value } }))}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-gray-700">Events last</label>
+          <input
+            type="number"
+            min={10}
+            max={240}
+            value={feed.durationMinutes}
+            onChange={(e) => setFeed(prev => ({ ...prev, durationMinutes: parseInt(e.target.value, 10) || 10 }))}
+            className="w-20 border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <span className="text-sm text-gray-500">min</span>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          onClick={handleSave}
+          disabled={Boolean(busy)}
+          className={`px-6 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+            saved
+              ? 'bg-green-500 text-white'
+              : 'bg-emerald-500 hover:bg-emerald-600 text-white'
+          } disabled:opacity-50`}
+        >
+          {busy === 'save' ? 'Saving...' : saved ? 'Saved!' : 'Save Meal Times'}
+        </button>
+      </div>
+    </div>
+  );
+}
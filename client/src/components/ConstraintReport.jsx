@@ -0,0 +1,42 @@
+const RULE_LABELS = {
+  prepTime: 'Prep time',
+  cuisineStreak: 'Cuisine variety',
+  dailyCalories: 'Daily calories',
+  dietaryRules: 'Dietary rules',
+  noRepeats: 'No repeats',
+};
+
+export default function ConstraintReport({ report, onDismiss }) {
+  const rules = report.rules.filter(rule => rule.enabled);
+  if (rules.length === 0) return null;
+
+  return (
+    <div className={`rounded-xl p-4 border ${report.passed ? 'bg-emerald-50 border-emerald-100' : 'bg-amber-50 border-amber-200'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-gray-900">
+          {report.passed ? 'The plan follows every planner rule' : 'Some meals still break a planner rule'}
+        </p>
+        <button onClick={onDismiss} className="text-gray-400 hover:text-gray-600" aria-label="Dismiss">
+          ×
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {rules.map(rule => (
+          <span
+            key={rule.rule}
+            className={`px-2 py-1 text-xs rounded-lg ${rule.passed ? 'bg-emerald-100 text-emerald-700' : 'bg-amber-100 text-amber-800'}`}
+          >
+            {rule.passed ? '✓' : '✗'} {RULE_LABELS[rule.rule] || rule.rule}
+          </span>
+        ))}
+      </div>
+      {!report.passed && (
+        <ul className="mt-2 text-xs text-amber-800 space-y-0.5">
+          {rules.flatMap(rule => rule.violations).map((violation, index) => (
+            <li key={index}>{violation.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
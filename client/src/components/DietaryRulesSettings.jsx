@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import { preferences } from '../api/client';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MEATS = ['beef', 'pork', 'chicken', 'mutton', 'fish', 'seafood'];
+const COMMON_ALLERGENS = ['peanut', 'tree nut', 'dairy', 'gluten', 'soy', 'sesame', 'shellfish'];
+
+const chipClass = (active) => `px-3 py-1.5 text-sm rounded-lg border transition-colors ${
+  active
+    ? 'bg-blue-100 border-blue-300 text-blue-700'
+    : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+}`;
+
+function toggle(list, value) {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+}
+
+export default function DietaryRulesSettings() {
+  const [rules, setRules] = useState(null);
+  const [allergenInput, setAllergenInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    preferences.getDietaryRules()
+      .then(setRules)
+      .catch(err => {
+        console.error('Failed to load dietary rules:', err);
+        setError('Could not load dietary rules');
+      });
+  }, []);
+
+  function update(changes) {
+    setRules(prev => ({ ...prev, ...changes }));
+  }
+
+  function addAllergen(value) {
+    const allergen = value.trim().toLowerCase();
+    if (allergen.length >= 2 && !rules.allergens.includes(allergen)) {
+      update({ allergens: [...rules.allergens, allergen] });
+    }
+    setAllergenInput('');
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError(null);
+    try {
+      setRules(await preferences.setDietaryRules(rules));
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to save dietary rules');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!rules) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="font-semibold text-gray-900 mb-2">Dietary Rules</h2>
+        <p className="text-sm text-gray-500">{error || 'Loading...'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h2 className="font-semibold text-gray-900 mb-1">Dietary Rules</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Every suggestion, meal plan and recipe follows these rules.
+      </p>
+
+      <div className="space-y-5">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Vegetarian days</label>
+          <div className="flex flex-wrap gap-2">
+            {DAYS.map(day => (
+              <button
+                key={day}
+                type="button"
+                disabled={rules.jain}
+                onClick={() => update({ vegetarianDays: toggle(rules.vegetarianDays, day) })}
+                className={`${chipClass(rules.jain || rules.vegetarianDays.includes(day))} disabled:opacity-60`}
+              >
+                {day.slice(0, 3)}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={rules.eggAllowed}
+              onChange={(e) => update({ eggAllowed: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            Eggs are fine on vegetarian days
+          </label>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Never cook</label>
+          <div className="flex flex-wrap gap-2">
+            {MEATS.map(meat => (
+              <button
+                key={meat}
+                type="button"
+                onClick={() => update({ avoidMeats: toggle(rules.avoidMeats, meat) })}
+                className={`${chipClass(rules.avoidMeats.includes(meat))} capitalize`}
+              >
+                {meat}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Allergies</label>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {rules.allergens.map(allergen => (
+              <span
+                key={allergen}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-red-50 border border-red-200 text-red-700"
+              >
+                {allergen}
+                <button
+                  type="button"
+                  onClick={() => update({ allergens: rules.allergens.filter(a => a !== allergen) })}
+                  className="text-red-400 hover:text-red-600"
+                  aria-label={`Remove ${allergen}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={allergenInput}
+            onChange={(e) => setAllergenInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                addAllergen(allergenInput);
+              }
+            }}
+            placeholder="Type an allergen and press Enter"
+            list="common-allergens"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <datalist id="common-allergens">
+            {COMMON_ALLERGENS.map(a => <option key={a} value={a} />)}
+          </datalist>
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={rules.jain}
+              onChange={(e) => update({ jain: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            Jain (vegetarian, no eggs, no onion, garlic or root vegetables)
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={rules.jain || rules.noOnionGarlic}
+              disabled={rules.jain}
+              onChange={(e) => update({ noOnionGarlic: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            No onion or garlic
+          </label>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className={`px-6 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+            saved
+              ? 'bg-green-500 text-white'
+              : 'bg-emerald-500 hover:bg-emerald-600 text-white'
+          } disabled:opacity-50`}
+        >
+          {saving ? 'Saving...' : saved ? 'Saved!' : 'Save Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
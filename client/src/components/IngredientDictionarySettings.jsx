@@ -0,0 +1,199 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ingredients } from '../api/client';
+
+const CATEGORIES = [
+  { value: 'vegetables', label: 'Vegetables' },
+  { value: 'fruits', label: 'Fruits' },
+  { value: 'dairy', label: 'Dairy' },
+  { value: 'grains', label: 'Grains & Staples' },
+  { value: 'proteins', label: 'Proteins' },
+  { value: 'spices', label: 'Spices' },
+  { value: 'others', label: 'Others' },
+];
+
+const UNITS = ['kg', 'g', 'L', 'ml', 'pieces', 'packets', 'bunch'];
+
+const EMPTY_FORM = { name: '', aliases: '', category: 'vegetables', defaultUnit: 'g' };
+
+/**
+ * The names each ingredient goes by, so "dahi" in a recipe finds the curd
+ * in the pantry. Built-in entries can be edited; edits are kept as the
+ * household's own entry and can be reset.
+ */
+export default function IngredientDictionarySettings() {
+  const [entries, setEntries] = useState(null);
+  const [query, setQuery] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  async function loadEntries() {
+    try {
+      setEntries(await ingredients.getAll());
+    } catch (err) {
+      console.error('Failed to load ingredient dictionary:', err);
+      setError('Could not load the ingredient dictionary');
+    }
+  }
+
+  const visible = useMemo(() => {
+    if (!entries) return [];
+    const q = query.trim().toLowerCase();
+    if (!q) return entries.filter((e) => e.isCustom);
+    return entries.filter((e) =>
+      e.name.toLowerCase().includes(q) || e.aliases.some((a) => a.toLowerCase().includes(q))
+    );
+  }, [entries, query]);
+
+  function startEdit(entry) {
+    setForm({
+      name: entry.name,
+      aliases: entry.aliases.join(', '),
+      category: entry.category,
+      defaultUnit: entry.defaultUnit || '',
+    });
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await ingredients.save({
+        name: form.name.trim(),
+        aliases: form.aliases.split(',').map((a) => a.trim()).filter(Boolean),
+        category: form.category,
+        defaultUnit: form.defaultUnit || null,
+      });
+      setForm(EMPTY_FORM);
+      await loadEntries();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to save ingredient');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleReset(entry) {
+    try {
+      await ingredients.delete(entry.id);
+      await loadEntries();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to remove ingredient');
+    }
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h2 className="font-semibold text-gray-900 mb-1">Ingredient Names</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Other names for the same ingredient, like dahi for curd or jeera for cumin. Used to match
+        recipes, the pantry and the shopping list.
+      </p>
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Look up an ingredient or alias"
+        className={`${inputClass} mb-3`}
+      />
+
+      {entries && (
+        <ul className="divide-y divide-gray-100 mb-5 max-h-64 overflow-y-auto">
+          {visible.length === 0 && (
+            <li className="py-2 text-sm text-gray-400">
+              {query ? 'Not in the dictionary yet' : 'No names of your own yet'}
+            </li>
+          )}
+          {visible.map((entry) => (
+            <li key={entry.name} className="py-2 flex items-start gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  {entry.name}
+                  {entry.isCustom && <span className="ml-2 text-xs text-blue-600">yours</span>}
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {entry.aliases.length > 0 ? entry.aliases.join(', ') : 'No other names'}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => startEdit(entry)}
+                className="text-xs text-gray-500 hover:text-gray-700"
+              >
+                Edit
+              </button>
+              {entry.isCustom && entry.id && (
+                <button
+                  type="button"
+                  onClick={() => handleReset(entry)}
+                  className="text-xs text-gray-500 hover:text-red-600"
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSave} className="space-y-3">
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name, e.g. Curd"
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            value={form.aliases}
+            onChange={(e) => setForm({ ...form, aliases: e.target.value })}
+            placeholder="Other names, comma separated"
+            className={inputClass}
+          />
+          <select
+            value={form.category}
+            onChange={(e) => setForm({ ...form, category: e.target.value })}
+            className={inputClass}
+          >
+            {CATEGORIES.map((c) => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+          <select
+            value={form.defaultUnit}
+            onChange={(e) => setForm({ ...form, defaultUnit: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">No default unit</option>
+            {UNITS.map((u) => (
+              <option key={u} value={u}>{u}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={saving || !form.name.trim()}
+          className="px-6 py-2.5 rounded-lg text-sm font-medium bg-emerald-500 hover:bg-emerald-600 text-white disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Ingredient'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+
+const STATUS_NOTES = {
+  short: 'more than you have',
+  unit_mismatch: "units don't convert",
+  no_quantity: 'no amount given',
+};
+
+function formatQuantity(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(3));
+}
+
+/**
+ * Confirm or adjust what a cooked meal takes from inventory.
+ * `lines` come from the deduction preview endpoints; onConfirm receives
+ * [{ inventoryItemId, quantity }] in each item's own unit.
+ */
+export default function InventoryDeductionModal({ title, lines, onConfirm, onSkip, onClose }) {
+  const matched = lines.filter(line => line.inventoryItemId);
+  const missing = lines.filter(line => !line.inventoryItemId);
+
+  const [amounts, setAmounts] = useState(() =>
+    Object.fromEntries(matched.map((line, i) => [i, line.deduct ?? '']))
+  );
+  const [included, setIncluded] = useState(() =>
+    Object.fromEntries(matched.map((line, i) => [i, line.deduct > 0]))
+  );
+  const [saving, setSaving] = useState(false);
+
+  async function handleConfirm() {
+    setSaving(true);
+    try {
+      const deductions = matched
+        .map((line, i) => ({ inventoryItemId: line.inventoryItemId, quantity: parseFloat(amounts[i]) }))
+        .filter((d, i) => included[i] && d.quantity > 0);
+      await onConfirm(deductions);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleSkip() {
+    setSaving(true);
+    try {
+      await onSkip();
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold mb-1">{title}</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Update your pantry with what this meal used. Adjust anything that's off.
+        </p>
+
+        {matched.length > 0 ? (
+          <ul className="space-y-2 mb-4">
+            {matched.map((line, i) => (
+              <li
+                key={`${line.inventoryItemId}-${i}`}
+                className={`flex items-center gap-3 p-3 rounded-lg border ${
+                  included[i] ? 'border-gray-200' : 'border-gray-100 opacity-60'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={included[i]}
+                  onChange={(e) => setIncluded({ ...included, [i]: e.target.checked })}
+                  className="rounded border-gray-300"
+                  aria-label={`Deduct ${line.inventoryName}`}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{line.inventoryName}</p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {line.ingredient}
+                    {line.quantity ? ` · ${line.quantity} ${line.unit || ''}` : ''}
+                    {STATUS_NOTES[line.status] && (
+                      <span className="text-amber-600"> · {STATUS_NOTES[line.status]}</span>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1.5">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={amounts[i]}
+                    disabled={!included[i]}
+                    onChange={(e) => {
+                      setAmounts({ ...amounts, [i]: e.target.value });
+                      if (!included[i] && e.target.value) setIncluded({ ...included, [i]: true });
+                    }}
+                    className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <span className="text-xs text-gray-500 w-20 truncate">
+                    of {formatQuantity(line.available)} {line.inventoryUnit}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">None of the ingredients are in your inventory.</p>
+        )}
+
+        {missing.length > 0 && (
+          <p className="text-xs text-gray-400 mb-4">
+            Not in inventory: {missing.map(line => line.ingredient).join(', ')}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="py-2.5 px-4 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSkip}
+            disabled={saving}
+            className="flex-1 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            Don't update pantry
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={saving || matched.length === 0}
+            className="flex-1 py-2.5 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {saving ? 'Saving...' : 'Update pantry'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+import { useState } from 'react';
+import { inventory } from '../api/client';
+
+const FIELDS = [
+  ['name', 'Name'],
+  ['category', 'Category'],
+  ['quantity', 'Quantity'],
+  ['unit', 'Unit'],
+  ['lowStockAt', 'Low stock at'],
+  ['lowStockUnit', 'Low stock unit'],
+  ['expiresAt', 'Use by'],
+];
+
+const EXISTING_MODES = [
+  ['add', 'Add to what I have'],
+  ['replace', 'Replace the quantity'],
+  ['skip', 'Leave them alone'],
+];
+
+const ACTIONS = {
+  create: { label: 'New', className: 'bg-emerald-100 text-emerald-700' },
+  update: { label: 'Update', className: 'bg-blue-100 text-blue-700' },
+  skip: { label: 'Skip', className: 'bg-gray-100 text-gray-600' },
+  invalid: { label: 'Error', className: 'bg-red-100 text-red-700' },
+};
+
+function describeRow(row) {
+  if (row.action === 'invalid') {
+    return row.errors.map(e => `${e.field}: ${e.message}`).join('; ');
+  }
+  if (row.action === 'update') {
+    return `${row.match.name}: ${row.match.previousQuantity} → ${row.match.quantity} ${row.match.unit}`;
+  }
+  if (row.action === 'skip') return `Already have ${row.match.name}`;
+  return row.item.category;
+}
+
+/**
+ * Bulk add items from a CSV file or a pasted list. Every import is
+ * previewed row by row before anything is saved; onImported runs after a save.
+ */
+export default function InventoryImportModal({ onImported, onClose }) {
+  const [source, setSource] = useState('csv'); // 'csv' | 'text'
+  const [input, setInput] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [existing, setExisting] = useState('add');
+  const [preview, setPreview] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [busy, setBusy] = useState(null); // 'preview' | 'import' | 'export'
+  const [error, setError] = useState(null);
+
+  // overrides carries a mapping or existing mode that was just changed
+  function runImport(dryRun, overrides = {}) {
+    const options = { mapping, existing, ...overrides };
+    return source === 'csv'
+      ? inventory.importCsv({ csv: input, mapping: options.mapping, existing: options.existing, dryRun })
+      : inventory.importText({ text: input, existing: options.existing, dryRun });
+  }
+
+  async function handlePreview(overrides) {
+    if (!input.trim()) return;
+    setBusy('preview');
+    setError(null);
+    setSaved(null);
+    try {
+      setPreview(await runImport(true, overrides));
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to read the import');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleImport() {
+    setBusy('import');
+    setError(null);
+    try {
+      const result = await runImport(false);
+      setSaved(result.summary);
+      setPreview(null);
+      setInput('');
+      setMapping({});
+      onImported();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Import failed');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleExport() {
+    setBusy('export');
+    setError(null);
+    try {
+      const csv = await inventory.exportCsv();
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `inventory-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to export inventory');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    setInput(await file.text());
+    setMapping({});
+    setPreview(null);
+  }
+
+  function changeInput(value) {
+    setInput(value);
+    setPreview(null);
+  }
+
+  function changeSource(value) {
+    setSource(value);
+    setInput('');
+    setMapping({});
+    setPreview(null);
+    setSaved(null);
+  }
+
+  function changeMapping(field, header) {
+    const next = { ...mapping, [field]: header || null };
+    setMapping(next);
+    handlePreview({ mapping: next });
+  }
+
+  function changeExisting(value) {
+    setExisting(value);
+    if (preview) handlePreview({ existing: value });
+  }
+
+  const summary = preview?.summary;
+  const importable = summary ? summary.create + summary.update : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Import Items</h2>
+          <button
+            onClick={handleExport}
+            disabled={Boolean(busy)}
+            className="text-sm text-emerald-700 hover:underline disabled:opacity-50"
+          >
+            {busy === 'export' ? 'Exporting...' : 'Export current inventory as CSV'}
+          </button>
+        </div>
+
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm w-fit">
+          {[['csv', 'CSV file'], ['text', 'Pasted list']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => changeSource(value)}
+              className={`px-3 py-1.5 ${source === value ? 'bg-emerald-100 text-emerald-700' : 'text-gray-600 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {source === 'csv' && (
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            className="block text-sm text-gray-600"
+          />
+        )}
+
+        <textarea
+          value={input}
+          onChange={(e) => changeInput(e.target.value)}
+          rows={6}
+          placeholder={source === 'csv'
+            ? 'name,quantity,unit\nAtta,5,kg\nToor Dal,1,kg'
+            : '2 kg atta, 500g paneer, 12 eggs'}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        />
+
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Items I already have:
+          <select
+            value={existing}
+            onChange={(e) => changeExisting(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+          >
+            {EXISTING_MODES.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {preview?.headers && (
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {FIELDS.map(([field, label]) => (
+              <label key={field} className="text-xs text-gray-500">
+                {label}
+                <select
+                  value={preview.columns[field] || ''}
+                  onChange={(e) => changeMapping(field, e.target.value)}
+                  disabled={Boolean(busy)}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-2 py-1 text-sm text-gray-900"
+                >
+                  <option value="">Not imported</option>
+                  {preview.headers.map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {preview && (
+          <>
+            <p className="text-sm text-gray-600">
+              {summary.create} new, {summary.update} to update, {summary.skip} skipped
+              {summary.invalid > 0 && <span className="text-red-600">, {summary.invalid} with errors</span>}
+            </p>
+            <div className="border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-xs text-gray-500">
+                  <tr>
+                    <th className="px-3 py-2">Line</th>
+                    <th className="px-3 py-2">Item</th>
+                    <th className="px-3 py-2"></th>
+                    <th className="px-3 py-2">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {preview.rows.map((row) => (
+                    <tr key={row.line}>
+                      <td className="px-3 py-2 text-gray-400">{row.line}</td>
+                      <td className="px-3 py-2 text-gray-900">
+                        {row.item ? `${row.item.name} (${row.item.quantity} ${row.item.unit})` : row.text || '—'}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`text-xs px-2 py-0.5 rounded ${ACTIONS[row.action].className}`}>
+                          {ACTIONS[row.action].label}
+                        </span>
+                      </td>
+                      <td className={`px-3 py-2 text-xs ${row.action === 'invalid' ? 'text-red-600' : 'text-gray-500'}`}>
+                        {describeRow(row)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {saved && (
+          <p className="text-sm text-emerald-700">
+            Imported: {saved.create} added, {saved.update} updated
+            {saved.invalid > 0 && `, ${saved.invalid} rows left out`}.
+          </p>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            Close
+          </button>
+          {preview ? (
+            <button
+              onClick={handleImport}
+              disabled={Boolean(busy) || importable === 0}
+              className="flex-1 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg disabled:opacity-50"
+            >
+              {busy === 'import' ? 'Importing...' : `Import ${importable} items`}
+            </button>
+          ) : (
+            <button
+              onClick={() => handlePreview()}
+              disabled={Boolean(busy) || !input.trim()}
+              className="flex-1 px-4 py-2 bg-emerald-500 hover:bg-emerald-600 text-white rounded-lg disabled:opacity-50"
+            >
+              {busy === 'preview' ? 'Reading...' : 'Preview'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -10,7 +10,7 @@ const CUISINE_LABELS = {
   other: 'Other',
 };
 
-const MealCard = memo(function MealCard({ meal, onAteThis, onGetRecipe, showActions = true }) {
+const MealCard = memo(function MealCard({ meal, onAteThis, onGetRecipe, onReject, showActions = true }) {
   // Memoize ingredients parsing to avoid re-parsing on every render
   const ingredients = useMemo(() => {
     return typeof meal.ingredients === 'string'
@@ -90,6 +90,14 @@ const MealCard = memo(function MealCard({ meal, onAteThis, onGetRecipe, showActi
       {/* Actions */}
       {showActions && (
         <div className="pt-3 border-t border-gray-100 mt-3 flex gap-2">
+          {onReject && (
+            <button
+              onClick={onReject}
+              className="px-3 border border-gray-300 text-gray-600 hover:bg-gray-50 font-medium py-2 rounded-lg text-sm transition-colors"
+            >
+              Not this
+            </button>
+          )}
           {onGetRecipe && (
             <button
               onClick={onGetRecipe}
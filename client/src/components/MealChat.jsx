@@ -1,10 +1,8 @@
 import { useState, useRef, useEffect } from 'react';
-import { recipes } from '../api/client';
+import { recipes, suggestions as suggestApi, chatSessions } from '../api/client';
 import RecipeDisplay from './RecipeDisplay';
 import Portal from './Portal';
 
-const API_BASE = import.meta.env.PROD ? '' : 'http://localhost:3001';
-
 export default function MealChat({ mealType, onSelectMeal, onClose }) {
   const [currentRecipe, setCurrentRecipe] = useState(null);
   const [generatingRecipe, setGeneratingRecipe] = useState(null); // meal name being generated
@@ -12,22 +10,25 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
   const [loading, setLoading] = useState(true);
   const [suggestions, setSuggestions] = useState([]);
   const [conversation, setConversation] = useState([]);
+  const [streamingReply, setStreamingReply] = useState(null); // assistant text while streaming
+  const [sessionId, setSessionId] = useState(null);
+  const [rejected, setRejected] = useState([]); // turned down since the last reply
   const inputRef = useRef(null);
+  const streamRef = useRef(null);
 
   useEffect(() => {
     fetchInitialSuggestions();
   }, [mealType]);
 
+  // Stop any in-flight stream when the chat closes
+  useEffect(() => () => streamRef.current?.abort(), []);
+
   async function fetchInitialSuggestions() {
     setLoading(true);
     try {
-      const response = await fetch(`${API_BASE}/api/suggest`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mealType })
-      });
-      const data = await response.json();
+      const data = await suggestApi.get({ mealType });
       setSuggestions(data.suggestions || []);
+      startSession(data.suggestions || []);
     } catch (err) {
       console.error('Failed to fetch suggestions:', err);
     } finally {
@@ -35,6 +36,21 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
     }
   }
 
+  // Persist the conversation so what we turn down is remembered
+  async function startSession(shown) {
+    try {
+      const session = await chatSessions.create({
+        mealType,
+        source: 'meal_plan',
+        message: `Here are some ${mealType} options.`,
+        suggestions: shown,
+      });
+      setSessionId(session.id);
+    } catch (err) {
+      console.error('Failed to start chat session:', err);
+    }
+  }
+
   async function handleGetRecipe(meal) {
     setGeneratingRecipe(meal.name);
     try {
@@ -47,6 +63,12 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
     }
   }
 
+  // Saying no to a dish is what gets remembered, not moving on from it
+  function rejectSuggestion(meal) {
+    setSuggestions(prev => prev.filter(m => m !== meal));
+    setRejected(prev => [...prev, { name: meal.name }]);
+  }
+
   async function refineWithFeedback(e) {
     e?.preventDefault();
     if (!input.trim() || loading) return;
@@ -59,33 +81,59 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
     const newConversation = [...conversation, { role: 'user', content: userMessage }];
     setConversation(newConversation);
 
+    const controller = new AbortController();
+    streamRef.current = controller;
+    let reply = '';
+    let received = 0;
+    setStreamingReply('');
+
     try {
-      const response = await fetch(`${API_BASE}/api/suggest/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          mealType,
-          conversation: [
-            { role: 'assistant', content: `Here are some ${mealType} options.` },
-            ...newConversation
-          ]
-        })
+      const data = await suggestApi.chatStream({
+        mealType,
+        ...(sessionId && { sessionId }),
+        ...(rejected.length > 0 && { rejected }),
+        conversation: [
+          { role: 'assistant', content: `Here are some ${mealType} options.` },
+          ...newConversation
+        ]
+      }, {
+        signal: controller.signal,
+        onMessage: (delta) => {
+          reply += delta;
+          setStreamingReply(reply);
+        },
+        onSuggestion: (suggestion) => {
+          // Replace the previous cards as soon as the first new one arrives
+          const first = received === 0;
+          received++;
+          setSuggestions(prev => (first ? [suggestion] : [...prev, suggestion]));
+        },
       });
 
-      const data = await response.json();
-      setSuggestions(data.suggestions || []);
-
-      if (data.message) {
-        setConversation(prev => [...prev, { role: 'assistant', content: data.message }]);
+      setRejected([]);
+      if (received > 0 || data.suggestions?.length > 0) {
+        setSuggestions(data.suggestions || []);
       }
+      reply = data.message || reply;
     } catch (err) {
-      console.error('Failed to refine suggestions:', err);
+      if (err.name !== 'AbortError') {
+        console.error('Failed to refine suggestions:', err);
+      }
     } finally {
+      if (reply.trim()) {
+        setConversation(prev => [...prev, { role: 'assistant', content: reply.trim() }]);
+      }
+      streamRef.current = null;
+      setStreamingReply(null);
       setLoading(false);
       inputRef.current?.focus();
     }
   }
 
+  function cancelStream() {
+    streamRef.current?.abort();
+  }
+
   return (
     <Portal>
       <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
@@ -134,6 +182,12 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
                       )}
                     </div>
                     <div className="ml-3 flex gap-2">
+                      <button
+                        onClick={() => rejectSuggestion(meal)}
+                        className="px-3 py-1.5 border border-gray-300 text-gray-600 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Not this
+                      </button>
                       <button
                         onClick={() => handleGetRecipe(meal)}
                         disabled={generatingRecipe === meal.name}
@@ -162,7 +216,7 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
           )}
 
           {/* Conversation history */}
-          {conversation.length > 0 && (
+          {(conversation.length > 0 || streamingReply) && (
             <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
               {conversation.map((msg, i) => (
                 <div
@@ -180,11 +234,19 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
                   </div>
                 </div>
               ))}
+              {streamingReply && (
+                <div className="flex justify-start">
+                  <div className="max-w-[80%] rounded-2xl px-3 py-2 text-sm bg-gray-100 text-gray-800">
+                    {streamingReply}
+                    <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" />
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
           {/* Loading indicator for refinement */}
-          {loading && suggestions.length > 0 && (
+          {loading && suggestions.length > 0 && !streamingReply && (
             <div className="mt-4 text-center text-gray-500 text-sm">
               Refining suggestions...
             </div>
@@ -207,13 +269,23 @@ export default function MealChat({ mealType, onSelectMeal, onClose }) {
                 className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent text-sm"
                 disabled={loading}
               />
-              <button
-                type="submit"
-                disabled={loading || !input.trim()}
-                className="px-4 py-2 bg-emerald-600 text-white rounded-lg font-medium hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
-              >
-                Refine
-              </button>
+              {streamingReply !== null ? (
+                <button
+                  type="button"
+                  onClick={cancelStream}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-100 transition-colors text-sm"
+                >
+                  Stop
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={loading || !input.trim()}
+                  className="px-4 py-2 bg-emerald-600 text-white rounded-lg font-medium hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm"
+                >
+                  Refine
+                </button>
+              )}
             </div>
           </form>
         ) : null}
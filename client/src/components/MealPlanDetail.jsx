@@ -22,10 +22,12 @@ export default function MealPlanDetail({
   onAteThis,
   onUndoComplete,
   onReplace,
+  onRegenerate,
   onDelete,
   onViewRecipe,
   generatingRecipe,
-  markingComplete
+  markingComplete,
+  regenerating
 }) {
   if (!plan || !plan.mealData) return null;
 
@@ -174,7 +176,7 @@ export default function MealPlanDetail({
           ) : (
             <>
               {/* Uncompleted state actions */}
-              <div className="grid grid-cols-3 gap-2 pt-2">
+              <div className="grid grid-cols-4 gap-2 pt-2">
                 <button
                   onClick={onViewRecipe}
                   disabled={generatingRecipe}
@@ -214,6 +216,22 @@ export default function MealPlanDetail({
                   </svg>
                   <span className="text-xs font-medium">Replace</span>
                 </button>
+
+                <button
+                  onClick={onRegenerate}
+                  disabled={regenerating}
+                  title="Let AI pick another dish that fits the rest of the week"
+                  className="flex flex-col items-center gap-1 p-3 border border-gray-300 text-gray-600 rounded-xl hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  {regenerating ? (
+                    <div className="w-5 h-5 border-2 border-gray-500 border-t-transparent rounded-full animate-spin" />
+                  ) : (
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                    </svg>
+                  )}
+                  <span className="text-xs font-medium">{regenerating ? 'Picking...' : 'AI Pick'}</span>
+                </button>
               </div>
             </>
           )}
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import { mealPlan } from '../api/client';
+
+export default function MealPlanTemplates({ weekStart, hasPlans, onApplied }) {
+  const [templates, setTemplates] = useState([]);
+  const [name, setName] = useState('');
+  const [mode, setMode] = useState('fill');
+  const [shuffleDays, setShuffleDays] = useState(false);
+  const [busy, setBusy] = useState(null); // 'save' | 'copy' | template id
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  async function loadTemplates() {
+    try {
+      setTemplates(await mealPlan.getTemplates());
+    } catch (err) {
+      console.error('Failed to load templates:', err);
+    }
+  }
+
+  async function run(key, action) {
+    setBusy(key);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  function handleSave() {
+    if (!name.trim()) return;
+    run('save', async () => {
+      await mealPlan.saveTemplate(name.trim(), weekStart);
+      setName('');
+      await loadTemplates();
+    });
+  }
+
+  function handleCopyLastWeek() {
+    const lastWeek = new Date(weekStart);
+    lastWeek.setDate(lastWeek.getDate() - 7);
+    run('copy', async () => {
+      await mealPlan.copyWeek(lastWeek.toISOString().split('T')[0], weekStart, { mode, shuffleDays });
+      onApplied();
+    });
+  }
+
+  function handleApply(template) {
+    run(template.id, async () => {
+      await mealPlan.applyTemplate(template.id, weekStart, { mode, shuffleDays });
+      onApplied();
+    });
+  }
+
+  function handleDelete(template) {
+    run(template.id, async () => {
+      await mealPlan.deleteTemplate(template.id);
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    });
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <h2 className="font-semibold text-gray-900">Reuse a week</h2>
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm">
+          {[['fill', 'Empty slots only'], ['replace', 'Replace uneaten']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              className={`px-3 py-1.5 ${mode === value ? 'bg-emerald-100 text-emerald-700' : 'text-gray-600 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={shuffleDays}
+            onChange={(e) => setShuffleDays(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Shuffle days
+        </label>
+        <button
+          onClick={handleCopyLastWeek}
+          disabled={Boolean(busy)}
+          className="ml-auto px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 text-sm font-medium"
+        >
+          {busy === 'copy' ? 'Copying...' : 'Copy Last Week'}
+        </button>
+      </div>
+
+      {templates.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {templates.map(template => (
+            <li key={template.id} className="flex items-center justify-between py-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{template.name}</p>
+                <p className="text-xs text-gray-500">{template.entries.length} meals</p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => handleApply(template)}
+                  disabled={Boolean(busy)}
+                  className="px-3 py-1 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50 text-sm"
+                >
+                  {busy === template.id ? 'Applying...' : 'Apply'}
+                </button>
+                <button
+                  onClick={() => handleDelete(template)}
+                  disabled={Boolean(busy)}
+                  className="px-2 py-1 text-gray-400 hover:text-red-600 disabled:opacity-50 text-sm"
+                  aria-label={`Delete ${template.name}`}
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasPlans && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Name this week to save it as a template"
+            maxLength={100}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={handleSave}
+            disabled={Boolean(busy) || !name.trim()}
+            className="px-3 py-1.5 border border-emerald-600 text-emerald-700 rounded-lg hover:bg-emerald-50 disabled:opacity-50 text-sm font-medium"
+          >
+            {busy === 'save' ? 'Saving...' : 'Save Template'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
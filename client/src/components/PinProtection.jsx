@@ -1,72 +1,53 @@
 import { useState, useEffect } from 'react';
-
-const API_BASE = import.meta.env.PROD ? '' : 'http://localhost:3001';
+import { auth, getErrorMessage, SESSION_EXPIRED_EVENT } from '../api/client';
 
 export default function PinProtection({ children }) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [pinRequired, setPinRequired] = useState(null);
   const [pin, setPin] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
 
   useEffect(() => {
     checkAuth();
+
+    // Any request rejected for an expired/revoked session sends us back here
+    const handleExpired = () => {
+      setIsAuthenticated(false);
+      setPin('');
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
   }, []);
 
   const checkAuth = async () => {
     try {
-      // Check if PIN is required
-      const statusRes = await fetch(`${API_BASE}/api/auth/status`);
-      const { pinRequired: required } = await statusRes.json();
-      setPinRequired(required);
-
-      if (!required) {
-        setIsAuthenticated(true);
-        setLoading(false);
-        return;
-      }
-
-      // Check if we have a stored PIN
-      const storedPin = localStorage.getItem('app_pin');
-      if (storedPin) {
-        const valid = await verifyPin(storedPin);
-        if (valid) {
-          setIsAuthenticated(true);
-        } else {
-          localStorage.removeItem('app_pin');
-        }
-      }
+      const { authenticated } = await auth.status();
+      setIsAuthenticated(authenticated);
     } catch (err) {
       console.error('Auth check failed:', err);
     }
     setLoading(false);
   };
 
-  const verifyPin = async (pinToVerify) => {
-    const res = await fetch(`${API_BASE}/api/auth/verify`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ pin: pinToVerify })
-    });
-    const data = await res.json();
-    return data.valid;
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setSubmitting(true);
 
     try {
-      const valid = await verifyPin(pin);
-      if (valid) {
-        localStorage.setItem('app_pin', pin);
-        setIsAuthenticated(true);
+      await auth.verify(pin);
+      setIsAuthenticated(true);
+    } catch (err) {
+      const attemptsLeft = err.details?.attemptsLeft;
+      if (err.code === 'AUTH_ERROR') {
+        setError(attemptsLeft > 0 ? `Invalid PIN (${attemptsLeft} attempts left)` : 'Invalid PIN');
       } else {
-        setError('Invalid PIN');
-        setPin('');
+        setError(getErrorMessage(err));
       }
-    } catch (err) {
-      setError('Failed to verify PIN');
+    } finally {
+      setPin('');
+      setSubmitting(false);
     }
   };
 
@@ -109,9 +90,10 @@ export default function PinProtection({ children }) {
           )}
           <button
             type="submit"
-            className="w-full mt-4 bg-emerald-600 text-white py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors"
+            disabled={submitting || pin.length < 4}
+            className="w-full mt-4 bg-emerald-600 text-white py-3 rounded-lg font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50"
           >
-            Enter
+            {submitting ? 'Checking...' : 'Enter'}
           </button>
         </form>
       </div>
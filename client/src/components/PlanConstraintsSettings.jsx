@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { preferences } from '../api/client';
+
+const FIELDS = [
+  { key: 'weekdayMaxPrepTime', label: 'Weekday prep time', unit: 'min max', min: 5, max: 480, fallback: 45 },
+  { key: 'weekendMaxPrepTime', label: 'Weekend prep time', unit: 'min max', min: 5, max: 480, fallback: 90 },
+  { key: 'maxCuisineStreak', label: 'Same cuisine', unit: 'days in a row max', min: 1, max: 7, fallback: 2 },
+  { key: 'minDailyCaloriesPercent', label: 'Daily calories at least', unit: '% of goal', min: 0, max: 200, fallback: 60 },
+  { key: 'maxDailyCaloriesPercent', label: 'Daily calories at most', unit: '% of goal', min: 50, max: 300, fallback: 110 },
+  { key: 'noRepeatDays', label: 'No repeated dish within', unit: 'days', min: 1, max: 60, fallback: 14 },
+];
+
+export default function PlanConstraintsSettings() {
+  const [constraints, setConstraints] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    preferences.getPlanConstraints()
+      .then(setConstraints)
+      .catch(err => {
+        console.error('Failed to load planner rules:', err);
+        setError('Could not load planner rules');
+      });
+  }, []);
+
+  function update(key, value) {
+    setConstraints(prev => ({ ...prev, [key]: value }));
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError(null);
+    try {
+      setConstraints(await preferences.setPlanConstraints(constraints));
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to save planner rules');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!constraints) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="font-semibold text-gray-900 mb-2">Meal Planner Rules</h2>
+        <p className="text-sm text-gray-500">{error || 'Loading...'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h2 className="font-semibold text-gray-900 mb-1">Meal Planner Rules</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Generated weeks are checked against these, and dishes that break one are planned again.
+      </p>
+
+      <div className="space-y-3">
+        {FIELDS.map(({ key, label, unit, min, max, fallback }) => {
+          const enabled = constraints[key] !== null;
+          return (
+            <div key={key} className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-sm text-gray-700 w-56">
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  onChange={(e) => update(key, e.target.checked ? fallback : null)}
+                  className="rounded border-gray-300"
+                />
+                {label}
+              </label>
+              <input
+                type="number"
+                min={min}
+                max={max}
+                value={enabled ? constraints[key] : ''}
+                disabled={!enabled}
+                onChange={(e) => update(key, parseInt(e.target.value, 10) || min)}
+                className="w-20 border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50"
+              />
+              <span className="text-sm text-gray-500">{unit}</span>
+            </div>
+          );
+        })}
+
+        <p className="text-xs text-gray-500">Vegetarian days come from the dietary rules above.</p>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className={`px-6 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+            saved
+              ? 'bg-green-500 text-white'
+              : 'bg-emerald-500 hover:bg-emerald-600 text-white'
+          } disabled:opacity-50`}
+        >
+          {saving ? 'Saving...' : saved ? 'Saved!' : 'Save Rules'}
+        </button>
+      </div>
+    </div>
+  );
+}
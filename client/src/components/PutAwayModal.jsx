@@ -0,0 +1,135 @@
+import { useState } from 'react';
+
+const CATEGORIES = [
+  { value: 'grains', label: 'Grains & Staples' },
+  { value: 'spices', label: 'Spices' },
+  { value: 'vegetables', label: 'Vegetables' },
+  { value: 'fruits', label: 'Fruits' },
+  { value: 'dairy', label: 'Dairy' },
+  { value: 'proteins', label: 'Proteins' },
+  { value: 'others', label: 'Others' },
+];
+
+const CATEGORY_VALUES = CATEGORIES.map(c => c.value);
+
+/**
+ * Move purchased shopping items into the pantry, picking a category and
+ * an optional expiry for each
+ */
+export default function PutAwayModal({ items, onPutAway, onClose }) {
+  const [rows, setRows] = useState(() =>
+    items.map(item => ({
+      id: item.id,
+      name: item.name,
+      quantity: item.quantity ?? 1,
+      unit: item.unit || 'pieces',
+      category: CATEGORY_VALUES.includes(item.category) ? item.category : 'others',
+      expiresAt: '',
+      include: true,
+    }))
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  function updateRow(id, changes) {
+    setRows(rows.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  }
+
+  async function handleSubmit() {
+    setSaving(true);
+    setError(null);
+    try {
+      await onPutAway(rows
+        .filter(row => row.include)
+        .map(row => ({
+          id: row.id,
+          category: row.category,
+          quantity: parseFloat(row.quantity) || undefined,
+          unit: row.unit,
+          ...(row.expiresAt && { expiresAt: row.expiresAt }),
+        })));
+    } catch (err) {
+      setError(err.message || 'Failed to put items away');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const count = rows.filter(row => row.include).length;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold mb-1">Put away shopping</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Items already in your pantry are topped up; new ones are added.
+        </p>
+
+        <ul className="space-y-3 mb-4">
+          {rows.map(row => (
+            <li
+              key={row.id}
+              className={`p-3 rounded-lg border border-gray-200 space-y-2 ${row.include ? '' : 'opacity-50'}`}
+            >
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={row.include}
+                  onChange={(e) => updateRow(row.id, { include: e.target.checked })}
+                  className="rounded border-gray-300"
+                  aria-label={`Put away ${row.name}`}
+                />
+                <span className="flex-1 font-medium text-gray-900 truncate">{row.name}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={row.quantity}
+                  onChange={(e) => updateRow(row.id, { quantity: e.target.value })}
+                  className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-sm text-right"
+                />
+                <span className="text-sm text-gray-500 w-14 truncate">{row.unit}</span>
+              </div>
+              <div className="flex gap-2 pl-6">
+                <select
+                  value={row.category}
+                  onChange={(e) => updateRow(row.id, { category: e.target.value })}
+                  className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                >
+                  {CATEGORIES.map(cat => (
+                    <option key={cat.value} value={cat.value}>{cat.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="date"
+                  value={row.expiresAt}
+                  onChange={(e) => updateRow(row.id, { expiresAt: e.target.value })}
+                  className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  aria-label={`Expiry date for ${row.name}`}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={saving || count === 0}
+            className="flex-1 bg-emerald-500 hover:bg-emerald-600 text-white py-2 rounded-lg disabled:opacity-50"
+          >
+            {saving ? 'Putting away...' : `Put away ${count} item${count === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
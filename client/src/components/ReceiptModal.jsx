@@ -0,0 +1,291 @@
+import { useState } from 'react';
+import { shopping } from '../api/client';
+
+const CATEGORIES = [
+  { value: 'grains', label: 'Grains & Staples' },
+  { value: 'spices', label: 'Spices' },
+  { value: 'vegetables', label: 'Vegetables' },
+  { value: 'fruits', label: 'Fruits' },
+  { value: 'dairy', label: 'Dairy' },
+  { value: 'proteins', label: 'Proteins' },
+  { value: 'others', label: 'Others' },
+];
+
+const UNITS = ['kg', 'g', 'L', 'ml', 'pieces', 'packets', 'bunch', 'tbsp', 'tsp'];
+
+function formatQuantity(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(3));
+}
+
+function toRow(item, index) {
+  return {
+    key: `item-${index}`,
+    product: item.product,
+    name: item.name,
+    quantity: item.quantity,
+    unit: item.unit,
+    category: item.category,
+    price: item.price,
+    expiresAt: '',
+    stock: item.stock,
+    shoppingItem: item.shoppingItem,
+    checkOff: Boolean(item.shoppingItem),
+    include: true,
+  };
+}
+
+/**
+ * Paste a grocery receipt or order confirmation, check what was read off it
+ * and put it away: pantry items are topped up or added and the shopping
+ * items it covers come off the list. onDone receives the server's result.
+ */
+export default function ReceiptModal({ onDone, onClose }) {
+  const [text, setText] = useState('');
+  const [review, setReview] = useState(null); // { rows, unrecognized, skipped, total }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleRead() {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await shopping.previewReceipt(text);
+      setReview({
+        rows: result.items.map(toRow),
+        unrecognized: result.unrecognized,
+        skipped: result.skipped,
+        total: result.total,
+      });
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to read the receipt');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handlePutAway() {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await shopping.putAwayReceipt(review.rows
+        .filter(row => row.include && row.name.trim() && parseFloat(row.quantity) > 0)
+        .map(row => ({
+          name: row.name.trim(),
+          quantity: parseFloat(row.quantity),
+          unit: row.unit,
+          category: row.category,
+          ...(row.expiresAt && { expiresAt: row.expiresAt }),
+          ...(row.checkOff && row.shoppingItem && { shoppingItemId: row.shoppingItem.id }),
+        })));
+      onDone(result);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to put the receipt away');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function updateRow(key, changes) {
+    setReview(prev => ({ ...prev, rows: prev.rows.map(row => (row.key === key ? { ...row, ...changes } : row)) }));
+  }
+
+  // An unread or skipped line becomes a row to fill in by hand
+  function addLine(entry) {
+    setReview(prev => ({
+      ...prev,
+      rows: [...prev.rows, {
+        ...toRow({ product: entry.text, name: entry.text, quantity: 1, unit: 'pieces', category: 'others' }, prev.rows.length),
+        key: `line-${entry.line}`,
+      }],
+      unrecognized: prev.unrecognized.filter(e => e.line !== entry.line),
+      skipped: prev.skipped.filter(e => e.line !== entry.line),
+    }));
+  }
+
+  const count = review ? review.rows.filter(row => row.include).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold mb-1">Put away a receipt</h2>
+
+        {!review ? (
+          <>
+            <p className="text-sm text-gray-500 mb-4">
+              Paste the items from a supermarket bill or an order confirmation. You can check everything before it is saved.
+            </p>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={10}
+              placeholder={'Amul Taaza Toned Milk 500 ml x 2 ₹54\nTATA SALT 1KG    1   28.00   28.00\nTomato 0.5 kg @ ₹40/kg ₹20'}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm font-mono mb-4 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            />
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-4">
+              {review.rows.length} items read{review.total > 0 && `, ₹${review.total} in all`}.
+              Items already in your pantry are topped up; new ones are added.
+            </p>
+
+            {review.rows.length === 0 && (
+              <p className="text-sm text-gray-500 mb-4">No items could be read from this receipt.</p>
+            )}
+
+            <ul className="space-y-3 mb-4">
+              {review.rows.map(row => (
+                <li
+                  key={row.key}
+                  className={`p-3 rounded-lg border border-gray-200 space-y-2 ${row.include ? '' : 'opacity-50'}`}
+                >
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={row.include}
+                      onChange={(e) => updateRow(row.key, { include: e.target.checked })}
+                      className="rounded border-gray-300"
+                      aria-label={`Put away ${row.name}`}
+                    />
+                    <input
+                      type="text"
+                      value={row.name}
+                      onChange={(e) => updateRow(row.key, { name: e.target.value, stock: null })}
+                      maxLength={100}
+                      className="flex-1 min-w-0 border border-gray-300 rounded-lg px-2 py-1 text-sm font-medium"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={row.quantity}
+                      onChange={(e) => updateRow(row.key, { quantity: e.target.value })}
+                      className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-sm text-right"
+                    />
+                    <select
+                      value={row.unit}
+                      onChange={(e) => updateRow(row.key, { unit: e.target.value, stock: null })}
+                      className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                    >
+                      {(UNITS.includes(row.unit) ? UNITS : [row.unit, ...UNITS]).map(unit => (
+                        <option key={unit} value={unit}>{unit}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p className="pl-6 text-xs text-gray-400 truncate">
+                    {row.product}{row.price !== null && row.price !== undefined && ` · ₹${row.price}`}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-2 pl-6">
+                    {row.stock ? (
+                      <span className="flex-1 text-sm text-blue-700">
+                        Tops up {row.stock.name} (have {formatQuantity(row.stock.quantity)} {row.stock.unit})
+                      </span>
+                    ) : (
+                      <select
+                        value={row.category}
+                        onChange={(e) => updateRow(row.key, { category: e.target.value })}
+                        className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      >
+                        {CATEGORIES.map(cat => (
+                          <option key={cat.value} value={cat.value}>{cat.label}</option>
+                        ))}
+                      </select>
+                    )}
+                    <input
+                      type="date"
+                      value={row.expiresAt}
+                      onChange={(e) => updateRow(row.key, { expiresAt: e.target.value })}
+                      className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      aria-label={`Expiry date for ${row.name}`}
+                    />
+                  </div>
+                  {row.shoppingItem && (
+                    <label className="flex items-center gap-2 pl-6 text-sm text-emerald-700">
+                      <input
+                        type="checkbox"
+                        checked={row.checkOff}
+                        onChange={(e) => updateRow(row.key, { checkOff: e.target.checked })}
+                        className="rounded border-gray-300"
+                      />
+                      Mark “{row.shoppingItem.name}” purchased on the shopping list
+                    </label>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {review.unrecognized.length > 0 && (
+              <div className="mb-4">
+                <p className="text-sm font-medium text-gray-700 mb-2">Lines that couldn't be read</p>
+                <ul className="space-y-1">
+                  {review.unrecognized.map(entry => (
+                    <li key={entry.line} className="flex items-center justify-between gap-3 text-sm">
+                      <span className="font-mono text-gray-500 truncate">{entry.text}</span>
+                      <button
+                        onClick={() => addLine(entry)}
+                        className="text-emerald-700 hover:underline shrink-0"
+                      >
+                        Add as item
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {review.skipped.length > 0 && (
+              <details className="mb-4">
+                <summary className="text-sm text-gray-500 cursor-pointer">
+                  {review.skipped.length} line{review.skipped.length === 1 ? '' : 's'} left out as totals, taxes or fees
+                </summary>
+                <ul className="space-y-1 mt-2">
+                  {review.skipped.map(entry => (
+                    <li key={entry.line} className="flex items-center justify-between gap-3 text-sm">
+                      <span className="font-mono text-gray-500 truncate">{entry.text}</span>
+                      <button
+                        onClick={() => addLine(entry)}
+                        className="text-emerald-700 hover:underline shrink-0"
+                      >
+                        Add as item
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={review ? () => setReview(null) : onClose}
+            className="flex-1 border border-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-50"
+          >
+            {review ? 'Back' : 'Cancel'}
+          </button>
+          {review ? (
+            <button
+              onClick={handlePutAway}
+              disabled={busy || count === 0}
+              className="flex-1 bg-emerald-500 hover:bg-emerald-600 text-white py-2 rounded-lg disabled:opacity-50"
+            >
+              {busy ? 'Putting away...' : `Put away ${count} item${count === 1 ? '' : 's'}`}
+            </button>
+          ) : (
+            <button
+              onClick={handleRead}
+              disabled={busy || !text.trim()}
+              className="flex-1 bg-emerald-500 hover:bg-emerald-600 text-white py-2 rounded-lg disabled:opacity-50"
+            >
+              {busy ? 'Reading...' : 'Read Receipt'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -83,6 +83,18 @@ export default function RecipeDisplay({ recipe, onClose }) {
               />
             </div>
 
+            {/* Dietary rule warnings */}
+            {recipe.dietaryWarnings?.length > 0 && (
+              <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+                <p className="text-sm font-medium text-red-700 mb-1">Breaks your dietary rules</p>
+                <ul className="text-sm text-red-600 space-y-0.5">
+                  {recipe.dietaryWarnings.map((warning, i) => (
+                    <li key={i}>• {warning}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Ingredients */}
             <div>
               <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center gap-2">
@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react';
+import { preferences } from '../api/client';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export default function ShoppingScheduleSettings() {
+  const [schedule, setSchedule] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    preferences.getShoppingSchedule()
+      .then(setSchedule)
+      .catch(err => {
+        console.error('Failed to load shopping schedule:', err);
+        setError('Could not load shopping schedule');
+      });
+  }, []);
+
+  function toggleDay(day) {
+    setSchedule(prev => ({
+      ...prev,
+      shoppingDays: prev.shoppingDays.includes(day)
+        ? prev.shoppingDays.filter(d => d !== day)
+        : DAYS.filter(d => d === day || prev.shoppingDays.includes(d)),
+    }));
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError(null);
+    try {
+      setSchedule(await preferences.setShoppingSchedule(schedule));
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to save shopping schedule');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!schedule) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="font-semibold text-gray-900 mb-2">Shopping Days</h2>
+        <p className="text-sm text-gray-500">{error || 'Loading...'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h2 className="font-semibold text-gray-900 mb-1">Shopping Days</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Pantry forecasts warn about anything that will run out before your next trip.
+      </p>
+
+      <div className="space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {DAYS.map(day => (
+            <button
+              key={day}
+              onClick={() => toggleDay(day)}
+              className={`px-3 py-1.5 rounded-full text-sm transition-colors ${
+                schedule.shoppingDays.includes(day)
+                  ? 'bg-gray-900 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {day.slice(0, 3)}
+            </button>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-3 text-sm text-gray-700">
+          Keep a spare
+          <input
+            type="number"
+            min={0}
+            max={14}
+            value={schedule.bufferDays}
+            onChange={(e) => setSchedule(prev => ({ ...prev, bufferDays: parseInt(e.target.value, 10) || 0 }))}
+            className="w-20 border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          days of stock
+        </label>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          onClick={handleSave}
+          disabled={saving || schedule.shoppingDays.length === 0}
+          className={`px-6 py-2.5 rounded-lg text-sm font-medium transition-colors ${
+            saved
+              ? 'bg-green-500 text-white'
+              : 'bg-emerald-500 hover:bg-emerald-600 text-white'
+          } disabled:opacity-50`}
+        >
+          {saving ? 'Saving...' : saved ? 'Saved!' : 'Save Schedule'}
+        </button>
+      </div>
+    </div>
+  );
+}
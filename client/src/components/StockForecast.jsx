@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { inventory } from '../api/client';
+
+function formatQuantity(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(3));
+}
+
+function formatDay(date) {
+  return new Date(date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+/**
+ * Items running out before the next shopping day, with a one-click add to
+ * the shopping list, and lowStockAt suggestions worked out from how fast
+ * each item is used. onThresholdApplied receives the updated item.
+ */
+export default function StockForecast({ refreshKey, onThresholdApplied }) {
+  const [forecast, setForecast] = useState(null);
+  const [busy, setBusy] = useState(null); // 'shopping' | item id
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    inventory.getForecast()
+      .then(setForecast)
+      .catch(err => console.error('Failed to load forecast:', err));
+  }, [refreshKey]);
+
+  async function handleAddToShopping() {
+    setBusy('shopping');
+    setMessage(null);
+    try {
+      const diff = await inventory.addRunningOutToShopping();
+      const changed = diff.added.length + diff.updated.length;
+      setMessage(changed > 0
+        ? `Added ${changed} item${changed === 1 ? '' : 's'} to the shopping list`
+        : 'Already on the shopping list');
+    } catch (err) {
+      console.error(err);
+      setMessage(err.message || 'Failed to update the shopping list');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function applyThreshold(item) {
+    setBusy(item.itemId);
+    try {
+      const updated = await inventory.update(item.itemId, { lowStockAt: item.suggestedLowStockAt, lowStockUnit: null });
+      setForecast(prev => ({
+        ...prev,
+        items: prev.items.map(i => (i.itemId === item.itemId
+          ? { ...i, lowStockAt: item.suggestedLowStockAt, lowStockUnit: null }
+          : i)),
+      }));
+      onThresholdApplied(updated);
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (!forecast || forecast.items.length === 0) return null;
+
+  const runningOut = forecast.items.filter(item => item.runsOutBeforeShopping);
+  const suggestions = forecast.items.filter(item =>
+    item.lowStockAt !== item.suggestedLowStockAt || (item.lowStockUnit && item.lowStockUnit !== item.unit));
+
+  return (
+    <div className="space-y-4">
+      {runningOut.length > 0 && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <div className="font-medium text-orange-800">
+              📉 Runs out before {formatDay(forecast.nextShoppingDate)} ({runningOut.length} items)
+            </div>
+            <button
+              onClick={handleAddToShopping}
+              disabled={Boolean(busy)}
+              className="px-3 py-1 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50 text-sm"
+            >
+              {busy === 'shopping' ? 'Adding...' : 'Add to Shopping List'}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {runningOut.map(item => (
+              <span key={item.itemId} className="text-sm px-2 py-1 bg-orange-100 text-orange-800 rounded">
+                {item.name} · out {formatDay(item.runOutDate)} · buy {formatQuantity(item.toBuy)} {item.unit}
+              </span>
+            ))}
+          </div>
+          {message && <p className="text-sm text-orange-800 mt-2">{message}</p>}
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <details className="bg-white border border-gray-200 rounded-lg p-4">
+          <summary className="font-medium text-gray-800 cursor-pointer">
+            Suggested low stock alerts ({suggestions.length})
+          </summary>
+          <p className="text-xs text-gray-500 mt-2">
+            Enough to last {forecast.cycleDays} days between trips plus {forecast.bufferDays} spare, at the rate you use each item.
+          </p>
+          <ul className="divide-y divide-gray-100 mt-2">
+            {suggestions.map(item => (
+              <li key={item.itemId} className="flex items-center justify-between py-2 gap-3">
+                <div>
+                  <p className="text-sm text-gray-900">{item.name}</p>
+                  <p className="text-xs text-gray-500">
+                    About {formatQuantity(item.perDay)} {item.unit} a day ·{' '}
+                    {item.lowStockAt !== null
+                      ? `alert at ${formatQuantity(item.lowStockAt)} ${item.lowStockUnit || item.unit} now`
+                      : 'no alert set'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => applyThreshold(item)}
+                  disabled={Boolean(busy)}
+                  className="px-3 py-1 border border-emerald-600 text-emerald-700 rounded-lg hover:bg-emerald-50 disabled:opacity-50 text-sm whitespace-nowrap"
+                >
+                  {busy === item.itemId ? 'Saving...' : `Alert at ${formatQuantity(item.suggestedLowStockAt)} ${item.unit}`}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
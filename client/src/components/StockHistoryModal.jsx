@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { inventory } from '../api/client';
+
+const REASONS = {
+  purchased: { label: 'Bought', emoji: '🛒' },
+  cooked: { label: 'Cooked', emoji: '🍳' },
+  spoiled: { label: 'Spoiled', emoji: '🗑️' },
+  adjusted: { label: 'Adjusted', emoji: '✏️' },
+};
+
+function formatQuantity(value) {
+  return Number.isInteger(value) ? value : Number(value.toFixed(3));
+}
+
+/**
+ * An inventory item's stock movements with how fast it is being used.
+ * Each movement can be undone; onChange receives the item after an undo.
+ */
+export default function StockHistoryModal({ item, onChange, onClose }) {
+  const [history, setHistory] = useState(null);
+  const [reverting, setReverting] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadHistory();
+  }, [item.id]);
+
+  async function loadHistory() {
+    try {
+      setHistory(await inventory.getMovements(item.id));
+    } catch (err) {
+      console.error(err);
+      setError('Failed to load stock history');
+    }
+  }
+
+  async function handleRevert(movement) {
+    setReverting(movement.id);
+    setError(null);
+    try {
+      const result = await inventory.revertMovement(movement.id);
+      onChange(result.item);
+      await loadHistory();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to undo');
+    } finally {
+      setReverting(null);
+    }
+  }
+
+  const consumption = history?.consumption;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold mb-1">{item.name} history</h2>
+
+        {consumption && (
+          <p className="text-sm text-gray-500 mb-4">
+            {consumption.used > 0
+              ? `Used ${formatQuantity(consumption.used)} ${consumption.unit} in the last ${consumption.days} days` +
+                ` (about ${formatQuantity(consumption.perDay)} ${consumption.unit} a day` +
+                `${consumption.daysLeft !== null ? `, ${consumption.daysLeft} days left` : ''}).`
+              : `Not used in the last ${consumption.days} days.`}
+            {consumption.wasted > 0 && ` ${formatQuantity(consumption.wasted)} ${consumption.unit} spoiled.`}
+          </p>
+        )}
+
+        {!history && !error && <p className="text-sm text-gray-500">Loading...</p>}
+
+        {history?.movements.length === 0 && (
+          <p className="text-sm text-gray-500">No stock changes recorded yet.</p>
+        )}
+
+        {history?.movements.length > 0 && (
+          <ul className="divide-y divide-gray-100 mb-4">
+            {history.movements.map((movement) => {
+              const reason = REASONS[movement.reason] || { label: movement.reason, emoji: '📦' };
+              return (
+                <li key={movement.id} className="flex items-center justify-between py-2 gap-3">
+                  <div className={movement.revertedAt ? 'opacity-50' : ''}>
+                    <p className="text-sm text-gray-900">
+                      {reason.emoji} {reason.label}{' '}
+                      <span className={movement.quantity > 0 ? 'text-emerald-700' : 'text-red-700'}>
+                        {movement.quantity > 0 ? '+' : ''}{formatQuantity(movement.quantity)} {movement.unit}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(movement.createdAt).toLocaleString()}
+                      {movement.note && ` · ${movement.note}`}
+                      {movement.revertedAt && ' · undone'}
+                    </p>
+                  </div>
+                  {!movement.revertedAt && (
+                    <button
+                      onClick={() => handleRevert(movement)}
+                      disabled={Boolean(reverting)}
+                      className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 text-sm"
+                    >
+                      {reverting === movement.id ? 'Undoing...' : 'Undo'}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <button
+          onClick={onClose}
+          className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
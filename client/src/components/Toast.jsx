@@ -78,6 +78,17 @@ export function ToastContainer({ toasts, onRemove }) {
         >
           <div className="flex items-start gap-3">
             <p className="flex-1 text-sm">{toast.message}</p>
+            {toast.action && (
+              <button
+                onClick={() => {
+                  toast.action.onClick();
+                  onRemove(toast.id);
+                }}
+                className="flex-shrink-0 text-sm font-semibold underline hover:opacity-80 transition-opacity"
+              >
+                {toast.action.label}
+              </button>
+            )}
             <button
               onClick={() => onRemove(toast.id)}
               className="flex-shrink-0 hover:opacity-80 transition-opacity text-lg leading-none"
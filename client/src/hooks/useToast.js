@@ -8,9 +8,10 @@ export function useToast() {
   const [toasts, setToasts] = useState([]);
   const idCounter = useRef(0);
 
-  const addToast = useCallback((message, type = 'error', duration = 5000) => {
+  // action: optional { label, onClick } button, e.g. Undo
+  const addToast = useCallback((message, type = 'error', duration = 5000, action = null) => {
     const id = ++idCounter.current;
-    setToasts((prev) => [...prev, { id, message, type }]);
+    setToasts((prev) => [...prev, { id, message, type, action }]);
 
     if (duration > 0) {
       setTimeout(() => {
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { history, mealPlan } from '../api/client';
 import StarRating from '../components/StarRating';
+import InventoryDeductionModal from '../components/InventoryDeductionModal';
 
 const API_BASE = import.meta.env.PROD ? '' : 'http://localhost:3001';
 
@@ -34,6 +35,7 @@ export default function Calendar() {
   const [loading, setLoading] = useState(true);
   const [selectedDay, setSelectedDay] = useState(null);
   const [stats, setStats] = useState(null);
+  const [deductionPreview, setDeductionPreview] = useState(null); // { plan, lines }
 
   const year = currentDate.getFullYear();
   const month = currentDate.getMonth();
@@ -66,15 +68,9 @@ export default function Calendar() {
         if (!plannedMap[dateKey]) {
           plannedMap[dateKey] = [];
         }
-        // Parse meal data from notes
-        let mealData = null;
-        try {
-          mealData = plan.notes ? JSON.parse(plan.notes) : null;
-        } catch {}
-
         plannedMap[dateKey].push({
           ...plan,
-          mealData,
+          mealData: plannedDish(plan),
           isPlanned: true
         });
       }
@@ -165,22 +161,26 @@ export default function Calendar() {
   }
 
   async function markAsEaten(plan) {
-    const mealData = plan.mealData;
-    if (!mealData) return;
+    if (!plan.mealData) return;
 
     try {
-      // Log to history with the planned date
-      await history.log({
-        mealName: mealData.name,
-        cuisine: mealData.cuisine,
-        mealType: plan.mealType,
-        calories: mealData.estimatedCalories,
-      });
-
-      // Optionally delete from meal plan
-      await mealPlan.delete(plan.id);
+      // Ask what to take from the pantry before completing
+      const { lines } = await mealPlan.previewDeduction(plan.id);
+      if (lines.some(line => line.inventoryItemId)) {
+        setDeductionPreview({ plan, lines });
+      } else {
+        await completePlan(plan, { deductInventory: false });
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  }
 
-      // Reload data
+  async function completePlan(plan, options) {
+    try {
+      // Completing logs the meal to history for the planned day
+      await mealPlan.markComplete(plan.id, options);
+      setDeductionPreview(null);
       loadCalendarData();
     } catch (err) {
       console.error(err);
@@ -522,6 +522,17 @@ export default function Calendar() {
           </div>
         </div>
       </div>
+
+      {/* Pantry update before completing */}
+      {deductionPreview && (
+        <InventoryDeductionModal
+          title={`Cooked ${deductionPreview.plan.mealData.name}`}
+          lines={deductionPreview.lines}
+          onConfirm={(deductions) => completePlan(deductionPreview.plan, { deductions })}
+          onSkip={() => completePlan(deductionPreview.plan, { deductInventory: false })}
+          onClose={() => setDeductionPreview(null)}
+        />
+      )}
     </div>
   );
 }
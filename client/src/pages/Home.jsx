@@ -1,10 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
-import { suggestions, history, preferences, recipes } from '../api/client';
+import { suggestions, history, preferences, recipes, chatSessions, inventory } from '../api/client';
 import MealCard from '../components/MealCard';
 import MoodSelector from '../components/MoodSelector';
 import RecipeDisplay from '../components/RecipeDisplay';
-
-const API_BASE = import.meta.env.PROD ? '' : 'http://localhost:3001';
+import InventoryDeductionModal from '../components/InventoryDeductionModal';
 
 const CUISINES = [
   { value: '', label: 'Any cuisine' },
@@ -23,6 +22,9 @@ const MEAL_TYPES = [
   { value: 'snack', label: 'Snack' },
 ];
 
+const OPENING_MESSAGE = 'Here are some meal suggestions.';
+const RECENT_SESSIONS_LIMIT = 5;
+
 const TIME_OPTIONS = [
   { value: 15, label: '15 min' },
   { value: 30, label: '30 min' },
@@ -35,6 +37,8 @@ export default function Home() {
   const [timeAvailable, setTimeAvailable] = useState(30);
   const [cuisine, setCuisine] = useState('');
   const [mealType, setMealType] = useState('');
+  const [useUpExpiring, setUseUpExpiring] = useState(false);
+  const [expiring, setExpiring] = useState(null); // items the last suggestions were asked to use up
   const [mealSuggestions, setMealSuggestions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -44,16 +48,71 @@ export default function Home() {
   // Refinement state
   const [refinementInput, setRefinementInput] = useState('');
   const [conversation, setConversation] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+  const [rejected, setRejected] = useState([]); // turned down since the last reply
+  const [recentSessions, setRecentSessions] = useState([]);
   const inputRef = useRef(null);
 
   // Recipe state
   const [currentRecipe, setCurrentRecipe] = useState(null);
   const [generatingRecipe, setGeneratingRecipe] = useState(false);
+  const [deductionPreview, setDeductionPreview] = useState(null); // { meal, lines }
 
   useEffect(() => {
     loadCalorieInfo();
+    loadRecentSessions();
   }, []);
 
+  async function loadRecentSessions() {
+    try {
+      setRecentSessions(await chatSessions.list(RECENT_SESSIONS_LIMIT));
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+    }
+  }
+
+  // Persist the conversation so what we turn down is remembered
+  async function startSession(shown) {
+    try {
+      const session = await chatSessions.create({
+        ...(mealType && { mealType }),
+        source: 'home',
+        message: OPENING_MESSAGE,
+        suggestions: shown,
+      });
+      setSessionId(session.id);
+      loadRecentSessions();
+    } catch (err) {
+      console.error('Failed to start chat session:', err);
+    }
+  }
+
+  async function resumeSession(id) {
+    setError('');
+    try {
+      const session = await chatSessions.get(id);
+      const [, ...turns] = session.messages;
+      const lastShown = [...session.messages].reverse().find(m => m.suggestions.length > 0);
+
+      setSessionId(session.id);
+      setMealType(session.mealType || '');
+      setConversation(turns.map(({ role, content }) => ({ role, content })));
+      setMealSuggestions(lastShown?.suggestions || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function deleteSession(id) {
+    try {
+      await chatSessions.delete(id);
+      if (id === sessionId) setSessionId(null);
+      setRecentSessions(prev => prev.filter(s => s.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
   async function loadCalorieInfo() {
     try {
       const [todayData, goalPref] = await Promise.all([
@@ -73,14 +132,20 @@ export default function Home() {
     setLoading(true);
     setError('');
     setConversation([]);
+    setSessionId(null);
+    setRejected([]);
     try {
       const result = await suggestions.get({
         mood,
         timeAvailable,
         cuisine,
         mealType,
+        ...(useUpExpiring && { useUpExpiring }),
+        ...(rejected.length > 0 && { rejectedMeals: rejected, ...(sessionId && { sessionId }) }),
       });
       setMealSuggestions(result.suggestions || result);
+      setExpiring(result.expiring || null);
+      startSession(result.suggestions || []);
       if (result.calorieInfo) {
         setCalorieInfo(prev => ({
           ...prev,
@@ -106,24 +171,22 @@ export default function Home() {
     setConversation(newConversation);
 
     try {
-      const response = await fetch(`${API_BASE}/api/suggest/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          mealType: mealType || 'any',
-          conversation: [
-            { role: 'assistant', content: 'Here are some meal suggestions.' },
-            ...newConversation
-          ]
-        })
+      const data = await suggestions.chat({
+        ...(mealType && { mealType }),
+        ...(sessionId && { sessionId }),
+        ...(rejected.length > 0 && { rejected }),
+        conversation: [
+          { role: 'assistant', content: OPENING_MESSAGE },
+          ...newConversation
+        ]
       });
-
-      const data = await response.json();
       setMealSuggestions(data.suggestions || []);
+      setRejected([]);
 
       if (data.message) {
         setConversation(prev => [...prev, { role: 'assistant', content: data.message }]);
       }
+      if (sessionId) loadRecentSessions();
     } catch (err) {
       setError('Failed to refine suggestions');
     } finally {
@@ -132,14 +195,38 @@ export default function Home() {
     }
   }
 
+  // Saying no to a dish is what gets remembered, not moving on from it
+  function rejectSuggestion(meal) {
+    setMealSuggestions(prev => prev.filter(m => m !== meal));
+    setRejected(prev => [...prev, { name: meal.name }]);
+  }
+
   async function handleAteThis(meal) {
+    try {
+      // Offer to update the pantry when the dish uses anything in it
+      if (meal.ingredients?.length > 0) {
+        const { lines } = await inventory.previewDeduction(meal.ingredients);
+        if (lines.some(line => line.inventoryItemId)) {
+          setDeductionPreview({ meal, lines });
+          return;
+        }
+      }
+      await logEaten(meal);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function logEaten(meal, deductions) {
     try {
       await history.log({
         mealName: meal.name,
         cuisine: meal.cuisine,
         mealType: meal.mealType,
         calories: meal.estimatedCalories,
+        ...(deductions && { deductions }),
       });
+      setDeductionPreview(null);
       await loadCalorieInfo();
     } catch (err) {
       console.error(err);
@@ -272,6 +359,16 @@ export default function Home() {
           </div>
         </div>
 
+        <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={useUpExpiring}
+            onChange={(e) => setUseUpExpiring(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Use up what's expiring first
+        </label>
+
         {/* Suggest Button */}
         <div className="mt-6 text-center">
           <button
@@ -295,6 +392,13 @@ export default function Home() {
       {mealSuggestions.length > 0 && (
         <div className="space-y-4">
           <h2 className="font-semibold text-gray-900">Here's what I suggest:</h2>
+          {expiring && (
+            <p className="text-sm text-gray-500">
+              {expiring.length > 0
+                ? `Using up: ${expiring.map((item) => item.name).join(', ')}`
+                : 'Nothing in your pantry is expiring soon.'}
+            </p>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             {mealSuggestions.map((meal, index) => (
               <MealCard
@@ -302,6 +406,7 @@ export default function Home() {
                 meal={meal}
                 onAteThis={() => handleAteThis(meal)}
                 onGetRecipe={() => handleGetRecipe(meal)}
+                onReject={() => rejectSuggestion(meal)}
               />
             ))}
           </div>
@@ -355,6 +460,43 @@ export default function Home() {
         </div>
       )}
 
+      {/* Recent conversations */}
+      {recentSessions.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="font-semibold text-gray-900 mb-3">Recent conversations</h2>
+          <ul className="divide-y divide-gray-100">
+            {recentSessions.map((session) => (
+              <li key={session.id} className="flex items-center justify-between py-2 gap-3">
+                <div className="min-w-0">
+                  <div className={`text-sm truncate ${session.id === sessionId ? 'font-semibold text-emerald-700' : 'text-gray-800'}`}>
+                    {session.title || 'Suggestions without feedback'}
+                  </div>
+                  <div className="text-xs text-gray-500 capitalize">
+                    {session.mealType || 'any meal'} •{' '}
+                    {new Date(session.updatedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}
+                  </div>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    onClick={() => resumeSession(session.id)}
+                    className="px-3 py-1 text-sm text-emerald-700 border border-emerald-500 rounded-lg hover:bg-emerald-50 transition-colors"
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={() => deleteSession(session.id)}
+                    className="px-3 py-1 text-sm text-gray-500 hover:text-red-600 transition-colors"
+                    aria-label="Delete conversation"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Recipe generating indicator */}
       {generatingRecipe && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -372,6 +514,16 @@ export default function Home() {
           onClose={() => setCurrentRecipe(null)}
         />
       )}
+
+      {deductionPreview && (
+        <InventoryDeductionModal
+          title={`Ate ${deductionPreview.meal.name}`}
+          lines={deductionPreview.lines}
+          onConfirm={(deductions) => logEaten(deductionPreview.meal, deductions)}
+          onSkip={() => logEaten(deductionPreview.meal)}
+          onClose={() => setDeductionPreview(null)}
+        />
+      )}
     </div>
   );
 }
@@ -1,10 +1,14 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
 import { inventory } from '../api/client';
+import StockHistoryModal from '../components/StockHistoryModal';
+import StockForecast from '../components/StockForecast';
+import InventoryImportModal from '../components/InventoryImportModal';
 
 const CATEGORIES = [
   { value: 'grains', label: 'Grains & Staples', emoji: '🌾' },
   { value: 'spices', label: 'Spices', emoji: '🌶️' },
   { value: 'vegetables', label: 'Vegetables', emoji: '🥬' },
+  { value: 'fruits', label: 'Fruits', emoji: '🍋' },
   { value: 'dairy', label: 'Dairy', emoji: '🥛' },
   { value: 'proteins', label: 'Proteins', emoji: '🥩' },
   { value: 'others', label: 'Others', emoji: '📦' },
@@ -12,21 +16,57 @@ const CATEGORIES = [
 
 const UNITS = ['kg', 'g', 'L', 'ml', 'pieces', 'packets', 'bunch', 'tbsp', 'tsp'];
 
+const CHANGE_REASONS = [
+  { value: 'adjusted', label: 'Correcting the count' },
+  { value: 'purchased', label: 'Bought more' },
+  { value: 'cooked', label: 'Used in cooking' },
+  { value: 'spoiled', label: 'Spoiled or thrown away' },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  category: 'vegetables',
+  quantity: '',
+  unit: 'kg',
+  lowStockAt: '',
+  lowStockUnit: '',
+  expiresAt: '',
+};
+
+// Badge text and colours for an item's expiry, from the server's daysLeft
+function expiryBadge(item) {
+  if (item.daysLeft === null || item.daysLeft === undefined) return null;
+  if (item.daysLeft < 0) return { text: 'Expired', className: 'bg-red-100 text-red-700' };
+  if (item.daysLeft === 0) return { text: 'Expires today', className: 'bg-red-100 text-red-700' };
+  if (item.expiryStatus === 'expiring') {
+    return {
+      text: item.daysLeft === 1 ? 'Expires tomorrow' : `Expires in ${item.daysLeft} days`,
+      className: 'bg-orange-100 text-orange-700',
+    };
+  }
+  const date = new Date(item.expiresAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+  return { text: `Use by ${date}`, className: 'bg-gray-100 text-gray-600' };
+}
+
+// Soonest expiry first, items without a date last
+function byExpiry(a, b) {
+  return (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.name.localeCompare(b.name);
+}
+
 export default function Inventory() {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('');
   const [showAdd, setShowAdd] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
+  const [sortBy, setSortBy] = useState('category'); // 'category' | 'expiry'
+  const [historyItem, setHistoryItem] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [loadCount, setLoadCount] = useState(0); // reloads the forecast with the items
 
   // Form state
-  const [formData, setFormData] = useState({
-    name: '',
-    category: 'vegetables',
-    quantity: '',
-    unit: 'kg',
-    lowStockAt: '',
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [changeReason, setChangeReason] = useState('adjusted');
 
   useEffect(() => {
     loadItems();
@@ -36,6 +76,7 @@ export default function Inventory() {
     try {
       const data = await inventory.getAll();
       setItems(data);
+      setLoadCount(count => count + 1);
     } catch (err) {
       console.error(err);
     } finally {
@@ -46,17 +87,25 @@ export default function Inventory() {
   async function handleSubmit(e) {
     e.preventDefault();
     try {
+      const expiresAt = formData.expiresAt ? `${formData.expiresAt}T00:00:00.000Z` : null;
       if (editingItem) {
         await inventory.update(editingItem.id, {
           ...formData,
           quantity: parseFloat(formData.quantity),
           lowStockAt: formData.lowStockAt ? parseFloat(formData.lowStockAt) : null,
+          lowStockUnit: formData.lowStockUnit || null,
+          expiresAt,
+          reason: changeReason,
         });
       } else {
+        // Without a date the server uses the category's usual shelf life
+        const { expiresAt: _blank, ...item } = formData;
         await inventory.add({
-          ...formData,
+          ...item,
           quantity: parseFloat(formData.quantity),
           lowStockAt: formData.lowStockAt ? parseFloat(formData.lowStockAt) : null,
+          lowStockUnit: formData.lowStockUnit || null,
+          ...(expiresAt && { expiresAt }),
         });
       }
       resetForm();
@@ -91,7 +140,13 @@ export default function Inventory() {
     ));
 
     try {
-      await inventory.update(item.id, { quantity: newQty });
+      const updated = await inventory.update(item.id, { quantity: newQty });
+      // The server decides low stock, converting thresholds set in another unit
+      setItems(prev => prev.map(i =>
+        i.id === item.id
+          ? { ...i, isLowStock: updated.isLowStock, daysLeft: updated.daysLeft, expiryStatus: updated.expiryStatus }
+          : i
+      ));
     } catch (err) {
       // Revert on error
       setItems(prev => prev.map(i =>
@@ -102,13 +157,8 @@ export default function Inventory() {
   }
 
   function resetForm() {
-    setFormData({
-      name: '',
-      category: 'vegetables',
-      quantity: '',
-      unit: 'kg',
-      lowStockAt: '',
-    });
+    setFormData(EMPTY_FORM);
+    setChangeReason('adjusted');
     setShowAdd(false);
     setEditingItem(null);
   }
@@ -120,11 +170,20 @@ export default function Inventory() {
       quantity: item.quantity.toString(),
       unit: item.unit,
       lowStockAt: item.lowStockAt?.toString() || '',
+      lowStockUnit: item.lowStockUnit || '',
+      expiresAt: item.expiresAt ? item.expiresAt.split('T')[0] : '',
     });
     setEditingItem(item);
     setShowAdd(true);
   }
 
+  // After undoing a stock movement
+  function replaceItem(updated) {
+    setItems(prev => prev.map(i => (i.id === updated.id ? { ...i, ...updated } : i)));
+  }
+
+  const quantityChanged = editingItem && parseFloat(formData.quantity) !== editingItem.quantity;
+
   // Memoize filtered items
   const filteredItems = useMemo(() => {
     return filter ? items.filter((i) => i.category === filter) : items;
@@ -141,9 +200,84 @@ export default function Inventory() {
 
   // Memoize low stock items
   const lowStockItems = useMemo(() => {
-    return items.filter((i) => i.lowStockAt && i.quantity <= i.lowStockAt);
+    return items.filter((i) => i.isLowStock);
+  }, [items]);
+
+  // Stock past its date or about to be, soonest first
+  const expiringItems = useMemo(() => {
+    return items
+      .filter((i) => i.quantity > 0 && (i.expiryStatus === 'expiring' || i.expiryStatus === 'expired'))
+      .sort(byExpiry);
   }, [items]);
 
+  function renderItem(item) {
+    const badge = expiryBadge(item);
+    return (
+      <div
+        key={item.id}
+        className={`bg-white rounded-lg border p-4 ${
+          item.isLowStock
+            ? 'border-amber-300 bg-amber-50'
+            : 'border-gray-200'
+        }`}
+      >
+        <div className="flex items-start justify-between mb-2">
+          <div>
+            <div className="font-medium text-gray-900">{item.name}</div>
+            {badge && (
+              <span className={`inline-block mt-1 text-xs px-2 py-0.5 rounded ${badge.className}`}>
+                {badge.text}
+              </span>
+            )}
+          </div>
+          <div className="flex gap-1">
+            <button
+              onClick={() => setHistoryItem(item)}
+              className="text-gray-400 hover:text-gray-600 p-1"
+              aria-label={`${item.name} history`}
+            >
+              📜
+            </button>
+            <button
+              onClick={() => startEdit(item)}
+              className="text-gray-400 hover:text-gray-600 p-1"
+            >
+              ✏️
+            </button>
+            <button
+              onClick={() => handleDelete(item.id)}
+              className="text-gray-400 hover:text-red-600 p-1"
+            >
+              🗑️
+            </button>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => updateQuantity(item, -0.25)}
+            className="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 font-bold"
+          >
+            -
+          </button>
+          <span className="text-lg font-semibold text-gray-900 min-w-[80px] text-center">
+            {item.quantity} {item.unit}
+          </span>
+          <button
+            onClick={() => updateQuantity(item, 0.25)}
+            className="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 font-bold"
+          >
+            +
+          </button>
+        </div>
+        {item.lowStockAt && (
+          <div className="text-xs text-gray-500 mt-2">
+            Alert when below: {item.lowStockAt} {item.lowStockUnit || item.unit}
+          </div>
+        )}
+      </div>
+    );
+  }
+
   if (loading) {
     return <div className="text-center py-12 text-gray-500">Loading...</div>;
   }
@@ -156,12 +290,20 @@ export default function Inventory() {
           <h1 className="text-2xl font-bold text-gray-900">Kitchen Inventory</h1>
           <p className="text-gray-500">{items.length} items tracked</p>
         </div>
-        <button
-          onClick={() => setShowAdd(true)}
-          className="bg-emerald-500 hover:bg-emerald-600 text-white font-medium px-4 py-2 rounded-lg"
-        >
-          + Add Item
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowImport(true)}
+            className="border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium px-4 py-2 rounded-lg"
+          >
+            Import / Export
+          </button>
+          <button
+            onClick={() => setShowAdd(true)}
+            className="bg-emerald-500 hover:bg-emerald-600 text-white font-medium px-4 py-2 rounded-lg"
+          >
+            + Add Item
+          </button>
+        </div>
       </div>
 
       {/* Low Stock Alert */}
@@ -183,8 +325,29 @@ export default function Inventory() {
         </div>
       )}
 
+      <StockForecast refreshKey={loadCount} onThresholdApplied={replaceItem} />
+
+      {/* Expiry Alert */}
+      {expiringItems.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="font-medium text-red-800 mb-2">
+            ⏰ Use Soon ({expiringItems.length} items)
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {expiringItems.map((item) => (
+              <span
+                key={item.id}
+                className="text-sm px-2 py-1 bg-red-100 text-red-800 rounded"
+              >
+                {item.name} · {expiryBadge(item).text.toLowerCase()}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Category Filter */}
-      <div className="flex flex-wrap gap-2">
+      <div className="flex flex-wrap items-center gap-2">
         <button
           onClick={() => setFilter('')}
           className={`px-3 py-1.5 rounded-full text-sm transition-colors ${
@@ -208,10 +371,23 @@ export default function Inventory() {
             {cat.emoji} {cat.label}
           </button>
         ))}
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="ml-auto border border-gray-300 rounded-lg px-3 py-1.5 text-sm text-gray-700"
+          aria-label="Sort items"
+        >
+          <option value="category">By category</option>
+          <option value="expiry">Expiring first</option>
+        </select>
       </div>
 
       {/* Items Grid */}
-      {Object.entries(groupedItems).map(([category, categoryItems]) => {
+      {sortBy === 'expiry' ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
+          {[...filteredItems].sort(byExpiry).map(renderItem)}
+        </div>
+      ) : Object.entries(groupedItems).map(([category, categoryItems]) => {
         const catInfo = CATEGORIES.find((c) => c.value === category) || {
           label: category,
           emoji: '📦',
@@ -222,61 +398,27 @@ export default function Inventory() {
               {catInfo.emoji} {catInfo.label}
             </h2>
             <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
-              {categoryItems.map((item) => (
-                <div
-                  key={item.id}
-                  className={`bg-white rounded-lg border p-4 ${
-                    item.lowStockAt && item.quantity <= item.lowStockAt
-                      ? 'border-amber-300 bg-amber-50'
-                      : 'border-gray-200'
-                  }`}
-                >
-                  <div className="flex items-start justify-between mb-2">
-                    <div className="font-medium text-gray-900">{item.name}</div>
-                    <div className="flex gap-1">
-                      <button
-                        onClick={() => startEdit(item)}
-                        className="text-gray-400 hover:text-gray-600 p-1"
-                      >
-                        ✏️
-                      </button>
-                      <button
-                        onClick={() => handleDelete(item.id)}
-                        className="text-gray-400 hover:text-red-600 p-1"
-                      >
-                        🗑️
-                      </button>
-                    </div>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <button
-                      onClick={() => updateQuantity(item, -0.25)}
-                      className="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 font-bold"
-                    >
-                      -
-                    </button>
-                    <span className="text-lg font-semibold text-gray-900 min-w-[80px] text-center">
-                      {item.quantity} {item.unit}
-                    </span>
-                    <button
-                      onClick={() => updateQuantity(item, 0.25)}
-                      className="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600 font-bold"
-                    >
-                      +
-                    </button>
-                  </div>
-                  {item.lowStockAt && (
-                    <div className="text-xs text-gray-500 mt-2">
-                      Alert when below: {item.lowStockAt} {item.unit}
-                    </div>
-                  )}
-                </div>
-              ))}
+              {categoryItems.map(renderItem)}
             </div>
           </div>
         );
       })}
 
+      {historyItem && (
+        <StockHistoryModal
+          item={historyItem}
+          onChange={replaceItem}
+          onClose={() => setHistoryItem(null)}
+        />
+      )}
+
+      {showImport && (
+        <InventoryImportModal
+          onImported={loadItems}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
       {/* Add/Edit Modal */}
       {showAdd && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
@@ -355,20 +497,75 @@ export default function Inventory() {
                 </div>
               </div>
 
+              {quantityChanged && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Why did the quantity change?
+                  </label>
+                  <select
+                    value={changeReason}
+                    onChange={(e) => setChangeReason(e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {CHANGE_REASONS.map((r) => (
+                      <option key={r.value} value={r.value}>
+                        {r.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Low stock alert (optional)
                 </label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={formData.lowStockAt}
+                    onChange={(e) =>
+                      setFormData({ ...formData, lowStockAt: e.target.value })
+                    }
+                    placeholder="Alert when below this quantity"
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <select
+                    value={formData.lowStockUnit}
+                    onChange={(e) =>
+                      setFormData({ ...formData, lowStockUnit: e.target.value })
+                    }
+                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    aria-label="Low stock alert unit"
+                  >
+                    <option value="">{formData.unit}</option>
+                    {UNITS.filter((u) => u !== formData.unit).map((u) => (
+                      <option key={u} value={u}>
+                        {u}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Use by (optional)
+                </label>
                 <input
-                  type="number"
-                  step="0.01"
-                  value={formData.lowStockAt}
+                  type="date"
+                  value={formData.expiresAt}
                   onChange={(e) =>
-                    setFormData({ ...formData, lowStockAt: e.target.value })
+                    setFormData({ ...formData, expiresAt: e.target.value })
                   }
-                  placeholder="Alert when below this quantity"
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 />
+                {!editingItem && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Leave blank to use the usual shelf life for this category.
+                  </p>
+                )}
               </div>
 
               <div className="flex gap-3 pt-4">
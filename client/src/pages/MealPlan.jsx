@@ -1,9 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { mealPlan, shopping, history, recipes } from '../api/client';
+import { mealPlan, shopping, recipes } from '../api/client';
 import MealChat from '../components/MealChat';
 import MealPlanDetail from '../components/MealPlanDetail';
 import RecipeDisplay from '../components/RecipeDisplay';
+import InventoryDeductionModal from '../components/InventoryDeductionModal';
+import { ToastContainer } from '../components/Toast';
+import ConstraintReport from '../components/ConstraintReport';
+import MealPlanTemplates from '../components/MealPlanTemplates';
+import { plannedDish } from '../utils/mealPlan';
+import { formatDateYMD } from '../utils/date';
+import { useToast } from '../hooks/useToast';
 
 const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
 const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
@@ -12,7 +19,9 @@ export default function MealPlan() {
   const navigate = useNavigate();
   const [plans, setPlans] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [generating, setGenerating] = useState(false);
+  const [generating, setGenerating] = useState(null); // 'fill' | 'replace'
+  const [regeneratingDay, setRegeneratingDay] = useState(null); // YYYY-MM-DD
+  const [regeneratingSlot, setRegeneratingSlot] = useState(false);
   const [generatingList, setGeneratingList] = useState(false);
   const [weekStart, setWeekStart] = useState(() => {
     const today = new Date();
@@ -27,11 +36,25 @@ export default function MealPlan() {
   const [currentRecipe, setCurrentRecipe] = useState(null);
   const [generatingRecipe, setGeneratingRecipe] = useState(false);
   const [markingComplete, setMarkingComplete] = useState(false);
+  const [deductionPreview, setDeductionPreview] = useState(null); // { plan, lines }
+  const [constraintReport, setConstraintReport] = useState(null);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropSlot, setDropSlot] = useState(null); // 'YYYY-MM-DD:mealType'
+  const [focusSlot, setFocusSlot] = useState(null); // slot to focus after a keyboard move
+  const { toasts, addToast, removeToast, showError, showWarning } = useToast();
 
   useEffect(() => {
     loadPlans();
+    setConstraintReport(null);
   }, [weekStart]);
 
+  useEffect(() => {
+    if (!focusSlot) return;
+    document.querySelector(`[data-slot="${focusSlot}"]`)?.focus();
+    setFocusSlot(null);
+  }, [plans]);
+
   async function loadPlans() {
     setLoading(true);
     try {
@@ -56,7 +79,7 @@ export default function MealPlan() {
   }
 
   function getPlanForSlot(date, mealType) {
-    const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const dateStr = formatDateYMD(date);
     return plans.find(
       (p) =>
         p.date.startsWith(dateStr) &&
@@ -78,7 +101,7 @@ export default function MealPlan() {
       await mealPlan.add({
         date: showChat.date.toISOString().split('T')[0],
         mealType: showChat.mealType,
-        notes: JSON.stringify(meal),
+        dish: meal,
       });
 
       setShowChat(null);
@@ -88,6 +111,59 @@ export default function MealPlan() {
     }
   }
 
+  // Move a planned meal to another slot; whatever is there swaps into its place
+  async function movePlan(plan, date, mealType, { keyboard = false } = {}) {
+    const target = formatDateYMD(date);
+    if (plan.date.startsWith(target) && plan.mealType === mealType) return;
+
+    try {
+      const { moved, swapped, from } = await mealPlan.move(plan.id, target, mealType);
+      if (keyboard) setFocusSlot(`${target}:${mealType}`);
+      await loadPlans();
+
+      const name = plannedDish(moved)?.name || 'Meal';
+      const message = swapped.length > 0
+        ? `Swapped ${name} with ${plannedDish(swapped[0])?.name || 'another meal'}`
+        : `Moved ${name} to ${DAYS[(new Date(date).getDay() + 6) % 7]} ${mealType}`;
+      addToast(message, 'info', 6000, { label: 'Undo', onClick: () => undoMove(moved.id, from) });
+    } catch (err) {
+      console.error(err);
+      showError(err.message || 'Could not move the meal');
+    }
+  }
+
+  async function undoMove(planId, from) {
+    try {
+      await mealPlan.move(planId, from.date, from.mealType);
+      await loadPlans();
+    } catch (err) {
+      console.error(err);
+      showError(err.message || 'Could not undo the move');
+    }
+  }
+
+  // Alt + arrow keys move a meal a day left or right, or a meal up or down
+  function handleMealKeyDown(e, plan, dayIndex, mealIndex) {
+    if (!e.altKey || plan.completed) return;
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const move = moves[e.key];
+    if (!move) return;
+
+    e.preventDefault();
+    const day = dayIndex + move[0];
+    const meal = mealIndex + move[1];
+    if (day < 0 || day >= weekDates.length || meal < 0 || meal >= MEAL_TYPES.length) return;
+    movePlan(plan, weekDates[day], MEAL_TYPES[meal], { keyboard: true });
+  }
+
+  function handleDrop(e, date, mealType) {
+    e.preventDefault();
+    const plan = plans.find(p => p.id === draggingId);
+    setDraggingId(null);
+    setDropSlot(null);
+    if (plan) movePlan(plan, date, mealType);
+  }
+
   async function removePlan(planId) {
     try {
       await mealPlan.delete(planId);
@@ -105,17 +181,14 @@ export default function MealPlan() {
     if (!selectedPlan?.mealData || markingComplete) return;
     setMarkingComplete(true);
     try {
-      // Log to history
-      await history.log({
-        mealName: selectedPlan.mealData.name,
-        cuisine: selectedPlan.mealData.cuisine,
-        mealType: selectedPlan.mealType,
-        calories: selectedPlan.mealData.estimatedCalories,
-      });
-      // Mark as complete instead of deleting
-      await mealPlan.markComplete(selectedPlan.id);
-      setSelectedPlan(null);
-      loadPlans();
+      // Ask what to take from the pantry before completing
+      const { lines } = await mealPlan.previewDeduction(selectedPlan.id);
+      if (lines.some(line => line.inventoryItemId)) {
+        setDeductionPreview({ plan: selectedPlan, lines });
+        setSelectedPlan(null);
+      } else {
+        await completePlan(selectedPlan, { deductInventory: false });
+      }
     } catch (err) {
       console.error(err);
     } finally {
@@ -123,6 +196,18 @@ export default function MealPlan() {
     }
   }
 
+  async function completePlan(plan, options) {
+    try {
+      // Completing logs the meal to history on the server
+      await mealPlan.markComplete(plan.id, options);
+      setSelectedPlan(null);
+      setDeductionPreview(null);
+      loadPlans();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
   async function handleUndoComplete() {
     if (!selectedPlan) return;
     try {
@@ -167,6 +252,46 @@ export default function MealPlan() {
     setShowChat({ date: planDate, mealType });
   }
 
+  async function handleRegenerateSlot() {
+    if (!selectedPlan || regeneratingSlot) return;
+    setRegeneratingSlot(true);
+    try {
+      const updated = await mealPlan.regenerateSlot(formatDateYMD(selectedPlan.date), selectedPlan.mealType);
+      if (!updated) {
+        warnUnfilled([selectedPlan]);
+        return;
+      }
+      setSelectedPlan({ ...updated, mealData: plannedDish(updated) });
+      loadPlans();
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setRegeneratingSlot(false);
+    }
+  }
+
+  // Slots the planner found no dish for that keeps the dietary rules
+  function warnUnfilled(slots = []) {
+    if (slots.length === 0) return;
+    const names = slots.map(slot => `${new Date(slot.date).toLocaleDateString('en-US', { weekday: 'short' })} ${slot.mealType}`);
+    showWarning(`No dish that keeps your dietary rules for ${names.join(', ')}. Pick one yourself.`, 8000);
+  }
+
+  async function regenerateDay(date) {
+    const day = formatDateYMD(date);
+    setRegeneratingDay(day);
+    try {
+      const result = await mealPlan.regenerateDay(day);
+      if (result.constraintReport) setConstraintReport(result.constraintReport);
+      warnUnfilled(result.unfilled);
+      await loadPlans();
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setRegeneratingDay(null);
+    }
+  }
+
   async function handleDeletePlan() {
     if (!selectedPlan) return;
     try {
@@ -184,22 +309,18 @@ export default function MealPlan() {
     setWeekStart(current.toISOString().split('T')[0]);
   }
 
-  async function generateWeek() {
-    // Delete existing plans for this week if any
-    if (plans.length > 0) {
-      for (const plan of plans) {
-        await mealPlan.delete(plan.id);
-      }
-    }
-
-    setGenerating(true);
+  // Meals already eaten stay in the plan either way
+  async function generateWeek(mode) {
+    setGenerating(mode);
     try {
-      await mealPlan.generateWeek(weekStart);
+      const result = await mealPlan.generateWeek(weekStart, mode);
+      setConstraintReport(result.constraintReport);
+      warnUnfilled(result.unfilled);
       await loadPlans();
     } catch (err) {
       console.error(err);
     } finally {
-      setGenerating(false);
+      setGenerating(null);
     }
   }
 
@@ -245,11 +366,12 @@ export default function MealPlan() {
         </div>
         <div className="flex items-center gap-4">
           <button
-            onClick={generateWeek}
-            disabled={generating}
+            onClick={() => generateWeek('fill')}
+            disabled={Boolean(generating)}
+            title="Plan the empty slots, keeping the meals already planned"
             className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center gap-2 text-sm font-medium"
           >
-            {generating ? (
+            {generating === 'fill' ? (
               <>
                 <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
                 Generating...
@@ -259,10 +381,35 @@ export default function MealPlan() {
                 <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                 </svg>
-                AI Generate Week
+                {plans.length > 0 ? 'AI Fill Empty Slots' : 'AI Generate Week'}
               </>
             )}
           </button>
+          {plans.length > 0 && (
+            <button
+              onClick={() => generateWeek('replace')}
+              disabled={Boolean(generating)}
+              title="Plan the whole week again, keeping meals already eaten"
+              className="px-4 py-2 border border-emerald-600 text-emerald-700 rounded-lg hover:bg-emerald-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center gap-2 text-sm font-medium"
+            >
+              {generating === 'replace' ? (
+                <>
+                  <div className="w-4 h-4 border-2 border-emerald-600 border-t-transparent rounded-full animate-spin" />
+                  Replanning...
+                </>
+              ) : (
+                'Replan Week'
+              )}
+            </button>
+          )}
+          <button
+            onClick={() => setShowTemplates(!showTemplates)}
+            className={`px-4 py-2 border rounded-lg transition-colors text-sm font-medium ${
+              showTemplates ? 'border-emerald-600 bg-emerald-50 text-emerald-700' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Templates
+          </button>
           <button
             onClick={generateShoppingList}
             disabled={generatingList || plans.length === 0}
@@ -303,6 +450,14 @@ export default function MealPlan() {
         </div>
       </div>
 
+      {constraintReport && (
+        <ConstraintReport report={constraintReport} onDismiss={() => setConstraintReport(null)} />
+      )}
+
+      {showTemplates && (
+        <MealPlanTemplates weekStart={weekStart} hasPlans={plans.length > 0} onApplied={loadPlans} />
+      )}
+
       {/* Weekly Progress */}
       {weeklyStats.totalPlanned > 0 && (
         <div className="bg-gradient-to-r from-emerald-50 to-green-50 rounded-xl p-4 border border-emerald-100">
@@ -345,12 +500,20 @@ export default function MealPlan() {
             >
               <div className="text-xs text-gray-500">{DAYS[i]}</div>
               <div className="font-semibold text-gray-900">{date.getDate()}</div>
+              <button
+                onClick={() => regenerateDay(date)}
+                disabled={Boolean(regeneratingDay) || Boolean(generating)}
+                title="Plan this day again, keeping meals already eaten"
+                className="mt-1 text-xs text-emerald-600 hover:text-emerald-700 disabled:opacity-50"
+              >
+                {regeneratingDay === formatDateYMD(date) ? 'Planning...' : '↻ Replan'}
+              </button>
             </div>
           ))}
         </div>
 
         {/* Meal Rows */}
-        {MEAL_TYPES.map((mealType) => (
+        {MEAL_TYPES.map((mealType, mealIndex) => (
           <div key={mealType} className="grid grid-cols-8 border-b border-gray-200 last:border-b-0">
             <div className="p-3 bg-gray-50 border-r border-gray-200 flex items-center">
               <span className="text-sm font-medium text-gray-700 capitalize">
@@ -359,21 +522,46 @@ export default function MealPlan() {
             </div>
             {weekDates.map((date, i) => {
               const plan = getPlanForSlot(date, mealType);
-              const mealData = plan?.notes ? JSON.parse(plan.notes) : null;
+              const mealData = plannedDish(plan);
+              const slot = `${formatDateYMD(date)}:${mealType}`;
 
               return (
                 <div
                   key={i}
+                  onDragOver={(e) => {
+                    if (!draggingId) return;
+                    e.preventDefault();
+                    setDropSlot(slot);
+                  }}
+                  onDragLeave={() => setDropSlot(prev => (prev === slot ? null : prev))}
+                  onDrop={(e) => handleDrop(e, date, mealType)}
                   className={`p-2 border-l border-gray-200 min-h-[80px] ${
-                    date.toDateString() === new Date().toDateString()
+                    dropSlot === slot
+                      ? 'bg-emerald-100/60'
+                      : date.toDateString() === new Date().toDateString()
                       ? 'bg-blue-50/50'
                       : ''
                   }`}
                 >
                   {mealData ? (
                     <button
+                      data-slot={slot}
+                      draggable={!plan.completed}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDraggingId(plan.id);
+                      }}
+                      onDragEnd={() => {
+                        setDraggingId(null);
+                        setDropSlot(null);
+                      }}
+                      onKeyDown={(e) => handleMealKeyDown(e, plan, i, mealIndex)}
                       onClick={() => handleMealClick(plan, mealData)}
+                      title={plan.completed ? undefined : 'Drag, or press Alt + arrow keys, to move'}
+                      aria-label={`${mealData.name}, ${DAYS[i]} ${mealType}${plan.completed ? ', eaten' : ''}`}
                       className={`w-full rounded-lg p-2 text-xs text-left transition-all cursor-pointer relative ${
+                        draggingId === plan.id ? 'opacity-50' : ''
+                      } ${
                         plan.completed
                           ? 'bg-gradient-to-br from-emerald-100 to-green-100 border-2 border-emerald-400 hover:ring-2 hover:ring-emerald-400'
                           : 'bg-emerald-50 border border-emerald-200 hover:ring-2 hover:ring-emerald-300 hover:border-emerald-300'
@@ -390,7 +578,7 @@ export default function MealPlan() {
                         {mealData.name}
                       </div>
                       <div className={`truncate ${plan.completed ? 'text-emerald-600' : 'text-gray-500'}`}>
-                        {plan.completed ? 'Done!' : `${mealData.prepTime}min`}
+                        {plan.completed ? 'Done!' : mealData.prepTime ? `${mealData.prepTime}min` : plan.mealType}
                       </div>
                     </button>
                   ) : (
@@ -425,10 +613,23 @@ export default function MealPlan() {
           onAteThis={handleAteThis}
           onUndoComplete={handleUndoComplete}
           onReplace={handleReplaceMeal}
+          onRegenerate={handleRegenerateSlot}
           onDelete={handleDeletePlan}
           onViewRecipe={handleViewRecipe}
           generatingRecipe={generatingRecipe}
           markingComplete={markingComplete}
+          regenerating={regeneratingSlot}
+        />
+      )}
+
+      {/* Pantry update before completing */}
+      {deductionPreview && (
+        <InventoryDeductionModal
+          title={`Cooked ${deductionPreview.plan.mealData.name}`}
+          lines={deductionPreview.lines}
+          onConfirm={(deductions) => completePlan(deductionPreview.plan, { deductions })}
+          onSkip={() => completePlan(deductionPreview.plan, { deductInventory: false })}
+          onClose={() => setDeductionPreview(null)}
         />
       )}
 
@@ -439,6 +640,8 @@ export default function MealPlan() {
           onClose={() => setCurrentRecipe(null)}
         />
       )}
+
+      <ToastContainer toasts={toasts} onRemove={removeToast} />
     </div>
   );
 }
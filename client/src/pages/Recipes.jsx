@@ -1,4 +1,5 @@
 import { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { recipes } from '../api/client';
 import RecipeDisplay from '../components/RecipeDisplay';
 import { useDebounce } from '../hooks/useDebounce';
@@ -19,6 +20,7 @@ export default function Recipes() {
   const [selectedRecipe, setSelectedRecipe] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterCuisine, setFilterCuisine] = useState('');
+  const [searchParams] = useSearchParams();
 
   useEffect(() => {
     loadRecipes();
@@ -29,6 +31,9 @@ export default function Recipes() {
     try {
       const data = await recipes.getAll();
       setRecipeList(data);
+      // Links from the calendar feed open a recipe straight away
+      const linked = data.find(r => r.id === searchParams.get('recipe'));
+      if (linked) setSelectedRecipe(linked);
     } catch (err) {
       console.error('Failed to load recipes:', err);
     } finally {
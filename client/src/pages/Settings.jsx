@@ -1,5 +1,11 @@
 import { useState, useEffect } from 'react';
-import { preferences } from '../api/client';
+import { preferences, auth, SESSION_EXPIRED_EVENT } from '../api/client';
+import DietaryRulesSettings from '../components/DietaryRulesSettings';
+import PlanConstraintsSettings from '../components/PlanConstraintsSettings';
+import IngredientDictionarySettings from '../components/IngredientDictionarySettings';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
+import BackupSettings from '../components/BackupSettings';
+import ShoppingScheduleSettings from '../components/ShoppingScheduleSettings';
 
 export default function Settings() {
   const [calorieGoal, setCalorieGoal] = useState(2000);
@@ -37,6 +43,15 @@ export default function Settings() {
     }
   }
 
+  async function handleLock() {
+    try {
+      await auth.logout();
+    } catch (err) {
+      console.error(err);
+    }
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+  }
+
   if (loading) {
     return <div className="text-center py-12 text-gray-500">Loading...</div>;
   }
@@ -104,6 +119,33 @@ export default function Settings() {
         </div>
       </div>
 
+      <DietaryRulesSettings />
+
+      <PlanConstraintsSettings />
+
+      <IngredientDictionarySettings />
+
+      <CalendarFeedSettings />
+
+      <ShoppingScheduleSettings />
+
+      <BackupSettings />
+
+      {auth.hasSession() && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="font-semibold text-gray-900 mb-2">Security</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Sign out of this device. You'll need the PIN to get back in.
+          </p>
+          <button
+            onClick={handleLock}
+            className="px-6 py-2.5 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            Lock App
+          </button>
+        </div>
+      )}
+
       {/* Info card */}
       <div className="bg-gray-50 rounded-xl border border-gray-200 p-6">
         <h3 className="font-semibold text-gray-800 mb-2">How calorie tracking works</h3>
@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react';
-import { shopping, inventory } from '../api/client';
+import { shopping } from '../api/client';
+import PutAwayModal from '../components/PutAwayModal';
+import ReceiptModal from '../components/ReceiptModal';
 
 const CATEGORIES = [
   { value: 'vegetables', label: 'Vegetables', emoji: '🥬' },
+  { value: 'fruits', label: 'Fruits', emoji: '🍋' },
   { value: 'dairy', label: 'Dairy', emoji: '🥛' },
   { value: 'grains', label: 'Grains', emoji: '🌾' },
   { value: 'proteins', label: 'Proteins', emoji: '🥩' },
@@ -10,10 +13,23 @@ const CATEGORIES = [
   { value: 'others', label: 'Others', emoji: '📦' },
 ];
 
+function plannedMealCount(item) {
+  try {
+    const ids = JSON.parse(item.mealPlanIds || '[]');
+    return Array.isArray(ids) ? ids.length : 0;
+  } catch {
+    return 0;
+  }
+}
+
 export default function Shopping() {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAdd, setShowAdd] = useState(false);
+  const [showPutAway, setShowPutAway] = useState(false);
+  const [showReceipt, setShowReceipt] = useState(false);
+  const [receiptResult, setReceiptResult] = useState(null);
+  const [generateDiff, setGenerateDiff] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
     quantity: '',
@@ -39,7 +55,8 @@ export default function Shopping() {
   async function handleGenerate() {
     setLoading(true);
     try {
-      await shopping.generate();
+      const { diff } = await shopping.generate();
+      setGenerateDiff(diff);
       loadItems();
     } catch (err) {
       console.error(err);
@@ -51,17 +68,6 @@ export default function Shopping() {
   async function togglePurchased(item) {
     try {
       await shopping.update(item.id, { isPurchased: !item.isPurchased });
-
-      // Auto-add to inventory when marking as purchased
-      if (!item.isPurchased && item.quantity) {
-        await inventory.add({
-          name: item.name,
-          category: item.category,
-          quantity: item.quantity,
-          unit: item.unit || 'pieces',
-        });
-      }
-
       loadItems();
     } catch (err) {
       console.error(err);
@@ -86,6 +92,18 @@ export default function Shopping() {
     }
   }
 
+  async function handlePutAway(putAwayItems) {
+    await shopping.putAway(putAwayItems);
+    setShowPutAway(false);
+    loadItems();
+  }
+
+  function handleReceiptDone(result) {
+    setShowReceipt(false);
+    setReceiptResult(result);
+    loadItems();
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     try {
@@ -109,6 +127,8 @@ export default function Shopping() {
   }, {});
 
   const purchasedCount = items.filter((i) => i.isPurchased).length;
+  // A receipt puts its items away as it checks them off
+  const toPutAway = (groupedItems.purchased || []).filter((item) => !item.stocked);
   const pendingCount = items.length - purchasedCount;
 
   if (loading) {
@@ -126,6 +146,12 @@ export default function Shopping() {
           </p>
         </div>
         <div className="flex gap-2">
+          <button
+            onClick={() => setShowReceipt(true)}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50"
+          >
+            🧾 From Receipt
+          </button>
           <button
             onClick={handleGenerate}
             className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50"
@@ -141,6 +167,64 @@ export default function Shopping() {
         </div>
       </div>
 
+      {/* What the last receipt put away */}
+      {receiptResult && (
+        <div className="bg-emerald-50 border border-emerald-200 rounded-xl p-4 text-sm text-emerald-900 flex items-start justify-between gap-3">
+          <p>
+            Put away {receiptResult.putAway} items from the receipt
+            ({receiptResult.results.filter((r) => r.action === 'updated').length} topped up)
+            {receiptResult.checkedOff > 0 && `, ${receiptResult.checkedOff} marked purchased on the list`}.
+          </p>
+          <button
+            onClick={() => setReceiptResult(null)}
+            className="text-emerald-700 hover:text-emerald-900"
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {/* What the last generate changed */}
+      {generateDiff && (
+        <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 text-sm text-blue-900">
+          <div className="flex items-start justify-between gap-3">
+            <div className="space-y-1">
+              <p className="font-medium">
+                {generateDiff.added.length} added, {generateDiff.updated.length} updated,{' '}
+                {generateDiff.removed.length} removed, {generateDiff.unchanged.length} already on the list
+              </p>
+              {generateDiff.added.length > 0 && (
+                <p>Added: {generateDiff.added.map((i) => i.name).join(', ')}</p>
+              )}
+              {generateDiff.updated.length > 0 && (
+                <p>
+                  Updated:{' '}
+                  {generateDiff.updated
+                    .map(({ item, previousQuantity }) => `${item.name} (${previousQuantity ?? '–'} → ${item.quantity} ${item.unit || ''})`)
+                    .join(', ')}
+                </p>
+              )}
+              {generateDiff.removed.length > 0 && (
+                <p>No longer needed: {generateDiff.removed.map((i) => i.name).join(', ')}</p>
+              )}
+              {generateDiff.skipped.length > 0 && (
+                <p className="text-blue-700">
+                  Already have: {generateDiff.skipped.map((i) => i.name).join(', ')}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={() => setGenerateDiff(null)}
+              className="text-blue-400 hover:text-blue-600"
+              aria-label="Dismiss"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Empty State */}
       {items.length === 0 && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
@@ -149,6 +233,12 @@ export default function Shopping() {
           <p className="text-gray-500 mb-4">
             Add items manually or generate from your meal plan
           </p>
+          <button
+            onClick={() => setShowReceipt(true)}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50"
+          >
+            🧾 From Receipt
+          </button>
           <button
             onClick={handleGenerate}
             className="bg-emerald-500 hover:bg-emerald-600 text-white px-6 py-2 rounded-lg"
@@ -199,6 +289,11 @@ export default function Shopping() {
                         ({item.quantity} {item.unit})
                       </span>
                     )}
+                    {plannedMealCount(item) > 0 && (
+                      <span className="ml-2 text-xs text-blue-600 bg-blue-50 px-1.5 py-0.5 rounded">
+                        for {plannedMealCount(item)} planned meal{plannedMealCount(item) === 1 ? '' : 's'}
+                      </span>
+                    )}
                   </div>
                   <button
                     onClick={() => handleDelete(item.id)}
@@ -218,12 +313,22 @@ export default function Shopping() {
         <div className="space-y-2">
           <div className="flex items-center justify-between">
             <h2 className="font-semibold text-gray-500">✓ Purchased</h2>
-            <button
-              onClick={handleClearPurchased}
-              className="text-sm text-gray-500 hover:text-red-600"
-            >
-              Clear all
-            </button>
+            <div className="flex items-center gap-3">
+              {toPutAway.length > 0 && (
+                <button
+                  onClick={() => setShowPutAway(true)}
+                  className="text-sm font-medium text-emerald-600 hover:text-emerald-700"
+                >
+                  Put away in pantry
+                </button>
+              )}
+              <button
+                onClick={handleClearPurchased}
+                className="text-sm text-gray-500 hover:text-red-600"
+              >
+                Clear all
+              </button>
+            </div>
           </div>
           <div className="bg-gray-50 rounded-xl border border-gray-200 divide-y divide-gray-100">
             {groupedItems.purchased.map((item) => (
@@ -245,6 +350,7 @@ export default function Shopping() {
                     </span>
                   )}
                 </span>
+                {item.stocked && <span className="text-xs text-emerald-600">In pantry</span>}
                 <button
                   onClick={() => handleDelete(item.id)}
                   className="text-gray-400 hover:text-red-600 p-1"
@@ -257,6 +363,22 @@ export default function Shopping() {
         </div>
       )}
 
+      {showReceipt && (
+        <ReceiptModal
+          onDone={handleReceiptDone}
+          onClose={() => setShowReceipt(false)}
+        />
+      )}
+
+      {/* Put Away Modal */}
+      {showPutAway && (
+        <PutAwayModal
+          items={toPutAway}
+          onPutAway={handlePutAway}
+          onClose={() => setShowPutAway(false)}
+        />
+      )}
+
       {/* Add Modal */}
       {showAdd && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
@@ -0,0 +1,23 @@
+/**
+ * Meal plan helpers
+ */
+
+/**
+ * The dish planned for a meal plan entry, shaped like a meal suggestion
+ * @param {object} plan - Meal plan entry from the API
+ * @returns {object|null} null when nothing is planned in the slot
+ */
+export function plannedDish(plan) {
+  const name = plan?.dishName || plan?.meal?.name;
+  if (!name) return null;
+
+  return {
+    name,
+    cuisine: plan.cuisine ?? plan.meal?.cuisine ?? undefined,
+    prepTime: plan.prepTime ?? plan.meal?.prepTime ?? undefined,
+    estimatedCalories: plan.calories ?? undefined,
+    servings: plan.servings ?? undefined,
+    description: plan.description ?? undefined,
+    ingredients: Array.isArray(plan.ingredients) ? plan.ingredients : [],
+  };
+}
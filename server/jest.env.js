@@ -3,3 +3,4 @@
 process.env.NODE_ENV = 'test';
 process.env.APP_PIN = 'test1234';
 process.env.OPENAI_API_KEY = 'test-api-key-for-testing';
+process.env.AI_PROVIDER = 'stub';
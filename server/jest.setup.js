@@ -13,6 +13,7 @@ import { jest } from '@jest/globals';
 process.env.NODE_ENV = 'test';
 process.env.APP_PIN = 'test1234';
 process.env.OPENAI_API_KEY = 'test-api-key-for-testing';
+process.env.AI_PROVIDER = 'stub';
 
 // Increase timeout for integration tests
 jest.setTimeout(10000);
@@ -100,7 +100,7 @@ describe('Error Handling', () => {
 
       const res = await request(app)
         .post('/api/meal-plan')
-        .send({ date: '2024-06-15', mealType: 'dinner', mealId: 999 });
+        .send({ date: '2024-06-15', mealType: 'dinner', mealId: '550e8400-e29b-41d4-a716-446655440999' });
 
       expect(res.status).toBe(400);
       expect(res.body.code).toBe('FK_CONSTRAINT');
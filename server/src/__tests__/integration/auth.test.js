@@ -5,6 +5,7 @@ import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import request from 'supertest';
 import { createTestApp } from '../setup/test-app.js';
 import { createPrismaMock } from '../setup/prisma-mock.js';
+import { clearFailedAttempts, SESSION_CONFIG } from '../../services/session.js';
 
 describe('Auth API', () => {
   let app;
@@ -13,6 +14,7 @@ describe('Auth API', () => {
 
   beforeEach(() => {
     originalPin = process.env.APP_PIN;
+    clearFailedAttempts();
     prismaMock = createPrismaMock();
     app = createTestApp(prismaMock);
   });
@@ -54,6 +56,8 @@ describe('Auth API', () => {
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
+      expect(typeof res.body.token).toBe('string');
+      expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
     });
 
     it('should return 401 for incorrect PIN', async () => {
@@ -98,4 +102,181 @@ describe('Auth API', () => {
       expect(res.body.success).toBe(true);
     });
   });
+
+  describe('Lockout', () => {
+    it('should lock out after repeated wrong PINs', async () => {
+      process.env.APP_PIN = 'test1234';
+
+      for (let i = 1; i < SESSION_CONFIG.MAX_FAILED_ATTEMPTS; i++) {
+        const res = await request(app).post('/api/auth/verify').send({ pin: 'wrongpin' });
+        expect(res.status).toBe(401);
+        expect(res.body.attemptsLeft).toBe(SESSION_CONFIG.MAX_FAILED_ATTEMPTS - i);
+      }
+
+      const locking = await request(app).post('/api/auth/verify').send({ pin: 'wrongpin' });
+      expect(locking.status).toBe(401);
+      expect(locking.body.attemptsLeft).toBe(0);
+
+      // Even the correct PIN is refused while locked
+      const res = await request(app).post('/api/auth/verify').send({ pin: 'test1234' });
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('AUTH_LOCKED');
+      expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    it('should lock out only the client behind the proxy that got it wrong', async () => {
+      process.env.APP_PIN = 'test1234';
+
+      for (let i = 0; i < SESSION_CONFIG.MAX_FAILED_ATTEMPTS; i++) {
+        await request(app).post('/api/auth/verify').set('X-Forwarded-For', '203.0.113.7').send({ pin: 'wrongpin' });
+      }
+
+      const locked = await request(app).post('/api/auth/verify').set('X-Forwarded-For', '203.0.113.7').send({ pin: 'test1234' });
+      expect(locked.status).toBe(429);
+
+      const res = await request(app).post('/api/auth/verify').set('X-Forwarded-For', '198.51.100.20').send({ pin: 'test1234' });
+      expect(res.status).toBe(200);
+    });
+
+    it('should reset failed attempts after a correct PIN', async () => {
+      process.env.APP_PIN = 'test1234';
+
+      for (let i = 1; i < SESSION_CONFIG.MAX_FAILED_ATTEMPTS; i++) {
+        await request(app).post('/api/auth/verify').send({ pin: 'wrongpin' });
+      }
+      await request(app).post('/api/auth/verify').send({ pin: 'test1234' });
+
+      const res = await request(app).post('/api/auth/verify').send({ pin: 'wrongpin' });
+      expect(res.body.attemptsLeft).toBe(SESSION_CONFIG.MAX_FAILED_ATTEMPTS - 1);
+    });
+  });
+
+  describe('Protected routes', () => {
+    let protectedApp;
+
+    async function login() {
+      const res = await request(protectedApp).post('/api/auth/verify').send({ pin: 'test1234' });
+      return res.body.token;
+    }
+
+    beforeEach(() => {
+      process.env.APP_PIN = 'test1234';
+      protectedApp = createTestApp(prismaMock, { auth: true });
+    });
+
+    it('should reject requests without a token', async () => {
+      const res = await request(protectedApp).get('/api/inventory');
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('AUTH_ERROR');
+    });
+
+    it('should reject a restore before reading the backup', async () => {
+      const res = await request(protectedApp)
+        .post('/api/backup/restore')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify({ archive: { data: 'x'.repeat(2 * 1024 * 1024) } }));
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reject a tampered token', async () => {
+      const token = await login();
+      const [body] = token.split('.');
+
+      const res = await request(protectedApp)
+        .get('/api/inventory')
+        .set('Authorization', `Bearer ${body}.forged`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should allow requests with a valid token', async () => {
+      const token = await login();
+
+      const res = await request(protectedApp)
+        .get('/api/inventory')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should report whether the session is authenticated', async () => {
+      const token = await login();
+
+      const anonymous = await request(protectedApp).get('/api/auth/status');
+      const loggedIn = await request(protectedApp)
+        .get('/api/auth/status')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(anonymous.body.authenticated).toBe(false);
+      expect(loggedIn.body.authenticated).toBe(true);
+    });
+
+    it('should leave health and auth status public', async () => {
+      const health = await request(protectedApp).get('/api/health');
+      const status = await request(protectedApp).get('/api/auth/status');
+
+      expect(health.status).toBe(200);
+      expect(status.status).toBe(200);
+    });
+
+    it('should allow everything when APP_PIN is not set', async () => {
+      delete process.env.APP_PIN;
+
+      const res = await request(protectedApp).get('/api/inventory');
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should invalidate tokens when APP_PIN changes', async () => {
+      const token = await login();
+      process.env.APP_PIN = 'newpin99';
+
+      const res = await request(protectedApp)
+        .get('/api/inventory')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should revoke the token on logout', async () => {
+      const token = await login();
+
+      const logout = await request(protectedApp)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+      expect(logout.status).toBe(204);
+
+      const res = await request(protectedApp)
+        .get('/api/inventory')
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(401);
+    });
+
+    it('should issue a fresh token on refresh and revoke the old one', async () => {
+      const token = await login();
+
+      const refresh = await request(protectedApp)
+        .post('/api/auth/refresh')
+        .set('Authorization', `Bearer ${token}`);
+      expect(refresh.status).toBe(200);
+      expect(refresh.body.token).not.toBe(token);
+
+      const oldRes = await request(protectedApp)
+        .get('/api/inventory')
+        .set('Authorization', `Bearer ${token}`);
+      const newRes = await request(protectedApp)
+        .get('/api/inventory')
+        .set('Authorization', `Bearer ${refresh.body.token}`);
+      expect(oldRes.status).toBe(401);
+      expect(newRes.status).toBe(200);
+    });
+
+    it('should refuse refresh without a token', async () => {
+      const res = await request(protectedApp).post('/api/auth/refresh');
+
+      expect(res.status).toBe(401);
+    });
+  });
 });
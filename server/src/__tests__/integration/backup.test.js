@@ -0,0 +1,108 @@
+/**
+ * Integration tests for Backup API
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from '../setup/test-app.js';
+import { createPrismaMock, testData } from '../setup/prisma-mock.js';
+
+describe('Backup API', () => {
+  let app;
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+    app = createTestApp(prismaMock);
+  });
+
+  describe('GET /api/backup', () => {
+    it('should download every model as a versioned archive', async () => {
+      prismaMock.recipe.findMany.mockResolvedValue([testData.recipe({ id: 'recipe-1' })]);
+      prismaMock.userPreferences.findMany.mockResolvedValue([testData.userPreference()]);
+
+      const res = await request(app).get('/api/backup');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="no-daal-chawal-backup-\d{4}-\d{2}-\d{2}\.json"$/);
+      expect(res.body).toMatchObject({ format: 'no-daal-chawal-backup', version: 1 });
+      expect(res.body.data.recipes[0].id).toBe('recipe-1');
+      expect(res.body.counts).toMatchObject({ recipes: 1, userPreferences: 1, mealHistory: 0 });
+    });
+  });
+
+  describe('POST /api/backup/restore', () => {
+    const archive = (data, overrides = {}) => ({ format: 'no-daal-chawal-backup', version: 1, data, ...overrides });
+
+    it('should replace everything with the archive', async () => {
+      const res = await request(app)
+        .post('/api/backup/restore')
+        .send({
+          mode: 'replace',
+          archive: archive({
+            recipes: [testData.recipe({ id: 'recipe-1' })],
+            mealHistory: [testData.mealHistory({ id: 'history-1', recipeId: 'recipe-1' })]
+          })
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ mode: 'replace', counts: { recipes: 1, mealHistory: 1, meals: 0 } });
+      expect(prismaMock.inventoryItem.deleteMany).toHaveBeenCalled();
+      expect(prismaMock.mealHistory.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({ id: 'history-1', recipeId: 'recipe-1' })]
+      });
+    });
+
+    it('should take archives larger than other requests may be', async () => {
+      const recipes = Array.from({ length: 2000 }, (_, i) => testData.recipe({ id: `recipe-${i}`, instructions: 'Stir. '.repeat(100) }));
+
+      const res = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: archive({ recipes }) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.counts.recipes).toBe(2000);
+    });
+
+    it('should merge by default', async () => {
+      const res = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: archive({ userPreferences: [testData.userPreference({ id: 'pref-9' })] }) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.mode).toBe('merge');
+      expect(prismaMock.userPreferences.deleteMany).not.toHaveBeenCalled();
+      expect(prismaMock.userPreferences.upsert).toHaveBeenCalled();
+    });
+
+    it('should return 400 for a file that is not a backup', async () => {
+      const res = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: { recipes: [] } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 400 for a backup from a newer version', async () => {
+      const res = await request(app)
+        .post('/api/backup/restore')
+        .send({ archive: archive({}, { version: 99 }) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('UNSUPPORTED_BACKUP_VERSION');
+    });
+
+    it('should return 400 with the broken relations and restore nothing', async () => {
+      const res = await request(app)
+        .post('/api/backup/restore')
+        .send({
+          mode: 'replace',
+          archive: archive({ mealHistory: [testData.mealHistory({ id: 'history-1', recipeId: 'recipe-9' })] })
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([{ field: 'data.mealHistory[0].recipeId', message: 'No recipes row with id recipe-9' }]);
+      expect(prismaMock.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
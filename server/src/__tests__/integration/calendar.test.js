@@ -0,0 +1,119 @@
+/**
+ * Integration tests for the meal plan calendar feed
+ */
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from '../setup/test-app.js';
+import { createPrismaMock, testData } from '../setup/prisma-mock.js';
+
+const TOKEN = 'feed-secret-token';
+
+describe('Calendar Feed API', () => {
+  let app;
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+    app = createTestApp(prismaMock);
+    prismaMock.userPreferences.findUnique.mockResolvedValue(testData.userPreference({
+      key: 'calendarFeed',
+      value: JSON.stringify({ token: TOKEN, mealTimes: { dinner: '19:30' }, durationMinutes: 60 })
+    }));
+  });
+
+  describe('GET /api/calendar/:token.ics', () => {
+    it('should render planned dishes as events', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({
+          id: 'plan-1',
+          date: new Date('2024-01-15'),
+          mealType: 'dinner',
+          dishName: 'Rajma Chawal',
+          prepTime: 40,
+          calories: 550,
+          recipeId: 'recipe-1'
+        }),
+        testData.mealPlan({ id: 'plan-2', date: new Date('2024-01-16'), mealType: 'lunch' })
+      ]);
+
+      const res = await request(app).get(`/api/calendar/${TOKEN}.ics`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(res.text).toContain('UID:plan-1@no-daal-chawal');
+      expect(res.text).toContain('DTSTART:20240115T193000');
+      expect(res.text).toContain('DTEND:20240115T203000');
+      expect(res.text).toContain('SUMMARY:Dinner: Rajma Chawal');
+      expect(res.text).toContain('Prep time: 40 min');
+      expect(res.text).toMatch(/URL:http:\/\/127\.0\.0\.1:\d+\/recipes\?recipe=recipe-1/);
+      // Nothing planned in the lunch slot yet
+      expect(res.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+
+    it('should link back over https behind a TLS-terminating proxy', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'plan-1', date: new Date('2024-01-15'), mealType: 'dinner', dishName: 'Dal', recipeId: 'recipe-1' })
+      ]);
+
+      const res = await request(app)
+        .get(`/api/calendar/${TOKEN}.ics`)
+        .set('X-Forwarded-Proto', 'https')
+        .set('Host', 'bawarchi.up.railway.app');
+
+      expect(res.text).toContain('URL:https://bawarchi.up.railway.app/recipes?recipe=recipe-1');
+    });
+
+    it('should only cover the weeks around today', async () => {
+      await request(app).get(`/api/calendar/${TOKEN}.ics`);
+
+      const { where } = prismaMock.mealPlan.findMany.mock.calls[0][0];
+      expect(where.date.gte.getTime()).toBeLessThan(Date.now());
+      expect(where.date.lte.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject a wrong token', async () => {
+      const res = await request(app).get('/api/calendar/not-the-token.ics');
+
+      expect(res.status).toBe(404);
+      expect(prismaMock.mealPlan.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should be off until a URL is generated', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/calendar/null.ics');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('when a PIN is set', () => {
+    let originalPin;
+
+    beforeEach(() => {
+      originalPin = process.env.APP_PIN;
+      process.env.APP_PIN = '1234';
+      app = createTestApp(prismaMock, { auth: true });
+    });
+
+    afterEach(() => {
+      if (originalPin === undefined) {
+        delete process.env.APP_PIN;
+      } else {
+        process.env.APP_PIN = originalPin;
+      }
+    });
+
+    it('should still protect the rest of the API', async () => {
+      const res = await request(app).get('/api/preferences/calendar-feed');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should serve the feed without a session', async () => {
+      const res = await request(app).get(`/api/calendar/${TOKEN}.ics`);
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Integration tests for Chat Sessions API
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from '../setup/test-app.js';
+import { createPrismaMock, testData } from '../setup/prisma-mock.js';
+
+describe('Chat Sessions API', () => {
+  let app;
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+    app = createTestApp(prismaMock);
+  });
+
+  describe('GET /api/chat/sessions', () => {
+    it('should list sessions with message counts', async () => {
+      prismaMock.chatSession.findMany.mockResolvedValue([
+        { ...testData.chatSession({ title: 'Something light' }), _count: { messages: 4 } }
+      ]);
+
+      const res = await request(app).get('/api/chat/sessions');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([
+        expect.objectContaining({ id: 'chat-session-1', title: 'Something light', messageCount: 4 })
+      ]);
+      expect(res.body[0]).not.toHaveProperty('_count');
+      expect(prismaMock.chatSession.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ orderBy: { updatedAt: 'desc' }, take: 20 })
+      );
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      const res = await request(app).get('/api/chat/sessions?limit=500');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/chat/sessions', () => {
+    it('should open the session with the suggestions already shown', async () => {
+      const suggestions = [{ name: 'Poha', cuisine: 'maharashtrian', prepTime: 15 }];
+      prismaMock.chatSession.create.mockResolvedValue({
+        ...testData.chatSession({ mealType: 'breakfast' }),
+        messages: [testData.chatMessage({ suggestions: JSON.stringify(suggestions) })]
+      });
+
+      const res = await request(app)
+        .post('/api/chat/sessions')
+        .send({ mealType: 'breakfast', message: 'Here are some breakfast options.', suggestions });
+
+      expect(res.status).toBe(201);
+      expect(res.body.messages[0].suggestions).toEqual(suggestions);
+      const { data } = prismaMock.chatSession.create.mock.calls[0][0];
+      expect(data).toMatchObject({ mealType: 'breakfast', source: 'home' });
+      expect(data.messages.create).toEqual({
+        role: 'assistant',
+        content: 'Here are some breakfast options.',
+        suggestions: JSON.stringify(suggestions)
+      });
+    });
+
+    it('should return 400 for an invalid source', async () => {
+      const res = await request(app)
+        .post('/api/chat/sessions')
+        .send({ source: 'somewhere' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/chat/sessions/:id', () => {
+    it('should return the session with parsed suggestions', async () => {
+      prismaMock.chatSession.findUnique.mockResolvedValue({
+        ...testData.chatSession(),
+        messages: [testData.chatMessage(), testData.chatMessage({ id: 'm2', role: 'user', content: 'Lighter', suggestions: null })]
+      });
+
+      const res = await request(app).get('/api/chat/sessions/chat-session-1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.messages[0].suggestions).toEqual([
+        { name: 'Rajma Chawal', cuisine: 'north_indian', mealType: 'dinner' }
+      ]);
+      expect(res.body.messages[1].suggestions).toEqual([]);
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      const res = await request(app).get('/api/chat/sessions/missing');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/chat/sessions/:id', () => {
+    it('should delete the session', async () => {
+      const res = await request(app).delete('/api/chat/sessions/chat-session-1');
+
+      expect(res.status).toBe(204);
+      expect(prismaMock.chatSession.delete).toHaveBeenCalledWith({ where: { id: 'chat-session-1' } });
+    });
+
+    it('should return 404 when the session does not exist', async () => {
+      prismaMock.chatSession.delete.mockRejectedValue({ code: 'P2025' });
+
+      const res = await request(app).delete('/api/chat/sessions/missing');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/chat/rejections', () => {
+    it('should return long-term rejection patterns', async () => {
+      prismaMock.rejectedSuggestion.findMany.mockResolvedValue([
+        testData.rejectedSuggestion(),
+        testData.rejectedSuggestion({ id: 'rejection-2', mealName: 'Biryani', reason: 'Too heavy again' })
+      ]);
+
+      const res = await request(app).get('/api/chat/rejections');
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(2);
+      expect(res.body.themes[0]).toMatchObject({ theme: 'heavy', count: 2 });
+    });
+  });
+});
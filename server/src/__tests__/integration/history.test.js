@@ -147,6 +147,22 @@ describe('History API', () => {
       expect(res.status).toBe(201);
     });
 
+    it('should deduct the ingredients of the meal from inventory', async () => {
+      const onionId = '0f8e7d6c-5b4a-4938-8271-6a5b4c3d2e1f';
+      const onions = testData.inventoryItem({ id: onionId, name: 'Onion', quantity: 6, unit: 'pieces' });
+      prismaMock.mealHistory.create.mockResolvedValue(testData.mealHistory(validHistory));
+      prismaMock.inventoryItem.findMany.mockResolvedValue([onions]);
+      prismaMock.inventoryItem.findUnique.mockResolvedValue(onions);
+
+      const res = await request(app)
+        .post('/api/history')
+        .send({ ...validHistory, ingredients: [{ name: 'Onions', quantity: 2, unit: 'medium' }] });
+
+      expect(res.status).toBe(201);
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: onionId }, data: { quantity: 4 } });
+      expect(res.body.inventoryDeductions[0]).toMatchObject({ itemId: onionId, mealHistoryId: 'history-1' });
+    });
+
     it('should log meal with calories', async () => {
       const withCalories = { ...validHistory, calories: 500 };
       prismaMock.mealHistory.create.mockResolvedValue(testData.mealHistory(withCalories));
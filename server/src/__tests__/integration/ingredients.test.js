@@ -0,0 +1,81 @@
+/**
+ * Integration tests for the ingredient dictionary API
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from '../setup/test-app.js';
+import { createPrismaMock } from '../setup/prisma-mock.js';
+
+describe('Ingredients API', () => {
+  let app;
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+    app = createTestApp(prismaMock);
+  });
+
+  describe('GET /api/ingredients', () => {
+    it('should list built-in and household entries', async () => {
+      prismaMock.ingredient.findMany.mockResolvedValue([
+        { id: 'ing-1', name: 'Kokum', aliases: '[]', category: 'spices', defaultUnit: 'g', isCustom: true }
+      ]);
+
+      const res = await request(app).get('/api/ingredients');
+
+      expect(res.status).toBe(200);
+      expect(res.body.find(e => e.name === 'Curd')).toMatchObject({ isCustom: false, category: 'dairy' });
+      expect(res.body.find(e => e.name === 'Kokum')).toMatchObject({ id: 'ing-1', isCustom: true });
+    });
+  });
+
+  describe('GET /api/ingredients/resolve', () => {
+    it('should resolve a local name', async () => {
+      const res = await request(app).get('/api/ingredients/resolve').query({ name: 'Jeera' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.ingredient.name).toBe('Cumin seeds');
+      expect(res.body.key).toBe('cumin seed');
+    });
+
+    it('should return 400 without a name', async () => {
+      const res = await request(app).get('/api/ingredients/resolve');
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/ingredients', () => {
+    it('should save a household copy of a built-in entry under its name', async () => {
+      prismaMock.ingredient.upsert.mockImplementation(({ create }) => Promise.resolve({ id: 'ing-2', ...create }));
+
+      const res = await request(app)
+        .post('/api/ingredients')
+        .send({ name: 'curd', aliases: ['dahi', 'thayir', 'Curd'], category: 'dairy', defaultUnit: 'g' });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.ingredient.upsert).toHaveBeenCalledWith({
+        where: { name: 'Curd' },
+        update: { aliases: '["dahi","thayir"]', category: 'dairy', defaultUnit: 'g', isCustom: true },
+        create: { name: 'Curd', aliases: '["dahi","thayir"]', category: 'dairy', defaultUnit: 'g', isCustom: true }
+      });
+      expect(res.body).toMatchObject({ id: 'ing-2', name: 'Curd', aliases: ['dahi', 'thayir'] });
+    });
+
+    it('should return 400 for an unknown category', async () => {
+      const res = await request(app)
+        .post('/api/ingredients')
+        .send({ name: 'Kokum', category: 'sour things' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/ingredients/:id', () => {
+    it('should delete a household entry', async () => {
+      const res = await request(app).delete('/api/ingredients/ing-1');
+
+      expect(res.status).toBe(204);
+      expect(prismaMock.ingredient.delete).toHaveBeenCalledWith({ where: { id: 'ing-1' } });
+    });
+  });
+});
@@ -30,6 +30,17 @@ describe('Inventory API', () => {
       expect(res.body[0].name).toBe('Rice');
     });
 
+    it('should find items under any of their names', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: '1', name: 'Curd' }),
+        testData.inventoryItem({ id: '2', name: 'Cumin Seeds' })
+      ]);
+
+      const res = await request(app).get('/api/inventory').query({ q: 'dahi' });
+
+      expect(res.body.map(i => i.name)).toEqual(['Curd']);
+    });
+
     it('should return empty array when no items', async () => {
       prismaMock.inventoryItem.findMany.mockResolvedValue([]);
 
@@ -78,6 +89,17 @@ describe('Inventory API', () => {
       expect(res.body).toEqual([]);
     });
 
+    it('should compare thresholds set in another unit', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Rice', quantity: 0.4, unit: 'kg', lowStockAt: 500, lowStockUnit: 'g' }),
+        testData.inventoryItem({ name: 'Onion', quantity: 1, unit: 'kg', lowStockAt: 4, lowStockUnit: 'pieces' })
+      ]);
+
+      const res = await request(app).get('/api/inventory/low-stock');
+
+      expect(res.body.map(i => i.name)).toEqual(['Rice']);
+    });
+
     it('should only check items with lowStockAt set', async () => {
       await request(app).get('/api/inventory/low-stock');
 
@@ -87,6 +109,67 @@ describe('Inventory API', () => {
     });
   });
 
+  describe('GET /api/inventory/expiring', () => {
+    const inDays = days => new Date(Date.now() + days * 86400000);
+
+    it('should list items expiring soon, soonest first', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'milk', name: 'Milk', expiresAt: inDays(2) }),
+        testData.inventoryItem({ id: 'spinach', name: 'Spinach', expiresAt: inDays(-1) }),
+        testData.inventoryItem({ id: 'rice', name: 'Rice', expiresAt: inDays(30) })
+      ]);
+
+      const res = await request(app).get('/api/inventory/expiring');
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(i => i.id)).toEqual(['spinach', 'milk']);
+      expect(res.body[0]).toMatchObject({ daysLeft: -1, expiryStatus: 'expired' });
+      expect(prismaMock.inventoryItem.findMany).toHaveBeenCalledWith({
+        where: { expiresAt: { not: null } }
+      });
+    });
+
+    it('should take the horizon and whether to include expired items', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'spinach', expiresAt: inDays(-1) }),
+        testData.inventoryItem({ id: 'rice', expiresAt: inDays(10) })
+      ]);
+
+      const res = await request(app).get('/api/inventory/expiring?days=14&includeExpired=false');
+
+      expect(res.body.map(i => i.id)).toEqual(['rice']);
+    });
+
+    it('should return 400 for a horizon out of range', async () => {
+      const res = await request(app).get('/api/inventory/expiring?days=365');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/inventory/deduction-preview', () => {
+    it('should match ingredients to inventory items', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Toor Dal', quantity: 1, unit: 'kg' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/inventory/deduction-preview')
+        .send({ ingredients: [{ name: 'toor dal', quantity: '150', unit: 'g' }, { name: 'Ghee' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.lines.map(l => [l.status, l.deduct])).toEqual([['ok', 0.15], ['missing', null]]);
+    });
+
+    it('should return 400 without ingredients', async () => {
+      const res = await request(app)
+        .post('/api/inventory/deduction-preview')
+        .send({ ingredients: [] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   describe('POST /api/inventory', () => {
     const validItem = {
       name: 'Rice',
@@ -185,6 +268,26 @@ describe('Inventory API', () => {
     });
   });
 
+  describe('POST /api/inventory expiry', () => {
+    it('should estimate expiry from the category shelf life', async () => {
+      await request(app)
+        .post('/api/inventory')
+        .send({ name: 'Paneer', category: 'dairy', quantity: 200, unit: 'g' });
+
+      const { expiresAt } = prismaMock.inventoryItem.create.mock.calls[0][0].data;
+      const days = Math.round((expiresAt - Date.parse(new Date().toISOString().split('T')[0])) / 86400000);
+      expect(days).toBe(7);
+    });
+
+    it('should keep no date when expiry is cleared', async () => {
+      await request(app)
+        .post('/api/inventory')
+        .send({ name: 'Paneer', category: 'dairy', quantity: 200, unit: 'g', expiresAt: null });
+
+      expect(prismaMock.inventoryItem.create.mock.calls[0][0].data.expiresAt).toBeNull();
+    });
+  });
+
   describe('PATCH /api/inventory/:id', () => {
     it('should update item quantity', async () => {
       const updatedItem = testData.inventoryItem({ quantity: 10 });
@@ -241,6 +344,245 @@ describe('Inventory API', () => {
     });
   });
 
+  describe('stock movements', () => {
+    it('should record how much a quantity change moved and why', async () => {
+      prismaMock.inventoryItem.findUnique.mockResolvedValue(testData.inventoryItem({ id: 'item-123', quantity: 2, unit: 'kg' }));
+      prismaMock.inventoryItem.update.mockResolvedValue(testData.inventoryItem({ id: 'item-123', quantity: 1.5, unit: 'kg' }));
+
+      const res = await request(app)
+        .patch('/api/inventory/item-123')
+        .send({ quantity: 1.5, reason: 'spoiled', note: 'Went mouldy' });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ itemId: 'item-123', quantity: -0.5, unit: 'kg', reason: 'spoiled', note: 'Went mouldy' })
+      });
+    });
+
+    it('should record manual changes as adjustments and leave other edits out', async () => {
+      prismaMock.inventoryItem.findUnique.mockResolvedValue(testData.inventoryItem({ quantity: 2 }));
+      prismaMock.inventoryItem.update.mockResolvedValue(testData.inventoryItem({ quantity: 2.25 }));
+
+      await request(app).patch('/api/inventory/inv-1').send({ quantity: 2.25 });
+      await request(app).patch('/api/inventory/inv-1').send({ name: 'Rice' });
+
+      expect(prismaMock.stockMovement.create).toHaveBeenCalledTimes(1);
+      expect(prismaMock.stockMovement.create.mock.calls[0][0].data).toMatchObject({ quantity: 0.25, reason: 'adjusted' });
+    });
+
+    it('should record a new item as purchased', async () => {
+      prismaMock.inventoryItem.create.mockResolvedValue(testData.inventoryItem({ quantity: 5 }));
+
+      await request(app).post('/api/inventory').send({ name: 'Rice', category: 'grains', quantity: 5, unit: 'kg' });
+
+      expect(prismaMock.stockMovement.create.mock.calls[0][0].data).toMatchObject({ quantity: 5, reason: 'purchased' });
+    });
+
+    it('should reject an unknown reason', async () => {
+      const res = await request(app).patch('/api/inventory/inv-1').send({ quantity: 1, reason: 'eaten_by_cat' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should list an item history with its consumption rate', async () => {
+      prismaMock.inventoryItem.findUnique.mockResolvedValue(testData.inventoryItem({ quantity: 3, unit: 'kg' }));
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ quantity: -1.5, reason: 'cooked' })
+      ]);
+
+      const res = await request(app).get('/api/inventory/inv-1/movements?days=30');
+
+      expect(res.status).toBe(200);
+      expect(res.body.movements).toHaveLength(1);
+      expect(res.body.consumption).toMatchObject({ used: 1.5, perDay: 0.05, daysLeft: 60 });
+      expect(prismaMock.stockMovement.findMany).toHaveBeenCalledWith({
+        where: { itemId: 'inv-1' },
+        orderBy: { createdAt: 'desc' },
+        take: 50
+      });
+    });
+
+    it('should return 404 for the history of a missing item', async () => {
+      const res = await request(app).get('/api/inventory/missing/movements');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should revert a movement', async () => {
+      prismaMock.stockMovement.findUnique.mockResolvedValue(testData.stockMovement({
+        id: 'm1',
+        quantity: -0.5,
+        item: testData.inventoryItem({ quantity: 1 })
+      }));
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 1 });
+      prismaMock.inventoryItem.update.mockResolvedValue(testData.inventoryItem({ quantity: 1.5 }));
+
+      const res = await request(app).post('/api/inventory/movements/m1/revert');
+
+      expect(res.status).toBe(200);
+      expect(res.body.item.quantity).toBe(1.5);
+      expect(res.body.movement.revertedAt).toBeTruthy();
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'inv-1' }, data: { quantity: 1.5 } });
+    });
+
+    it('should not revert a movement twice', async () => {
+      prismaMock.stockMovement.findUnique.mockResolvedValue(testData.stockMovement({
+        revertedAt: new Date(),
+        item: testData.inventoryItem()
+      }));
+
+      const res = await request(app).post('/api/inventory/movements/m1/revert');
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('ALREADY_REVERTED');
+      expect(prismaMock.stockMovement.findUnique).toHaveBeenCalledTimes(1);
+      expect(prismaMock.$transaction).toHaveBeenCalledTimes(1);
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a missing movement', async () => {
+      const res = await request(app).post('/api/inventory/movements/missing/revert');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('forecasting', () => {
+    const recently = days => new Date(Date.now() - days * 86400000);
+
+    beforeEach(() => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'atta', name: 'Atta', category: 'grains', quantity: 0.1, unit: 'kg' }),
+        testData.inventoryItem({ id: 'rice', name: 'Rice', category: 'grains', quantity: 20, unit: 'kg' })
+      ]);
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ itemId: 'atta', quantity: -1.4, createdAt: recently(14) }),
+        testData.stockMovement({ itemId: 'atta', quantity: -1.4, createdAt: recently(7) }),
+        testData.stockMovement({ itemId: 'rice', quantity: -1, createdAt: recently(14) }),
+        testData.stockMovement({ itemId: 'rice', quantity: -1, createdAt: recently(7) })
+      ]);
+    });
+
+    it('should forecast regularly used items with suggested thresholds', async () => {
+      const res = await request(app).get('/api/inventory/forecast');
+
+      expect(res.status).toBe(200);
+      expect(res.body.items.map(item => item.name)).toEqual(['Atta', 'Rice']);
+      expect(res.body.items[0]).toMatchObject({ perDay: 0.2, suggestedLowStockAt: 1.8, runsOutBeforeShopping: true });
+    });
+
+    it('should list only items running out before the next shopping day', async () => {
+      const res = await request(app).get('/api/inventory/running-out');
+
+      expect(res.status).toBe(200);
+      expect(res.body.nextShoppingDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(res.body.items.map(item => item.name)).toEqual(['Atta']);
+    });
+
+    it('should add what is running out to the shopping list', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([]);
+
+      const res = await request(app).post('/api/inventory/running-out/shopping-list').send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.added).toHaveLength(1);
+      expect(prismaMock.shoppingItem.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Atta', unit: 'kg', source: 'forecast' })
+      });
+    });
+
+    it('should add only the chosen items', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: '3f1c2b5e-8d4a-4c6b-9e7f-1a2b3c4d5e6f', name: 'Rice', quantity: 1, unit: 'kg' })
+      ]);
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ itemId: '3f1c2b5e-8d4a-4c6b-9e7f-1a2b3c4d5e6f', quantity: -1, createdAt: recently(14) }),
+        testData.stockMovement({ itemId: '3f1c2b5e-8d4a-4c6b-9e7f-1a2b3c4d5e6f', quantity: -1, createdAt: recently(7) })
+      ]);
+
+      const res = await request(app)
+        .post('/api/inventory/running-out/shopping-list')
+        .send({ itemIds: ['3f1c2b5e-8d4a-4c6b-9e7f-1a2b3c4d5e6f'] });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.shoppingItem.create.mock.calls[0][0].data.name).toBe('Rice');
+    });
+  });
+
+  describe('bulk import and export', () => {
+    it('should export inventory as CSV', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Rice', category: 'grains', quantity: 5, unit: 'kg', lowStockAt: 1 })
+      ]);
+
+      const res = await request(app).get('/api/inventory/export.csv');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="inventory-.*\.csv"/);
+      expect(res.text).toBe('name,category,quantity,unit,lowStockAt,lowStockUnit,expiresAt\r\nRice,grains,5,kg,1,,\r\n');
+    });
+
+    it('should preview a CSV import with per-row errors', async () => {
+      const res = await request(app)
+        .post('/api/inventory/import/csv')
+        .send({ csv: 'Item,Qty,Pack\nAtta,5,kg\nGhee,,L', mapping: { unit: 'Pack' }, dryRun: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.dryRun).toBe(true);
+      expect(res.body.columns).toEqual({ name: 'Item', quantity: 'Qty', unit: 'Pack' });
+      expect(res.body.summary).toEqual({ create: 1, update: 0, skip: 0, invalid: 1 });
+      expect(res.body.rows[1]).toMatchObject({ line: 3, action: 'invalid', errors: [{ field: 'quantity' }] });
+      expect(prismaMock.inventoryItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should save valid rows in one transaction', async () => {
+      const res = await request(app)
+        .post('/api/inventory/import/csv')
+        .send({ csv: 'name,quantity,unit\nAtta,5,kg\n,1,kg' });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.$transaction).toHaveBeenCalledTimes(1);
+      expect(prismaMock.inventoryItem.create).toHaveBeenCalledTimes(1);
+      expect(prismaMock.stockMovement.create.mock.calls[0][0].data).toMatchObject({ reason: 'adjusted', note: 'CSV import' });
+    });
+
+    it('should reject a CSV with more rows than an import takes', async () => {
+      const rows = Array.from({ length: 1001 }, (_, index) => `Item ${index},1,kg`);
+
+      const res = await request(app)
+        .post('/api/inventory/import/csv')
+        .send({ csv: `name,quantity,unit\n${rows.join('\n')}`, dryRun: true });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('TOO_MANY_ROWS');
+      expect(prismaMock.inventoryItem.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a mapping for an unknown field', async () => {
+      const res = await request(app)
+        .post('/api/inventory/import/csv')
+        .send({ csv: 'name\nAtta', mapping: { colour: 'Colour' } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should import a pasted list', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'atta', name: 'Atta', quantity: 1, unit: 'kg' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/inventory/import/text')
+        .send({ text: '2 kg atta, 500g paneer, 12 eggs', dryRun: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rows.map(row => row.action)).toEqual(['update', 'create', 'create']);
+      expect(res.body.rows[0].match).toMatchObject({ previousQuantity: 1, quantity: 3 });
+      expect(res.body.rows[2].item).toMatchObject({ name: 'Eggs', quantity: 12, unit: 'pieces' });
+    });
+  });
+
   describe('DELETE /api/inventory/:id', () => {
     it('should delete an inventory item', async () => {
       prismaMock.inventoryItem.delete.mockResolvedValue({});
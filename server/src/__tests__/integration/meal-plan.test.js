@@ -0,0 +1,663 @@
+/**
+ * Integration tests for Meal Plan API
+ * AI generation runs against the offline stub provider
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from '../setup/test-app.js';
+import { createPrismaMock, testData } from '../setup/prisma-mock.js';
+
+describe('Meal Plan API', () => {
+  let app;
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+    app = createTestApp(prismaMock);
+  });
+
+  describe('GET /api/meal-plan', () => {
+    it('should return plans for the week', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([testData.mealPlan()]);
+
+      const res = await request(app).get('/api/meal-plan?week=2024-01-15');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/meal-plan', () => {
+    it('should save the planned dish in its own fields', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan')
+        .send({
+          date: '2024-01-15',
+          mealType: 'dinner',
+          dish: {
+            name: 'Jeera Rice',
+            cuisine: 'north_indian',
+            estimatedCalories: 350.4,
+            prepTime: 25,
+            ingredients: ['Jeera', { name: 'Rice', quantity: '200', unit: 'g' }]
+          },
+          notes: 'Make extra for lunch'
+        });
+
+      expect(res.status).toBe(201);
+      const { data } = prismaMock.mealPlan.create.mock.calls[0][0];
+      expect(data).toMatchObject({
+        mealType: 'dinner',
+        dishName: 'Jeera Rice',
+        cuisine: 'north_indian',
+        calories: 350,
+        prepTime: 25,
+        notes: 'Make extra for lunch'
+      });
+      expect(data.ingredients.create).toEqual([
+        { name: 'Jeera', quantity: null, unit: null, position: 0 },
+        { name: 'Rice', quantity: 200, unit: 'g', position: 1 }
+      ]);
+    });
+
+    it('should reject a meal id that is not a uuid', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan')
+        .send({ date: '2024-01-15', mealType: 'dinner', mealId: 123 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/meal-plan/:id', () => {
+    it('should replace the planned dish and its ingredients', async () => {
+      const res = await request(app)
+        .patch('/api/meal-plan/plan-1')
+        .send({ dish: { name: 'Poha', ingredients: [{ name: 'Poha', quantity: 150, unit: 'g' }] } });
+
+      expect(res.status).toBe(200);
+      const { data } = prismaMock.mealPlan.update.mock.calls[0][0];
+      expect(data.dishName).toBe('Poha');
+      expect(data.ingredients).toEqual({
+        deleteMany: {},
+        create: [{ name: 'Poha', quantity: 150, unit: 'g', position: 0 }]
+      });
+      expect(data).not.toHaveProperty('notes');
+    });
+
+    it('should change only the notes when only notes are sent', async () => {
+      await request(app).patch('/api/meal-plan/plan-1').send({ notes: 'Less spicy' });
+
+      expect(prismaMock.mealPlan.update.mock.calls[0][0].data).toEqual({ notes: 'Less spicy' });
+    });
+  });
+
+  describe('inventory deduction', () => {
+    const RICE_ID = '5b1a2f3e-8c4d-4e6f-9a7b-1c2d3e4f5a6b';
+    const plannedDish = testData.mealPlan({
+      dishName: 'Jeera Rice',
+      ingredients: [{ name: 'Rice', quantity: 200, unit: 'g', position: 0 }]
+    });
+    const rice = testData.inventoryItem({ id: RICE_ID, name: 'Basmati Rice', quantity: 2, unit: 'kg' });
+
+    beforeEach(() => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue(plannedDish);
+      prismaMock.inventoryItem.findMany.mockResolvedValue([rice]);
+      prismaMock.inventoryItem.findUnique.mockResolvedValue(rice);
+    });
+
+    it('should preview what cooking the meal takes', async () => {
+      const res = await request(app).get('/api/meal-plan/plan-1/inventory-preview');
+
+      expect(res.status).toBe(200);
+      expect(res.body.source).toBe('plan');
+      expect(res.body.lines[0]).toMatchObject({ inventoryItemId: RICE_ID, deduct: 0.2, inventoryUnit: 'kg', status: 'ok' });
+    });
+
+    it('should deduct ingredients when a meal is completed', async () => {
+      const res = await request(app).post('/api/meal-plan/plan-1/complete');
+
+      expect(res.status).toBe(200);
+      expect(res.body.completed).toBe(true);
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: RICE_ID }, data: { quantity: 1.8 } });
+      expect(res.body.inventoryDeductions).toEqual([
+        expect.objectContaining({ itemId: RICE_ID, quantity: -0.2, reason: 'cooked', mealPlanId: 'plan-1' })
+      ]);
+    });
+
+    it('should use adjusted quantities from the preview', async () => {
+      await request(app)
+        .post('/api/meal-plan/plan-1/complete')
+        .send({ deductions: [{ inventoryItemId: RICE_ID, quantity: 0.5 }] });
+
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: RICE_ID }, data: { quantity: 1.5 } });
+    });
+
+    it('should leave inventory alone when asked to', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/plan-1/complete')
+        .send({ deductInventory: false });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should not deduct twice for an already completed meal', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue({ ...plannedDish, completed: true });
+
+      const res = await request(app).post('/api/meal-plan/plan-1/complete');
+
+      expect(res.body.inventoryDeductions).toEqual([]);
+      expect(prismaMock.mealPlan.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown plan', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/meal-plan/missing/complete');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should put inventory back on uncomplete', async () => {
+      prismaMock.mealPlan.update.mockResolvedValue({ ...plannedDish, completed: false });
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ id: 'm1', itemId: RICE_ID, quantity: -0.2, item: { ...rice, quantity: 1.8 } })
+      ]);
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app).post('/api/meal-plan/plan-1/uncomplete');
+
+      expect(res.status).toBe(200);
+      expect(res.body.inventoryRestored).toHaveLength(1);
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: RICE_ID }, data: { quantity: 2 } });
+    });
+
+    it('should refuse to put inventory back twice', async () => {
+      prismaMock.mealPlan.update.mockResolvedValue({ ...plannedDish, completed: false });
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ id: 'm1', itemId: RICE_ID, quantity: -0.2, item: rice })
+      ]);
+
+      const res = await request(app).post('/api/meal-plan/plan-1/uncomplete');
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('ALREADY_REVERTED');
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eating a planned meal', () => {
+    const plan = testData.mealPlan({
+      id: 'plan-1',
+      date: new Date('2024-01-15'),
+      mealType: 'lunch',
+      dishName: 'Rajma Chawal',
+      cuisine: 'punjabi',
+      calories: 550,
+      recipeId: 'recipe-1'
+    });
+
+    it('should log the meal to history when it is completed', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue(plan);
+
+      const res = await request(app)
+        .post('/api/meal-plan/plan-1/complete')
+        .send({ deductInventory: false });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.$transaction).toHaveBeenCalled();
+      expect(prismaMock.mealHistory.create).toHaveBeenCalledWith({
+        data: {
+          mealName: 'Rajma Chawal',
+          cuisine: 'punjabi',
+          mealType: 'lunch',
+          calories: 550,
+          recipeId: 'recipe-1',
+          mealPlanId: 'plan-1',
+          eatenAt: new Date('2024-01-15')
+        }
+      });
+      expect(res.body.historyEntry).toMatchObject({ mealName: 'Rajma Chawal', mealPlanId: 'plan-1' });
+    });
+
+    it('should not log a meal twice', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue({ ...plan, completed: true });
+
+      await request(app).post('/api/meal-plan/plan-1/complete');
+
+      expect(prismaMock.mealHistory.create).not.toHaveBeenCalled();
+    });
+
+    it('should remove the history entry on uncomplete', async () => {
+      prismaMock.mealPlan.update.mockResolvedValue({ ...plan, completed: false });
+
+      const res = await request(app).post('/api/meal-plan/plan-1/uncomplete');
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.mealHistory.deleteMany).toHaveBeenCalledWith({ where: { mealPlanId: 'plan-1' } });
+    });
+  });
+
+  describe('POST /api/meal-plan/:id/move', () => {
+    it('should move the entry into an empty slot', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue(
+        testData.mealPlan({ id: 'tue-dinner', date: new Date('2024-01-16'), mealType: 'dinner', dishName: 'Rajma Chawal' }));
+
+      const res = await request(app)
+        .post('/api/meal-plan/tue-dinner/move')
+        .send({ date: '2024-01-18', mealType: 'lunch' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ swapped: [], from: { date: '2024-01-16', mealType: 'dinner' } });
+      expect(prismaMock.$transaction).toHaveBeenCalled();
+      expect(prismaMock.mealPlan.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'tue-dinner' },
+        data: { date: new Date('2024-01-18'), mealType: 'lunch' }
+      }));
+    });
+
+    it('should swap with what is planned in the target slot', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue(
+        testData.mealPlan({ id: 'tue-dinner', date: new Date('2024-01-16'), mealType: 'dinner', dishName: 'Rajma Chawal' }));
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'thu-dinner', date: new Date('2024-01-18'), mealType: 'dinner', dishName: 'Masala Dosa' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/tue-dinner/move')
+        .send({ date: '2024-01-18', mealType: 'dinner' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.swapped).toHaveLength(1);
+      expect(prismaMock.mealPlan.findMany.mock.calls[0][0].where).toMatchObject({ id: { not: 'tue-dinner' }, mealType: 'dinner' });
+      expect(prismaMock.mealPlan.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'thu-dinner' },
+        data: { date: new Date('2024-01-16'), mealType: 'dinner' }
+      }));
+    });
+
+    it('should return 409 when a meal involved has been eaten', async () => {
+      prismaMock.mealPlan.findUnique.mockResolvedValue(
+        testData.mealPlan({ id: 'tue-dinner', date: new Date('2024-01-16'), dishName: 'Rajma Chawal' }));
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'thu-dinner', date: new Date('2024-01-18'), dishName: 'Masala Dosa', completed: true })
+      ]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/tue-dinner/move')
+        .send({ date: '2024-01-18', mealType: 'dinner' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('PLAN_COMPLETED');
+      expect(prismaMock.mealPlan.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown entry', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/missing/move')
+        .send({ date: '2024-01-18', mealType: 'dinner' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 400 for an unknown meal type', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/plan-1/move')
+        .send({ date: '2024-01-18', mealType: 'brunch' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/meal-plan/generate-week', () => {
+    it('should create breakfast, lunch and dinner for each day of the week', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: '2024-01-15' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.createdPlans).toBe(21);
+      expect(res.body.constraintReport.rules.map(r => r.rule))
+        .toEqual(['prepTime', 'cuisineStreak', 'dailyCalories', 'dietaryRules', 'noRepeats']);
+
+      const [{ data: saved }] = prismaMock.mealPlan.create.mock.calls[0];
+      expect(saved.dishName).toEqual(expect.any(String));
+      expect(saved.notes).toBeUndefined();
+      expect(Array.isArray(saved.ingredients.create)).toBe(true);
+
+      const dates = prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data.date.getTime());
+      const first = new Date('2024-01-15').getTime();
+      dates.forEach(date => {
+        expect(date).toBeGreaterThanOrEqual(first);
+        expect(date).toBeLessThan(first + 7 * 86400000);
+      });
+    });
+
+    it('should only fill the empty slots by default', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'mon-lunch', date: new Date('2024-01-15'), mealType: 'lunch', dishName: 'Rajma Chawal' }),
+        testData.mealPlan({ id: 'tue-dinner', date: new Date('2024-01-16'), mealType: 'dinner', dishName: 'Masala Dosa' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: '2024-01-15' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ mode: 'fill', createdPlans: 19, replacedPlans: 0 });
+      expect(prismaMock.mealPlan.update).not.toHaveBeenCalled();
+
+      const created = prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data);
+      expect(created.some(d => d.mealType === 'lunch' && d.date.toISOString().startsWith('2024-01-15'))).toBe(false);
+      expect(created.map(d => d.dishName)).not.toContain('Rajma Chawal');
+    });
+
+    it('should do nothing when the week is already planned', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue(['2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18', '2024-01-19', '2024-01-20', '2024-01-21']
+        .flatMap(date => ['breakfast', 'lunch', 'dinner'].map(mealType =>
+          testData.mealPlan({ id: `${date}-${mealType}`, date: new Date(date), mealType, dishName: 'Dish' }))));
+
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: '2024-01-15' });
+
+      expect(res.body.createdPlans).toBe(0);
+      expect(prismaMock.mealPlan.create).not.toHaveBeenCalled();
+    });
+
+    it('should replace uneaten meals in place and keep eaten ones', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'eaten', date: new Date('2024-01-15'), mealType: 'breakfast', dishName: 'Poha', completed: true }),
+        testData.mealPlan({ id: 'planned', date: new Date('2024-01-15'), mealType: 'lunch', dishName: 'Rajma Chawal' }),
+        testData.mealPlan({ id: 'duplicate', date: new Date('2024-01-15'), mealType: 'lunch', dishName: 'Rajma Chawal' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: '2024-01-15', mode: 'replace' });
+
+      expect(res.body).toMatchObject({ mode: 'replace', createdPlans: 19, replacedPlans: 1 });
+      expect(prismaMock.mealPlan.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'planned' } }));
+      expect(prismaMock.mealPlan.update.mock.calls[0][0].data.dishName).not.toBe('Rajma Chawal');
+      expect(prismaMock.mealPlan.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['duplicate'] } } });
+    });
+
+    it('should plan the whole week a mid-week date falls in', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: '2024-01-17' });
+
+      expect(res.body.createdPlans).toBe(21);
+      const days = new Set(prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data.date.toISOString().slice(0, 10)));
+      expect([...days].sort()).toEqual(['2024-01-15', '2024-01-16', '2024-01-17', '2024-01-18', '2024-01-19', '2024-01-20', '2024-01-21']);
+    });
+
+    it('should return 400 for invalid weekStart', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: 'next week' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 400 for an unknown mode', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/generate-week')
+        .send({ weekStart: '2024-01-15', mode: 'append' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/meal-plan/regenerate-slot', () => {
+    const week = () => [
+      testData.mealPlan({ id: 'tue-breakfast', date: new Date('2024-01-16'), mealType: 'breakfast', dishName: 'Masala Dosa', cuisine: 'south_indian', calories: 400 }),
+      testData.mealPlan({ id: 'tue-lunch', date: new Date('2024-01-16'), mealType: 'lunch', dishName: 'Chicken Biryani', notes: 'Guests coming' })
+    ];
+
+    it('should replace the dish in place with one not planned elsewhere', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue(week());
+      prismaMock.mealPlan.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+
+      const res = await request(app)
+        .post('/api/meal-plan/regenerate-slot')
+        .send({ date: '2024-01-16', mealType: 'lunch' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe('tue-lunch');
+      expect(prismaMock.mealPlan.create).not.toHaveBeenCalled();
+
+      const { data } = prismaMock.mealPlan.update.mock.calls[0][0];
+      expect(['Chicken Biryani', 'Masala Dosa']).not.toContain(data.dishName);
+      expect(data.ingredients.deleteMany).toEqual({});
+      expect(data).not.toHaveProperty('notes');
+    });
+
+    it('should plan an empty slot', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue(week());
+
+      const res = await request(app)
+        .post('/api/meal-plan/regenerate-slot')
+        .send({ date: '2024-01-16', mealType: 'dinner' });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.mealPlan.create).toHaveBeenCalledTimes(1);
+      expect(prismaMock.mealPlan.create.mock.calls[0][0].data.mealType).toBe('dinner');
+    });
+
+    it('should refuse to replace a meal already eaten', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ date: new Date('2024-01-16'), mealType: 'lunch', dishName: 'Rajma', completed: true })
+      ]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/regenerate-slot')
+        .send({ date: '2024-01-16', mealType: 'lunch' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('PLAN_COMPLETED');
+    });
+
+    it('should return 400 for an unknown meal type', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/regenerate-slot')
+        .send({ date: '2024-01-16', mealType: 'brunch' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/meal-plan/regenerate-day', () => {
+    it('should re-plan the meals of the day not eaten yet', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'eaten', date: new Date('2024-01-16'), mealType: 'breakfast', dishName: 'Poha', completed: true }),
+        testData.mealPlan({ id: 'lunch', date: new Date('2024-01-16'), mealType: 'lunch', dishName: 'Rajma Chawal' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/regenerate-day')
+        .send({ date: '2024-01-16' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.plans).toHaveLength(2);
+      expect(prismaMock.mealPlan.update).toHaveBeenCalledTimes(1);
+      expect(prismaMock.mealPlan.update.mock.calls[0][0].where).toEqual({ id: 'lunch' });
+      expect(prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data.mealType)).toEqual(['dinner']);
+    });
+
+    it('should plan again a dish eaten within the no-repeat window', async () => {
+      // Only the planner's own history lookup sees it, so the first pick repeats it
+      prismaMock.mealHistory.findMany.mockImplementation(async ({ select } = {}) => (select?.eatenAt
+        ? [{ mealName: 'Kanda Poha', eatenAt: new Date('2024-01-10T08:00:00Z') }]
+        : []));
+
+      const res = await request(app)
+        .post('/api/meal-plan/regenerate-day')
+        .send({ date: '2024-01-16' });
+
+      expect(res.status).toBe(200);
+      const dishes = prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data.dishName);
+      expect(dishes).toHaveLength(3);
+      expect(dishes).not.toContain('Kanda Poha');
+      expect(res.body.constraintReport.passed).toBe(true);
+      expect(res.body.constraintReport.rules.find(r => r.rule === 'noRepeats')).toMatchObject({ enabled: true, passed: true });
+    });
+  });
+
+  describe('GET /api/meal-plan/constraint-report', () => {
+    it('should report which rules the week passes', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ date: new Date('2024-01-15'), mealType: 'dinner', dishName: 'Biryani', prepTime: 90, calories: 700 }),
+        testData.mealPlan({ date: new Date('2024-01-20'), mealType: 'dinner', dishName: 'Biryani', prepTime: 90, calories: 700 })
+      ]);
+
+      const res = await request(app).get('/api/meal-plan/constraint-report?week=2024-01-17');
+
+      expect(res.status).toBe(200);
+      expect(res.body.weekStart).toBe('2024-01-15');
+      expect(res.body.passed).toBe(false);
+      const byRule = Object.fromEntries(res.body.rules.map(r => [r.rule, r]));
+      expect(byRule.prepTime.violations).toEqual([
+        expect.objectContaining({ date: '2024-01-15', mealType: 'dinner' })
+      ]);
+      expect(byRule.noRepeats.violations).toEqual([
+        expect.objectContaining({ date: '2024-01-20', mealType: 'dinner' })
+      ]);
+      expect(byRule.cuisineStreak.passed).toBe(true);
+      expect(byRule.dietaryRules.enabled).toBe(false);
+    });
+
+    it('should return 400 for an invalid week', async () => {
+      const res = await request(app).get('/api/meal-plan/constraint-report?week=soon');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/meal-plan/templates', () => {
+    it('should list templates with their entries', async () => {
+      prismaMock.mealPlanTemplate.findMany.mockResolvedValue([
+        testData.mealPlanTemplate({ entries: [testData.mealPlanTemplateEntry({ ingredients: '[{"name":"Rice"}]' })] })
+      ]);
+
+      const res = await request(app).get('/api/meal-plan/templates');
+
+      expect(res.status).toBe(200);
+      expect(res.body[0].entries[0].ingredients).toEqual([{ name: 'Rice' }]);
+    });
+  });
+
+  describe('POST /api/meal-plan/templates', () => {
+    it('should save the week the date falls in', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ date: new Date('2024-01-16'), mealType: 'lunch', dishName: 'Rajma Chawal' })
+      ]);
+      prismaMock.mealPlanTemplate.create.mockImplementation(async ({ data }) =>
+        testData.mealPlanTemplate({ name: data.name, entries: data.entries.create }));
+
+      const res = await request(app)
+        .post('/api/meal-plan/templates')
+        .send({ name: ' Comfort week ', weekStart: '2024-01-17' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.name).toBe('Comfort week');
+      expect(prismaMock.mealPlan.findMany.mock.calls[0][0].where.date.gte).toEqual(new Date('2024-01-15'));
+      expect(prismaMock.mealPlanTemplate.create.mock.calls[0][0].data.entries.create[0]).toMatchObject({ dayOffset: 1, mealType: 'lunch' });
+    });
+
+    it('should return 400 for an empty week', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/templates')
+        .send({ name: 'Empty', weekStart: '2024-01-15' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('NO_MEALS_PLANNED');
+    });
+
+    it('should return 409 for a name already taken', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([testData.mealPlan({ date: new Date('2024-01-15'), dishName: 'Poha' })]);
+      prismaMock.mealPlanTemplate.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+      const res = await request(app)
+        .post('/api/meal-plan/templates')
+        .send({ name: 'Taken', weekStart: '2024-01-15' });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/meal-plan/templates/:id/apply', () => {
+    it('should plan the template into the week', async () => {
+      prismaMock.mealPlanTemplate.findUnique.mockResolvedValue(testData.mealPlanTemplate({
+        entries: [testData.mealPlanTemplateEntry({ dayOffset: 4, mealType: 'dinner', dishName: 'Pav Bhaji' })]
+      }));
+
+      const res = await request(app)
+        .post('/api/meal-plan/templates/template-1/apply')
+        .send({ weekStart: '2024-02-05' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ mode: 'fill', createdPlans: 1, removedPlans: 0, skippedPlans: 0 });
+      expect(prismaMock.mealPlan.create.mock.calls[0][0].data).toMatchObject({ date: new Date('2024-02-09'), dishName: 'Pav Bhaji' });
+    });
+
+    it('should return 404 for an unknown template', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/templates/missing/apply')
+        .send({ weekStart: '2024-02-05' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/meal-plan/templates/:id', () => {
+    it('should delete the template', async () => {
+      const res = await request(app).delete('/api/meal-plan/templates/template-1');
+
+      expect(res.status).toBe(204);
+      expect(prismaMock.mealPlanTemplate.delete).toHaveBeenCalledWith({ where: { id: 'template-1' } });
+    });
+  });
+
+  describe('POST /api/meal-plan/copy-week', () => {
+    it('should copy last week onto this week', async () => {
+      prismaMock.mealPlan.findMany
+        .mockResolvedValueOnce([
+          testData.mealPlan({ date: new Date('2024-01-08'), mealType: 'breakfast', dishName: 'Upma', completed: true }),
+          testData.mealPlan({ date: new Date('2024-01-10'), mealType: 'dinner', dishName: 'Rajma Chawal' })
+        ])
+        .mockResolvedValueOnce([]);
+
+      const res = await request(app)
+        .post('/api/meal-plan/copy-week')
+        .send({ fromWeekStart: '2024-01-08', weekStart: '2024-01-15' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.createdPlans).toBe(2);
+      const created = prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data);
+      expect(created.map(d => [d.date.toISOString().slice(0, 10), d.dishName])).toEqual([
+        ['2024-01-15', 'Upma'],
+        ['2024-01-17', 'Rajma Chawal']
+      ]);
+      expect(created[0].completed).toBeUndefined();
+    });
+
+    it('should return 400 when copying a week onto itself', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/copy-week')
+        .send({ fromWeekStart: '2024-01-15', weekStart: '2024-01-17' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('SAME_WEEK');
+    });
+
+    it('should return 400 when the week to copy is empty', async () => {
+      const res = await request(app)
+        .post('/api/meal-plan/copy-week')
+        .send({ fromWeekStart: '2024-01-08', weekStart: '2024-01-15' });
+
+      expect(res.body.code).toBe('NO_MEALS_PLANNED');
+    });
+  });
+});
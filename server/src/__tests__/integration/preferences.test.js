@@ -99,4 +99,187 @@ describe('Preferences API', () => {
       expect(res.status).toBe(400);
     });
   });
+
+  describe('GET /api/preferences/dietary-rules', () => {
+    it('should return defaults when no rules are saved', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/preferences/dietary-rules');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        vegetarianDays: [],
+        avoidMeats: [],
+        allergens: [],
+        jain: false,
+        noOnionGarlic: false,
+        eggAllowed: true
+      });
+    });
+
+    it('should return saved rules', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(testData.userPreference({
+        key: 'dietaryRules',
+        value: JSON.stringify({ vegetarianDays: ['Tuesday'], avoidMeats: ['beef'] })
+      }));
+
+      const res = await request(app).get('/api/preferences/dietary-rules');
+
+      expect(res.body).toMatchObject({ vegetarianDays: ['Tuesday'], avoidMeats: ['beef'], eggAllowed: true });
+    });
+  });
+
+  describe('PUT /api/preferences/dietary-rules', () => {
+    it('should save normalized rules', async () => {
+      prismaMock.userPreferences.upsert.mockResolvedValue({});
+
+      const res = await request(app)
+        .put('/api/preferences/dietary-rules')
+        .send({ vegetarianDays: ['Tuesday', 'Thursday'], allergens: [' Peanuts '], eggAllowed: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ allergens: ['peanuts'], eggAllowed: false, avoidMeats: [] });
+      expect(prismaMock.userPreferences.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'dietaryRules' },
+        create: { key: 'dietaryRules', value: JSON.stringify(res.body) }
+      }));
+    });
+
+    it('should return 400 for an unknown day or meat', async () => {
+      const res = await request(app)
+        .put('/api/preferences/dietary-rules')
+        .send({ vegetarianDays: ['Funday'], avoidMeats: ['tofu'] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/preferences/plan-constraints', () => {
+    it('should return defaults when none are saved', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/preferences/plan-constraints');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        weekdayMaxPrepTime: 45,
+        weekendMaxPrepTime: null,
+        maxCuisineStreak: 2,
+        minDailyCaloriesPercent: 60,
+        maxDailyCaloriesPercent: 110,
+        noRepeatDays: 14
+      });
+    });
+  });
+
+  describe('PUT /api/preferences/plan-constraints', () => {
+    it('should save the constraints', async () => {
+      prismaMock.userPreferences.upsert.mockResolvedValue({});
+
+      const res = await request(app)
+        .put('/api/preferences/plan-constraints')
+        .send({ weekdayMaxPrepTime: 30, noRepeatDays: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ weekdayMaxPrepTime: 30, noRepeatDays: null, maxCuisineStreak: 2 });
+      expect(prismaMock.userPreferences.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'planConstraints' },
+        create: { key: 'planConstraints', value: JSON.stringify(res.body) }
+      }));
+    });
+
+    it('should return 400 when the calorie band is upside down', async () => {
+      const res = await request(app)
+        .put('/api/preferences/plan-constraints')
+        .send({ minDailyCaloriesPercent: 120, maxDailyCaloriesPercent: 100 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('shopping schedule', () => {
+    it('should default to shopping on Saturdays', async () => {
+      const res = await request(app).get('/api/preferences/shopping-schedule');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ shoppingDays: ['Saturday'], bufferDays: 2 });
+    });
+
+    it('should save the schedule without repeated days', async () => {
+      const res = await request(app)
+        .put('/api/preferences/shopping-schedule')
+        .send({ shoppingDays: ['Wednesday', 'Sunday', 'Wednesday'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ shoppingDays: ['Wednesday', 'Sunday'], bufferDays: 2 });
+      expect(prismaMock.userPreferences.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'shoppingSchedule' }
+      }));
+    });
+
+    it('should return 400 without any shopping day', async () => {
+      const res = await request(app).put('/api/preferences/shopping-schedule').send({ shoppingDays: [] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('calendar feed', () => {
+    const savedFeed = (feed) => testData.userPreference({ key: 'calendarFeed', value: JSON.stringify(feed) });
+
+    it('should be off with default meal times until a URL is generated', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).get('/api/preferences/calendar-feed');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        token: null,
+        enabled: false,
+        path: null,
+        mealTimes: { breakfast: '08:00', lunch: '13:00', dinner: '20:00', snack: '17:00' },
+        durationMinutes: 45
+      });
+    });
+
+    it('should generate a new URL', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(savedFeed({ token: 'old-token' }));
+
+      const res = await request(app).post('/api/preferences/calendar-feed/token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.enabled).toBe(true);
+      expect(res.body.token).not.toBe('old-token');
+      expect(res.body.path).toBe(`/api/calendar/${res.body.token}.ics`);
+    });
+
+    it('should keep the URL when meal times change', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(savedFeed({ token: 'feed-token' }));
+
+      const res = await request(app)
+        .put('/api/preferences/calendar-feed')
+        .send({ mealTimes: { dinner: '19:30' }, token: 'chosen-token' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBe('feed-token');
+      expect(res.body.mealTimes).toMatchObject({ breakfast: '08:00', dinner: '19:30' });
+    });
+
+    it('should return 400 for a meal time that is not HH:MM', async () => {
+      const res = await request(app)
+        .put('/api/preferences/calendar-feed')
+        .send({ mealTimes: { dinner: '8pm' } });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should turn the feed off', async () => {
+      prismaMock.userPreferences.findUnique.mockResolvedValue(savedFeed({ token: 'feed-token' }));
+
+      const res = await request(app).delete('/api/preferences/calendar-feed/token');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ enabled: false, token: null, path: null });
+    });
+  });
 });
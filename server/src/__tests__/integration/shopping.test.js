@@ -29,6 +29,18 @@ describe('Shopping API', () => {
       expect(res.body).toHaveLength(2);
     });
 
+    it('should flag purchased items a receipt already put away', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: '1', name: 'Atta', isPurchased: true }),
+        testData.shoppingItem({ id: '2', name: 'Onions', isPurchased: true })
+      ]);
+      prismaMock.stockMovement.findMany.mockResolvedValue([{ shoppingItemId: '1' }]);
+
+      const res = await request(app).get('/api/shopping');
+
+      expect(res.body.map(item => item.stocked)).toEqual([true, false]);
+    });
+
     it('should return empty array when no items', async () => {
       prismaMock.shoppingItem.findMany.mockResolvedValue([]);
 
@@ -154,4 +166,415 @@ describe('Shopping API', () => {
       });
     });
   });
+
+  describe('POST /api/shopping/generate', () => {
+    const plan = (id, ingredients) => testData.mealPlan({
+      id,
+      dishName: 'Dish',
+      ingredients: ingredients.map((ingredient, position) => ({ ...ingredient, position }))
+    });
+
+    beforeEach(() => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        plan('plan-1', [{ name: 'Onions', quantity: 500, unit: 'g' }, { name: 'Paneer', quantity: 200, unit: 'g' }]),
+        plan('plan-2', [{ name: 'onion', quantity: 250, unit: 'grams' }])
+      ]);
+      prismaMock.inventoryItem.findMany.mockResolvedValue([]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([]);
+      prismaMock.shoppingItem.create.mockImplementation(({ data }) => Promise.resolve({ id: 'new', ...data }));
+    });
+
+    it('should merge ingredients and tag the plans that need them', async () => {
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.diff.added).toHaveLength(2);
+      expect(prismaMock.shoppingItem.create).toHaveBeenCalledWith({
+        data: {
+          name: 'Onions',
+          quantity: 750,
+          unit: 'g',
+          category: 'vegetables',
+          isPurchased: false,
+          source: 'generated',
+          mealPlanIds: JSON.stringify(['plan-1', 'plan-2']),
+          planQuantities: JSON.stringify({ 'plan-1': 500, 'plan-2': 250 })
+        }
+      });
+    });
+
+    it('should add up amounts given in different units', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        plan('plan-1', [{ name: 'Rice', quantity: 1, unit: 'kg' }]),
+        plan('plan-2', [{ name: 'rice', quantity: '200', unit: 'g' }])
+      ]);
+
+      await request(app).post('/api/shopping/generate').send({});
+
+      expect(prismaMock.shoppingItem.create).toHaveBeenCalledTimes(1);
+      expect(prismaMock.shoppingItem.create.mock.calls[0][0].data).toMatchObject({ quantity: 1.2, unit: 'kg' });
+    });
+
+    it('should merge local and English names of the same ingredient', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        plan('plan-1', [{ name: 'Dahi', quantity: 200, unit: 'g' }]),
+        plan('plan-2', [{ name: 'Curd', quantity: 300, unit: 'g' }])
+      ]);
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Yogurt', quantity: 100, unit: 'g' })
+      ]);
+
+      await request(app).post('/api/shopping/generate').send({});
+
+      expect(prismaMock.shoppingItem.create).toHaveBeenCalledTimes(1);
+      expect(prismaMock.shoppingItem.create.mock.calls[0][0].data).toMatchObject({ name: 'Dahi', quantity: 400, category: 'dairy' });
+    });
+
+    it('should leave an up-to-date list unchanged when run again', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({
+          id: 's1', name: 'Onions', quantity: 750, unit: 'g', source: 'generated',
+          mealPlanIds: '["plan-1","plan-2"]', planQuantities: '{"plan-1":500,"plan-2":250}'
+        }),
+        testData.shoppingItem({
+          id: 's2', name: 'Paneer', quantity: 200, unit: 'g', source: 'generated',
+          mealPlanIds: '["plan-1"]', planQuantities: '{"plan-1":200}'
+        })
+      ]);
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(res.body.diff.unchanged).toHaveLength(2);
+      expect(prismaMock.shoppingItem.create).not.toHaveBeenCalled();
+      expect(prismaMock.shoppingItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep manual items and only raise them to what is needed', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 's1', name: 'Onion', quantity: 300, unit: 'g', source: 'manual', mealPlanIds: null })
+      ]);
+      prismaMock.shoppingItem.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(prismaMock.shoppingItem.update).toHaveBeenCalledWith({
+        where: { id: 's1' },
+        data: { quantity: 750, mealPlanIds: JSON.stringify(['plan-1', 'plan-2']) }
+      });
+      expect(res.body.diff.updated[0].previousQuantity).toBe(300);
+    });
+
+    it('should skip what inventory or purchased items already cover', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Paneer', quantity: 0.5, unit: 'kg' })
+      ]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 's1', name: 'Onions', quantity: 1, unit: 'kg', isPurchased: true })
+      ]);
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(res.body.diff.skipped.map(s => s.reason)).toEqual(['purchased', 'in_stock']);
+      expect(prismaMock.shoppingItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should not count a purchase twice once a receipt put it away', async () => {
+      // The receipt's onions are already in the inventory
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Onions', quantity: 1, unit: 'kg' })
+      ]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 's1', name: 'Onions', quantity: 1, unit: 'kg', isPurchased: true })
+      ]);
+      prismaMock.stockMovement.findMany.mockResolvedValue([{ shoppingItemId: 's1' }]);
+      prismaMock.mealPlan.findMany.mockResolvedValue([plan('plan-1', [{ name: 'Onions', quantity: 1500, unit: 'g' }])]);
+
+      await request(app).post('/api/shopping/generate').send({});
+
+      expect(prismaMock.shoppingItem.create.mock.calls[0][0].data).toMatchObject({ name: 'Onions', quantity: 500 });
+    });
+
+    it('should remove generated items the plan no longer needs', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Paneer', quantity: 0.5, unit: 'kg' })
+      ]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 's1', name: 'Onions', quantity: 750, unit: 'g', source: 'generated', mealPlanIds: '["plan-1","plan-2"]' }),
+        // Now covered by stock
+        testData.shoppingItem({ id: 's2', name: 'Paneer', quantity: 200, unit: 'g', source: 'generated', mealPlanIds: '["plan-1"]' }),
+        // For a dish taken off the plan
+        testData.shoppingItem({ id: 's3', name: 'Chicken', quantity: 500, unit: 'g', source: 'generated', mealPlanIds: '["plan-gone"]' }),
+        testData.shoppingItem({ id: 's4', name: 'Bread', quantity: 1, unit: 'packets', source: 'manual', mealPlanIds: null })
+      ]);
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(res.body.diff.removed.map(item => item.id)).toEqual(['s2', 's3']);
+      expect(prismaMock.shoppingItem.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['s2', 's3'] } } });
+    });
+
+    it('should keep generated items another week still needs', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 's1', name: 'Chicken', quantity: 500, unit: 'g', source: 'generated', mealPlanIds: '["plan-1","plan-next-week"]' })
+      ]);
+      prismaMock.mealPlan.findMany.mockImplementation(({ where }) => Promise.resolve(where.id
+        ? [{ id: 'plan-next-week' }]
+        : [
+          plan('plan-1', [{ name: 'Onions', quantity: 500, unit: 'g' }]),
+          plan('plan-2', [{ name: 'Paneer', quantity: 200, unit: 'g' }])
+        ]));
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(res.body.diff.removed).toEqual([]);
+      expect(prismaMock.mealPlan.findMany).toHaveBeenLastCalledWith({ where: { id: { in: ['plan-next-week'] } }, select: { id: true } });
+      expect(prismaMock.shoppingItem.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should add a second week to what the first week already listed', async () => {
+      const rice = testData.shoppingItem({
+        id: 's1', name: 'Rice', quantity: 1, unit: 'kg', source: 'generated',
+        mealPlanIds: '["week-1"]', planQuantities: '{"week-1":1}'
+      });
+      prismaMock.shoppingItem.findMany.mockResolvedValue([rice]);
+      prismaMock.mealPlan.findMany.mockResolvedValue([plan('week-2', [{ name: 'Rice', quantity: 500, unit: 'g' }])]);
+      prismaMock.shoppingItem.update.mockImplementation(({ where, data }) => Promise.resolve({ ...rice, id: where.id, ...data }));
+
+      await request(app).post('/api/shopping/generate').send({ week: '2024-01-22' });
+
+      const bothWeeks = {
+        quantity: 1.5,
+        mealPlanIds: JSON.stringify(['week-1', 'week-2']),
+        planQuantities: JSON.stringify({ 'week-1': 1, 'week-2': 0.5 })
+      };
+      expect(prismaMock.shoppingItem.update).toHaveBeenCalledWith({ where: { id: 's1' }, data: bothWeeks });
+
+      // Generating either week again leaves the other week's rice in place
+      prismaMock.shoppingItem.update.mockClear();
+      prismaMock.shoppingItem.findMany.mockResolvedValue([{ ...rice, ...bothWeeks }]);
+      prismaMock.mealPlan.findMany.mockResolvedValue([plan('week-1', [{ name: 'Rice', quantity: 1, unit: 'kg' }])]);
+
+      const res = await request(app).post('/api/shopping/generate').send({ week: '2024-01-15' });
+
+      expect(res.body.diff.unchanged).toHaveLength(1);
+      expect(prismaMock.shoppingItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep a forecast top-up when the week is generated again', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({
+          id: 's1', name: 'Paneer', quantity: 500, unit: 'g', source: 'generated',
+          mealPlanIds: '["plan-1"]', planQuantities: '{"plan-1":200}'
+        })
+      ]);
+      prismaMock.mealPlan.findMany.mockResolvedValue([plan('plan-1', [{ name: 'Paneer', quantity: 250, unit: 'g' }])]);
+
+      await request(app).post('/api/shopping/generate').send({});
+
+      expect(prismaMock.shoppingItem.update).toHaveBeenCalledWith({
+        where: { id: 's1' },
+        data: { quantity: 550, mealPlanIds: '["plan-1"]', planQuantities: '{"plan-1":250}' }
+      });
+    });
+
+    it('should take back only its own share of an item another week still needs', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({
+          id: 's1', name: 'Chicken', quantity: 800, unit: 'g', source: 'generated',
+          mealPlanIds: '["plan-1","plan-next-week"]', planQuantities: '{"plan-1":300,"plan-next-week":500}'
+        })
+      ]);
+      prismaMock.mealPlan.findMany.mockImplementation(({ where }) => Promise.resolve(where.id
+        ? [{ id: 'plan-next-week' }]
+        : [plan('plan-1', [{ name: 'Onions', quantity: 500, unit: 'g' }])]));
+      prismaMock.shoppingItem.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(prismaMock.shoppingItem.update).toHaveBeenCalledWith({
+        where: { id: 's1' },
+        data: { quantity: 500, mealPlanIds: '["plan-next-week"]', planQuantities: '{"plan-next-week":500}' }
+      });
+      expect(res.body.diff.updated[0].previousQuantity).toBe(800);
+    });
+
+    it('should return 400 when nothing is planned', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([]);
+
+      const res = await request(app).post('/api/shopping/generate').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('NO_MEALS_PLANNED');
+    });
+  });
+
+  describe('POST /api/shopping/put-away', () => {
+    const ONION_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+    const PANEER_ID = '16fd2706-8baf-433b-82eb-8c7fada847da';
+
+    beforeEach(() => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: ONION_ID, name: 'Onions', quantity: 500, unit: 'g', category: 'vegetables' }),
+        testData.shoppingItem({ id: PANEER_ID, name: 'Paneer', quantity: 200, unit: 'g', category: 'dairy' })
+      ]);
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'inv-onion', name: 'Onion', quantity: 1, unit: 'kg' })
+      ]);
+      prismaMock.inventoryItem.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, unit: 'kg', ...data }));
+    });
+
+    it('should only take items a receipt already put away off the list', async () => {
+      prismaMock.stockMovement.findMany.mockResolvedValue([{ shoppingItemId: PANEER_ID }]);
+
+      const res = await request(app)
+        .post('/api/shopping/put-away')
+        .send({ items: [{ id: ONION_ID }, { id: PANEER_ID }] });
+
+      expect(res.body.results.map(r => r.shoppingItemId)).toEqual([ONION_ID]);
+      expect(prismaMock.inventoryItem.create).not.toHaveBeenCalled();
+      expect(prismaMock.shoppingItem.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [ONION_ID, PANEER_ID] } } });
+    });
+
+    it('should top up matching items and create the rest', async () => {
+      const res = await request(app)
+        .post('/api/shopping/put-away')
+        .send({ items: [{ id: ONION_ID }, { id: PANEER_ID, expiresAt: '2024-01-20' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.results.map(r => r.action)).toEqual(['updated', 'created']);
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({
+        where: { id: 'inv-onion' },
+        data: { quantity: 1.5, expiresAt: null }
+      });
+      expect(prismaMock.inventoryItem.create).toHaveBeenCalledWith({
+        data: { name: 'Paneer', category: 'dairy', quantity: 200, unit: 'g', expiresAt: new Date('2024-01-20') }
+      });
+      expect(prismaMock.stockMovement.create).toHaveBeenCalledWith({
+        data: {
+          itemId: 'inv-onion',
+          quantity: 0.5,
+          unit: 'kg',
+          reason: 'purchased',
+          note: null,
+          mealPlanId: null,
+          mealHistoryId: null,
+          shoppingItemId: ONION_ID
+        }
+      });
+      expect(prismaMock.shoppingItem.deleteMany).toHaveBeenCalledWith({
+        where: { id: { in: [ONION_ID, PANEER_ID] } }
+      });
+    });
+
+    it('should convert pieces to the weight the item is stocked in', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: ONION_ID, name: 'Onions', quantity: 4, unit: 'pieces' })
+      ]);
+
+      await request(app)
+        .post('/api/shopping/put-away')
+        .send({ items: [{ id: ONION_ID }] });
+
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({
+        where: { id: 'inv-onion' },
+        data: { quantity: 1.6, expiresAt: null }
+      });
+    });
+
+    it('should create a separate item when units do not convert', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: ONION_ID, name: 'Onions', quantity: 2, unit: 'bags' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/shopping/put-away')
+        .send({ items: [{ id: ONION_ID, category: 'vegetables' }] });
+
+      expect(res.body.results[0].action).toBe('created');
+    });
+
+    it('should return 400 without items', async () => {
+      const res = await request(app)
+        .post('/api/shopping/put-away')
+        .send({ items: [] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('receipts', () => {
+    const ATTA_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+    beforeEach(() => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'inv-atta', name: 'Atta', category: 'grains', quantity: 1, unit: 'kg' })
+      ]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: ATTA_ID, name: 'Atta', quantity: 5, unit: 'kg' })
+      ]);
+    });
+
+    it('should preview a pasted receipt without saving', async () => {
+      const res = await request(app)
+        .post('/api/shopping/receipt/preview')
+        .send({ text: 'Aashirvaad Atta 5 kg x 1 ₹245\nAmul Butter 100 g x 2 ₹112\nDelivery fee ₹0' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.items).toHaveLength(2);
+      expect(res.body.items[0]).toMatchObject({
+        name: 'Atta',
+        quantity: 5,
+        unit: 'kg',
+        stock: { id: 'inv-atta', adding: 5 },
+        shoppingItem: { id: ATTA_ID }
+      });
+      expect(res.body.items[1]).toMatchObject({ name: 'Butter', quantity: 200, unit: 'g', stock: null, shoppingItem: null });
+      expect(res.body.skipped).toHaveLength(1);
+      expect(res.body.total).toBe(357);
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+      expect(prismaMock.inventoryItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty receipt', async () => {
+      const res = await request(app)
+        .post('/api/shopping/receipt/preview')
+        .send({ text: '' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should put reviewed items away and check off the list', async () => {
+      prismaMock.inventoryItem.update.mockImplementation(({ where, data }) =>
+        Promise.resolve(testData.inventoryItem({ id: where.id, name: 'Atta', ...data })));
+
+      const res = await request(app)
+        .post('/api/shopping/receipt')
+        .send({
+          items: [
+            { name: 'Atta', quantity: 5, unit: 'kg', category: 'grains', shoppingItemId: ATTA_ID },
+            { name: 'Butter', quantity: 200, unit: 'g', category: 'dairy', expiresAt: '2024-02-01' }
+          ]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.putAway).toBe(2);
+      expect(res.body.checkedOff).toBe(1);
+      expect(prismaMock.$transaction).toHaveBeenCalledTimes(1);
+      expect(prismaMock.inventoryItem.create).toHaveBeenCalledWith({
+        data: { name: 'Butter', category: 'dairy', quantity: 200, unit: 'g', expiresAt: new Date('2024-02-01') }
+      });
+      expect(prismaMock.shoppingItem.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: [ATTA_ID] } },
+        data: { isPurchased: true }
+      });
+    });
+
+    it('should reject items without a quantity', async () => {
+      const res = await request(app)
+        .post('/api/shopping/receipt')
+        .send({ items: [{ name: 'Atta', unit: 'kg' }] });
+
+      expect(res.status).toBe(400);
+    });
+  });
 });
@@ -0,0 +1,250 @@
+/**
+ * Integration tests for Suggest API
+ * Runs against the offline stub provider (AI_PROVIDER=stub in jest.env.js)
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import request from 'supertest';
+import { createTestApp } from '../setup/test-app.js';
+import { createPrismaMock, testData } from '../setup/prisma-mock.js';
+
+describe('Suggest API', () => {
+  let app;
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+    app = createTestApp(prismaMock);
+  });
+
+  describe('POST /api/suggest', () => {
+    it('should return three suggestions with calorie info', async () => {
+      const res = await request(app)
+        .post('/api/suggest')
+        .send({ mood: 'lazy', timeAvailable: '20', mealType: 'dinner' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.suggestions).toHaveLength(3);
+      expect(res.body.calorieInfo).toMatchObject({ dailyGoal: 2000, consumed: 0 });
+    });
+
+    it('should sort suggestions by calories', async () => {
+      const res = await request(app).post('/api/suggest').send({});
+
+      const calories = res.body.suggestions.map(s => s.estimatedCalories);
+      expect(calories).toEqual([...calories].sort((a, b) => a - b));
+    });
+
+    it('should not suggest recently eaten meals', async () => {
+      prismaMock.mealHistory.findMany.mockResolvedValue([
+        testData.mealHistory({ mealName: 'Masala Omelette' })
+      ]);
+
+      const res = await request(app)
+        .post('/api/suggest')
+        .send({ mealType: 'breakfast', cuisine: 'indian' });
+
+      expect(res.body.suggestions.map(s => s.name)).not.toContain('Masala Omelette');
+    });
+
+    it('should remember rejected meals', async () => {
+      await request(app)
+        .post('/api/suggest')
+        .send({ mealType: 'dinner', rejectedMeals: [{ name: 'Biryani', reason: 'too heavy' }] });
+
+      expect(prismaMock.rejectedSuggestion.createMany).toHaveBeenCalledWith({
+        data: [{ mealName: 'Biryani', cuisine: null, mealType: 'dinner', reason: 'too heavy', sessionId: null }]
+      });
+    });
+
+    it('should never suggest dishes that break the dietary rules', async () => {
+      const rules = { avoidMeats: ['chicken', 'mutton', 'fish', 'seafood'], allergens: ['peanut'], noOnionGarlic: true };
+      prismaMock.userPreferences.findUnique.mockImplementation(({ where }) =>
+        Promise.resolve(where.key === 'dietaryRules'
+          ? testData.userPreference({ key: 'dietaryRules', value: JSON.stringify(rules) })
+          : null));
+
+      const res = await request(app)
+        .post('/api/suggest')
+        .send({ mealType: 'dinner' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.suggestions.length).toBeGreaterThan(0);
+      for (const suggestion of res.body.suggestions) {
+        const text = [suggestion.name, ...suggestion.ingredients.map(i => i.name)].join(' ');
+        expect(text).not.toMatch(/chicken|mutton|fish|prawn|peanut|onion|garlic/i);
+      }
+    });
+
+    it('should use up what is expiring when asked', async () => {
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ name: 'Spinach', quantity: 300, unit: 'g', expiresAt: new Date(Date.now() + 86400000) })
+      ]);
+
+      const res = await request(app)
+        .post('/api/suggest')
+        .send({ mealType: 'dinner', useUpExpiring: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.expiring.map(i => i.name)).toEqual(['Spinach']);
+      expect(res.body.suggestions.some(sg => sg.ingredients.some(i => i.name === 'Spinach'))).toBe(true);
+    });
+
+    it('should return 400 for invalid meal type', async () => {
+      const res = await request(app)
+        .post('/api/suggest')
+        .send({ mealType: 'brunch' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/suggest/chat', () => {
+    it('should return a message and suggestions', async () => {
+      const res = await request(app)
+        .post('/api/suggest/chat')
+        .send({
+          mealType: 'lunch',
+          conversation: [{ role: 'user', content: 'Something quick please' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(typeof res.body.message).toBe('string');
+      expect(res.body.suggestions.length).toBeGreaterThan(0);
+    });
+
+    it('should save the turn and the suggestions turned down in a session', async () => {
+      const sessionId = '7f9c1c3e-2a4b-4c5d-8e6f-0a1b2c3d4e5f';
+      prismaMock.chatSession.findUnique.mockResolvedValue(testData.chatSession({ id: sessionId }));
+      prismaMock.chatMessage.findFirst.mockResolvedValue(testData.chatMessage({ sessionId }));
+
+      const res = await request(app)
+        .post('/api/suggest/chat')
+        .send({
+          mealType: 'dinner',
+          sessionId,
+          conversation: [{ role: 'user', content: 'Too heavy, something light' }],
+          rejected: [{ name: 'Rajma Chawal', reason: 'Too heavy' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.rejectedSuggestion.createMany).toHaveBeenCalledWith({
+        data: [{ mealName: 'Rajma Chawal', cuisine: 'north_indian', mealType: 'dinner', reason: 'Too heavy', sessionId }]
+      });
+
+      const saved = prismaMock.chatMessage.create.mock.calls.map(([{ data }]) => data);
+      expect(saved[0]).toEqual({ sessionId, role: 'user', content: 'Too heavy, something light' });
+      expect(saved[1]).toMatchObject({ sessionId, role: 'assistant', content: res.body.message });
+      expect(JSON.parse(saved[1].suggestions)).toEqual(res.body.suggestions);
+      expect(prismaMock.chatSession.update).toHaveBeenCalledWith({
+        where: { id: sessionId },
+        data: { title: 'Too heavy, something light' }
+      });
+    });
+
+    it('should not count suggestions the user just moved on from as rejected', async () => {
+      const sessionId = '7f9c1c3e-2a4b-4c5d-8e6f-0a1b2c3d4e5f';
+      prismaMock.chatSession.findUnique.mockResolvedValue(testData.chatSession({ id: sessionId }));
+      prismaMock.chatMessage.findFirst.mockResolvedValue(testData.chatMessage({ sessionId }));
+
+      const res = await request(app)
+        .post('/api/suggest/chat')
+        .send({
+          mealType: 'dinner',
+          sessionId,
+          conversation: [{ role: 'user', content: 'What else goes with rice?' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(prismaMock.rejectedSuggestion.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      const res = await request(app)
+        .post('/api/suggest/chat')
+        .send({
+          sessionId: '7f9c1c3e-2a4b-4c5d-8e6f-0a1b2c3d4e5f',
+          conversation: [{ role: 'user', content: 'Hi' }]
+        });
+
+      expect(res.status).toBe(404);
+      expect(prismaMock.chatMessage.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without a conversation', async () => {
+      const res = await request(app)
+        .post('/api/suggest/chat')
+        .send({ mealType: 'lunch' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/suggest/chat/stream', () => {
+    const parseEvents = text => text
+      .trim()
+      .split('\n\n')
+      .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+      });
+
+    it('should stream message text, each suggestion, then the full reply', async () => {
+      const res = await request(app)
+        .post('/api/suggest/chat/stream')
+        .send({
+          mealType: 'dinner',
+          conversation: [{ role: 'user', content: 'Something light please' }]
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = parseEvents(res.text);
+      const done = events.at(-1);
+      expect(done.event).toBe('done');
+
+      const text = events.filter(e => e.event === 'message').map(e => e.data.delta).join('');
+      expect(text).toBe(done.data.message);
+
+      const streamed = events.filter(e => e.event === 'suggestion').map(e => e.data.suggestion);
+      expect(streamed.length).toBeGreaterThan(0);
+      expect(streamed).toEqual(done.data.suggestions);
+    });
+
+    it('should match the non-streaming reply', async () => {
+      const body = {
+        mealType: 'lunch',
+        conversation: [{ role: 'user', content: 'Something quick please' }]
+      };
+
+      const plain = await request(app).post('/api/suggest/chat').send(body);
+      const streamed = await request(app).post('/api/suggest/chat/stream').send(body);
+
+      const done = parseEvents(streamed.text).at(-1).data;
+      expect(done.suggestions.map(s => s.name)).toEqual(plain.body.suggestions.map(s => s.name));
+    });
+
+    it('should save the finished reply in a session', async () => {
+      const sessionId = '7f9c1c3e-2a4b-4c5d-8e6f-0a1b2c3d4e5f';
+      prismaMock.chatSession.findUnique.mockResolvedValue(testData.chatSession({ id: sessionId }));
+
+      const res = await request(app)
+        .post('/api/suggest/chat/stream')
+        .send({ sessionId, conversation: [{ role: 'user', content: 'Something quick' }] });
+
+      const done = parseEvents(res.text).at(-1).data;
+      expect(prismaMock.chatMessage.create).toHaveBeenLastCalledWith({
+        data: expect.objectContaining({ sessionId, role: 'assistant', content: done.message })
+      });
+    });
+
+    it('should return 400 before streaming for an invalid body', async () => {
+      const res = await request(app)
+        .post('/api/suggest/chat/stream')
+        .send({ mealType: 'lunch' });
+
+      expect(res.status).toBe(400);
+      expect(res.headers['content-type']).toMatch(/json/);
+    });
+  });
+});
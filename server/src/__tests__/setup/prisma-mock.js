@@ -14,7 +14,9 @@ export function createPrismaMock() {
     findUnique: jest.fn().mockResolvedValue(null),
     findFirst: jest.fn().mockResolvedValue(null),
     create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'mock-id', ...data, createdAt: new Date(), updatedAt: new Date() })),
+    createMany: jest.fn().mockImplementation(({ data }) => Promise.resolve({ count: data.length })),
     update: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'mock-id', ...data, updatedAt: new Date() })),
+    updateMany: jest.fn().mockResolvedValue({ count: 0 }),
     delete: jest.fn().mockResolvedValue({}),
     deleteMany: jest.fn().mockResolvedValue({ count: 0 }),
     upsert: jest.fn().mockImplementation(({ create }) => Promise.resolve({ id: 'mock-id', ...create })),
@@ -22,20 +24,31 @@ export function createPrismaMock() {
     aggregate: jest.fn().mockResolvedValue({})
   });
 
-  return {
+  const prisma = {
     inventoryItem: createModelMock(),
     meal: createModelMock(),
     mealPlan: createModelMock(),
+    plannedIngredient: createModelMock(),
+    mealPlanTemplate: createModelMock(),
+    mealPlanTemplateEntry: createModelMock(),
     mealHistory: createModelMock(),
     recipe: createModelMock(),
     shoppingItem: createModelMock(),
     dayReview: createModelMock(),
     weekReview: createModelMock(),
     userPreferences: createModelMock(),
+    chatSession: createModelMock(),
+    chatMessage: createModelMock(),
+    rejectedSuggestion: createModelMock(),
+    stockMovement: createModelMock(),
+    ingredient: createModelMock(),
     $connect: jest.fn().mockResolvedValue(undefined),
     $disconnect: jest.fn().mockResolvedValue(undefined),
-    $transaction: jest.fn().mockImplementation(fn => fn())
+    // Interactive transactions receive the mock itself as the transaction client
+    $transaction: jest.fn().mockImplementation(fn => (typeof fn === 'function' ? fn(prisma) : Promise.all(fn)))
   };
+
+  return prisma;
 }
 
 /**
@@ -85,13 +98,48 @@ export const testData = {
     id: 'plan-1',
     date: new Date(),
     mealType: 'dinner',
+    dishName: null,
+    cuisine: null,
+    calories: null,
+    prepTime: null,
+    servings: null,
+    description: null,
+    ingredients: [],
     mealId: null,
+    recipeId: null,
     notes: 'Test plan',
     completed: false,
     completedAt: null,
     ...overrides
   }),
 
+  mealPlanTemplate: (overrides = {}) => ({
+    id: 'template-1',
+    name: 'Test Week',
+    entries: [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...overrides
+  }),
+
+  mealPlanTemplateEntry: (overrides = {}) => ({
+    id: 'template-entry-1',
+    templateId: 'template-1',
+    dayOffset: 0,
+    mealType: 'dinner',
+    dishName: 'Test Dish',
+    cuisine: null,
+    calories: null,
+    prepTime: null,
+    servings: null,
+    description: null,
+    ingredients: '[]',
+    mealId: null,
+    recipeId: null,
+    notes: null,
+    ...overrides
+  }),
+
   recipe: (overrides = {}) => ({
     id: 'recipe-1',
     mealName: 'Test Recipe',
@@ -142,6 +190,52 @@ export const testData = {
     ...overrides
   }),
 
+  chatSession: (overrides = {}) => ({
+    id: 'chat-session-1',
+    title: null,
+    mealType: 'dinner',
+    source: 'home',
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...overrides
+  }),
+
+  chatMessage: (overrides = {}) => ({
+    id: 'chat-message-1',
+    sessionId: 'chat-session-1',
+    role: 'assistant',
+    content: 'Here are some meal suggestions.',
+    suggestions: JSON.stringify([{ name: 'Rajma Chawal', cuisine: 'north_indian', mealType: 'dinner' }]),
+    createdAt: new Date(),
+    ...overrides
+  }),
+
+  rejectedSuggestion: (overrides = {}) => ({
+    id: 'rejection-1',
+    mealName: 'Rajma Chawal',
+    cuisine: 'north_indian',
+    mealType: 'dinner',
+    reason: 'too heavy',
+    sessionId: null,
+    createdAt: new Date(),
+    ...overrides
+  }),
+
+  stockMovement: (overrides = {}) => ({
+    id: 'movement-1',
+    itemId: 'inv-1',
+    quantity: -0.5,
+    unit: 'kg',
+    reason: 'cooked',
+    note: null,
+    mealPlanId: 'plan-1',
+    mealHistoryId: null,
+    shoppingItemId: null,
+    revertedAt: null,
+    createdAt: new Date(),
+    ...overrides
+  }),
+
   userPreference: (overrides = {}) => ({
     id: 'pref-1',
     key: 'dailyCalorieGoal',
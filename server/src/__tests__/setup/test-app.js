@@ -5,6 +5,7 @@
 import express from 'express';
 import cors from 'cors';
 import { errorHandler, notFoundHandler } from '../../middleware/error-handler.js';
+import { requireAuth } from '../../middleware/auth.js';
 
 import inventoryRoutes from '../../routes/inventory.js';
 import mealsRoutes from '../../routes/meals.js';
@@ -16,17 +17,28 @@ import reviewsRoutes from '../../routes/reviews.js';
 import preferencesRoutes from '../../routes/preferences.js';
 import authRoutes from '../../routes/auth.js';
 import recipeRoutes from '../../routes/recipe.js';
+import chatRoutes from '../../routes/chat.js';
+import ingredientsRoutes from '../../routes/ingredients.js';
+import calendarRoutes from '../../routes/calendar.js';
+import backupRoutes from '../../routes/backup.js';
 
 /**
  * Creates a test Express app with the given Prisma mock
  * @param {object} prismaMock - Mocked Prisma client
+ * @param {object} [options]
+ * @param {boolean} [options.auth=false] - Enforce session tokens like the real app
  * @returns {Express.Application}
  */
-export function createTestApp(prismaMock) {
+export function createTestApp(prismaMock, { auth = false } = {}) {
   const app = express();
 
+  // Behind one proxy, like the real app
+  app.set('trust proxy', 1);
+
   app.use(cors());
-  app.use(express.json());
+  // Restores are parsed by the backup router, after auth, like the real app
+  const jsonBody = express.json();
+  app.use((req, res, next) => (req.path === '/api/backup/restore' ? next() : jsonBody(req, res, next)));
 
   // Inject mock Prisma client
   app.use((req, res, next) => {
@@ -34,6 +46,21 @@ export function createTestApp(prismaMock) {
     next();
   });
 
+  // Public routes
+  app.use('/api/auth', authRoutes);
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', message: 'No Daal Chawal API is running' });
+  });
+
+  // Calendar feed, authenticated by the token in its URL
+  app.use('/api/calendar', calendarRoutes);
+
+  if (auth) {
+    app.use('/api', requireAuth);
+  }
+
   // Routes
   app.use('/api/inventory', inventoryRoutes);
   app.use('/api/meals', mealsRoutes);
@@ -43,13 +70,10 @@ export function createTestApp(prismaMock) {
   app.use('/api/shopping', shoppingRoutes);
   app.use('/api/reviews', reviewsRoutes);
   app.use('/api/preferences', preferencesRoutes);
-  app.use('/api/auth', authRoutes);
   app.use('/api/recipes', recipeRoutes);
-
-  // Health check
-  app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', message: 'No Daal Chawal API is running' });
-  });
+  app.use('/api/chat', chatRoutes);
+  app.use('/api/ingredients', ingredientsRoutes);
+  app.use('/api/backup', backupRoutes);
 
   // 404 handler for unknown API routes
   app.use('/api/*', notFoundHandler);
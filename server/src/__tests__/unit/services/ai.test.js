@@ -0,0 +1,254 @@
+/**
+ * Unit tests for AI service response validation and retry
+ */
+import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+
+const complete = jest.fn();
+jest.unstable_mockModule('../../../services/providers/index.js', () => ({
+  getProvider: () => ({ name: 'fake', model: 'fake', complete })
+}));
+
+const { suggestMeals, generateWeekMealPlan, generatePlanSlots, generateRecipe, streamChatSuggestMeals } = await import('../../../services/ai.js');
+const { AIResponseError } = await import('../../../middleware/error-handler.js');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const meal = { name: 'Poha', cuisine: 'maharashtrian', prepTime: 15, estimatedCalories: 300, ingredients: [] };
+const validWeek = {
+  weekPlan: DAYS.map(day => ({ day, meals: { breakfast: meal, lunch: meal, dinner: meal } }))
+};
+
+const suggestArgs = { inventory: [], recentMeals: [], avoidCuisines: [] };
+const noBeef = {
+  vegetarianDays: [],
+  avoidMeats: ['beef'],
+  allergens: ['peanut'],
+  jain: false,
+  noOnionGarlic: false,
+  eggAllowed: true
+};
+const beefFry = { ...meal, name: 'Kerala Beef Fry', cuisine: 'kerala' };
+// No built-in dish keeps these
+const jainNoDairyOrGluten = { ...noBeef, allergens: ['dairy', 'gluten'], jain: true };
+const chatArgs = {
+  mealType: 'lunch',
+  conversation: [{ role: 'user', content: 'Surprise me' }],
+  calorieContext: { remaining: 1200, dailyGoal: 2000 }
+};
+
+async function collect(events) {
+  const all = [];
+  for await (const event of events) all.push(event);
+  return all;
+}
+
+describe('AI Service', () => {
+  beforeEach(() => {
+    complete.mockReset();
+  });
+
+  it('should return validated data without retrying', async () => {
+    complete.mockResolvedValue(JSON.stringify(validWeek));
+
+    const result = await generateWeekMealPlan({ weekStart: '2024-01-15' });
+
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(result.weekPlan).toHaveLength(7);
+  });
+
+  it('should re-prompt once with the validation errors', async () => {
+    const broken = { weekPlan: validWeek.weekPlan.slice(0, 6) };
+    complete
+      .mockResolvedValueOnce(JSON.stringify(broken))
+      .mockResolvedValueOnce(JSON.stringify(validWeek));
+
+    const result = await generateWeekMealPlan({ weekStart: '2024-01-15' });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    const retryMessages = complete.mock.calls[1][0].messages;
+    expect(retryMessages.at(-2)).toMatchObject({ role: 'assistant' });
+    expect(retryMessages.at(-1).content).toMatch(/did not match/);
+    expect(retryMessages.at(-1).content).toMatch(/weekPlan/);
+    expect(result.weekPlan).toHaveLength(7);
+  });
+
+  it('should retry when the reply is not JSON', async () => {
+    complete
+      .mockResolvedValueOnce('Sure! Here is your recipe...')
+      .mockResolvedValueOnce(JSON.stringify({
+        mealName: 'Poha',
+        cuisine: 'maharashtrian',
+        prepTime: 10,
+        cookTime: 10,
+        servings: 2,
+        ingredients: [{ item: 'Poha', quantity: '200', unit: 'g' }],
+        instructions: [{ step: 1, text: 'Rinse poha' }],
+        tips: []
+      }));
+
+    const result = await generateRecipe({ name: 'Poha', cuisine: 'maharashtrian' });
+
+    expect(complete.mock.calls[1][0].messages.at(-1).content).toMatch(/not valid JSON/);
+    expect(result.ingredients[0].quantity).toBe(200);
+  });
+
+  it('should throw AI_INVALID_RESPONSE when the retry is also invalid', async () => {
+    complete.mockResolvedValue(JSON.stringify({ weekPlan: [] }));
+
+    const error = await generateWeekMealPlan({ weekStart: '2024-01-15' }).catch(e => e);
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(error).toBeInstanceOf(AIResponseError);
+    expect(error.code).toBe('AI_INVALID_RESPONSE');
+    expect(error.statusCode).toBe(502);
+    expect(error.details.length).toBeGreaterThan(0);
+  });
+
+  it('should fall back to offline suggestions when suggestions stay invalid', async () => {
+    complete.mockResolvedValue(JSON.stringify({ suggestions: [] }));
+
+    const suggestions = await suggestMeals({ ...suggestArgs, timeAvailable: '15' });
+
+    expect(suggestions).toHaveLength(3);
+    expect(suggestions.every(s => s.prepTime <= 15)).toBe(true);
+  });
+
+  it('should recommend from the household\'s own dishes when the provider fails', async () => {
+    complete.mockRejectedValue(new Error('network down'));
+    const getFallbackCandidates = jest.fn().mockResolvedValue([
+      { name: 'Family Khichdi', cuisine: 'gujarati', mealTypes: ['dinner'], prepTime: 25, ingredients: [], rating: 5, source: 'history' }
+    ]);
+
+    const suggestions = await suggestMeals({
+      ...suggestArgs,
+      mood: 'comfort',
+      mealType: 'dinner',
+      getFallbackCandidates
+    });
+
+    expect(getFallbackCandidates).toHaveBeenCalled();
+    expect(suggestions[0]).toMatchObject({ name: 'Family Khichdi', mealType: 'dinner' });
+  });
+
+  it('should stream from providers without streaming support', async () => {
+    complete.mockResolvedValue(JSON.stringify({ message: 'Try this', suggestions: [meal] }));
+
+    const events = await collect(streamChatSuggestMeals(chatArgs));
+
+    expect(events.map(e => e.type)).toEqual(['message', 'suggestion', 'done']);
+    expect(events.at(-1)).toMatchObject({ message: 'Try this', suggestions: [{ name: 'Poha', mealType: 'lunch' }] });
+  });
+
+  it('should fall back to a validated retry when nothing usable was streamed', async () => {
+    complete
+      .mockResolvedValueOnce('not json at all')
+      .mockResolvedValueOnce(JSON.stringify({ message: 'Second try', suggestions: [meal] }));
+
+    const events = await collect(streamChatSuggestMeals(chatArgs));
+
+    expect(events.at(-1)).toMatchObject({ type: 'done', message: 'Second try' });
+    expect(events.at(-1).suggestions).toHaveLength(1);
+  });
+
+  it('should re-prompt once when suggestions break the dietary rules', async () => {
+    complete
+      .mockResolvedValueOnce(JSON.stringify({ suggestions: [beefFry, meal] }))
+      .mockResolvedValueOnce(JSON.stringify({ suggestions: [meal, { ...meal, name: 'Upma' }] }));
+
+    const suggestions = await suggestMeals({ ...suggestArgs, dietaryRules: noBeef });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(complete.mock.calls[0][0].messages[1].content).toMatch(/DIETARY RULES[\s\S]*Never use: beef/);
+    expect(complete.mock.calls[1][0].messages.at(-1).content).toMatch(/Kerala Beef Fry: contains beef/);
+    expect(suggestions.map(s => s.name)).toEqual(['Poha', 'Upma']);
+  });
+
+  it('should drop suggestions that still break the rules after the retry', async () => {
+    complete.mockResolvedValue(JSON.stringify({ suggestions: [beefFry, meal] }));
+
+    const suggestions = await suggestMeals({ ...suggestArgs, dietaryRules: noBeef });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(suggestions.map(s => s.name)).toEqual(['Poha']);
+  });
+
+  it('should replace week plan dishes that break the rules with compliant ones', async () => {
+    const week = {
+      weekPlan: DAYS.map(day => ({
+        day,
+        meals: { breakfast: meal, lunch: day === 'Tuesday' ? { ...meal, name: 'Chicken Curry' } : meal, dinner: meal }
+      }))
+    };
+    complete.mockResolvedValue(JSON.stringify(week));
+
+    const result = await generateWeekMealPlan({
+      weekStart: '2024-01-15',
+      dietaryRules: { ...noBeef, vegetarianDays: ['Tuesday'] }
+    });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    const tuesday = result.weekPlan.find(d => d.day === 'Tuesday');
+    expect(tuesday.meals.lunch.name).not.toBe('Chicken Curry');
+    expect(tuesday.meals.lunch.name).toBeTruthy();
+  });
+
+  it('should leave a week plan slot empty when no dish keeps the rules', async () => {
+    const week = {
+      weekPlan: DAYS.map(day => ({
+        day,
+        meals: { breakfast: meal, lunch: day === 'Tuesday' ? { ...meal, name: 'Chicken Curry' } : meal, dinner: meal }
+      }))
+    };
+    complete.mockResolvedValue(JSON.stringify(week));
+
+    const result = await generateWeekMealPlan({ weekStart: '2024-01-15', dietaryRules: jainNoDairyOrGluten });
+
+    const tuesday = result.weekPlan.find(d => d.day === 'Tuesday');
+    expect(tuesday.meals.lunch).toBeNull();
+    expect(tuesday.meals.dinner.name).toBe('Poha');
+  });
+
+  it('should leave out planned slots when no dish keeps the rules', async () => {
+    complete.mockResolvedValue(JSON.stringify({
+      meals: [
+        { ...meal, date: '2024-01-16', mealType: 'breakfast' },
+        { ...meal, name: 'Chicken Curry', date: '2024-01-16', mealType: 'lunch' }
+      ]
+    }));
+
+    const { meals } = await generatePlanSlots({
+      slots: [
+        { date: '2024-01-16', day: 'Tuesday', mealType: 'breakfast' },
+        { date: '2024-01-16', day: 'Tuesday', mealType: 'lunch' }
+      ],
+      dietaryRules: jainNoDairyOrGluten
+    });
+
+    expect(meals.map(m => [m.mealType, m.name])).toEqual([['breakfast', 'Poha']]);
+  });
+
+  it('should warn when a recipe still breaks the rules', async () => {
+    complete.mockResolvedValue(JSON.stringify({
+      mealName: 'Satay',
+      cuisine: 'indonesian',
+      prepTime: 10,
+      cookTime: 10,
+      servings: 2,
+      ingredients: [{ item: 'Peanut butter', quantity: '50', unit: 'g' }],
+      instructions: [{ step: 1, text: 'Grill' }],
+      tips: []
+    }));
+
+    const result = await generateRecipe({ name: 'Satay', cuisine: 'indonesian' }, { dietaryRules: noBeef });
+
+    expect(result.dietaryWarnings).toEqual(['contains satay (peanut allergy)']);
+  });
+
+  it('should not stream suggestions that break the dietary rules', async () => {
+    complete.mockResolvedValue(JSON.stringify({ message: 'Try these', suggestions: [beefFry, meal] }));
+
+    const events = await collect(streamChatSuggestMeals({ ...chatArgs, dietaryRules: noBeef }));
+
+    expect(events.filter(e => e.type === 'suggestion').map(e => e.suggestion.name)).toEqual(['Poha']);
+    expect(events.at(-1).suggestions.map(s => s.name)).toEqual(['Poha']);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for backup and restore
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import {
+  BACKUP_MODELS,
+  BACKUP_VERSION,
+  createBackup,
+  checkBackup,
+  restoreBackup
+} from '../../../services/backup.js';
+
+const archive = (data) => ({ format: 'no-daal-chawal-backup', version: BACKUP_VERSION, data });
+
+describe('Backup', () => {
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+  });
+
+  describe('BACKUP_MODELS', () => {
+    it('should list parents before the rows that point at them', () => {
+      const order = BACKUP_MODELS.map(config => config.key);
+      for (const { key, refs = {} } of BACKUP_MODELS) {
+        for (const target of Object.values(refs)) {
+          expect(order.indexOf(target)).toBeLessThan(order.indexOf(key));
+        }
+      }
+    });
+  });
+
+  describe('createBackup', () => {
+    it('should export every model with counts', async () => {
+      prismaMock.recipe.findMany.mockResolvedValue([testData.recipe()]);
+
+      const backup = await createBackup(prismaMock, new Date('2024-01-15T10:00:00Z'));
+
+      expect(backup).toMatchObject({ format: 'no-daal-chawal-backup', version: BACKUP_VERSION, createdAt: '2024-01-15T10:00:00.000Z' });
+      expect(Object.keys(backup.data)).toHaveLength(BACKUP_MODELS.length);
+      expect(backup.counts).toMatchObject({ recipes: 1, meals: 0 });
+    });
+  });
+
+  describe('checkBackup', () => {
+    it('should accept an archive whose relations all resolve', async () => {
+      const problems = await checkBackup(prismaMock, archive({
+        recipes: [testData.recipe({ id: 'recipe-1' })],
+        mealHistory: [testData.mealHistory({ id: 'history-1', recipeId: 'recipe-1' })]
+      }), 'replace');
+
+      expect(problems).toEqual([]);
+    });
+
+    it('should report missing fields, duplicate ids and unknown models', async () => {
+      const problems = await checkBackup(prismaMock, archive({
+        shoppingItems: [{ id: 'item-1', name: 'Milk' }, { id: 'item-1', name: 'Eggs', category: 'dairy' }],
+        widgets: []
+      }), 'replace');
+
+      expect(problems).toEqual(expect.arrayContaining([
+        { field: 'data.widgets', message: 'Unknown model' },
+        { field: 'data.shoppingItems[0].category', message: 'Required' },
+        { field: 'data.shoppingItems[1].id', message: 'Duplicate id item-1' }
+      ]));
+    });
+
+    it('should report foreign keys that point nowhere', async () => {
+      const problems = await checkBackup(prismaMock, archive({
+        mealHistory: [testData.mealHistory({ id: 'history-1', recipeId: 'recipe-9' })]
+      }), 'replace');
+
+      expect(problems).toEqual([{ field: 'data.mealHistory[0].recipeId', message: 'No recipes row with id recipe-9' }]);
+    });
+
+    it('should let a merge point at rows already saved', async () => {
+      prismaMock.recipe.findMany.mockResolvedValue([{ id: 'recipe-9' }]);
+
+      const problems = await checkBackup(prismaMock, archive({
+        mealHistory: [testData.mealHistory({ id: 'history-1', recipeId: 'recipe-9' })]
+      }), 'merge');
+
+      expect(problems).toEqual([]);
+    });
+  });
+
+  describe('restoreBackup', () => {
+    it('should delete everything, children first, before a replace', async () => {
+      const deleted = [];
+      for (const { model } of BACKUP_MODELS) {
+        prismaMock[model].deleteMany.mockImplementation(() => {
+          deleted.push(model);
+          return Promise.resolve({ count: 0 });
+        });
+      }
+
+      const counts = await restoreBackup(prismaMock, archive({ recipes: [testData.recipe()] }), 'replace');
+
+      expect(deleted.indexOf('mealHistory')).toBeLessThan(deleted.indexOf('recipe'));
+      expect(deleted).toHaveLength(BACKUP_MODELS.length);
+      expect(prismaMock.recipe.createMany).toHaveBeenCalled();
+      expect(counts).toMatchObject({ recipes: 1, meals: 0 });
+    });
+
+    it('should drop columns the models do not have', async () => {
+      await restoreBackup(prismaMock, archive({ shoppingItems: [{ id: 'item-1', name: 'Milk', category: 'dairy', colour: 'white' }] }), 'replace');
+
+      expect(prismaMock.shoppingItem.createMany).toHaveBeenCalledWith({
+        data: [{ id: 'item-1', name: 'Milk', category: 'dairy' }]
+      });
+    });
+
+    it('should merge into rows with the same unique key and repoint their children', async () => {
+      prismaMock.mealPlanTemplate.findUnique.mockResolvedValue({ id: 'template-existing', name: 'Busy week' });
+
+      await restoreBackup(prismaMock, archive({
+        mealPlanTemplates: [{ id: 'template-1', name: 'Busy week' }],
+        mealPlanTemplateEntries: [{ id: 'entry-1', templateId: 'template-1', dayOffset: 0, mealType: 'dinner', dishName: 'Rajma' }]
+      }), 'merge');
+
+      expect(prismaMock.mealPlanTemplate.update).toHaveBeenCalledWith({
+        where: { id: 'template-existing' },
+        data: { name: 'Busy week' }
+      });
+      expect(prismaMock.mealPlanTemplate.upsert).not.toHaveBeenCalled();
+      expect(prismaMock.mealPlanTemplateEntry.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'entry-1' },
+        create: expect.objectContaining({ id: 'entry-1', templateId: 'template-existing' })
+      }));
+      expect(prismaMock.mealPlanTemplate.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for deducting cooked meals from inventory
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import {
+  findInventoryMatch,
+  getPlanIngredients,
+  previewDeduction,
+  defaultDeductions,
+  applyDeductions,
+  revertMealPlanDeductions
+} from '../../../services/inventory-deduction.js';
+
+const inventory = [
+  testData.inventoryItem({ id: 'onion', name: 'Onions', quantity: 5, unit: 'pieces' }),
+  testData.inventoryItem({ id: 'rice', name: 'Basmati Rice', quantity: 2, unit: 'kg' }),
+  testData.inventoryItem({ id: 'oil', name: 'Sunflower Oil', quantity: 1, unit: 'L' }),
+  testData.inventoryItem({ id: 'paneer', name: 'Paneer', quantity: 100, unit: 'g' })
+];
+
+describe('Inventory Deduction', () => {
+  describe('matching', () => {
+    it('should match inventory by meaning, not exact name', () => {
+      expect(findInventoryMatch('onion, sliced', inventory)?.id).toBe('onion');
+      expect(findInventoryMatch('Rice', inventory)?.id).toBe('rice');
+      expect(findInventoryMatch('Cumin seeds', inventory)).toBeNull();
+    });
+
+    it('should match local names to the same ingredient', () => {
+      const pantry = [testData.inventoryItem({ id: 'curd', name: 'Curd', quantity: 500, unit: 'g' })];
+      expect(findInventoryMatch('Dahi', pantry)?.id).toBe('curd');
+      expect(findInventoryMatch('plain yogurt', pantry)?.id).toBe('curd');
+    });
+  });
+
+  describe('previewDeduction', () => {
+    it('should convert to the inventory unit and flag problems', () => {
+      const lines = previewDeduction([
+        { name: 'Onion', quantity: 2, unit: null },
+        { name: 'Rice', quantity: 300, unit: 'g' },
+        { name: 'Oil', quantity: 2, unit: 'tbsp' },
+        { name: 'Paneer', quantity: 200, unit: 'g' },
+        { name: 'Rice', quantity: 1, unit: 'packet' },
+        { name: 'Salt', quantity: null, unit: null }
+      ], inventory);
+
+      expect(lines.map(l => [l.status, l.deduct])).toEqual([
+        ['ok', 2],
+        ['ok', 0.3],
+        ['ok', 0.03],
+        ['short', 200],
+        ['unit_mismatch', null],
+        ['missing', null]
+      ]);
+      expect(defaultDeductions(lines)).toEqual([
+        { inventoryItemId: 'onion', quantity: 2 },
+        { inventoryItemId: 'rice', quantity: 0.3 },
+        { inventoryItemId: 'oil', quantity: 0.03 },
+        { inventoryItemId: 'paneer', quantity: 200 }
+      ]);
+    });
+  });
+
+  describe('previewDeduction across units', () => {
+    it('should use piece weights and densities for known ingredients', () => {
+      const lines = previewDeduction([
+        { name: 'Onions', quantity: 2, unit: null },
+        { name: 'Rice', quantity: 1, unit: 'cup' }
+      ], [
+        testData.inventoryItem({ id: 'onion', name: 'Onion', quantity: 1, unit: 'kg' }),
+        testData.inventoryItem({ id: 'rice', name: 'Rice', quantity: 1, unit: 'kg' })
+      ]);
+
+      expect(lines.map(l => [l.status, l.deduct])).toEqual([['ok', 0.3], ['ok', 0.2]]);
+    });
+  });
+
+  describe('getPlanIngredients', () => {
+    let prismaMock;
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+    });
+
+    it('should use the planned dish ingredients', async () => {
+      const plan = testData.mealPlan({
+        dishName: 'Jeera Rice',
+        ingredients: [{ id: 'pi-1', mealPlanId: 'plan-1', name: 'Rice', quantity: 200, unit: 'g', position: 0 }]
+      });
+
+      const result = await getPlanIngredients(prismaMock, plan);
+
+      expect(result).toEqual({ source: 'plan', ingredients: [{ name: 'Rice', quantity: 200, unit: 'g' }] });
+      expect(prismaMock.recipe.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should use the linked recipe', async () => {
+      prismaMock.recipe.findUnique.mockResolvedValue(testData.recipe({
+        ingredients: JSON.stringify([{ item: 'Poha', quantity: '150', unit: 'g' }])
+      }));
+      const plan = testData.mealPlan({ dishName: 'Kanda Poha', recipeId: 'recipe-1' });
+
+      const result = await getPlanIngredients(prismaMock, plan);
+
+      expect(prismaMock.recipe.findUnique).toHaveBeenCalledWith({ where: { id: 'recipe-1' } });
+      expect(result).toEqual({ source: 'recipe', ingredients: [{ name: 'Poha', quantity: 150, unit: 'g' }] });
+    });
+
+    it('should fall back to a saved recipe for the dish', async () => {
+      prismaMock.recipe.findFirst.mockResolvedValue(testData.recipe({
+        ingredients: JSON.stringify([{ item: 'Paneer', quantity: '200', unit: 'g' }])
+      }));
+      const plan = testData.mealPlan({ dishName: 'Paneer Tikka' });
+
+      const result = await getPlanIngredients(prismaMock, plan);
+
+      expect(result.source).toBe('recipe');
+      expect(result.ingredients[0]).toEqual({ name: 'Paneer', quantity: 200, unit: 'g' });
+    });
+
+    it('should return nothing for free-text notes', async () => {
+      const result = await getPlanIngredients(prismaMock, testData.mealPlan({ notes: 'Leftovers' }));
+      expect(result).toEqual({ source: null, ingredients: [] });
+    });
+  });
+
+  describe('applying and reverting', () => {
+    let prismaMock;
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+    });
+
+    it('should never take more than is in stock', async () => {
+      prismaMock.inventoryItem.findUnique.mockResolvedValue(inventory[3]);
+
+      const movements = await applyDeductions(prismaMock, [
+        { inventoryItemId: 'paneer', quantity: 150 },
+        { inventoryItemId: 'paneer', quantity: 50 }
+      ], { mealPlanId: 'plan-1' });
+
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'paneer' }, data: { quantity: 0 } });
+      expect(movements).toEqual([expect.objectContaining({
+        itemId: 'paneer', quantity: -100, unit: 'g', reason: 'cooked', mealPlanId: 'plan-1'
+      })]);
+    });
+
+    it('should put back unreverted movements for a plan', async () => {
+      const rice = testData.inventoryItem({ id: 'rice', name: 'Rice', quantity: 1, unit: 'kg' });
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ id: 'm1', itemId: 'rice', quantity: -0.3, item: rice })
+      ]);
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 1 });
+
+      const reverted = await revertMealPlanDeductions(prismaMock, 'plan-1');
+
+      expect(reverted).toEqual([expect.objectContaining({ id: 'm1', revertedAt: expect.any(Date) })]);
+      expect(prismaMock.stockMovement.findMany).toHaveBeenCalledWith({
+        where: { mealPlanId: 'plan-1', revertedAt: null },
+        include: { item: true }
+      });
+      expect(prismaMock.stockMovement.updateMany).toHaveBeenCalledWith({
+        where: { id: 'm1', revertedAt: null },
+        data: { revertedAt: expect.any(Date) }
+      });
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'rice' }, data: { quantity: 1.3 } });
+    });
+
+    it('should put back in the unit the item is stocked in now', async () => {
+      // Cooked while rice was kept in kg, then restocked in grams
+      const rice = testData.inventoryItem({ id: 'rice', name: 'Rice', quantity: 700, unit: 'g' });
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ id: 'm1', itemId: 'rice', quantity: -0.3, unit: 'kg', item: rice })
+      ]);
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 1 });
+
+      await revertMealPlanDeductions(prismaMock, 'plan-1');
+
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'rice' }, data: { quantity: 1000 } });
+    });
+
+    it('should leave movements whose unit no longer converts', async () => {
+      const rice = testData.inventoryItem({ id: 'rice', name: 'Rice', quantity: 2, unit: 'packets' });
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ id: 'm1', itemId: 'rice', quantity: -0.3, unit: 'kg', item: rice })
+      ]);
+
+      const reverted = await revertMealPlanDeductions(prismaMock, 'plan-1');
+
+      expect(reverted).toEqual([]);
+      expect(prismaMock.stockMovement.updateMany).not.toHaveBeenCalled();
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should not put stock back twice when another undo claimed it first', async () => {
+      const rice = testData.inventoryItem({ id: 'rice', name: 'Rice', quantity: 1, unit: 'kg' });
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        testData.stockMovement({ id: 'm1', itemId: 'rice', quantity: -0.3, item: rice })
+      ]);
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(revertMealPlanDeductions(prismaMock, 'plan-1')).rejects.toMatchObject({ code: 'ALREADY_REVERTED' });
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for bulk inventory import and export
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import {
+  inventoryAmount,
+  mapColumns,
+  readInventoryCsv,
+  parsePastedItem,
+  readPastedInventory,
+  importInventoryRows,
+  inventoryToCsv,
+  IMPORT_CONFIG
+} from '../../../services/inventory-import.js';
+
+describe('Inventory Import', () => {
+  describe('inventoryAmount', () => {
+    it('should use the units inventory is kept in', () => {
+      expect(inventoryAmount(2, 'Kgs')).toEqual({ quantity: 2, unit: 'kg' });
+      expect(inventoryAmount(1, 'litre')).toEqual({ quantity: 1, unit: 'L' });
+      expect(inventoryAmount(3, 'pcs')).toEqual({ quantity: 3, unit: 'pieces' });
+    });
+
+    it('should convert units inventory does not use', () => {
+      expect(inventoryAmount(1, 'dozen')).toEqual({ quantity: 12, unit: 'pieces' });
+      expect(inventoryAmount(2, 'cups')).toEqual({ quantity: 480, unit: 'ml' });
+    });
+
+    it('should keep unknown units and leave a missing one out', () => {
+      expect(inventoryAmount(2, 'jars')).toEqual({ quantity: 2, unit: 'jars' });
+      expect(inventoryAmount(2)).toEqual({ quantity: 2, unit: undefined });
+    });
+  });
+
+  describe('mapColumns', () => {
+    it('should match headers by their usual names', () => {
+      expect(mapColumns(['Item', 'Qty', 'UOM', 'Expiry Date', 'Notes'])).toEqual({
+        name: 0,
+        quantity: 1,
+        unit: 2,
+        expiresAt: 3
+      });
+    });
+
+    it('should follow an explicit mapping', () => {
+      expect(mapColumns(['Product', 'Pack size', 'Type'], { quantity: 'pack size', category: null })).toEqual({
+        name: 0,
+        quantity: 1
+      });
+    });
+  });
+
+  describe('readInventoryCsv', () => {
+    it('should read rows into checked items', () => {
+      const { rows } = readInventoryCsv([
+        'name,category,quantity,unit,low_stock_at,expires',
+        'Basmati Rice,Grains,5,kgs,1,2024-06-01',
+        'Paneer,,200 g,,,'
+      ].join('\n'));
+
+      expect(rows).toEqual([
+        {
+          line: 2,
+          item: {
+            name: 'Basmati Rice',
+            category: 'grains',
+            quantity: 5,
+            unit: 'kg',
+            lowStockAt: 1,
+            expiresAt: '2024-06-01T00:00:00.000Z'
+          }
+        },
+        { line: 3, item: { name: 'Paneer', quantity: 200, unit: 'g' } }
+      ]);
+    });
+
+    it('should report what is wrong with each row', () => {
+      const { rows } = readInventoryCsv('name,category,quantity\n,grains,2\nSalt,minerals,lots');
+
+      expect(rows[0].errors.map(e => e.field)).toEqual(['name']);
+      expect(rows[1].errors.map(e => e.field).sort()).toEqual(['category', 'quantity']);
+      expect(rows[1].line).toBe(3);
+    });
+
+    it('should report a quantity it cannot read rather than a missing one', () => {
+      const { rows } = readInventoryCsv('name,quantity,unit\nRice,-1,kg\nDal,two,kg\nOil,"1,5",L\nSalt,,kg');
+
+      expect(rows.map(row => row.errors[0].message)).toEqual([
+        'Number must be greater than 0',
+        'Expected number, received string',
+        'Expected number, received string',
+        'Required'
+      ]);
+    });
+
+    it('should refuse more rows than it imports at once rather than drop the rest', () => {
+      const rows = Array.from({ length: IMPORT_CONFIG.MAX_ROWS + 1 }, (_, index) => `Item ${index},1,kg`);
+
+      expect(() => readInventoryCsv(`name,quantity,unit\n${rows.join('\n')}`))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'TOO_MANY_ROWS' }));
+      expect(readInventoryCsv(`name,quantity,unit\n${rows.slice(1).join('\n')}`).rows).toHaveLength(IMPORT_CONFIG.MAX_ROWS);
+    });
+  });
+
+  describe('parsePastedItem', () => {
+    it.each([
+      ['2 kg atta', { name: 'Atta', quantity: 2, unit: 'kg' }],
+      ['500g paneer', { name: 'Paneer', quantity: 500, unit: 'g' }],
+      ['12 eggs', { name: 'Eggs', quantity: 12 }],
+      ['6 large onions', { name: 'Onions', quantity: 6, unit: 'pieces' }],
+      ['a dozen bananas', { name: 'Bananas', quantity: 12, unit: 'pieces' }],
+      ['1 1/2 kg rice', { name: 'Rice', quantity: 1.5, unit: 'kg' }],
+      ['atta 2kg', { name: 'Atta', quantity: 2, unit: 'kg' }],
+      ['Paneer - 200 g', { name: 'Paneer', quantity: 200, unit: 'g' }],
+      ['eggs x12', { name: 'Eggs', quantity: 12 }],
+      ['1 litre of milk', { name: 'Milk', quantity: 1, unit: 'L' }]
+    ])('should read "%s"', (text, expected) => {
+      expect(parsePastedItem(text)).toEqual(expected);
+    });
+
+    it('should leave out what it cannot find', () => {
+      expect(parsePastedItem('Coriander')).toEqual({ name: 'Coriander', quantity: undefined });
+    });
+  });
+
+  describe('readPastedInventory', () => {
+    it('should split on commas, semicolons and lines', () => {
+      const rows = readPastedInventory('2 kg atta, 500g paneer; 12 eggs\n- coriander\n');
+
+      expect(rows.map(row => row.text)).toEqual(['2 kg atta', '500g paneer', '12 eggs', 'coriander']);
+      expect(rows[2].item).toEqual({ name: 'Eggs', quantity: 12 });
+      expect(rows[3].errors).toEqual([{ field: 'quantity', message: 'Required' }]);
+    });
+
+    it('should refuse more entries than it imports at once', () => {
+      const text = Array.from({ length: IMPORT_CONFIG.MAX_ROWS + 1 }, () => 'salt').join(', ');
+
+      expect(() => readPastedInventory(text)).toThrow(expect.objectContaining({ code: 'TOO_MANY_ROWS' }));
+    });
+  });
+
+  describe('importInventoryRows', () => {
+    let prismaMock;
+    const rice = testData.inventoryItem({ id: 'rice', name: 'Basmati Rice', category: 'grains', quantity: 2, unit: 'kg' });
+    const rows = [
+      { line: 1, item: { name: 'Basmati Rice', quantity: 500, unit: 'g' } },
+      { line: 2, item: { name: 'Paneer', quantity: 200, unit: 'g' } },
+      { line: 3, errors: [{ field: 'quantity', message: 'Required' }] }
+    ];
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+      prismaMock.inventoryItem.findMany.mockResolvedValue([rice]);
+    });
+
+    it('should preview without saving', async () => {
+      const result = await importInventoryRows(prismaMock, rows, { dryRun: true });
+
+      expect(result.summary).toEqual({ create: 1, update: 1, skip: 0, invalid: 1 });
+      expect(result.rows.map(row => row.action)).toEqual(['update', 'create', 'invalid']);
+      expect(result.rows[0].match).toEqual({ id: 'rice', name: 'Basmati Rice', previousQuantity: 2, quantity: 2.5, unit: 'kg' });
+      expect(result.rows[1].item).toMatchObject({ category: 'dairy', unit: 'g' });
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+      expect(prismaMock.inventoryItem.create).not.toHaveBeenCalled();
+      expect(prismaMock.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    it('should top up stock and add new items with their movements', async () => {
+      await importInventoryRows(prismaMock, rows, { note: 'CSV import' });
+
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'rice' }, data: { quantity: 2.5 } });
+      expect(prismaMock.inventoryItem.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'Paneer', category: 'dairy', quantity: 200, unit: 'g' })
+      });
+      expect(prismaMock.stockMovement.create).toHaveBeenCalledTimes(2);
+      expect(prismaMock.stockMovement.create.mock.calls[0][0].data).toMatchObject({
+        quantity: 0.5, reason: 'adjusted', note: 'CSV import'
+      });
+    });
+
+    it('should set or skip stock already there', async () => {
+      const replaced = await importInventoryRows(prismaMock, rows.slice(0, 1), { existing: 'replace', dryRun: true });
+      const skipped = await importInventoryRows(prismaMock, rows.slice(0, 1), { existing: 'skip', dryRun: true });
+
+      expect(replaced.rows[0].match.quantity).toBe(0.5);
+      expect(skipped.rows[0].action).toBe('skip');
+    });
+
+    it('should merge repeated rows for a new ingredient', async () => {
+      const result = await importInventoryRows(prismaMock, [rows[1], rows[1]], { dryRun: true });
+
+      expect(result.rows.map(row => row.action)).toEqual(['create', 'update']);
+      expect(result.rows[1].match.quantity).toBe(400);
+    });
+  });
+
+  describe('inventoryToCsv', () => {
+    it('should write the columns the import reads back', () => {
+      const csv = inventoryToCsv([
+        testData.inventoryItem({ name: 'Dal, toor', category: 'proteins', quantity: 1, unit: 'kg', lowStockAt: null, expiresAt: new Date('2024-06-01') })
+      ]);
+
+      expect(csv).toBe(
+        'name,category,quantity,unit,lowStockAt,lowStockUnit,expiresAt\r\n' +
+        '"Dal, toor",proteins,1,kg,,,2024-06-01\r\n'
+      );
+      expect(readInventoryCsv(csv).rows[0].item).toEqual({
+        name: 'Dal, toor', category: 'proteins', quantity: 1, unit: 'kg', expiresAt: '2024-06-01T00:00:00.000Z'
+      });
+    });
+
+    it('should keep names from opening as formulas and read them back', () => {
+      const csv = inventoryToCsv([testData.inventoryItem({ name: '=1+1', category: 'others', quantity: 2, unit: 'pieces', lowStockAt: null, expiresAt: null })]);
+
+      expect(csv.split('\r\n')[1]).toBe("'=1+1,others,2,pieces,,,");
+      expect(readInventoryCsv(csv).rows[0].item.name).toBe('=1+1');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for eating a planned meal
+ */
+import { describe, it, expect } from '@jest/globals';
+import { testData } from '../../setup/prisma-mock.js';
+import { planEatenAt, historyEntryData } from '../../../services/plan-completion.js';
+
+describe('Plan Completion', () => {
+  describe('planEatenAt', () => {
+    const now = new Date('2024-01-17T13:30:00Z');
+
+    it('should use the planned day for a past plan', () => {
+      expect(planEatenAt(new Date('2024-01-15'), now)).toEqual(new Date('2024-01-15'));
+    });
+
+    it('should use the current time for today and later', () => {
+      expect(planEatenAt(new Date('2024-01-17'), now)).toBe(now);
+      expect(planEatenAt(new Date('2024-01-19'), now)).toBe(now);
+    });
+  });
+
+  describe('historyEntryData', () => {
+    it('should fall back to the linked meal', () => {
+      const plan = testData.mealPlan({
+        id: 'plan-7',
+        mealType: 'breakfast',
+        meal: testData.meal({ name: 'Upma', cuisine: 'south_indian' })
+      });
+
+      expect(historyEntryData(plan)).toMatchObject({
+        mealName: 'Upma',
+        cuisine: 'south_indian',
+        mealType: 'breakfast',
+        calories: null,
+        recipeId: null,
+        mealPlanId: 'plan-7'
+      });
+    });
+
+    it('should file a dish without a cuisine under other', () => {
+      expect(historyEntryData(testData.mealPlan({ dishName: 'Leftovers' })).cuisine).toBe('other');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit tests for meal plan templates
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import {
+  weekTemplateEntries,
+  formatTemplate,
+  shuffledDayOrder,
+  saveWeekTemplate,
+  applyWeekEntries
+} from '../../../services/plan-templates.js';
+
+const entry = overrides => ({
+  dayOffset: 0,
+  mealType: 'dinner',
+  dishName: 'Rajma Chawal',
+  cuisine: 'punjabi',
+  calories: 550,
+  prepTime: 40,
+  servings: 2,
+  description: null,
+  ingredients: [{ name: 'Rajma', quantity: 1, unit: 'cup' }],
+  mealId: null,
+  recipeId: null,
+  notes: null,
+  ...overrides
+});
+
+describe('Plan Templates', () => {
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+  });
+
+  describe('weekTemplateEntries', () => {
+    it('should keep each planned dish by day of the week', () => {
+      const plans = [
+        testData.mealPlan({
+          date: new Date('2024-01-17'),
+          mealType: 'lunch',
+          dishName: 'Rajma Chawal',
+          recipeId: 'recipe-1',
+          notes: null,
+          ingredients: [{ id: 'pi-1', mealPlanId: 'plan-1', name: 'Rajma', quantity: 1, unit: 'cup', position: 0 }]
+        }),
+        testData.mealPlan({ date: new Date('2024-01-21'), meal: testData.meal({ id: 'meal-1', name: 'Dosa' }), mealId: 'meal-1' }),
+        testData.mealPlan({ date: new Date('2024-01-18') })
+      ];
+
+      const entries = weekTemplateEntries(plans, '2024-01-15');
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({
+        dayOffset: 2,
+        mealType: 'lunch',
+        dishName: 'Rajma Chawal',
+        recipeId: 'recipe-1',
+        ingredients: [{ name: 'Rajma', quantity: 1, unit: 'cup' }]
+      });
+      expect(entries[1]).toMatchObject({ dayOffset: 6, dishName: 'Dosa', mealId: 'meal-1' });
+    });
+  });
+
+  describe('formatTemplate', () => {
+    it('should parse entry ingredients', () => {
+      const template = testData.mealPlanTemplate({
+        entries: [testData.mealPlanTemplateEntry({ ingredients: '[{"name":"Rice"}]' })]
+      });
+
+      expect(formatTemplate(template).entries[0].ingredients).toEqual([{ name: 'Rice' }]);
+    });
+  });
+
+  describe('shuffledDayOrder', () => {
+    it('should move every day to a different day of the same week', () => {
+      const order = shuffledDayOrder(() => 0);
+
+      expect([...order].sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(order).not.toEqual([0, 1, 2, 3, 4, 5, 6]);
+    });
+  });
+
+  describe('saveWeekTemplate', () => {
+    it('should save the week with ingredients as JSON', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ date: new Date('2024-01-15'), dishName: 'Poha', ingredients: [{ name: 'Poha', quantity: null, unit: null }] })
+      ]);
+      prismaMock.mealPlanTemplate.create.mockImplementation(async ({ data }) =>
+        testData.mealPlanTemplate({ name: data.name, entries: data.entries.create }));
+
+      const template = await saveWeekTemplate(prismaMock, { name: 'Good week', weekStart: '2024-01-15' });
+
+      const { data } = prismaMock.mealPlanTemplate.create.mock.calls[0][0];
+      expect(data.name).toBe('Good week');
+      expect(data.entries.create[0]).toMatchObject({ dayOffset: 0, dishName: 'Poha', ingredients: '[{"name":"Poha","quantity":null,"unit":null}]' });
+      expect(template.name).toBe('Good week');
+    });
+
+    it('should save nothing for an empty week', async () => {
+      expect(await saveWeekTemplate(prismaMock, { name: 'Empty', weekStart: '2024-01-15' })).toBeNull();
+      expect(prismaMock.mealPlanTemplate.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyWeekEntries', () => {
+    it('should plan the dishes on the same days of the target week', async () => {
+      const result = await applyWeekEntries(prismaMock, {
+        entries: [entry({ dayOffset: 0, recipeId: 'recipe-1' }), entry({ dayOffset: 3, mealType: 'lunch', dishName: 'Dosa' })],
+        weekStart: '2024-02-05'
+      });
+
+      expect(result).toMatchObject({ removed: 0, skipped: 0 });
+      const created = prismaMock.mealPlan.create.mock.calls.map(([{ data }]) => data);
+      expect(created[0]).toMatchObject({ date: new Date('2024-02-05'), mealType: 'dinner', dishName: 'Rajma Chawal', recipeId: 'recipe-1' });
+      expect(created[0].ingredients.create).toEqual([{ name: 'Rajma', quantity: 1, unit: 'cup', position: 0 }]);
+      expect(created[1]).toMatchObject({ date: new Date('2024-02-08'), mealType: 'lunch', dishName: 'Dosa' });
+    });
+
+    it('should skip slots that are already planned when filling', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'kept', date: new Date('2024-02-05'), mealType: 'dinner', dishName: 'Biryani' })
+      ]);
+
+      const result = await applyWeekEntries(prismaMock, {
+        entries: [entry(), entry({ mealType: 'lunch' })],
+        weekStart: '2024-02-05'
+      });
+
+      expect(result).toMatchObject({ removed: 0, skipped: 1 });
+      expect(prismaMock.mealPlan.create).toHaveBeenCalledTimes(1);
+      expect(prismaMock.mealPlan.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should clear uneaten meals but never plan over eaten ones when replacing', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'eaten', date: new Date('2024-02-05'), mealType: 'dinner', dishName: 'Biryani', completed: true }),
+        testData.mealPlan({ id: 'planned', date: new Date('2024-02-06'), mealType: 'dinner', dishName: 'Pasta' })
+      ]);
+
+      const result = await applyWeekEntries(prismaMock, {
+        entries: [entry(), entry({ dayOffset: 1 })],
+        weekStart: '2024-02-05',
+        mode: 'replace'
+      });
+
+      expect(result).toMatchObject({ removed: 1, skipped: 1 });
+      expect(prismaMock.mealPlan.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['planned'] } } });
+      expect(prismaMock.mealPlan.create.mock.calls[0][0].data.date).toEqual(new Date('2024-02-06'));
+    });
+
+    it('should move days around when shuffling', async () => {
+      await applyWeekEntries(prismaMock, {
+        entries: [entry({ dayOffset: 0 })],
+        weekStart: '2024-02-05',
+        shuffleDays: true,
+        random: () => 0
+      });
+
+      expect(prismaMock.mealPlan.create.mock.calls[0][0].data.date).not.toEqual(new Date('2024-02-05'));
+    });
+  });
+});
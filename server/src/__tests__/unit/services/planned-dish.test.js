@@ -0,0 +1,116 @@
+/**
+ * Unit tests for planned dishes and moving them out of plan notes
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import {
+  plannedIngredientRows,
+  plannedDishData,
+  parseLegacyNotes,
+  migratePlanNotes
+} from '../../../services/planned-dish.js';
+
+const legacyNotes = JSON.stringify({
+  name: 'Rajma Chawal',
+  cuisine: 'punjabi',
+  prepTime: '40 mins',
+  estimatedCalories: 520,
+  description: 'Comfort food',
+  ingredients: [{ name: 'Rajma', quantity: '1 cup' }, 'Rice']
+});
+
+describe('Planned Dish', () => {
+  describe('plannedIngredientRows', () => {
+    it('should normalize ingredients and keep their order', () => {
+      expect(plannedIngredientRows(['Salt', { name: 'Rice', quantity: '200', unit: 'g' }, { name: '' }])).toEqual([
+        { name: 'Salt', quantity: null, unit: null, position: 0 },
+        { name: 'Rice', quantity: 200, unit: 'g', position: 1 }
+      ]);
+    });
+
+    it('should handle a missing list', () => {
+      expect(plannedIngredientRows(undefined)).toEqual([]);
+    });
+  });
+
+  describe('plannedDishData', () => {
+    it('should map a suggestion onto the plan fields', () => {
+      const data = plannedDishData({ name: ' Poha ', estimatedCalories: 250.6, prepTime: 15, ingredients: ['Poha'] });
+
+      expect(data).toMatchObject({
+        dishName: 'Poha',
+        cuisine: null,
+        calories: 251,
+        prepTime: 15,
+        servings: null,
+        description: null
+      });
+      expect(data.ingredients).toEqual({ create: [{ name: 'Poha', quantity: null, unit: null, position: 0 }] });
+    });
+
+    it('should clear the old ingredients when replacing', () => {
+      expect(plannedDishData(null, { replace: true })).toMatchObject({
+        dishName: null,
+        ingredients: { deleteMany: {}, create: [] }
+      });
+    });
+  });
+
+  describe('parseLegacyNotes', () => {
+    it('should read a dish saved as JSON', () => {
+      const { dish, notes } = parseLegacyNotes(legacyNotes);
+      expect(dish.name).toBe('Rajma Chawal');
+      expect(notes).toBeNull();
+    });
+
+    it('should keep free text that was saved alongside the dish', () => {
+      expect(parseLegacyNotes(JSON.stringify({ name: 'Dosa', notes: 'Use leftover batter' })).notes)
+        .toBe('Use leftover batter');
+    });
+
+    it('should leave free text and broken JSON as they are', () => {
+      expect(parseLegacyNotes('Leftovers')).toEqual({ dish: null, notes: 'Leftovers' });
+      expect(parseLegacyNotes('{not json')).toEqual({ dish: null, notes: '{not json' });
+      expect(parseLegacyNotes('{"cuisine": "indian"}')).toEqual({ dish: null, notes: '{"cuisine": "indian"}' });
+      expect(parseLegacyNotes(null)).toEqual({ dish: null, notes: null });
+    });
+  });
+
+  describe('migratePlanNotes', () => {
+    let prismaMock;
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+    });
+
+    it('should move dishes out of notes and skip the rest', async () => {
+      prismaMock.mealPlan.findMany.mockResolvedValue([
+        testData.mealPlan({ id: 'plan-1', notes: legacyNotes }),
+        testData.mealPlan({ id: 'plan-2', notes: '{broken' })
+      ]);
+
+      const result = await migratePlanNotes(prismaMock);
+
+      expect(result).toEqual({ converted: 1, skipped: 1 });
+      expect(prismaMock.mealPlan.findMany).toHaveBeenCalledWith({
+        where: { dishName: null, notes: { startsWith: '{' } }
+      });
+      expect(prismaMock.mealPlan.update).toHaveBeenCalledTimes(1);
+
+      const { where, data } = prismaMock.mealPlan.update.mock.calls[0][0];
+      expect(where).toEqual({ id: 'plan-1' });
+      expect(data).toMatchObject({
+        dishName: 'Rajma Chawal',
+        cuisine: 'punjabi',
+        calories: 520,
+        prepTime: 40,
+        description: 'Comfort food',
+        notes: null
+      });
+      expect(data.ingredients.create).toEqual([
+        { name: 'Rajma', quantity: 1, unit: 'cup', position: 0 },
+        { name: 'Rice', quantity: null, unit: null, position: 1 }
+      ]);
+    });
+  });
+});
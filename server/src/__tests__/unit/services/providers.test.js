@@ -0,0 +1,165 @@
+/**
+ * Unit tests for AI providers
+ */
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { getProvider, getProviderName } from '../../../services/providers/index.js';
+import { createStubProvider, pickDishes } from '../../../services/providers/stub.js';
+import { STUB_DISHES } from '../../../services/providers/stub-catalog.js';
+
+describe('AI Providers', () => {
+  describe('getProviderName', () => {
+    let originalProvider;
+    let originalKey;
+
+    beforeEach(() => {
+      originalProvider = process.env.AI_PROVIDER;
+      originalKey = process.env.OPENAI_API_KEY;
+    });
+
+    afterEach(() => {
+      process.env.AI_PROVIDER = originalProvider;
+      process.env.OPENAI_API_KEY = originalKey;
+    });
+
+    it('should use AI_PROVIDER when set', () => {
+      process.env.AI_PROVIDER = 'Local';
+      expect(getProviderName()).toBe('local');
+    });
+
+    it('should default to openai when an API key is configured', () => {
+      delete process.env.AI_PROVIDER;
+      process.env.OPENAI_API_KEY = 'sk-test';
+      expect(getProviderName()).toBe('openai');
+    });
+
+    it('should default to stub without an API key', () => {
+      delete process.env.AI_PROVIDER;
+      delete process.env.OPENAI_API_KEY;
+      expect(getProviderName()).toBe('stub');
+    });
+
+    it('should throw for unknown providers', () => {
+      process.env.AI_PROVIDER = 'nope';
+      expect(() => getProvider()).toThrow(/Unknown AI_PROVIDER/);
+    });
+
+    it('should build local and openai providers with their models', () => {
+      process.env.AI_PROVIDER = 'local';
+      expect(getProvider()).toMatchObject({ name: 'local', model: 'llama3.1' });
+
+      process.env.AI_PROVIDER = 'openai';
+      expect(getProvider()).toMatchObject({ name: 'openai', model: 'gpt-4o' });
+    });
+  });
+
+  describe('pickDishes', () => {
+    it('should respect meal type and cuisine', () => {
+      const dishes = pickDishes({ mealType: 'breakfast', cuisine: 'south_indian', count: 2 });
+
+      expect(dishes).toHaveLength(2);
+      dishes.forEach(d => {
+        expect(d.mealTypes).toContain('breakfast');
+        expect(d.cuisine).toBe('south_indian');
+      });
+    });
+
+    it('should skip excluded dishes case-insensitively', () => {
+      const dishes = pickDishes({ count: STUB_DISHES.length, exclude: ['kanda poha'] });
+
+      expect(dishes.map(d => d.name)).not.toContain('Kanda Poha');
+    });
+
+    it('should relax filters rather than return too few dishes', () => {
+      const dishes = pickDishes({ cuisine: 'korean', mealType: 'dinner', count: 3 });
+
+      expect(dishes).toHaveLength(3);
+    });
+  });
+
+  describe('Stub provider', () => {
+    const stub = createStubProvider();
+    const answer = async (task, input) => JSON.parse(await stub.complete({ task, input }));
+
+    it('should answer suggestions deterministically', async () => {
+      const input = { mood: 'lazy', timeAvailable: '20', mealType: 'dinner', recentMeals: [] };
+
+      const first = await answer('suggest', input);
+      const second = await answer('suggest', input);
+
+      expect(first.suggestions).toHaveLength(3);
+      expect(first).toEqual(second);
+      first.suggestions.forEach(s => {
+        expect(s).toMatchObject({ mealType: 'dinner' });
+        expect(s.ingredients.length).toBeGreaterThan(0);
+      });
+    });
+
+    it('should not suggest recent or rejected meals', async () => {
+      const result = await answer('suggest', {
+        recentMeals: ['Curd Rice'],
+        rejectedMeals: [{ name: 'Pav Bhaji', reason: 'too heavy' }]
+      });
+
+      const names = result.suggestions.map(s => s.name);
+      expect(names).not.toContain('Curd Rice');
+      expect(names).not.toContain('Pav Bhaji');
+    });
+
+    it('should put a named dish first in chat', async () => {
+      const result = await answer('chat', {
+        mealType: 'dinner',
+        conversation: [{ role: 'user', content: 'I really want chicken biryani tonight' }]
+      });
+
+      expect(result.message).toMatch(/Chicken Biryani/);
+      expect(result.suggestions[0].name).toBe('Chicken Biryani');
+    });
+
+    it('should plan three meals for seven days without repeats', async () => {
+      const result = await answer('weekPlan', { weekStart: '2024-01-15' });
+
+      expect(result.weekPlan).toHaveLength(7);
+      expect(result.weekPlan[0]).toMatchObject({ day: 'Monday', date: '2024-01-15' });
+
+      const names = result.weekPlan.flatMap(d => Object.values(d.meals).map(m => m.name));
+      expect(names).toHaveLength(21);
+      expect(new Set(names).size).toBe(names.length);
+    });
+
+    it('should fill plan slots around the planned meals', async () => {
+      const planned = [
+        { date: '2024-01-16', day: 'Tuesday', mealType: 'breakfast', name: 'Masala Dosa', cuisine: 'south_indian', calories: 400 }
+      ];
+      const input = {
+        slots: [
+          { date: '2024-01-16', day: 'Tuesday', mealType: 'lunch' },
+          { date: '2024-01-16', day: 'Tuesday', mealType: 'dinner' }
+        ],
+        planned,
+        replacing: ['Chicken Biryani'],
+        calorieContext: { dailyGoal: 2000 }
+      };
+
+      const result = await answer('planSlots', input);
+
+      expect(result.meals.map(m => [m.date, m.mealType])).toEqual([['2024-01-16', 'lunch'], ['2024-01-16', 'dinner']]);
+      const names = result.meals.map(m => m.name);
+      expect(names).not.toContain('Masala Dosa');
+      expect(names).not.toContain('Chicken Biryani');
+      expect(new Set(names).size).toBe(2);
+      expect(await answer('planSlots', input)).toEqual(result);
+    });
+
+    it('should build a recipe for any meal', async () => {
+      const result = await answer('recipe', { meal: { name: 'Mystery Stew', cuisine: 'other' } });
+
+      expect(result.mealName).toBe('Mystery Stew');
+      expect(result.ingredients.length).toBeGreaterThan(0);
+      expect(result.instructions[0].step).toBe(1);
+    });
+
+    it('should reject unknown tasks', async () => {
+      await expect(stub.complete({ task: 'poetry' })).rejects.toThrow(/cannot answer/);
+    });
+  });
+});
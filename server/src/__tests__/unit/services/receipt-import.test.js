@@ -0,0 +1,159 @@
+/**
+ * Unit tests for putting away a grocery receipt
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import { identifyProduct, reviewReceipt, putAwayReceipt } from '../../../services/receipt-import.js';
+
+const fixture = name => readFileSync(new URL(`../../fixtures/receipts/${name}.txt`, import.meta.url), 'utf8');
+
+describe('Receipt Import', () => {
+  describe('identifyProduct', () => {
+    it('should find the ingredient in a branded name', () => {
+      expect(identifyProduct('Aashirvaad Shudh Chakki Atta')).toBe('Whole wheat flour');
+      expect(identifyProduct('Amul Masti Dahi')).toBe('Curd');
+      expect(identifyProduct('TATA SALT')).toBe('Salt');
+    });
+
+    it('should prefer the longest match, then the last word', () => {
+      expect(identifyProduct('MDH Coriander Powder')).toBe('Coriander powder');
+      expect(identifyProduct('Parachute Coconut Oil')).toBe('Cooking oil');
+    });
+
+    it('should match what the household already calls things', () => {
+      expect(identifyProduct('Maggi 2-Minute Noodles', ['Maggi'])).toBe('Maggi');
+      expect(identifyProduct('AASHIRVAAD ATTA', ['Atta'])).toBe('Atta');
+    });
+
+    it('should keep unknown products, without shouting', () => {
+      expect(identifyProduct('Haldiram Bhujia')).toBe('Haldiram Bhujia');
+      expect(identifyProduct('PARLE G BISCUIT')).toBe('Parle G Biscuit');
+    });
+  });
+
+  describe('reviewReceipt', () => {
+    let prismaMock;
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'inv-atta', name: 'Atta', category: 'grains', quantity: 2, unit: 'kg' }),
+        testData.inventoryItem({ id: 'inv-salt', name: 'Salt', category: 'others', quantity: 200, unit: 'g' })
+      ]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 'shop-atta', name: 'Wheat flour', quantity: 5, unit: 'kg' }),
+        testData.shoppingItem({ id: 'shop-onion', name: 'Onions', quantity: 1, unit: 'kg' })
+      ]);
+    });
+
+    it('should match stock to top up and list items to check off', async () => {
+      const result = await reviewReceipt(prismaMock, fixture('supermarket-till'));
+
+      expect(result.items.map(({ product, name, quantity, unit }) => ({ product, name, quantity, unit }))).toEqual([
+        { product: 'TATA SALT', name: 'Salt', quantity: 1, unit: 'kg' },
+        { product: 'AASHIRVAAD ATTA', name: 'Atta', quantity: 10, unit: 'kg' },
+        { product: 'ONION', name: 'Onions', quantity: 1.25, unit: 'kg' },
+        { product: 'TOOR DAL', name: 'Toor dal', quantity: 1, unit: 'kg' },
+        { product: 'FORTUNE SUNFLOWER OIL', name: 'Cooking oil', quantity: 2, unit: 'L' }
+      ]);
+      expect(result.items[0].stock).toEqual({ id: 'inv-salt', name: 'Salt', quantity: 200, unit: 'g', adding: 1000 });
+      expect(result.items[1]).toMatchObject({
+        category: 'grains',
+        stock: { id: 'inv-atta', adding: 10 },
+        shoppingItem: { id: 'shop-atta', name: 'Wheat flour' }
+      });
+      expect(result.items[2]).toMatchObject({ category: 'vegetables', stock: null, shoppingItem: { id: 'shop-onion' } });
+      expect(result.items[3]).toMatchObject({ category: 'grains', stock: null, shoppingItem: null });
+      expect(result.total).toBe(1037);
+    });
+
+    it('should check a list item off once', async () => {
+      const result = await reviewReceipt(prismaMock, 'Atta 5 kg ₹245\nAtta 1 kg ₹55');
+
+      expect(result.items.map(item => item.shoppingItem?.id ?? null)).toEqual(['shop-atta', null]);
+    });
+
+    it('should not check off what an earlier receipt put away', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 'shop-atta', name: 'Wheat flour', quantity: 5, unit: 'kg', isPurchased: true })
+      ]);
+      prismaMock.stockMovement.findMany.mockResolvedValue([{ shoppingItemId: 'shop-atta' }]);
+
+      const result = await reviewReceipt(prismaMock, 'Atta 5 kg ₹245');
+
+      expect(result.items[0].shoppingItem).toBeNull();
+      expect(prismaMock.stockMovement.findMany).toHaveBeenCalledWith({
+        where: { shoppingItemId: { in: ['shop-atta'] }, reason: 'purchased', revertedAt: null },
+        select: { shoppingItemId: true }
+      });
+    });
+
+    it('should count items without a size in pieces', async () => {
+      const result = await reviewReceipt(prismaMock, 'Haldiram Bhujia x 3 ₹150');
+
+      expect(result.items[0]).toMatchObject({ name: 'Haldiram Bhujia', quantity: 3, unit: 'pieces' });
+    });
+
+    it('should pass on lines it could not read', async () => {
+      const result = await reviewReceipt(prismaMock, 'FRESH MART\nSugar 1 kg ₹45\nTotal ₹45');
+
+      expect(result.unrecognized).toEqual([{ line: 1, text: 'FRESH MART' }]);
+      expect(result.skipped).toEqual([{ line: 3, text: 'Total ₹45' }]);
+    });
+  });
+
+  describe('putAwayReceipt', () => {
+    let prismaMock;
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'inv-atta', name: 'Atta', category: 'grains', quantity: 2, unit: 'kg' })
+      ]);
+      prismaMock.shoppingItem.findMany.mockResolvedValue([testData.shoppingItem({ id: 'shop-atta', name: 'Atta' })]);
+      prismaMock.inventoryItem.update.mockImplementation(({ where, data }) =>
+        Promise.resolve(testData.inventoryItem({ id: where.id, name: 'Atta', category: 'grains', ...data })));
+    });
+
+    it('should stock up and check off the list items bought', async () => {
+      const result = await putAwayReceipt(prismaMock, [
+        { name: 'Whole wheat flour', quantity: 5, unit: 'kg', category: 'others', shoppingItemId: 'shop-atta' },
+        { name: 'Haldiram Bhujia', quantity: 3, unit: 'pieces', category: 'others' }
+      ]);
+
+      expect(result.results.map(r => [r.action, r.shoppingItemId])).toEqual([['updated', 'shop-atta'], ['created', null]]);
+      expect(result.checkedOff).toBe(1);
+      // Topping up keeps the item's own category
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({
+        where: { id: 'inv-atta' },
+        data: { quantity: 7, expiresAt: null }
+      });
+      expect(prismaMock.inventoryItem.create.mock.calls[0][0].data).toMatchObject({
+        name: 'Haldiram Bhujia', category: 'others', quantity: 3, unit: 'pieces'
+      });
+      expect(prismaMock.stockMovement.create.mock.calls.map(call => call[0].data)).toEqual([
+        expect.objectContaining({ itemId: 'inv-atta', quantity: 5, reason: 'purchased', note: 'Receipt', shoppingItemId: 'shop-atta' }),
+        expect.objectContaining({ quantity: 3, reason: 'purchased', note: 'Receipt', shoppingItemId: null })
+      ]);
+      // Checked off, not deleted: the list keeps it as purchased
+      expect(prismaMock.shoppingItem.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['shop-atta'] } },
+        data: { isPurchased: true }
+      });
+      expect(prismaMock.shoppingItem.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should not link list items deleted since the review', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([]);
+
+      const result = await putAwayReceipt(prismaMock, [
+        { name: 'Atta', quantity: 1, unit: 'kg', shoppingItemId: 'shop-gone' }
+      ]);
+
+      expect(result.checkedOff).toBe(0);
+      expect(result.results[0].shoppingItemId).toBeNull();
+      expect(prismaMock.shoppingItem.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the offline meal recommender
+ */
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  recommendMeals,
+  loadCandidates,
+  builtinCandidates
+} from '../../../services/recommender.js';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+
+const candidate = (overrides = {}) => ({
+  name: 'Dish',
+  cuisine: 'indian',
+  mealTypes: ['dinner'],
+  prepTime: 30,
+  calories: 500,
+  ingredients: [],
+  source: 'meal',
+  ...overrides
+});
+
+describe('Recommender', () => {
+  describe('recommendMeals', () => {
+    it('should return three suggestions in the AI suggestion shape', () => {
+      const result = recommendMeals(builtinCandidates(), { mealType: 'dinner' });
+
+      expect(result).toHaveLength(3);
+      for (const suggestion of result) {
+        expect(suggestion).toEqual({
+          name: expect.any(String),
+          cuisine: expect.any(String),
+          mealType: 'dinner',
+          prepTime: expect.any(Number),
+          estimatedCalories: expect.any(Number),
+          ingredients: expect.any(Array),
+          reason: expect.any(String),
+          description: expect.any(String)
+        });
+      }
+    });
+
+    it('should pick three different cuisines when it can', () => {
+      const result = recommendMeals(builtinCandidates(), { mood: 'comfort' });
+
+      expect(new Set(result.map(s => s.cuisine)).size).toBe(3);
+    });
+
+    it('should put dishes that use up expiring stock first', () => {
+      const [first] = recommendMeals(builtinCandidates(), { mealType: 'dinner', useUp: ['Spinach'] });
+
+      expect(first.ingredients.map(i => i.name)).toContain('Spinach');
+      expect(first.reason).toMatch(/uses up spinach before it goes off/i);
+    });
+
+    it('should respect time available', () => {
+      const result = recommendMeals(builtinCandidates(), { timeAvailable: '15', mealType: 'snack' });
+
+      expect(result.every(s => s.prepTime <= 15)).toBe(true);
+    });
+
+    it('should prefer the requested cuisine', () => {
+      const result = recommendMeals(builtinCandidates(), { cuisine: 'italian' });
+
+      expect(result[0].cuisine).toBe('italian');
+    });
+
+    it('should avoid recent meals and yesterday\'s cuisines', () => {
+      const candidates = [
+        candidate({ name: 'Rajma Chawal', cuisine: 'north_indian' }),
+        candidate({ name: 'Dosa', cuisine: 'south_indian' }),
+        candidate({ name: 'Pad Thai', cuisine: 'thai' }),
+        candidate({ name: 'Pasta', cuisine: 'italian' })
+      ];
+
+      const result = recommendMeals(candidates, {
+        recentMeals: ['rajma chawal'],
+        avoidCuisines: ['thai']
+      });
+
+      expect(result.map(s => s.name)).toEqual(['Dosa', 'Pasta', 'Pad Thai']);
+    });
+
+    it('should never suggest rejected meals', () => {
+      const candidates = [candidate({ name: 'Biryani' }), candidate({ name: 'Poha' })];
+
+      const result = recommendMeals(candidates, { rejectedMeals: [{ name: 'biryani' }] });
+
+      expect(result.map(s => s.name)).toEqual(['Poha']);
+    });
+
+    it('should favour dishes that use what is in the pantry', () => {
+      const candidates = [
+        candidate({ name: 'Aloo Gobi', ingredients: [{ name: 'Potato' }, { name: 'Cauliflower' }] }),
+        candidate({ name: 'Palak Paneer', ingredients: [{ name: 'Spinach' }, { name: 'Paneer' }] })
+      ];
+
+      const [top] = recommendMeals(candidates, {
+        inventory: [{ name: 'Paneer' }, { name: 'spinach' }]
+      });
+
+      expect(top.name).toBe('Palak Paneer');
+      expect(top.reason).toMatch(/spinach, paneer from your pantry/i);
+    });
+
+    it('should favour highly rated dishes and mood fit', () => {
+      const candidates = [
+        candidate({ name: 'Plain Dish', cuisine: 'continental', prepTime: 20 }),
+        candidate({ name: 'Loved Dish', rating: 5, source: 'history', prepTime: 20 }),
+        candidate({ name: 'Slow Dish', cuisine: 'thai', prepTime: 90 })
+      ];
+
+      const result = recommendMeals(candidates, { mood: 'lazy' });
+
+      expect(result[0].name).toBe('Loved Dish');
+      expect(result[0].reason).toMatch(/rated it 5\/5/);
+      expect(result.at(-1).name).toBe('Slow Dish');
+    });
+
+    it('should merge the same dish from several sources', () => {
+      const candidates = [
+        candidate({ name: 'Poha', rating: 5, source: 'history', ingredients: [] }),
+        candidate({ name: 'poha', source: 'recipe', ingredients: [{ name: 'Poha' }], description: 'Saved' })
+      ];
+
+      const result = recommendMeals(candidates, {});
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ name: 'Poha', description: 'Saved', ingredients: [{ name: 'Poha' }] });
+    });
+  });
+
+  describe('loadCandidates', () => {
+    it('should combine meals, recipes, rated history and the built-in catalog', async () => {
+      const prisma = createPrismaMock();
+      prisma.meal.findMany.mockResolvedValue([testData.meal({ name: 'House Special' })]);
+      prisma.recipe.findMany.mockResolvedValue([testData.recipe({ mealName: 'Saved Curry' })]);
+      prisma.mealHistory.findMany.mockResolvedValue([
+        testData.mealHistory({ mealName: 'Loved Dish', rating: 5, recipe: testData.recipe() })
+      ]);
+
+      const candidates = await loadCandidates(prisma);
+
+      expect(candidates.find(c => c.name === 'House Special')).toMatchObject({
+        source: 'meal',
+        ingredients: [{ name: 'ingredient1', quantity: null, unit: null }, expect.any(Object)]
+      });
+      expect(candidates.find(c => c.name === 'Saved Curry')).toMatchObject({
+        source: 'recipe',
+        prepTime: 45,
+        ingredients: [{ name: 'Test', quantity: '100', unit: 'g' }]
+      });
+      expect(candidates.find(c => c.name === 'Loved Dish')).toMatchObject({ source: 'history', rating: 5, prepTime: 45 });
+      expect(candidates.filter(c => c.source === 'builtin').length).toBe(builtinCandidates().length);
+      expect(prisma.mealHistory.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { rating: { gte: 4 } } })
+      );
+    });
+  });
+});
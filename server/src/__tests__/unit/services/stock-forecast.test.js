@@ -0,0 +1,166 @@
+/**
+ * Unit tests for forecasting when stock runs out
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import {
+  roundUpQuantity,
+  parseShoppingSchedule,
+  nextShoppingDate,
+  shoppingCycleDays,
+  dailyUsage,
+  forecastItem,
+  forecastInventory,
+  addForecastToShoppingList
+} from '../../../services/stock-forecast.js';
+
+// A Wednesday
+const NOW = new Date('2024-03-13T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 86400000);
+const saturdays = { shoppingDays: ['Saturday'], bufferDays: 2 };
+
+// 0.2 kg of atta a day over the last two weeks
+const attaUses = [
+  testData.stockMovement({ itemId: 'atta', quantity: -1.4, reason: 'cooked', createdAt: daysAgo(14) }),
+  testData.stockMovement({ itemId: 'atta', quantity: -1.4, reason: 'adjusted', createdAt: daysAgo(7) })
+];
+
+describe('Stock Forecast', () => {
+  describe('roundUpQuantity', () => {
+    it('should round up to a step that suits the size', () => {
+      expect(roundUpQuantity(350.3)).toBe(360);
+      expect(roundUpQuantity(12.2)).toBe(13);
+      expect(roundUpQuantity(1.23)).toBe(1.3);
+      expect(roundUpQuantity(0.35)).toBe(0.35);
+      expect(roundUpQuantity(-1)).toBe(0);
+    });
+  });
+
+  describe('shopping schedule', () => {
+    it('should fall back to defaults for a broken preference', () => {
+      expect(parseShoppingSchedule('not json')).toEqual(saturdays);
+      expect(parseShoppingSchedule({ shoppingDays: ['Funday'] })).toEqual(saturdays);
+    });
+
+    it('should find the next shopping day after today', () => {
+      expect(nextShoppingDate(saturdays, NOW)).toBe('2024-03-16');
+      expect(nextShoppingDate({ shoppingDays: ['Wednesday'] }, NOW)).toBe('2024-03-20');
+    });
+
+    it('should measure the longest stretch between trips', () => {
+      expect(shoppingCycleDays(saturdays)).toBe(7);
+      expect(shoppingCycleDays({ shoppingDays: ['Wednesday', 'Saturday'] })).toBe(4);
+    });
+  });
+
+  describe('dailyUsage', () => {
+    const atta = testData.inventoryItem({ id: 'atta', name: 'Atta', quantity: 0.5, unit: 'kg' });
+
+    it('should average use since the first use', () => {
+      expect(dailyUsage(atta, attaUses, NOW)).toEqual({ perDay: 0.2, uses: 2, spanDays: 14 });
+    });
+
+    it('should ignore purchases, waste, undone changes and other units', () => {
+      const movements = [
+        attaUses[0],
+        testData.stockMovement({ quantity: 5, reason: 'purchased', createdAt: daysAgo(10) }),
+        testData.stockMovement({ quantity: -1, reason: 'spoiled', createdAt: daysAgo(5) }),
+        testData.stockMovement({ quantity: -1, reason: 'cooked', createdAt: daysAgo(4), revertedAt: daysAgo(3) }),
+        testData.stockMovement({ quantity: -500, unit: 'g', reason: 'cooked', createdAt: daysAgo(2) })
+      ];
+
+      expect(dailyUsage(atta, movements, NOW)).toBeNull();
+    });
+
+    it('should not treat a single busy day as a trend', () => {
+      const movements = [
+        testData.stockMovement({ quantity: -0.5, createdAt: daysAgo(1) }),
+        testData.stockMovement({ quantity: -0.5, createdAt: daysAgo(1) })
+      ];
+
+      expect(dailyUsage(atta, movements, NOW).spanDays).toBe(7);
+    });
+  });
+
+  describe('forecastItem', () => {
+    it('should predict the run-out date and what to buy', () => {
+      const atta = testData.inventoryItem({ id: 'atta', name: 'Atta', quantity: 0.5, unit: 'kg', lowStockAt: 1 });
+
+      expect(forecastItem(atta, attaUses, { schedule: saturdays, now: NOW })).toMatchObject({
+        perDay: 0.2,
+        daysLeft: 2,
+        runOutDate: '2024-03-15',
+        runsOutBeforeShopping: true,
+        lowStockAt: 1,
+        // A week between trips plus two spare days
+        suggestedLowStockAt: 1.8,
+        toBuy: 1.8
+      });
+    });
+
+    it('should buy only what the stock left on shopping day does not cover', () => {
+      const atta = testData.inventoryItem({ id: 'atta', quantity: 1, unit: 'kg' });
+
+      expect(forecastItem(atta, attaUses, { schedule: saturdays, now: NOW })).toMatchObject({
+        runsOutBeforeShopping: false,
+        toBuy: 1.4
+      });
+    });
+
+    it('should skip items without enough history', () => {
+      expect(forecastItem(testData.inventoryItem(), [], { schedule: saturdays, now: NOW })).toBeNull();
+    });
+  });
+
+  describe('forecastInventory', () => {
+    it('should forecast items soonest to run out first', async () => {
+      const prismaMock = createPrismaMock();
+      prismaMock.inventoryItem.findMany.mockResolvedValue([
+        testData.inventoryItem({ id: 'rice', name: 'Rice', quantity: 5, unit: 'kg' }),
+        testData.inventoryItem({ id: 'atta', name: 'Atta', quantity: 0.5, unit: 'kg' }),
+        testData.inventoryItem({ id: 'salt', name: 'Salt', quantity: 1, unit: 'kg' })
+      ]);
+      prismaMock.stockMovement.findMany.mockResolvedValue([
+        ...attaUses,
+        testData.stockMovement({ itemId: 'rice', quantity: -1, createdAt: daysAgo(10) }),
+        testData.stockMovement({ itemId: 'rice', quantity: -1, createdAt: daysAgo(3) })
+      ]);
+
+      const forecast = await forecastInventory(prismaMock, NOW);
+
+      expect(forecast).toMatchObject({ nextShoppingDate: '2024-03-16', cycleDays: 7, bufferDays: 2 });
+      expect(forecast.items.map(item => item.name)).toEqual(['Atta', 'Rice']);
+    });
+  });
+
+  describe('addForecastToShoppingList', () => {
+    let prismaMock;
+    const forecast = { name: 'Atta', category: 'grains', unit: 'kg', toBuy: 1.8 };
+
+    beforeEach(() => {
+      prismaMock = createPrismaMock();
+    });
+
+    it('should add items not on the list', async () => {
+      const diff = await addForecastToShoppingList(prismaMock, [forecast, { ...forecast, name: 'Rice', toBuy: 0 }]);
+
+      expect(diff.added).toHaveLength(1);
+      expect(prismaMock.shoppingItem.create).toHaveBeenCalledWith({
+        data: { name: 'Atta', quantity: 1.8, unit: 'kg', category: 'grains', isPurchased: false, source: 'forecast' }
+      });
+    });
+
+    it('should raise an open item but never lower it', async () => {
+      prismaMock.shoppingItem.findMany.mockResolvedValue([
+        testData.shoppingItem({ id: 'atta-item', name: 'Atta', quantity: 500, unit: 'g' }),
+        testData.shoppingItem({ id: 'rice-item', name: 'Rice', quantity: 5, unit: 'kg' })
+      ]);
+
+      const diff = await addForecastToShoppingList(prismaMock, [forecast, { ...forecast, name: 'Rice', toBuy: 2 }]);
+
+      expect(prismaMock.shoppingItem.update).toHaveBeenCalledWith({ where: { id: 'atta-item' }, data: { quantity: 1800 } });
+      expect(diff.unchanged.map(item => item.id)).toEqual(['rice-item']);
+      expect(prismaMock.shoppingItem.create).not.toHaveBeenCalled();
+    });
+  });
+});
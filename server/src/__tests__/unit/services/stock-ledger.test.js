@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the stock movement ledger
+ */
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createPrismaMock, testData } from '../../setup/prisma-mock.js';
+import { recordMovement, consumptionRate, revertMovement } from '../../../services/stock-ledger.js';
+
+const NOW = new Date('2024-03-31T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 86400000);
+
+describe('Stock Ledger', () => {
+  let prismaMock;
+
+  beforeEach(() => {
+    prismaMock = createPrismaMock();
+  });
+
+  describe('recordMovement', () => {
+    it('should record a signed change in the item unit with its links', async () => {
+      const item = testData.inventoryItem({ id: 'rice', unit: 'kg' });
+
+      await recordMovement(prismaMock, item, -0.30000000000000004, { reason: 'spoiled', note: 'Weevils' });
+
+      expect(prismaMock.stockMovement.create).toHaveBeenCalledWith({
+        data: {
+          itemId: 'rice',
+          quantity: -0.3,
+          unit: 'kg',
+          reason: 'spoiled',
+          note: 'Weevils',
+          mealPlanId: null,
+          mealHistoryId: null,
+          shoppingItemId: null
+        }
+      });
+    });
+
+    it('should record nothing when the quantity did not change', async () => {
+      const movement = await recordMovement(prismaMock, testData.inventoryItem(), 0, { reason: 'adjusted' });
+
+      expect(movement).toBeNull();
+      expect(prismaMock.stockMovement.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumptionRate', () => {
+    const item = testData.inventoryItem({ quantity: 3, unit: 'kg' });
+
+    it('should total use, waste and purchases over the window', () => {
+      const movements = [
+        testData.stockMovement({ quantity: -1, reason: 'cooked', createdAt: daysAgo(2) }),
+        testData.stockMovement({ quantity: -0.5, reason: 'adjusted', createdAt: daysAgo(10) }),
+        testData.stockMovement({ quantity: -0.5, reason: 'spoiled', createdAt: daysAgo(5) }),
+        testData.stockMovement({ quantity: 5, reason: 'purchased', createdAt: daysAgo(20) }),
+        testData.stockMovement({ quantity: 0.5, reason: 'adjusted', createdAt: daysAgo(3) })
+      ];
+
+      expect(consumptionRate(item, movements, { days: 30, now: NOW })).toEqual({
+        days: 30,
+        unit: 'kg',
+        used: 1.5,
+        wasted: 0.5,
+        purchased: 5,
+        perDay: 0.05,
+        daysLeft: 60
+      });
+    });
+
+    it('should leave out reverted, older and other-unit movements', () => {
+      const movements = [
+        testData.stockMovement({ quantity: -1, createdAt: daysAgo(2), revertedAt: daysAgo(1) }),
+        testData.stockMovement({ quantity: -1, createdAt: daysAgo(40) }),
+        testData.stockMovement({ quantity: -500, unit: 'g', createdAt: daysAgo(2) })
+      ];
+
+      expect(consumptionRate(item, movements, { days: 30, now: NOW })).toMatchObject({ used: 0, perDay: 0, daysLeft: null });
+    });
+  });
+
+  describe('revertMovement', () => {
+    beforeEach(() => {
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should take back a purchase without going below zero', async () => {
+      const item = testData.inventoryItem({ id: 'rice', quantity: 1, unit: 'kg' });
+      const movement = testData.stockMovement({ id: 'm1', quantity: 2, reason: 'purchased' });
+
+      const result = await revertMovement(prismaMock, movement, item);
+
+      expect(result.movement.revertedAt).toEqual(expect.any(Date));
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'rice' }, data: { quantity: 0 } });
+      expect(prismaMock.stockMovement.updateMany).toHaveBeenCalledWith({
+        where: { id: 'm1', revertedAt: null },
+        data: { revertedAt: expect.any(Date) }
+      });
+    });
+
+    it('should leave stock alone when the movement was undone in the meantime', async () => {
+      prismaMock.stockMovement.updateMany.mockResolvedValue({ count: 0 });
+      const item = testData.inventoryItem({ id: 'rice', quantity: 1, unit: 'kg' });
+
+      await expect(revertMovement(prismaMock, testData.stockMovement({ quantity: 2 }), item))
+        .rejects.toMatchObject({ statusCode: 409, code: 'ALREADY_REVERTED' });
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should put back stock recorded in another unit', async () => {
+      const item = testData.inventoryItem({ id: 'rice', quantity: 1, unit: 'kg' });
+
+      await revertMovement(prismaMock, testData.stockMovement({ quantity: -500, unit: 'g' }), item);
+
+      expect(prismaMock.inventoryItem.update).toHaveBeenCalledWith({ where: { id: 'rice' }, data: { quantity: 1.5 } });
+    });
+
+    it('should give up when the units no longer convert', async () => {
+      const item = testData.inventoryItem({ name: 'Mystery', quantity: 1, unit: 'kg' });
+
+      const result = await revertMovement(prismaMock, testData.stockMovement({ quantity: -2, unit: 'packets' }), item);
+
+      expect(result).toBeNull();
+      expect(prismaMock.inventoryItem.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for planning meal plan slots
+ */
+import { describe, it, expect } from '@jest/globals';
+import { testData } from '../../setup/prisma-mock.js';
+import {
+  dayName,
+  slotKey,
+  weekSlots,
+  daySlots,
+  planEntry,
+  plannedSummary
+} from '../../../services/week-planner.js';
+
+describe('Week Planner', () => {
+  describe('dayName', () => {
+    it('should name the day of a date', () => {
+      expect(dayName('2024-01-15')).toBe('Monday');
+      expect(dayName(new Date('2024-01-21'))).toBe('Sunday');
+    });
+  });
+
+  describe('slotKey', () => {
+    it('should key dates and strings the same way', () => {
+      expect(slotKey(new Date('2024-01-15'), 'lunch')).toBe(slotKey('2024-01-15', 'lunch'));
+    });
+  });
+
+  describe('weekSlots', () => {
+    it('should list three meals for seven days', () => {
+      const slots = weekSlots('2024-01-15');
+
+      expect(slots).toHaveLength(21);
+      expect(slots[0]).toEqual({ date: '2024-01-15', day: 'Monday', mealType: 'breakfast' });
+      expect(slots[20]).toEqual({ date: '2024-01-21', day: 'Sunday', mealType: 'dinner' });
+    });
+  });
+
+  describe('daySlots', () => {
+    it('should list the meals of one day', () => {
+      expect(daySlots('2024-01-17').map(s => s.mealType)).toEqual(['breakfast', 'lunch', 'dinner']);
+    });
+  });
+
+  describe('planEntry', () => {
+    it('should describe a planned dish with its ingredients', () => {
+      const plan = testData.mealPlan({
+        date: new Date('2024-01-16'),
+        mealType: 'dinner',
+        dishName: 'Rajma',
+        prepTime: 40,
+        ingredients: [{ name: 'Rajma', quantity: 1, unit: 'cup' }]
+      });
+
+      expect(planEntry(plan)).toMatchObject({ day: 'Tuesday', name: 'Rajma', prepTime: 40, ingredients: [{ name: 'Rajma' }] });
+    });
+
+    it('should fall back to the linked meal', () => {
+      const plan = testData.mealPlan({ meal: testData.meal({ name: 'Dosa', prepTime: 30, ingredients: '["Rice","Urad dal"]' }) });
+
+      expect(planEntry(plan)).toMatchObject({ name: 'Dosa', prepTime: 30, ingredients: ['Rice', 'Urad dal'] });
+      expect(planEntry(testData.mealPlan())).toBeNull();
+    });
+  });
+
+  describe('plannedSummary', () => {
+    it('should describe planned dishes and linked meals', () => {
+      const plans = [
+        testData.mealPlan({ date: new Date('2024-01-16'), mealType: 'lunch', dishName: 'Rajma', cuisine: 'punjabi', calories: 550 }),
+        testData.mealPlan({ date: new Date('2024-01-16'), mealType: 'dinner', meal: testData.meal({ name: 'Dosa', cuisine: 'south_indian' }) }),
+        testData.mealPlan({ date: new Date('2024-01-17'), mealType: 'lunch' })
+      ];
+
+      expect(plannedSummary(plans)).toEqual([
+        { date: '2024-01-16', day: 'Tuesday', mealType: 'lunch', name: 'Rajma', cuisine: 'punjabi', calories: 550 },
+        { date: '2024-01-16', day: 'Tuesday', mealType: 'dinner', name: 'Dosa', cuisine: 'south_indian', calories: null }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for AI response normalization
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizeCuisine,
+  parseQuantity,
+  parseWholeNumber,
+  normalizeIngredient,
+  normalizeSuggestions,
+  normalizeWeekPlan,
+  normalizePlanSlots,
+  normalizeRecipe
+} from '../../../utils/ai-normalize.js';
+import {
+  aiSuggestionsResponseSchema,
+  aiWeekPlanResponseSchema,
+  aiPlanSlotsResponseSchema,
+  aiRecipeResponseSchema
+} from '../../../validators/index.js';
+
+const meal = (overrides = {}) => ({
+  name: 'Dish',
+  cuisine: 'indian',
+  prepTime: 20,
+  estimatedCalories: 400,
+  ingredients: [],
+  ...overrides
+});
+
+describe('AI Normalization', () => {
+  describe('normalizeCuisine', () => {
+    it('should accept exact enum values', () => {
+      expect(normalizeCuisine('punjabi')).toBe('punjabi');
+    });
+
+    it('should fix case, spaces and hyphens', () => {
+      expect(normalizeCuisine('South Indian')).toBe('south_indian');
+      expect(normalizeCuisine('Tex-Mex')).toBe('tex_mex');
+      expect(normalizeCuisine('Italian cuisine')).toBe('italian');
+    });
+
+    it('should map known aliases', () => {
+      expect(normalizeCuisine('Indo-Chinese')).toBe('chinese');
+      expect(normalizeCuisine('Mughlai')).toBe('north_indian');
+      expect(normalizeCuisine('Udupi')).toBe('south_indian');
+    });
+
+    it('should find a cuisine word inside a longer label', () => {
+      expect(normalizeCuisine('Authentic Bengali')).toBe('bengali');
+      expect(normalizeCuisine('North Indian (Punjabi)')).toBe('north_indian');
+    });
+
+    it('should fall back for unknown or missing values', () => {
+      expect(normalizeCuisine('martian')).toBe('other');
+      expect(normalizeCuisine(undefined)).toBe('other');
+      expect(normalizeCuisine(null, 'indian')).toBe('indian');
+    });
+  });
+
+  describe('parseQuantity', () => {
+    it.each([
+      [2, 2, null],
+      ['200', 200, null],
+      ['200g', 200, 'g'],
+      ['1/2', 0.5, null],
+      ['1 1/2 cups', 1.5, 'cups'],
+      ['½', 0.5, null],
+      ['1½ tsp', 1.5, 'tsp'],
+      ['2-3', 3, null],
+      ['to taste', null, null],
+      [0, null, null],
+      [undefined, null, null]
+    ])('should parse %p', (input, quantity, unit) => {
+      expect(parseQuantity(input)).toEqual({ quantity, unit });
+    });
+  });
+
+  describe('parseWholeNumber', () => {
+    it('should parse minutes, hours and calories', () => {
+      expect(parseWholeNumber('30 minutes')).toBe(30);
+      expect(parseWholeNumber('1.5 hours')).toBe(90);
+      expect(parseWholeNumber('450 kcal')).toBe(450);
+      expect(parseWholeNumber(29.6)).toBe(30);
+      expect(parseWholeNumber('about')).toBeNull();
+    });
+  });
+
+  describe('normalizeIngredient', () => {
+    it('should accept item as an alias for name', () => {
+      expect(normalizeIngredient({ item: 'Paneer', quantity: '250', unit: 'g' }))
+        .toEqual({ name: 'Paneer', quantity: 250, unit: 'g' });
+    });
+
+    it('should take the unit from the quantity when missing', () => {
+      expect(normalizeIngredient({ name: 'Rice', quantity: '200 g' }))
+        .toEqual({ name: 'Rice', quantity: 200, unit: 'g' });
+    });
+
+    it('should wrap plain strings', () => {
+      expect(normalizeIngredient('Salt')).toEqual({ name: 'Salt', quantity: null, unit: null });
+    });
+  });
+
+  describe('normalizeSuggestions', () => {
+    it('should repair suggestions so they pass the schema', () => {
+      const raw = {
+        suggestions: [
+          { name: 'Chilli Paneer', cuisine: 'Indo Chinese', prepTime: '25 mins', estimatedCalories: '450', ingredients: [{ name: 'Paneer', quantity: '200', unit: 'g' }] },
+          { cuisine: 'indian' }
+        ]
+      };
+
+      const result = aiSuggestionsResponseSchema.safeParse(normalizeSuggestions(raw, { mealType: 'dinner' }));
+
+      expect(result.success).toBe(true);
+      expect(result.data.suggestions).toHaveLength(1);
+      expect(result.data.suggestions[0]).toMatchObject({
+        cuisine: 'chinese',
+        mealType: 'dinner',
+        prepTime: 25,
+        estimatedCalories: 450
+      });
+    });
+
+    it('should accept a bare array', () => {
+      expect(normalizeSuggestions([meal()]).suggestions).toHaveLength(1);
+    });
+  });
+
+  describe('normalizeWeekPlan', () => {
+    const fullDay = () => ({ breakfast: meal(), lunch: meal(), dinner: meal() });
+
+    it('should resolve abbreviated and lowercase day names', () => {
+      const raw = {
+        weekPlan: ['mon', 'TUE', 'Wednesday', 'thu', 'Fri', 'saturday', 'Sun']
+          .map(day => ({ day, meals: fullDay() }))
+      };
+
+      const result = normalizeWeekPlan(raw, '2024-01-15');
+
+      expect(result.weekPlan.map(d => d.day)).toEqual([
+        'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
+      ]);
+      expect(result.weekPlan[6].date).toBe('2024-01-21');
+      expect(aiWeekPlanResponseSchema.safeParse(result).success).toBe(true);
+    });
+
+    it('should place unknown days by date, then by position', () => {
+      const raw = {
+        weekPlan: [
+          { day: 'Funday', date: '2024-01-17', meals: fullDay() },
+          { day: 'Someday', meals: fullDay() }
+        ]
+      };
+
+      const result = normalizeWeekPlan(raw, '2024-01-15');
+
+      expect(result.weekPlan.map(d => d.day)).toEqual(['Monday', 'Wednesday']);
+    });
+
+    it('should collect meals given as an array or inline on the day', () => {
+      const raw = {
+        weekPlan: [
+          { day: 'Monday', meals: [{ mealType: 'breakfast', ...meal() }, { type: 'Lunch', ...meal() }], dinner: meal() }
+        ]
+      };
+
+      const { weekPlan } = normalizeWeekPlan(raw, '2024-01-15');
+
+      expect(Object.keys(weekPlan[0].meals).sort()).toEqual(['breakfast', 'dinner', 'lunch']);
+    });
+
+    it('should still fail validation when a meal is missing', () => {
+      const raw = {
+        weekPlan: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+          .map(day => ({ day, meals: { breakfast: meal(), lunch: meal() } }))
+      };
+
+      const result = aiWeekPlanResponseSchema.safeParse(normalizeWeekPlan(raw, '2024-01-15'));
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['weekPlan', 0, 'meals', 'dinner']);
+    });
+  });
+
+  describe('normalizePlanSlots', () => {
+    const slots = [
+      { date: '2024-01-16', day: 'Tuesday', mealType: 'lunch' },
+      { date: '2024-01-16', day: 'Tuesday', mealType: 'dinner' }
+    ];
+
+    it('should place meals by day name and by position', () => {
+      const raw = {
+        meals: [
+          { ...meal({ name: 'Rajma' }), day: 'tue', mealType: 'Lunch' },
+          meal({ name: 'Dosa' })
+        ]
+      };
+
+      const result = normalizePlanSlots(raw, slots);
+
+      expect(result.meals.map(m => [m.name, m.date, m.mealType])).toEqual([
+        ['Rajma', '2024-01-16', 'lunch'],
+        ['Dosa', '2024-01-16', 'dinner']
+      ]);
+      expect(aiPlanSlotsResponseSchema.safeParse(result).success).toBe(true);
+    });
+
+    it('should accept a bare array', () => {
+      expect(normalizePlanSlots([{ ...meal(), date: '2024-01-16T00:00:00Z', mealType: 'dinner' }], slots).meals[0])
+        .toMatchObject({ date: '2024-01-16', mealType: 'dinner' });
+    });
+  });
+
+  describe('normalizeRecipe', () => {
+    it('should repair a loosely formatted recipe', () => {
+      const raw = {
+        cuisine: 'Hyderabadi cuisine',
+        prepTime: '15 min',
+        cookTime: '1 hour',
+        ingredients: [{ item: 'Rice', quantity: '2 cups' }, 'Salt'],
+        instructions: ['Soak rice', 'Cook'],
+        tips: 'Use aged basmati'
+      };
+
+      const result = aiRecipeResponseSchema.safeParse(normalizeRecipe(raw, { name: 'Biryani', estimatedCalories: 600 }));
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        mealName: 'Biryani',
+        cuisine: 'hyderabadi',
+        prepTime: 15,
+        cookTime: 60,
+        servings: 2,
+        calories: 600,
+        tips: ['Use aged basmati']
+      });
+      expect(result.data.ingredients[0]).toEqual({ item: 'Rice', quantity: 2, unit: 'cups' });
+      expect(result.data.instructions[1]).toEqual({ step: 2, text: 'Cook' });
+    });
+  });
+});
@@ -12,6 +12,8 @@ import {
   getReviewContext,
   getInventory,
   formatInventoryForPrompt,
+  getRejectionContext,
+  formatRejectionsForPrompt,
   buildFullAIContext,
   processSuggestions
 } from '../../../utils/context-builder.js';
@@ -31,8 +33,14 @@ describe('Context Builder Utilities', () => {
       dayReview: {
         findMany: jest.fn().mockResolvedValue([])
       },
+      ingredient: {
+        findMany: jest.fn().mockResolvedValue([])
+      },
       inventoryItem: {
         findMany: jest.fn().mockResolvedValue([])
+      },
+      rejectedSuggestion: {
+        findMany: jest.fn().mockResolvedValue([])
       }
     };
   });
@@ -268,7 +276,7 @@ describe('Context Builder Utilities', () => {
       const result = await getInventory(mockPrisma);
       expect(result).toEqual(items);
       expect(mockPrisma.inventoryItem.findMany).toHaveBeenCalledWith({
-        select: { name: true, quantity: true, unit: true }
+        select: { name: true, quantity: true, unit: true, expiresAt: true }
       });
     });
   });
@@ -304,6 +312,89 @@ describe('Context Builder Utilities', () => {
       const result = formatInventoryForPrompt(inventory);
       expect(result).toBe('Eggs (12)');
     });
+
+    it('should flag items about to expire', () => {
+      const tomorrow = new Date(Date.now() + 86400000);
+      const inventory = [
+        { name: 'Spinach', quantity: 200, unit: 'g', expiresAt: tomorrow },
+        { name: 'Rice', quantity: 5, unit: 'kg', expiresAt: null }
+      ];
+      const result = formatInventoryForPrompt(inventory);
+      expect(result).toBe('Spinach (200 g, expires tomorrow), Rice (5 kg)');
+    });
+  });
+
+  describe('getRejectionContext', () => {
+    // 2024-01-15 is a Monday, 2024-01-20 a Saturday
+    const rejection = (overrides = {}) => ({
+      mealName: 'Butter Chicken',
+      cuisine: 'north_indian',
+      mealType: 'dinner',
+      reason: null,
+      createdAt: new Date('2024-01-15T20:00:00'),
+      ...overrides
+    });
+
+    it('should find reasons that keep coming up and when', async () => {
+      mockPrisma.rejectedSuggestion.findMany.mockResolvedValue([
+        rejection({ reason: 'too heavy for a weeknight' }),
+        rejection({ mealName: 'Biryani', reason: 'Too heavy', createdAt: new Date('2024-01-16T20:00:00') }),
+        rejection({ mealName: 'Nihari', reason: 'way too rich', createdAt: new Date('2024-01-17T20:00:00') }),
+        rejection({ mealName: 'Pasta', reason: 'too spicy', mealType: 'lunch', createdAt: new Date('2024-01-20T13:00:00') })
+      ]);
+
+      const result = await getRejectionContext(mockPrisma);
+
+      expect(result.total).toBe(4);
+      expect(result.themes).toEqual([
+        { theme: 'heavy', label: 'too heavy', count: 3, when: 'weekdays', mealType: 'dinner' }
+      ]);
+    });
+
+    it('should list meals and cuisines rejected repeatedly', async () => {
+      mockPrisma.rejectedSuggestion.findMany.mockResolvedValue([
+        rejection(),
+        rejection({ mealName: 'butter chicken' }),
+        rejection({ mealName: 'Dal Makhani' }),
+        rejection({ mealName: 'Sushi', cuisine: 'japanese' }),
+        rejection({ mealName: 'Ramen', cuisine: 'japanese' }),
+        rejection({ mealName: 'Tacos', cuisine: 'mexican' })
+      ]);
+
+      const result = await getRejectionContext(mockPrisma);
+
+      expect(result.repeatedMeals).toEqual([{ name: 'Butter Chicken', count: 2 }]);
+      expect(result.cuisines).toEqual([{ cuisine: 'north_indian', count: 3 }, { cuisine: 'japanese', count: 2 }]);
+    });
+
+    it('should only look back the configured number of days', async () => {
+      await getRejectionContext(mockPrisma);
+
+      const { where } = mockPrisma.rejectedSuggestion.findMany.mock.calls[0][0];
+      const days = (Date.now() - where.createdAt.gte.getTime()) / (24 * 60 * 60 * 1000);
+      expect(Math.floor(days)).toBe(CONFIG.REJECTION_CONTEXT_DAYS);
+    });
+  });
+
+  describe('formatRejectionsForPrompt', () => {
+    it('should return empty string when there are no patterns', () => {
+      expect(formatRejectionsForPrompt(null)).toBe('');
+      expect(formatRejectionsForPrompt({ repeatedMeals: [], themes: [], cuisines: [] })).toBe('');
+    });
+
+    it('should describe each pattern on its own line', () => {
+      const text = formatRejectionsForPrompt({
+        themes: [{ theme: 'heavy', label: 'too heavy', count: 3, when: 'weekdays', mealType: 'dinner' }],
+        repeatedMeals: [{ name: 'Butter Chicken', count: 2 }],
+        cuisines: [{ cuisine: 'north_indian', count: 3 }]
+      });
+
+      expect(text.split('\n')).toEqual([
+        '- Rejected 3 times as too heavy (mostly weekdays, dinner)',
+        '- Repeatedly turned down: Butter Chicken (2x)',
+        '- Often rejected cuisines: north_indian (3x)'
+      ]);
+    });
   });
 
   describe('processSuggestions', () => {
@@ -369,6 +460,8 @@ describe('Context Builder Utilities', () => {
       expect(result).toHaveProperty('yesterdayCuisines');
       expect(result).toHaveProperty('calorieContext');
       expect(result).toHaveProperty('reviewContext');
+      expect(result).toHaveProperty('rejectionContext');
+      expect(result).toHaveProperty('rejectionInsights');
     });
 
     it('should format inventory correctly', async () => {
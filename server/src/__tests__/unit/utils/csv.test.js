@@ -0,0 +1,56 @@
+/**
+ * Unit tests for CSV reading and writing
+ */
+import { describe, it, expect } from '@jest/globals';
+import { parseCsv, csvField, formatCsv } from '../../../utils/csv.js';
+
+describe('CSV', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      expect(parseCsv('name,quantity\r\nRice,2\nSalt,1')).toEqual([
+        ['name', 'quantity'],
+        ['Rice', '2'],
+        ['Salt', '1']
+      ]);
+    });
+
+    it('should read quoted commas, quotes and line breaks', () => {
+      expect(parseCsv('"Dal, toor","6"" pack","line\none"\n')).toEqual([['Dal, toor', '6" pack', 'line\none']]);
+    });
+
+    it('should skip blank lines and a byte order mark', () => {
+      expect(parseCsv('\uFEFFname\n\n\nRice\n')).toEqual([['name'], ['Rice']]);
+    });
+
+    it('should keep empty fields', () => {
+      expect(parseCsv('Rice,,kg')).toEqual([['Rice', '', 'kg']]);
+    });
+  });
+
+  describe('csvField', () => {
+    it('should quote only when needed', () => {
+      expect(csvField('Rice')).toBe('Rice');
+      expect(csvField('Dal, toor')).toBe('"Dal, toor"');
+      expect(csvField('6" pack')).toBe('"6"" pack"');
+      expect(csvField(null)).toBe('');
+      expect(csvField(2.5)).toBe('2.5');
+    });
+
+    it('should keep text from opening as a formula', () => {
+      expect(csvField('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+      expect(csvField('+91 cardamom')).toBe("'+91 cardamom");
+      expect(csvField('-')).toBe("'-");
+      expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(csvField(-1)).toBe('-1');
+    });
+  });
+
+  describe('formatCsv', () => {
+    it('should round-trip through parseCsv', () => {
+      const rows = [['name', 'note'], ['Dal, toor', 'say "hi"']];
+
+      expect(formatCsv(rows)).toBe('name,note\r\n"Dal, toor","say ""hi"""\r\n');
+      expect(parseCsv(formatCsv(rows))).toEqual(rows);
+    });
+  });
+});
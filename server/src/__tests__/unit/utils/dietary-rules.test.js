@@ -0,0 +1,126 @@
+/**
+ * Unit tests for household dietary rules
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  checkMeal,
+  dayName,
+  formatRulesForPrompt,
+  hasDietaryRules,
+  isVegetarianDay,
+  parseDietaryRules,
+  DEFAULT_DIETARY_RULES
+} from '../../../utils/dietary-rules.js';
+
+const rules = overrides => parseDietaryRules({ ...overrides });
+
+describe('Dietary Rules', () => {
+  describe('parseDietaryRules', () => {
+    it('should fill in defaults', () => {
+      expect(parseDietaryRules('{"jain":true}')).toMatchObject({ jain: true, eggAllowed: true, allergens: [] });
+    });
+
+    it('should fall back to defaults for invalid values', () => {
+      expect(parseDietaryRules('not json')).toEqual(DEFAULT_DIETARY_RULES);
+      expect(parseDietaryRules({ vegetarianDays: ['Funday'] })).toEqual(DEFAULT_DIETARY_RULES);
+    });
+  });
+
+  describe('hasDietaryRules', () => {
+    it('should be false for the defaults', () => {
+      expect(hasDietaryRules(DEFAULT_DIETARY_RULES)).toBe(false);
+      expect(hasDietaryRules(null)).toBe(false);
+    });
+
+    it('should be true once any rule is set', () => {
+      expect(hasDietaryRules(rules({ allergens: ['sesame'] }))).toBe(true);
+    });
+  });
+
+  describe('vegetarian days', () => {
+    it('should name days Monday first', () => {
+      expect(dayName(new Date(2024, 0, 15))).toBe('Monday');
+      expect(dayName(new Date(2024, 0, 21))).toBe('Sunday');
+    });
+
+    it('should tell whether a date is a vegetarian day', () => {
+      const tuesdays = rules({ vegetarianDays: ['Tuesday'] });
+      expect(isVegetarianDay(tuesdays, new Date(2024, 0, 16))).toBe(true);
+      expect(isVegetarianDay(tuesdays, new Date(2024, 0, 17))).toBe(false);
+    });
+  });
+
+  describe('checkMeal', () => {
+    it('should allow anything when there are no rules', () => {
+      expect(checkMeal({ name: 'Beef Burger' }, DEFAULT_DIETARY_RULES)).toEqual([]);
+    });
+
+    it('should catch avoided meats in the name or ingredients', () => {
+      const noPork = rules({ avoidMeats: ['pork'] });
+      expect(checkMeal({ name: 'Pork Vindaloo' }, noPork)[0]).toMatchObject({ rule: 'avoidMeats', term: 'pork' });
+      expect(checkMeal({ name: 'Carbonara', ingredients: [{ name: 'Bacon' }] }, noPork)).toHaveLength(1);
+      expect(checkMeal({ name: 'Chicken Tikka' }, noPork)).toEqual([]);
+    });
+
+    it('should match whole words only', () => {
+      expect(checkMeal({ name: 'Hamburger Bun' }, rules({ avoidMeats: ['pork'] }))).toEqual([]);
+    });
+
+    it('should reject any meat on a vegetarian day', () => {
+      const violations = checkMeal({ name: 'Fish Curry' }, rules({}), { vegetarian: true });
+      expect(violations[0]).toMatchObject({ rule: 'vegetarianDays', term: 'fish' });
+    });
+
+    it('should allow eggs on vegetarian days unless disallowed', () => {
+      const omelette = { name: 'Masala Omelette' };
+      expect(checkMeal(omelette, rules({}), { vegetarian: true })).toEqual([]);
+      expect(checkMeal(omelette, rules({ eggAllowed: false }), { vegetarian: true })).toHaveLength(1);
+    });
+
+    it('should catch allergens through their aliases', () => {
+      const nutFree = rules({ allergens: ['peanuts', 'dairy'] });
+      const violations = checkMeal({ name: 'Poha', ingredients: [{ name: 'Groundnuts' }, { name: 'Ghee' }] }, nutFree);
+      expect(violations.map(v => v.term)).toEqual(['groundnut', 'ghee']);
+    });
+
+    it('should treat nuts as peanuts and tree nuts alike', () => {
+      const nutFree = rules({ allergens: ['Nuts'] });
+      const check = ingredient => checkMeal({ name: 'Dish', ingredients: [{ name: ingredient }] }, nutFree).map(v => v.term);
+
+      expect(['Kaju', 'Cashews', 'Badam', 'Peanuts', 'Walnut'].map(check))
+        .toEqual([['kaju'], ['cashew'], ['badam'], ['peanut'], ['walnut']]);
+    });
+
+    it('should keep allergen names ending in s whole', () => {
+      const violations = checkMeal(
+        { name: 'Dish', ingredients: [{ name: 'Prawns' }, { name: 'Til' }, { name: 'Lentil' }] },
+        rules({ allergens: ['shellfish', 'sesame', 'lentils'] })
+      );
+      expect(violations.map(v => v.term)).toEqual(['prawn', 'til', 'lentil']);
+    });
+
+    it('should apply Jain rules to recipe ingredients', () => {
+      const recipe = { mealName: 'Aloo Gobi', ingredients: [{ item: 'Onion' }, { item: 'Cauliflower' }] };
+      const terms = checkMeal(recipe, rules({ jain: true })).map(v => v.term);
+      expect(terms).toEqual(['onion', 'aloo']);
+    });
+  });
+
+  describe('formatRulesForPrompt', () => {
+    it('should be empty without rules', () => {
+      expect(formatRulesForPrompt(DEFAULT_DIETARY_RULES)).toBe('');
+    });
+
+    it('should list vegetarian days for a week', () => {
+      const text = formatRulesForPrompt(rules({ vegetarianDays: ['Tuesday', 'Saturday'], avoidMeats: ['beef'] }));
+      expect(text).toContain('Never use: beef');
+      expect(text).toContain('Vegetarian days: Tuesday, Saturday');
+    });
+
+    it('should say whether a given date is a vegetarian day', () => {
+      const tuesdays = rules({ vegetarianDays: ['Tuesday'], eggAllowed: false });
+      expect(formatRulesForPrompt(tuesdays, { date: new Date(2024, 0, 16) }))
+        .toBe('- Tuesday is a vegetarian day: no meat or fish (no eggs either)');
+    });
+  });
+});
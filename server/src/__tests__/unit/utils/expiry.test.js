@@ -0,0 +1,77 @@
+/**
+ * Unit tests for inventory expiry
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  estimateExpiry,
+  daysUntilExpiry,
+  expiryStatus,
+  findExpiring,
+  describeDaysLeft,
+  formatExpiringForPrompt
+} from '../../../utils/expiry.js';
+
+const now = new Date('2024-01-15T18:00:00Z');
+
+describe('Expiry', () => {
+  describe('estimateExpiry', () => {
+    it('should add the category shelf life', () => {
+      expect(estimateExpiry('vegetables', now)).toEqual(new Date('2024-01-22'));
+      expect(estimateExpiry('proteins', now)).toEqual(new Date('2024-01-18'));
+    });
+
+    it('should keep no date for categories without a shelf life', () => {
+      expect(estimateExpiry('others', now)).toBeNull();
+      expect(estimateExpiry('unknown', now)).toBeNull();
+    });
+  });
+
+  describe('daysUntilExpiry', () => {
+    it('should count calendar days', () => {
+      expect(daysUntilExpiry(new Date('2024-01-15'), now)).toBe(0);
+      expect(daysUntilExpiry('2024-01-17T09:00:00Z', now)).toBe(2);
+      expect(daysUntilExpiry(new Date('2024-01-13'), now)).toBe(-2);
+      expect(daysUntilExpiry(null, now)).toBeNull();
+    });
+  });
+
+  describe('expiryStatus', () => {
+    it('should place an item against the horizon', () => {
+      expect(expiryStatus({ expiresAt: new Date('2024-01-14') }, { now })).toBe('expired');
+      expect(expiryStatus({ expiresAt: new Date('2024-01-18') }, { now })).toBe('expiring');
+      expect(expiryStatus({ expiresAt: new Date('2024-01-18') }, { days: 2, now })).toBe('fresh');
+      expect(expiryStatus({ expiresAt: null }, { now })).toBeNull();
+    });
+  });
+
+  describe('findExpiring', () => {
+    const items = [
+      { name: 'Milk', quantity: 1, unit: 'l', expiresAt: new Date('2024-01-16') },
+      { name: 'Spinach', quantity: 200, unit: 'g', expiresAt: new Date('2024-01-14') },
+      { name: 'Rice', quantity: 5, unit: 'kg', expiresAt: new Date('2024-06-01') },
+      { name: 'Curd', quantity: 0, unit: 'g', expiresAt: new Date('2024-01-15') }
+    ];
+
+    it('should list stock expiring within the horizon, soonest first', () => {
+      const expiring = findExpiring(items, { now });
+
+      expect(expiring.map(i => i.name)).toEqual(['Spinach', 'Milk']);
+      expect(expiring[1]).toMatchObject({ daysLeft: 1, expiryStatus: 'expiring' });
+    });
+
+    it('should leave out expired stock when asked', () => {
+      expect(findExpiring(items, { includeExpired: false, now }).map(i => i.name)).toEqual(['Milk']);
+    });
+  });
+
+  describe('formatExpiringForPrompt', () => {
+    it('should say when each item expires', () => {
+      expect(describeDaysLeft(0)).toBe('expires today');
+      expect(formatExpiringForPrompt([
+        { name: 'Milk', quantity: 1, unit: 'l', daysLeft: 1 },
+        { name: 'Paneer', quantity: 200, unit: 'g', daysLeft: 3 }
+      ])).toBe('- Milk (1 l, expires tomorrow)\n- Paneer (200 g, expires in 3 days)');
+      expect(formatExpiringForPrompt([])).toBe('');
+    });
+  });
+});
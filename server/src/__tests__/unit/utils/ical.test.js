@@ -0,0 +1,67 @@
+/**
+ * Unit tests for iCalendar output
+ */
+import { describe, it, expect } from '@jest/globals';
+import { escapeText, foldLine, floatingDateTime, renderCalendar } from '../../../utils/ical.js';
+
+describe('iCalendar', () => {
+  describe('escapeText', () => {
+    it('should escape separators and newlines', () => {
+      expect(escapeText('Dal, rice; salad\\raita\nserve hot')).toBe('Dal\\, rice\\; salad\\\\raita\\nserve hot');
+    });
+  });
+
+  describe('foldLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Dinner: Rajma')).toBe('SUMMARY:Dinner: Rajma');
+    });
+
+    it('should fold long lines at 75 octets', () => {
+      const lines = foldLine(`DESCRIPTION:${'a'.repeat(200)}`).split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    });
+
+    it('should not split a multi-byte character', () => {
+      const line = `SUMMARY:${'é'.repeat(60)}`;
+      const folded = foldLine(line);
+
+      expect(folded.split('\r\n ').join('')).toBe(line);
+      expect(folded).not.toContain('�');
+    });
+  });
+
+  describe('floatingDateTime', () => {
+    it('should format a local date-time without a zone', () => {
+      expect(floatingDateTime('2024-01-15', '20:00')).toBe('20240115T200000');
+    });
+
+    it('should roll over to the next day', () => {
+      expect(floatingDateTime('2024-01-15', '23:30', 45)).toBe('20240116T001500');
+    });
+  });
+
+  describe('renderCalendar', () => {
+    it('should render events with CRLF line endings', () => {
+      const ics = renderCalendar({
+        name: 'Meal plan',
+        events: [{
+          uid: 'plan-1@no-daal-chawal',
+          stamp: new Date('2024-01-10T09:00:00Z'),
+          start: '20240115T200000',
+          end: '20240115T204500',
+          summary: 'Dinner: Rajma, rice',
+          url: 'http://localhost/meal-plan'
+        }]
+      });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain('DTSTAMP:20240110T090000Z\r\n');
+      expect(ics).toContain('SUMMARY:Dinner: Rajma\\, rice\r\n');
+      expect(ics).not.toContain('DESCRIPTION');
+      expect(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')).toBe(true);
+    });
+  });
+});
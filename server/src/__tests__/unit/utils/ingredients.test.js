@@ -0,0 +1,67 @@
+/**
+ * Unit tests for ingredient names and the alias dictionary
+ */
+import { describe, it, expect } from '@jest/globals';
+import { createPrismaMock } from '../../setup/prisma-mock.js';
+import {
+  ingredientTokens,
+  ingredientKey,
+  createIngredientResolver,
+  getIngredientResolver
+} from '../../../utils/ingredients.js';
+
+describe('Ingredients', () => {
+  describe('ingredientTokens', () => {
+    it('should drop preparation words and plurals', () => {
+      expect(ingredientTokens('Tomatoes, finely chopped')).toEqual(['tomato']);
+      expect(ingredientTokens('Fresh coriander (for garnish)')).toEqual(['coriander']);
+    });
+  });
+
+  describe('ingredientKey', () => {
+    it('should give every name of an ingredient the same key', () => {
+      expect(ingredientKey('Dahi')).toBe(ingredientKey('Curd'));
+      expect(ingredientKey('Yogurt')).toBe(ingredientKey('curd'));
+      expect(ingredientKey('Jeera')).toBe(ingredientKey('Cumin seeds'));
+      expect(ingredientKey('eerulli')).toBe(ingredientKey('Onions'));
+    });
+
+    it('should fall back to the spelling for unknown ingredients', () => {
+      expect(ingredientKey('Saffron strands')).toBe('saffron strand');
+    });
+  });
+
+  describe('createIngredientResolver', () => {
+    it('should resolve aliases to the canonical entry', () => {
+      const resolver = createIngredientResolver();
+      expect(resolver.resolve('Hing')).toMatchObject({ name: 'Asafoetida', category: 'spices' });
+      expect(resolver.canonicalName('kothambari soppu')).toBe('Coriander leaves');
+      expect(resolver.resolve('dragon fruit')).toBeNull();
+    });
+
+    it('should let household entries add and take over names', () => {
+      const resolver = createIngredientResolver([
+        { name: 'Curd', aliases: ['thayir'], category: 'dairy', defaultUnit: 'g', isCustom: true },
+        { name: 'Sambar powder', aliases: ['sambar pudi'], category: 'spices', defaultUnit: 'g', isCustom: true }
+      ]);
+
+      expect(resolver.key('Thayir')).toBe('curd');
+      expect(resolver.resolve('sambar pudi')?.name).toBe('Sambar powder');
+      // The replaced built-in entry's aliases are gone with it
+      expect(resolver.resolve('dahi')).toBeNull();
+    });
+  });
+
+  describe('getIngredientResolver', () => {
+    it('should include stored entries', async () => {
+      const prisma = createPrismaMock();
+      prisma.ingredient.findMany.mockResolvedValue([
+        { id: 'ing-1', name: 'Kokum', aliases: '["murugalu"]', category: 'spices', defaultUnit: 'g', isCustom: true }
+      ]);
+
+      const resolver = await getIngredientResolver(prisma);
+
+      expect(resolver.resolve('Murugalu')).toMatchObject({ id: 'ing-1', name: 'Kokum', aliases: ['murugalu'] });
+    });
+  });
+});
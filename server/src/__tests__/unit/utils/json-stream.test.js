@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the streamed chat response parser
+ */
+import { describe, it, expect } from '@jest/globals';
+import { createChatStreamParser } from '../../../utils/json-stream.js';
+
+const reply = {
+  message: 'Try these: "spicy" & quick\nideas',
+  suggestions: [
+    { name: 'Poha', cuisine: 'maharashtrian', ingredients: [{ name: 'Poha', quantity: 1, unit: 'cup' }] },
+    { name: 'Pad Thai {street}', cuisine: 'thai', ingredients: [] }
+  ]
+};
+
+function feed(text, size) {
+  const parser = createChatStreamParser();
+  const events = [];
+  for (let i = 0; i < text.length; i += size) {
+    events.push(...parser.push(text.slice(i, i + size)));
+  }
+  return { parser, events };
+}
+
+describe('Chat Stream Parser', () => {
+  it.each([1, 3, 7, 1000])('should decode the message in chunks of %i', (size) => {
+    const { parser, events } = feed(JSON.stringify(reply), size);
+
+    const text = events.filter(e => e.type === 'message').map(e => e.delta).join('');
+    expect(text).toBe(reply.message);
+    expect(parser.message).toBe(reply.message);
+  });
+
+  it.each([1, 5, 1000])('should emit each suggestion once complete in chunks of %i', (size) => {
+    const { events } = feed(JSON.stringify(reply, null, 2), size);
+
+    const suggestions = events.filter(e => e.type === 'suggestion').map(e => e.value);
+    expect(suggestions).toEqual(reply.suggestions);
+  });
+
+  it('should decode unicode escapes split across chunks', () => {
+    const { parser } = feed('{"message": "caf\\u00e9 time", "suggestions": []}', 2);
+
+    expect(parser.message).toBe('café time');
+  });
+
+  it('should emit a suggestion before the array closes', () => {
+    const parser = createChatStreamParser();
+    const events = parser.push('{"suggestions": [{"name": "Dosa"}, {"name": "Id');
+
+    expect(events).toEqual([{ type: 'suggestion', value: { name: 'Dosa' } }]);
+  });
+
+  it('should ignore nested message and suggestions keys', () => {
+    const { parser, events } = feed(JSON.stringify({
+      message: 'Hi',
+      suggestions: [{ name: 'Dish', message: 'nested', suggestions: [{ name: 'x' }] }]
+    }), 4);
+
+    expect(parser.message).toBe('Hi');
+    expect(events.filter(e => e.type === 'suggestion')).toHaveLength(1);
+  });
+
+  it('should work when suggestions come before the message', () => {
+    const { parser, events } = feed(JSON.stringify({ suggestions: [{ name: 'Dish' }], message: 'Later' }), 3);
+
+    expect(parser.message).toBe('Later');
+    expect(events.filter(e => e.type === 'suggestion')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for the weekly planner constraints
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  calorieBand,
+  checkWeekConstraints,
+  formatConstraintsForPrompt,
+  parsePlanConstraints,
+  violatingSlots,
+  DEFAULT_PLAN_CONSTRAINTS
+} from '../../../utils/plan-constraints.js';
+import { parseDietaryRules } from '../../../utils/dietary-rules.js';
+
+const DAYS = { '2024-01-15': 'Monday', '2024-01-16': 'Tuesday', '2024-01-17': 'Wednesday', '2024-01-20': 'Saturday' };
+
+const entry = (date, mealType, overrides = {}) => ({
+  date,
+  day: DAYS[date],
+  mealType,
+  name: `${DAYS[date]} ${mealType}`,
+  cuisine: null,
+  prepTime: 20,
+  calories: null,
+  ingredients: [],
+  ...overrides
+});
+
+const check = (entries, { constraints = {}, ...options } = {}) => checkWeekConstraints(entries, {
+  constraints: parsePlanConstraints(constraints),
+  dailyGoal: 2000,
+  ...options
+});
+
+const rule = (report, name) => report.rules.find(r => r.rule === name);
+
+describe('Plan Constraints', () => {
+  describe('parsePlanConstraints', () => {
+    it('should fill in defaults', () => {
+      expect(parsePlanConstraints('{"weekdayMaxPrepTime": 30}')).toEqual({ ...DEFAULT_PLAN_CONSTRAINTS, weekdayMaxPrepTime: 30 });
+    });
+
+    it('should fall back to defaults for invalid values', () => {
+      expect(parsePlanConstraints('{"maxCuisineStreak": 0}')).toEqual(DEFAULT_PLAN_CONSTRAINTS);
+      expect(parsePlanConstraints('not json')).toEqual(DEFAULT_PLAN_CONSTRAINTS);
+      expect(parsePlanConstraints(undefined)).toEqual(DEFAULT_PLAN_CONSTRAINTS);
+    });
+  });
+
+  describe('calorieBand', () => {
+    it('should turn the percentages into kcal', () => {
+      expect(calorieBand(DEFAULT_PLAN_CONSTRAINTS, 2000)).toEqual({ min: 1200, max: 2200 });
+      expect(calorieBand({ minDailyCaloriesPercent: null, maxDailyCaloriesPercent: 100 }, 1800)).toEqual({ min: null, max: 1800 });
+    });
+  });
+
+  describe('formatConstraintsForPrompt', () => {
+    it('should list the rules that are on', () => {
+      const text = formatConstraintsForPrompt(DEFAULT_PLAN_CONSTRAINTS, 2000);
+      expect(text).toContain('at most 45 minutes');
+      expect(text).toContain('more than 2 days in a row');
+      expect(text).toContain('1200-2200 kcal');
+      expect(text).toContain('last 14 days');
+      expect(text).not.toContain('Weekend');
+    });
+
+    it('should be empty when every rule is off', () => {
+      const off = parsePlanConstraints({
+        weekdayMaxPrepTime: null,
+        maxCuisineStreak: null,
+        minDailyCaloriesPercent: null,
+        maxDailyCaloriesPercent: null,
+        noRepeatDays: null
+      });
+      expect(formatConstraintsForPrompt(off, 2000)).toBe('');
+    });
+  });
+
+  describe('checkWeekConstraints', () => {
+    it('should pass a week that follows every rule', () => {
+      const report = check([entry('2024-01-15', 'dinner'), entry('2024-01-16', 'dinner')]);
+
+      expect(report.passed).toBe(true);
+      expect(report.rules.map(r => r.rule)).toEqual(['prepTime', 'cuisineStreak', 'dailyCalories', 'dietaryRules', 'noRepeats']);
+    });
+
+    it('should hold weekdays and weekends to their own prep time limits', () => {
+      const entries = [
+        entry('2024-01-15', 'dinner', { prepTime: 60 }),
+        entry('2024-01-20', 'dinner', { prepTime: 90 })
+      ];
+
+      expect(rule(check(entries), 'prepTime').violations).toEqual([
+        { date: '2024-01-15', mealType: 'dinner', message: expect.stringContaining('weekday limit 45') }
+      ]);
+      expect(rule(check(entries, { constraints: { weekendMaxPrepTime: 60 } }), 'prepTime').violations).toHaveLength(2);
+    });
+
+    it('should flag a cuisine on too many days in a row', () => {
+      const entries = [
+        entry('2024-01-15', 'dinner', { cuisine: 'punjabi' }),
+        entry('2024-01-16', 'lunch', { cuisine: 'punjabi' }),
+        entry('2024-01-17', 'dinner', { cuisine: 'punjabi' }),
+        entry('2024-01-17', 'lunch', { cuisine: 'kerala' })
+      ];
+
+      expect(rule(check(entries), 'cuisineStreak').violations).toEqual([
+        { date: '2024-01-17', mealType: 'dinner', message: expect.stringContaining('punjabi 3 days in a row') }
+      ]);
+    });
+
+    it('should restart a cuisine streak after a gap', () => {
+      const entries = [
+        entry('2024-01-15', 'dinner', { cuisine: 'punjabi' }),
+        entry('2024-01-16', 'dinner', { cuisine: 'punjabi' }),
+        entry('2024-01-20', 'dinner', { cuisine: 'punjabi' })
+      ];
+
+      expect(rule(check(entries), 'cuisineStreak').passed).toBe(true);
+    });
+
+    it('should flag the biggest dish on a day over the calorie band', () => {
+      const entries = [
+        entry('2024-01-15', 'lunch', { calories: 900 }),
+        entry('2024-01-15', 'dinner', { calories: 1400 })
+      ];
+
+      expect(rule(check(entries), 'dailyCalories').violations).toEqual([
+        { date: '2024-01-15', mealType: 'dinner', message: 'Monday: 2300 kcal is over 2200 kcal' }
+      ]);
+    });
+
+    it('should only call a day short once all its meals are planned', () => {
+      const partial = [entry('2024-01-15', 'lunch', { calories: 400 })];
+      const full = [
+        entry('2024-01-15', 'breakfast', { calories: 200 }),
+        ...partial,
+        entry('2024-01-15', 'dinner', { calories: 300 })
+      ];
+
+      expect(rule(check(partial), 'dailyCalories').passed).toBe(true);
+      expect(rule(check(full), 'dailyCalories').violations).toEqual([
+        { date: '2024-01-15', mealType: 'breakfast', message: 'Monday: 900 kcal is under 1200 kcal' }
+      ]);
+    });
+
+    it('should apply vegetarian days and the other dietary rules', () => {
+      const dietaryRules = parseDietaryRules({ vegetarianDays: ['Tuesday'] });
+      const entries = [
+        entry('2024-01-15', 'dinner', { name: 'Butter Chicken' }),
+        entry('2024-01-16', 'dinner', { name: 'Butter Chicken' })
+      ];
+
+      const report = check(entries, { constraints: { noRepeatDays: null }, dietaryRules });
+
+      expect(rule(report, 'dietaryRules').violations).toEqual([
+        { date: '2024-01-16', mealType: 'dinner', message: expect.stringContaining('vegetarian day') }
+      ]);
+      expect(rule(check(entries, { constraints: { noRepeatDays: null } }), 'dietaryRules'))
+        .toMatchObject({ enabled: false, passed: true });
+    });
+
+    it('should flag dishes eaten or planned within the no-repeat window', () => {
+      const entries = [
+        entry('2024-01-15', 'dinner', { name: 'Rajma Chawal' }),
+        entry('2024-01-16', 'lunch', { name: 'Masala Dosa' }),
+        entry('2024-01-20', 'dinner', { name: 'rajma chawal' })
+      ];
+      const history = [
+        { mealName: 'Masala Dosa', eatenAt: new Date('2024-01-10T08:00:00Z') },
+        { mealName: 'Rajma Chawal', eatenAt: new Date('2023-12-01T08:00:00Z') }
+      ];
+
+      expect(rule(check(entries, { history }), 'noRepeats').violations).toEqual([
+        { date: '2024-01-16', mealType: 'lunch', message: expect.stringContaining('eaten 6 days before') },
+        { date: '2024-01-20', mealType: 'dinner', message: expect.stringContaining('also planned for Monday') }
+      ]);
+      expect(rule(check(entries, { history, constraints: { noRepeatDays: 3 } }), 'noRepeats').passed).toBe(true);
+    });
+
+    it('should skip rules that are switched off', () => {
+      const report = check([entry('2024-01-15', 'dinner', { prepTime: 120 })], { constraints: { weekdayMaxPrepTime: null } });
+
+      expect(rule(report, 'prepTime')).toEqual({ rule: 'prepTime', enabled: false, passed: true, violations: [] });
+    });
+  });
+
+  describe('violatingSlots', () => {
+    it('should group the messages by slot', () => {
+      const report = check([
+        entry('2024-01-15', 'dinner', { prepTime: 60, calories: 2500 })
+      ]);
+
+      expect(violatingSlots(report)).toEqual([
+        { date: '2024-01-15', mealType: 'dinner', messages: [expect.stringContaining('60 min'), expect.stringContaining('2500 kcal')] }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for reading grocery receipts
+ */
+import { describe, it, expect } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { parseReceipt, packSize, RECEIPT_FORMATS } from '../../../utils/receipt.js';
+
+const fixture = name => readFileSync(new URL(`../../fixtures/receipts/${name}.txt`, import.meta.url), 'utf8');
+
+// What matters about an item, one per line of the expectation
+const summarize = ({ items }) => items.map(({ format, name, quantity, unit, count, price }) =>
+  ({ format, name, quantity, unit, count, price }));
+
+describe('Receipts', () => {
+  describe('packSize', () => {
+    it('should take the size out of the name', () => {
+      expect(packSize('Amul Taaza Toned Milk 500 ml')).toEqual({ name: 'Amul Taaza Toned Milk', quantity: 500, unit: 'ml' });
+      expect(packSize('TATA SALT 1KG')).toEqual({ name: 'TATA SALT', quantity: 1, unit: 'kg' });
+      expect(packSize('Amul Taaza (500 ml)')).toEqual({ name: 'Amul Taaza', quantity: 500, unit: 'ml' });
+    });
+
+    it('should multiply out multipacks', () => {
+      expect(packSize('Maggi Noodles 4 x 70 g')).toEqual({ name: 'Maggi Noodles', quantity: 280, unit: 'g' });
+      expect(packSize('Farm Eggs (Pack of 12)')).toEqual({ name: 'Farm Eggs', quantity: 12, unit: 'pieces' });
+    });
+
+    it('should use the last size when a name has numbers in it', () => {
+      expect(packSize('Maggi 2-Minute Noodles 70 g')).toEqual({ name: 'Maggi 2-Minute Noodles', quantity: 70, unit: 'g' });
+    });
+
+    it('should read a bunch or dozen without a number as one', () => {
+      expect(packSize('Coriander Bunch')).toEqual({ name: 'Coriander', quantity: 1, unit: 'bunch' });
+    });
+
+    it('should leave names without a size alone', () => {
+      expect(packSize('Haldiram Bhujia')).toEqual({ name: 'Haldiram Bhujia', quantity: null, unit: null });
+    });
+  });
+
+  describe('parseReceipt', () => {
+    it('should read a supermarket till receipt', () => {
+      const result = parseReceipt(fixture('supermarket-till'));
+
+      expect(summarize(result)).toEqual([
+        { format: 'till', name: 'TATA SALT', quantity: 1, unit: 'kg', count: 1, price: 28 },
+        { format: 'till', name: 'AASHIRVAAD ATTA', quantity: 10, unit: 'kg', count: 2, price: 490 },
+        { format: 'till', name: 'ONION', quantity: 1.25, unit: 'kg', count: 1, price: 50 },
+        { format: 'till', name: 'TOOR DAL', quantity: 1, unit: 'kg', count: 1, price: 165 },
+        { format: 'till', name: 'FORTUNE SUNFLOWER OIL', quantity: 2, unit: 'l', count: 2, price: 304 }
+      ]);
+      expect(result.items[0]).toMatchObject({ line: 8, text: '1 TATA SALT 1KG        1   28.00   28.00' });
+      // Taxes, totals and payment are not items
+      expect(result.skipped.map(entry => entry.text)).toEqual(expect.arrayContaining([
+        'Sub Total                      1,037.00',
+        'CGST 2.5%                         12.50',
+        'Paid by UPI                    1,062.00'
+      ]));
+      expect(result.unrecognized.map(entry => entry.line)).toEqual([1, 2, 6]);
+    });
+
+    it('should read a quick-commerce order', () => {
+      const result = parseReceipt(fixture('quick-commerce'));
+
+      expect(summarize(result)).toEqual([
+        { format: 'quick-commerce', name: 'Amul Taaza Toned Milk', quantity: 1000, unit: 'ml', count: 2, price: 54 },
+        { format: 'quick-commerce', name: 'Amul Masti Dahi', quantity: 400, unit: 'g', count: 1, price: 35 },
+        { format: 'quick-commerce', name: 'Maggi 2-Minute Noodles', quantity: 560, unit: 'g', count: 2, price: 112 },
+        { format: 'priced', name: 'Farm Eggs', quantity: 12, unit: 'pieces', count: 1, price: 96 },
+        { format: 'priced', name: 'Coriander', quantity: 1, unit: 'bunch', count: 1, price: 12 },
+        { format: 'weighed', name: 'Tomato', quantity: 0.5, unit: 'kg', count: 1, price: 20 }
+      ]);
+      expect(result.unrecognized).toEqual([]);
+    });
+
+    it('should join names, sizes and prices on lines of their own', () => {
+      const result = parseReceipt(fixture('app-order-multiline'));
+
+      expect(summarize(result)).toEqual([
+        { format: 'quick-commerce', name: 'Aashirvaad Shudh Chakki Atta', quantity: 5, unit: 'kg', count: 1, price: 245 },
+        { format: 'quick-commerce', name: 'Amul Butter', quantity: 200, unit: 'g', count: 2, price: 112 },
+        { format: 'quick-commerce', name: 'Dates (Khajur)', quantity: 500, unit: 'g', count: 1, price: 180 }
+      ]);
+      expect(result.items[1]).toMatchObject({ line: 5, text: 'Amul Butter 100 g 2 x ₹56' });
+      expect(result.skipped.map(entry => entry.line)).toEqual([1, 11, 12]);
+    });
+
+    it('should not join a heading onto the item after it', () => {
+      const result = parseReceipt('BIG BAZAAR\nSUGAR 1KG 1 45.00 45.00');
+
+      expect(result.items.map(item => item.name)).toEqual(['SUGAR']);
+      expect(result.unrecognized).toEqual([{ line: 1, text: 'BIG BAZAAR' }]);
+    });
+
+    it('should only skip lines labelled as being about the bill', () => {
+      const result = parseReceipt([
+        'Amul Cheese Slices MRP ₹150 ₹140',
+        'Saffola Gold Oil Offer Pack 1 L ₹189',
+        'Item total ₹329',
+        'You saved ₹10'
+      ].join('\n'));
+
+      expect(summarize(result)).toEqual([
+        { format: 'priced', name: 'Amul Cheese Slices', quantity: 1, unit: null, count: 1, price: 140 },
+        { format: 'priced', name: 'Saffola Gold Oil Offer Pack', quantity: 1, unit: 'l', count: 1, price: 189 }
+      ]);
+      expect(result.skipped.map(entry => entry.line)).toEqual([3, 4]);
+    });
+
+    it('should read prices with thousands separators', () => {
+      const result = parseReceipt('Basmati Rice 10 kg ₹1,250');
+
+      expect(result.items[0]).toMatchObject({ name: 'Basmati Rice', quantity: 10, unit: 'kg', price: 1250 });
+    });
+
+    it('should count an item without a size', () => {
+      const result = parseReceipt('Haldiram Bhujia x 3 ₹150');
+
+      expect(result.items[0]).toMatchObject({ name: 'Haldiram Bhujia', quantity: 3, unit: null, count: 3 });
+    });
+
+    it('should try formats in order and take extra ones', () => {
+      const semicolons = {
+        name: 'semicolons',
+        parse(line) {
+          const [product, count, price] = line.split(';');
+          return price ? { product, count: Number(count), price: Number(price) } : null;
+        }
+      };
+
+      const result = parseReceipt('Jeera 100g;2;90\nSugar 1 kg ₹45', [semicolons, ...RECEIPT_FORMATS]);
+
+      expect(result.items).toEqual([
+        expect.objectContaining({ format: 'semicolons', name: 'Jeera', quantity: 200, unit: 'g', price: 90 }),
+        expect.objectContaining({ format: 'priced', name: 'Sugar', quantity: 1, unit: 'kg', price: 45 })
+      ]);
+    });
+  });
+});
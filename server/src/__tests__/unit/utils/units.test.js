@@ -0,0 +1,102 @@
+/**
+ * Unit tests for ingredient unit handling
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  canonicalUnit,
+  isKnownUnit,
+  unitKind,
+  convertQuantity,
+  ingredientMeasures,
+  convertIngredientQuantity,
+  normalizeAmount
+} from '../../../utils/units.js';
+
+describe('Units', () => {
+  describe('canonicalUnit', () => {
+    it('should canonicalize common spellings', () => {
+      expect(canonicalUnit('Kgs')).toBe('kg');
+      expect(canonicalUnit('tablespoons')).toBe('tbsp');
+      expect(canonicalUnit('L')).toBe('l');
+      expect(canonicalUnit('medium')).toBe('piece');
+    });
+
+    it('should keep unknown units and return null for missing ones', () => {
+      expect(canonicalUnit(' Sprigs ')).toBe('sprigs');
+      expect(canonicalUnit('')).toBeNull();
+      expect(canonicalUnit(null)).toBeNull();
+    });
+  });
+
+  describe('isKnownUnit', () => {
+    it('should tell units from other words', () => {
+      expect(isKnownUnit('Kgs')).toBe(true);
+      expect(isKnownUnit('pkt.')).toBe(true);
+      expect(isKnownUnit('eggs')).toBe(false);
+      expect(isKnownUnit(undefined)).toBe(false);
+    });
+  });
+
+  describe('unitKind', () => {
+    it('should tell mass, volume and count apart', () => {
+      expect(unitKind('g')).toBe('mass');
+      expect(unitKind('cup')).toBe('volume');
+      expect(unitKind('pieces')).toBe('count');
+      expect(unitKind('packets')).toBeNull();
+    });
+  });
+
+  describe('convertQuantity', () => {
+    it('should convert within a kind', () => {
+      expect(convertQuantity(200, 'g', 'kg')).toBe(0.2);
+      expect(convertQuantity(2, 'tbsp', 'ml')).toBe(30);
+      expect(convertQuantity(1, 'dozen', 'pieces')).toBe(12);
+    });
+
+    it('should return null across kinds', () => {
+      expect(convertQuantity(2, 'pieces', 'kg')).toBeNull();
+      expect(convertQuantity(1, 'packet', 'g')).toBeNull();
+    });
+
+    it('should pass through identical units, known or not', () => {
+      expect(convertQuantity(3, 'packets', 'packet')).toBe(3);
+      expect(convertQuantity(2, 'sprigs', 'sprigs')).toBe(2);
+    });
+  });
+
+  describe('ingredientMeasures', () => {
+    it('should match whole words of the ingredient name, plurals included', () => {
+      expect(ingredientMeasures('Onions, chopped')).toEqual({ pieceWeight: 150 });
+      expect(ingredientMeasures('Green Chillies')).toEqual({ pieceWeight: 5 });
+      expect(ingredientMeasures('Chickpeas')).toBeNull();
+      expect(ingredientMeasures('Dahi')).toEqual({ density: 1.03 });
+      expect(ingredientMeasures(null)).toBeNull();
+    });
+  });
+
+  describe('convertIngredientQuantity', () => {
+    it('should convert pieces to weight with the piece weight', () => {
+      expect(convertIngredientQuantity(2, 'medium', 'kg', 'onion')).toBe(0.3);
+      expect(convertIngredientQuantity(300, 'g', 'pieces', 'tomato')).toBe(3);
+    });
+
+    it('should convert volume to weight with the density', () => {
+      expect(convertIngredientQuantity(1, 'cup', 'g', 'Basmati rice')).toBe(200);
+      expect(convertIngredientQuantity(1, 'l', 'kg', 'milk')).toBeCloseTo(1.03);
+    });
+
+    it('should fall back to plain conversion and give up on unknowns', () => {
+      expect(convertIngredientQuantity(200, 'g', 'kg', 'saffron')).toBe(0.2);
+      expect(convertIngredientQuantity(2, 'pieces', 'g', 'saffron')).toBeNull();
+      expect(convertIngredientQuantity(1, 'packet', 'g', 'rice')).toBeNull();
+    });
+  });
+
+  describe('normalizeAmount', () => {
+    it('should parse string quantities and canonicalize the unit', () => {
+      expect(normalizeAmount('200', 'Grams')).toEqual({ quantity: 200, unit: 'g' });
+      expect(normalizeAmount('1/2 kg')).toEqual({ quantity: 0.5, unit: 'kg' });
+      expect(normalizeAmount('a pinch', null)).toEqual({ quantity: null, unit: null });
+    });
+  });
+});
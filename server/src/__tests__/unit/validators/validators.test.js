@@ -153,9 +153,31 @@ describe('Validators', () => {
       const result = mealPlanSchema.parse({
         date: '2024-06-15',
         mealType: 'dinner',
-        mealId: 123
+        mealId: '550e8400-e29b-41d4-a716-446655440000'
       });
-      expect(result.mealId).toBe(123);
+      expect(result.mealId).toBe('550e8400-e29b-41d4-a716-446655440000');
+    });
+
+    it('should accept a planned dish with structured ingredients', () => {
+      const result = mealPlanSchema.parse({
+        date: '2024-06-15',
+        mealType: 'dinner',
+        dish: {
+          name: 'Jeera Rice',
+          estimatedCalories: 350,
+          ingredients: ['Jeera', { name: 'Rice', quantity: '200', unit: 'g' }]
+        }
+      });
+      expect(result.dish.name).toBe('Jeera Rice');
+      expect(result.dish.ingredients).toHaveLength(2);
+    });
+
+    it('should reject a dish without a name', () => {
+      expect(() => mealPlanSchema.parse({
+        date: '2024-06-15',
+        mealType: 'dinner',
+        dish: { cuisine: 'indian' }
+      })).toThrow();
     });
 
     it('should reject invalid date format', () => {
@@ -0,0 +1,18 @@
+import { PrismaClient } from '@prisma/client';
+import { migratePlanNotes } from '../services/planned-dish.js';
+
+const prisma = new PrismaClient();
+
+// Meal plans used to hold the planned dish as JSON in notes. Run after
+// `prisma db push` has added the dish fields; it is safe to run again.
+async function main() {
+  const { converted, skipped } = await migratePlanNotes(prisma);
+  console.log(`Converted ${converted} meal plan entries (${skipped} left as free text)`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
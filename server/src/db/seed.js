@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { BUILTIN_INGREDIENTS } from '../utils/ingredients.js';
 
 const prisma = new PrismaClient();
 
@@ -63,6 +64,18 @@ async function main() {
   }
 
   console.log(`Seeded ${inventoryItems.length} inventory items`);
+
+  // Built-in ingredient dictionary; household entries are left alone
+  for (const { name, aliases, category, defaultUnit } of BUILTIN_INGREDIENTS) {
+    const data = { aliases: JSON.stringify(aliases), category, defaultUnit, isCustom: false };
+    await prisma.ingredient.upsert({
+      where: { name },
+      update: {},
+      create: { name, ...data }
+    });
+  }
+
+  console.log(`Seeded ${BUILTIN_INGREDIENTS.length} dictionary ingredients`);
 }
 
 main()
@@ -7,6 +7,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { PrismaClient } from '@prisma/client';
 import { errorHandler, notFoundHandler } from './middleware/error-handler.js';
+import { requireAuth } from './middleware/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +22,10 @@ import reviewsRoutes from './routes/reviews.js';
 import preferencesRoutes from './routes/preferences.js';
 import authRoutes from './routes/auth.js';
 import recipeRoutes from './routes/recipe.js';
+import chatRoutes from './routes/chat.js';
+import ingredientsRoutes from './routes/ingredients.js';
+import calendarRoutes from './routes/calendar.js';
+import backupRoutes from './routes/backup.js';
 
 dotenv.config();
 
@@ -28,6 +33,13 @@ const app = express();
 export const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3001;
 
+// Railway serves the app through one proxy that terminates TLS, so the
+// client's IP (PIN lockout) and https (calendar feed URLs) come from its
+// X-Forwarded-* headers. TRUST_PROXY takes a hop count, trusted addresses
+// like "loopback", or "false" when the app is reached directly.
+const trustProxy = process.env.TRUST_PROXY ?? '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy !== 'false' && trustProxy);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: process.env.NODE_ENV === 'production' ? undefined : false
@@ -65,8 +77,12 @@ app.use('/api/', apiLimiter);
 app.use('/api/suggest', aiLimiter);
 app.use('/api/recipes/generate', aiLimiter);
 app.use('/api/meal-plan/generate-week', aiLimiter);
+app.use('/api/meal-plan/regenerate-slot', aiLimiter);
+app.use('/api/meal-plan/regenerate-day', aiLimiter);
 
-app.use(express.json({ limit: '1mb' }));
+// Restores are parsed by the backup router, after auth, with a larger limit
+const jsonBody = express.json({ limit: '1mb' });
+app.use((req, res, next) => (req.path === '/api/backup/restore' ? next() : jsonBody(req, res, next)));
 
 // Make prisma available to routes
 app.use((req, res, next) => {
@@ -74,6 +90,20 @@ app.use((req, res, next) => {
   next();
 });
 
+// Public routes
+app.use('/api/auth', authRoutes);
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', message: 'No Daal Chawal API is running' });
+});
+
+// Calendar feed, authenticated by the token in its URL
+app.use('/api/calendar', calendarRoutes);
+
+// Everything below requires a valid session when APP_PIN is set
+app.use('/api', requireAuth);
+
 // Routes
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/meals', mealsRoutes);
@@ -83,13 +113,10 @@ app.use('/api/meal-plan', mealPlanRoutes);
 app.use('/api/shopping', shoppingRoutes);
 app.use('/api/reviews', reviewsRoutes);
 app.use('/api/preferences', preferencesRoutes);
-app.use('/api/auth', authRoutes);
 app.use('/api/recipes', recipeRoutes);
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'No Daal Chawal API is running' });
-});
+app.use('/api/chat', chatRoutes);
+app.use('/api/ingredients', ingredientsRoutes);
+app.use('/api/backup', backupRoutes);
 
 // 404 handler for unknown API routes (must be before static files)
 app.use('/api/*', notFoundHandler);
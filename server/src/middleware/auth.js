@@ -0,0 +1,22 @@
+/**
+ * Session authentication middleware
+ */
+
+import { AuthError } from './error-handler.js';
+import { isPinEnabled, verifyToken, getRequestToken } from '../services/session.js';
+
+/**
+ * Reject requests without a valid session token.
+ * Passes everything through when no APP_PIN is configured.
+ */
+export function requireAuth(req, res, next) {
+  if (!isPinEnabled()) return next();
+
+  const session = verifyToken(getRequestToken(req));
+  if (!session) {
+    return next(new AuthError('Session expired or invalid, please enter your PIN'));
+  }
+
+  req.session = session;
+  next();
+}
@@ -55,6 +55,17 @@ export class RateLimitError extends AppError {
   }
 }
 
+/**
+ * AI response that failed validation even after repair and a retry
+ */
+export class AIResponseError extends AppError {
+  constructor(message = 'The AI returned an invalid response, please try again', details = []) {
+    super(message, 502, 'AI_INVALID_RESPONSE');
+    this.name = 'AIResponseError';
+    this.details = details;
+  }
+}
+
 /**
  * Handle Prisma-specific errors
  */
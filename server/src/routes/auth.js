@@ -1,29 +1,75 @@
 import { Router } from 'express';
 import { validate, authSchema } from '../validators/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import {
+  isPinEnabled,
+  checkPin,
+  issueToken,
+  verifyToken,
+  revokeToken,
+  getRequestToken,
+  getLockoutRemaining,
+  recordFailedAttempt,
+  clearFailedAttempts
+} from '../services/session.js';
 
 const router = Router();
 
-// Verify PIN
+// Verify PIN and issue a session token
 router.post('/verify', validate(authSchema), (req, res) => {
   const { pin } = req.validated.body;
-  const appPin = process.env.APP_PIN;
 
-  if (!appPin) {
+  if (!isPinEnabled()) {
     // No PIN configured, allow access
     return res.json({ success: true });
   }
 
-  if (pin === appPin) {
+  const lockedFor = getLockoutRemaining(req.ip);
+  if (lockedFor > 0) {
+    const retryAfter = Math.ceil(lockedFor / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many wrong PINs, please try again later',
+      code: 'AUTH_LOCKED',
+      retryAfter
+    });
+  }
+
+  if (checkPin(pin)) {
+    clearFailedAttempts(req.ip);
+    return res.json({ success: true, ...issueToken() });
+  }
+
+  const { attemptsLeft } = recordFailedAttempt(req.ip);
+  res.status(401).json({ success: false, error: 'Invalid PIN', code: 'AUTH_ERROR', attemptsLeft });
+});
+
+// Exchange a valid session token for a fresh one
+router.post('/refresh', requireAuth, (req, res) => {
+  if (!req.session) {
     return res.json({ success: true });
   }
 
-  res.status(401).json({ success: false, error: 'Invalid PIN', code: 'AUTH_ERROR' });
+  revokeToken(req.session);
+  res.json({ success: true, ...issueToken() });
+});
+
+// Revoke the current session token
+router.post('/logout', requireAuth, (req, res) => {
+  if (req.session) {
+    revokeToken(req.session);
+  }
+  res.status(204).send();
 });
 
-// Check if PIN is required
+// Check if PIN is required and whether the caller's session is valid
 router.get('/status', (req, res) => {
-  const appPin = process.env.APP_PIN;
-  res.json({ pinEnabled: !!appPin });
+  const pinEnabled = isPinEnabled();
+  res.json({
+    pinEnabled,
+    authenticated: !pinEnabled || !!verifyToken(getRequestToken(req))
+  });
 });
 
 export default router;
@@ -0,0 +1,48 @@
+import express, { Router } from 'express';
+import { validate, restoreBackupSchema } from '../validators/index.js';
+import { ValidationError } from '../middleware/error-handler.js';
+import { formatDate } from '../utils/date.js';
+import { BACKUP_VERSION, createBackup, checkBackup, restoreBackup } from '../services/backup.js';
+
+const router = Router();
+
+// Backups hold the whole database, so restores get a larger body limit. The
+// app's own JSON parser leaves restores to this one, which only runs once
+// the session has been checked.
+const RESTORE_BODY_LIMIT = '25mb';
+
+// Download every row of every model as one JSON archive
+router.get('/', async (req, res, next) => {
+  try {
+    const backup = await createBackup(req.prisma);
+    res.set('Content-Disposition', `attachment; filename="no-daal-chawal-backup-${formatDate(backup.createdAt)}.json"`);
+    res.json(backup);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore an archive, merging it in or replacing everything
+router.post('/restore', express.json({ limit: RESTORE_BODY_LIMIT }), validate(restoreBackupSchema), async (req, res, next) => {
+  try {
+    const { mode, archive } = req.validated.body;
+    if (archive.version > BACKUP_VERSION) {
+      return res.status(400).json({
+        error: `This backup was made by a newer version of the app (format ${archive.version})`,
+        code: 'UNSUPPORTED_BACKUP_VERSION'
+      });
+    }
+
+    const problems = await checkBackup(req.prisma, archive, mode);
+    if (problems.length > 0) {
+      throw new ValidationError('The backup is incomplete or inconsistent', problems);
+    }
+
+    const counts = await restoreBackup(req.prisma, archive, mode);
+    res.json({ mode, counts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
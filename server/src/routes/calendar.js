@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import { NotFoundError } from '../middleware/error-handler.js';
+import { getCalendarFeed, feedTokenMatches, renderMealPlanFeed } from '../services/calendar-feed.js';
+
+const router = Router();
+
+// Meal plan as an iCalendar feed. Public: the token in the URL is the secret.
+router.get('/:token.ics', async (req, res, next) => {
+  try {
+    const feed = await getCalendarFeed(req.prisma);
+    if (!feedTokenMatches(feed, req.params.token)) {
+      throw new NotFoundError('Calendar feed');
+    }
+
+    const body = await renderMealPlanFeed(req.prisma, feed, {
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8').send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
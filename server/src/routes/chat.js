@@ -0,0 +1,78 @@
+import { Router } from 'express';
+import { validate, chatSessionSchema, chatSessionListSchema } from '../validators/index.js';
+import { createChatSession, parseChatMessage } from '../services/chat-history.js';
+import { getRejectionContext } from '../utils/context-builder.js';
+
+const router = Router();
+
+// List recent chat sessions
+router.get('/sessions', validate(chatSessionListSchema, 'query'), async (req, res, next) => {
+  try {
+    const { limit } = req.validated.query;
+
+    const sessions = await req.prisma.chatSession.findMany({
+      orderBy: { updatedAt: 'desc' },
+      take: limit,
+      include: { _count: { select: { messages: true } } }
+    });
+
+    res.json(sessions.map(({ _count, ...session }) => ({
+      ...session,
+      messageCount: _count?.messages ?? 0
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start a chat session, opening with the suggestions already on screen
+router.post('/sessions', validate(chatSessionSchema), async (req, res, next) => {
+  try {
+    const session = await createChatSession(req.prisma, req.validated.body);
+    res.status(201).json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a chat session with its messages to resume it
+router.get('/sessions/:id', async (req, res, next) => {
+  try {
+    const session = await req.prisma.chatSession.findUnique({
+      where: { id: req.params.id },
+      include: { messages: { orderBy: { createdAt: 'asc' } } }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Chat session not found', code: 'NOT_FOUND' });
+    }
+
+    res.json({ ...session, messages: session.messages.map(parseChatMessage) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a chat session (its rejections are kept for long-term patterns)
+router.delete('/sessions/:id', async (req, res, next) => {
+  try {
+    await req.prisma.chatSession.delete({
+      where: { id: req.params.id }
+    });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Long-term rejection patterns fed into suggestion prompts
+router.get('/rejections', async (req, res, next) => {
+  try {
+    const patterns = await getRejectionContext(req.prisma);
+    res.json(patterns);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
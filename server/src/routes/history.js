@@ -1,6 +1,9 @@
 import { Router } from 'express';
 import { validate, historySchema, historyUpdateSchema, calendarQuerySchema } from '../validators/index.js';
 import { daysAgo, startOfDay, tomorrow } from '../utils/date.js';
+import { normalizeIngredient } from '../utils/ai-normalize.js';
+import { previewDeduction, defaultDeductions, applyDeductions } from '../services/inventory-deduction.js';
+import { getIngredientResolver } from '../utils/ingredients.js';
 
 const router = Router();
 
@@ -127,17 +130,34 @@ router.get('/calories/today', async (req, res, next) => {
 // Log a meal as eaten
 router.post('/', validate(historySchema), async (req, res, next) => {
   try {
-    const { mealName, cuisine, mealType, rating, notes, calories } = req.validated.body;
-    const entry = await req.prisma.mealHistory.create({
-      data: {
-        mealName,
-        cuisine,
-        mealType,
-        rating,
-        notes,
-        calories
+    const { mealName, cuisine, mealType, rating, notes, calories, deductions, ingredients } = req.validated.body;
+
+    const entry = await req.prisma.$transaction(async (tx) => {
+      const created = await tx.mealHistory.create({
+        data: {
+          mealName,
+          cuisine,
+          mealType,
+          rating,
+          notes,
+          calories
+        }
+      });
+
+      // Deduct what was cooked when asked to
+      let toDeduct = deductions || [];
+      if (!deductions && ingredients?.length) {
+        const inventory = await tx.inventoryItem.findMany();
+        const resolver = await getIngredientResolver(tx);
+        const lines = previewDeduction(ingredients.map(normalizeIngredient), inventory, resolver);
+        toDeduct = defaultDeductions(lines);
       }
+      if (toDeduct.length === 0) return created;
+
+      const movements = await applyDeductions(tx, toDeduct, { mealHistoryId: created.id });
+      return { ...created, inventoryDeductions: movements };
     });
+
     res.status(201).json(entry);
   } catch (error) {
     next(error);
@@ -0,0 +1,74 @@
+import { Router } from 'express';
+import { validate, ingredientSchema } from '../validators/index.js';
+import { getIngredientResolver, parseIngredientRow } from '../utils/ingredients.js';
+
+const router = Router();
+
+// Get the ingredient dictionary: built-in entries plus the household's own
+router.get('/', async (req, res, next) => {
+  try {
+    const resolver = await getIngredientResolver(req.prisma);
+    const entries = [...resolver.entries].sort((a, b) => a.name.localeCompare(b.name));
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve a name to its dictionary entry, e.g. ?name=dahi gives Curd
+router.get('/resolve', async (req, res, next) => {
+  try {
+    const name = typeof req.query.name === 'string' ? req.query.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({
+        error: 'Name is required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const resolver = await getIngredientResolver(req.prisma);
+    res.json({ name, ingredient: resolver.resolve(name), key: resolver.key(name) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add an ingredient, or replace the aliases, category and unit of one.
+// Saving a built-in entry stores a household copy that takes its place.
+router.post('/', validate(ingredientSchema), async (req, res, next) => {
+  try {
+    const { name, aliases, category, defaultUnit } = req.validated.body;
+
+    // Keep the existing spelling when the name is already in the dictionary
+    const resolver = await getIngredientResolver(req.prisma);
+    const existing = resolver.entries.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+    const canonical = existing?.name ?? name;
+
+    const data = {
+      aliases: JSON.stringify([...new Set(aliases.filter(alias => alias.toLowerCase() !== canonical.toLowerCase()))]),
+      category,
+      defaultUnit: defaultUnit ?? null,
+      isCustom: true
+    };
+    const row = await req.prisma.ingredient.upsert({
+      where: { name: canonical },
+      update: data,
+      create: { name: canonical, ...data }
+    });
+    res.json(parseIngredientRow(row));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a household entry (a replaced built-in one goes back to the default)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await req.prisma.ingredient.delete({ where: { id: req.params.id } });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
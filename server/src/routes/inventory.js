@@ -1,15 +1,51 @@
 import { Router } from 'express';
-import { validate, inventorySchema, inventoryUpdateSchema } from '../validators/index.js';
+import {
+  validate,
+  inventoryCreateSchema,
+  inventoryUpdateSchema,
+  deductionPreviewSchema,
+  expiringQuerySchema,
+  movementHistoryQuerySchema,
+  runningOutShoppingSchema,
+  importCsvSchema,
+  importTextSchema
+} from '../validators/index.js';
+import { normalizeIngredient } from '../utils/ai-normalize.js';
+import { previewDeduction, matchScore, DEDUCTION_CONFIG } from '../services/inventory-deduction.js';
+import { getIngredientResolver } from '../utils/ingredients.js';
+import { convertIngredientQuantity } from '../utils/units.js';
+import { estimateExpiry, daysUntilExpiry, expiryStatus, findExpiring } from '../utils/expiry.js';
+import { recordMovement, consumptionRate, revertMovement } from '../services/stock-ledger.js';
+import { forecastInventory, addForecastToShoppingList } from '../services/stock-forecast.js';
+import {
+  readInventoryCsv,
+  readPastedInventory,
+  importInventoryRows,
+  inventoryToCsv
+} from '../services/inventory-import.js';
+import { formatDate } from '../utils/date.js';
+import { NotFoundError } from '../middleware/error-handler.js';
 
 const router = Router();
 
-// Get all inventory items
+// Get all inventory items, optionally only those matching ?q= under any of
+// the ingredient's names (e.g. "dahi" finds Curd)
 router.get('/', async (req, res, next) => {
   try {
-    const items = await req.prisma.inventoryItem.findMany({
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    let items = await req.prisma.inventoryItem.findMany({
       orderBy: { category: 'asc' }
     });
-    res.json(items);
+
+    if (query) {
+      const resolver = await getIngredientResolver(req.prisma);
+      items = items.filter(item =>
+        item.name.toLowerCase().includes(query.toLowerCase()) ||
+        matchScore(query, item.name, resolver) >= DEDUCTION_CONFIG.MIN_MATCH_SCORE
+      );
+    }
+
+    res.json(items.map(withStatus));
   } catch (error) {
     next(error);
   }
@@ -23,28 +59,198 @@ router.get('/low-stock', async (req, res, next) => {
     const allItems = await req.prisma.inventoryItem.findMany({
       where: { lowStockAt: { not: null } }
     });
-    const lowStock = allItems.filter(item => item.quantity <= item.lowStockAt);
+    const lowStock = allItems.filter(isLowStock);
     res.json(lowStock);
   } catch (error) {
     next(error);
   }
 });
 
+// Get items expiring within ?days= (default 3), soonest first, with those
+// already past their date unless ?includeExpired=false
+router.get('/expiring', validate(expiringQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { days, includeExpired } = req.validated.query;
+    const items = await req.prisma.inventoryItem.findMany({
+      where: { expiresAt: { not: null } }
+    });
+    res.json(findExpiring(items, { days, includeExpired }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download inventory as CSV
+router.get('/export.csv', async (req, res, next) => {
+  try {
+    const items = await req.prisma.inventoryItem.findMany({
+      orderBy: [{ category: 'asc' }, { name: 'asc' }]
+    });
+    res.set('Content-Disposition', `attachment; filename="inventory-${formatDate(new Date())}.csv"`);
+    res.type('text/csv; charset=utf-8').send(inventoryToCsv(items));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import items from CSV, columns matched by header unless mapped. With
+// dryRun only the per-row preview comes back; otherwise valid rows are
+// saved and invalid ones reported.
+router.post('/import/csv', validate(importCsvSchema), async (req, res, next) => {
+  try {
+    const { csv, mapping, existing, dryRun } = req.validated.body;
+    const { headers, columns, rows } = readInventoryCsv(csv, mapping);
+    const result = await runImport(req.prisma, rows, { existing, dryRun, note: 'CSV import' });
+    res.json({
+      ...result,
+      headers,
+      // The header each field was read from
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]]))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import items from a pasted list like "2 kg atta, 500g paneer, 12 eggs"
+router.post('/import/text', validate(importTextSchema), async (req, res, next) => {
+  try {
+    const { text, existing, dryRun } = req.validated.body;
+    const result = await runImport(req.prisma, readPastedInventory(text), { existing, dryRun, note: 'Pasted list' });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// How fast each regularly used item is going, when it runs out and a
+// lowStockAt that would last a shopping cycle
+router.get('/forecast', async (req, res, next) => {
+  try {
+    res.json(await forecastInventory(req.prisma));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Items that will run out before the next shopping day
+router.get('/running-out', async (req, res, next) => {
+  try {
+    const { items, ...forecast } = await forecastInventory(req.prisma);
+    res.json({ ...forecast, items: items.filter(item => item.runsOutBeforeShopping) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add items that will run out before the next shopping day to the shopping
+// list, enough of each to last the following cycle
+router.post('/running-out/shopping-list', validate(runningOutShoppingSchema), async (req, res, next) => {
+  try {
+    const { itemIds } = req.validated.body;
+    const [{ items }, resolver] = await Promise.all([
+      forecastInventory(req.prisma),
+      getIngredientResolver(req.prisma)
+    ]);
+    const chosen = items.filter(item => (itemIds ? itemIds.includes(item.itemId) : item.runsOutBeforeShopping));
+
+    const diff = await req.prisma.$transaction(tx => addForecastToShoppingList(tx, chosen, resolver));
+    res.json(diff);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview what cooking a dish takes from inventory
+router.post('/deduction-preview', validate(deductionPreviewSchema), async (req, res, next) => {
+  try {
+    const { ingredients } = req.validated.body;
+    const [inventory, resolver] = await Promise.all([
+      req.prisma.inventoryItem.findMany(),
+      getIngredientResolver(req.prisma)
+    ]);
+    res.json({ lines: previewDeduction(ingredients.map(normalizeIngredient), inventory, resolver) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// An item's stock movements, newest first, with how fast it is being used
+// over the last ?days= (default 30)
+router.get('/:id/movements', validate(movementHistoryQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { days, limit } = req.validated.query;
+    const item = await req.prisma.inventoryItem.findUnique({ where: { id } });
+    if (!item) throw new NotFoundError('Inventory item');
+
+    const [movements, recent] = await Promise.all([
+      req.prisma.stockMovement.findMany({
+        where: { itemId: id },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      req.prisma.stockMovement.findMany({
+        where: { itemId: id, createdAt: { gte: new Date(Date.now() - days * 86400000) } }
+      })
+    ]);
+    res.json({
+      item: withStatus(item),
+      movements,
+      consumption: consumptionRate(item, recent, { days })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undo a stock movement, putting its quantity back on the item
+router.post('/movements/:movementId/revert', async (req, res, next) => {
+  try {
+    const { movement, result } = await req.prisma.$transaction(async (tx) => {
+      const movement = await tx.stockMovement.findUnique({
+        where: { id: req.params.movementId },
+        include: { item: true }
+      });
+      if (!movement) throw new NotFoundError('Stock movement');
+      return { movement, result: await revertMovement(tx, movement, movement.item) };
+    });
+    if (!result) {
+      return res.status(409).json({
+        error: `${movement.item.name} is now stocked in ${movement.item.unit}, which ${movement.unit} doesn't convert to.`,
+        code: 'UNIT_MISMATCH'
+      });
+    }
+    res.json({ movement: result.movement, item: withStatus(result.item) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Add inventory item
-router.post('/', validate(inventorySchema), async (req, res, next) => {
+router.post('/', validate(inventoryCreateSchema), async (req, res, next) => {
   try {
-    const { name, category, quantity, unit, lowStockAt, expiresAt } = req.validated.body;
-    const item = await req.prisma.inventoryItem.create({
-      data: {
-        name,
-        category,
-        quantity,
-        unit,
-        lowStockAt,
-        expiresAt: expiresAt ? new Date(expiresAt) : null
-      }
+    const { name, category, quantity, unit, lowStockAt, lowStockUnit, expiresAt, reason, note } = req.validated.body;
+    // Fill in what the ingredient dictionary knows about it
+    const known = category && unit ? null : (await getIngredientResolver(req.prisma)).resolve(name);
+    const itemCategory = category || known?.category || 'others';
+    const item = await req.prisma.$transaction(async (tx) => {
+      const created = await tx.inventoryItem.create({
+        data: {
+          name,
+          category: itemCategory,
+          quantity,
+          unit: unit || known?.defaultUnit || 'pieces',
+          lowStockAt,
+          lowStockUnit,
+          // Left out, the category's typical shelf life applies; null means it keeps
+          expiresAt: expiresAt === undefined ? estimateExpiry(itemCategory) : expiresAt && new Date(expiresAt)
+        }
+      });
+      await recordMovement(tx, created, created.quantity, { reason: reason || 'purchased', note });
+      return created;
     });
-    res.status(201).json(item);
+    res.status(201).json(withStatus(item));
   } catch (error) {
     next(error);
   }
@@ -54,19 +260,32 @@ router.post('/', validate(inventorySchema), async (req, res, next) => {
 router.patch('/:id', validate(inventoryUpdateSchema), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, category, quantity, unit, lowStockAt, expiresAt } = req.validated.body;
-    const item = await req.prisma.inventoryItem.update({
-      where: { id },
-      data: {
-        ...(name !== undefined && { name }),
-        ...(category !== undefined && { category }),
-        ...(quantity !== undefined && { quantity }),
-        ...(unit !== undefined && { unit }),
-        ...(lowStockAt !== undefined && { lowStockAt }),
-        ...(expiresAt !== undefined && { expiresAt: expiresAt ? new Date(expiresAt) : null })
+    const { name, category, quantity, unit, lowStockAt, lowStockUnit, expiresAt, reason, note } = req.validated.body;
+    const item = await req.prisma.$transaction(async (tx) => {
+      // The stock before the change, to record how much it moved
+      const before = quantity !== undefined ? await tx.inventoryItem.findUnique({ where: { id } }) : null;
+      const updated = await tx.inventoryItem.update({
+        where: { id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(category !== undefined && { category }),
+          ...(quantity !== undefined && { quantity }),
+          ...(unit !== undefined && { unit }),
+          ...(lowStockAt !== undefined && { lowStockAt }),
+          ...(lowStockUnit !== undefined && { lowStockUnit }),
+          ...(expiresAt !== undefined && { expiresAt: expiresAt ? new Date(expiresAt) : null })
+        }
+      });
+
+      if (before) {
+        const previous = convertIngredientQuantity(before.quantity, before.unit, updated.unit, updated.name);
+        if (previous !== null) {
+          await recordMovement(tx, updated, updated.quantity - previous, { reason: reason || 'adjusted', note });
+        }
       }
+      return updated;
     });
-    res.json(item);
+    res.json(withStatus(item));
   } catch (error) {
     next(error);
   }
@@ -83,4 +302,32 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
+// Preview or save imported rows; saving is all or nothing
+async function runImport(prisma, rows, { existing, dryRun, note }) {
+  const resolver = await getIngredientResolver(prisma);
+  const run = tx => importInventoryRows(tx, rows, { existing, dryRun, resolver, note });
+  const result = dryRun ? await run(prisma) : await prisma.$transaction(run, { timeout: 60000 });
+  return { dryRun, ...result };
+}
+
+// Whether an item is at or below its alert threshold, which may be set in
+// another unit (e.g. alert at 500 g of rice kept in kg)
+function isLowStock(item) {
+  if (item.lowStockAt === null || item.lowStockAt === undefined) return false;
+  const threshold = item.lowStockUnit
+    ? convertIngredientQuantity(item.lowStockAt, item.lowStockUnit, item.unit, item.name)
+    : item.lowStockAt;
+  return item.quantity <= (threshold ?? item.lowStockAt);
+}
+
+// An item with its low stock and expiry status for the UI
+function withStatus(item) {
+  return {
+    ...item,
+    isLowStock: isLowStock(item),
+    daysLeft: daysUntilExpiry(item.expiresAt),
+    expiryStatus: expiryStatus(item)
+  };
+}
+
 export default router;
@@ -1,16 +1,43 @@
 import { Router } from 'express';
-import { generateWeekMealPlan } from '../services/ai.js';
 import {
   validate,
   mealPlanSchema,
+  mealPlanUpdateSchema,
   mealPlanQuerySchema,
-  generateWeekSchema
+  generateWeekSchema,
+  regenerateSlotSchema,
+  regenerateDaySchema,
+  constraintReportQuerySchema,
+  mealPlanTemplateSchema,
+  applyTemplateSchema,
+  copyWeekSchema,
+  completeMealPlanSchema,
+  movePlanSchema
 } from '../validators/index.js';
+import { buildFullAIContext, getCalorieContext } from '../utils/context-builder.js';
+import { getDietaryRules } from '../utils/dietary-rules.js';
+import { formatDate, startOfWeek, endOfWeek, startOfMonth, endOfMonth } from '../utils/date.js';
+import { AppError, NotFoundError } from '../middleware/error-handler.js';
+import { getPlanIngredients, previewDeduction } from '../services/inventory-deduction.js';
+import { eatPlannedMeal, uneatPlannedMeal } from '../services/plan-completion.js';
+import { PLAN_INCLUDE, plannedDishData } from '../services/planned-dish.js';
 import {
-  buildFullAIContext,
-  formatInventoryForPrompt
-} from '../utils/context-builder.js';
-import { startOfWeek, endOfWeek, startOfMonth, endOfMonth } from '../utils/date.js';
+  findWeekPlans,
+  planSlots,
+  slotKey,
+  weekSlots,
+  daySlots,
+  loadConstraintCheck,
+  checkWeekPlans
+} from '../services/week-planner.js';
+import {
+  TEMPLATE_INCLUDE,
+  formatTemplate,
+  weekTemplateEntries,
+  saveWeekTemplate,
+  applyWeekEntries
+} from '../services/plan-templates.js';
+import { getIngredientResolver } from '../utils/ingredients.js';
 
 const router = Router();
 
@@ -39,7 +66,7 @@ router.get('/', validate(mealPlanQuerySchema, 'query'), async (req, res, next) =
           lte: endDate
         }
       },
-      include: { meal: true },
+      include: PLAN_INCLUDE,
       orderBy: [{ date: 'asc' }, { mealType: 'asc' }]
     });
 
@@ -52,15 +79,17 @@ router.get('/', validate(mealPlanQuerySchema, 'query'), async (req, res, next) =
 // Add meal to plan
 router.post('/', validate(mealPlanSchema), async (req, res, next) => {
   try {
-    const { date, mealType, mealId, notes } = req.validated.body;
+    const { date, mealType, dish, mealId, recipeId, notes } = req.validated.body;
     const plan = await req.prisma.mealPlan.create({
       data: {
         date: new Date(date),
         mealType,
+        ...(dish && plannedDishData(dish)),
         mealId,
+        recipeId,
         notes
       },
-      include: { meal: true }
+      include: PLAN_INCLUDE
     });
     res.status(201).json(plan);
   } catch (error) {
@@ -69,16 +98,18 @@ router.post('/', validate(mealPlanSchema), async (req, res, next) => {
 });
 
 // Update meal plan
-router.patch('/:id', async (req, res, next) => {
+router.patch('/:id', validate(mealPlanUpdateSchema), async (req, res, next) => {
   try {
-    const { mealId, notes } = req.body;
+    const { dish, mealId, recipeId, notes } = req.validated.body;
     const plan = await req.prisma.mealPlan.update({
       where: { id: req.params.id },
       data: {
+        ...(dish !== undefined && plannedDishData(dish, { replace: true })),
         ...(mealId !== undefined && { mealId }),
+        ...(recipeId !== undefined && { recipeId }),
         ...(notes !== undefined && { notes })
       },
-      include: { meal: true }
+      include: PLAN_INCLUDE
     });
     res.json(plan);
   } catch (error) {
@@ -86,35 +117,97 @@ router.patch('/:id', async (req, res, next) => {
   }
 });
 
-// Mark meal as completed
-router.post('/:id/complete', async (req, res, next) => {
+/**
+ * Load a plan entry with its meal and planned ingredients
+ * @throws {NotFoundError}
+ */
+async function findPlan(prisma, id) {
+  const plan = await prisma.mealPlan.findUnique({
+    where: { id },
+    include: PLAN_INCLUDE
+  });
+  if (!plan) throw new NotFoundError('Meal plan entry');
+  return plan;
+}
+
+// Preview what cooking this meal takes from inventory
+router.get('/:id/inventory-preview', async (req, res, next) => {
   try {
-    const plan = await req.prisma.mealPlan.update({
-      where: { id: req.params.id },
-      data: {
-        completed: true,
-        completedAt: new Date()
-      },
-      include: { meal: true }
+    const plan = await findPlan(req.prisma, req.params.id);
+    const [{ source, ingredients }, inventory, resolver] = await Promise.all([
+      getPlanIngredients(req.prisma, plan),
+      req.prisma.inventoryItem.findMany(),
+      getIngredientResolver(req.prisma)
+    ]);
+
+    res.json({ source, lines: previewDeduction(ingredients, inventory, resolver) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move a plan entry to another slot. Anything planned there takes the
+// entry's old slot, so moving it back undoes the move.
+router.post('/:id/move', validate(movePlanSchema), async (req, res, next) => {
+  try {
+    const { date, mealType } = req.validated.body;
+    const target = new Date(date);
+
+    const result = await req.prisma.$transaction(async (tx) => {
+      const plan = await findPlan(tx, req.params.id);
+      const from = { date: plan.date, mealType: plan.mealType };
+      const occupants = await tx.mealPlan.findMany({
+        where: {
+          id: { not: plan.id },
+          date: { gte: target, lt: new Date(target.getTime() + 86400000) },
+          mealType
+        }
+      });
+
+      if (plan.completed || occupants.some(other => other.completed)) {
+        throw new AppError('Meals already eaten stay where they are. Undo it first to move it.', 409, 'PLAN_COMPLETED');
+      }
+
+      const moved = await tx.mealPlan.update({
+        where: { id: plan.id },
+        data: { date: target, mealType },
+        include: PLAN_INCLUDE
+      });
+      const swapped = [];
+      for (const other of occupants) {
+        swapped.push(await tx.mealPlan.update({ where: { id: other.id }, data: from, include: PLAN_INCLUDE }));
+      }
+
+      return { moved, swapped, from: { date: formatDate(from.date), mealType: from.mealType } };
     });
-    res.json(plan);
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
-// Unmark meal as completed
+// Mark meal as eaten: complete it, log it to history and deduct what it
+// used from inventory
+router.post('/:id/complete', validate(completeMealPlanSchema), async (req, res, next) => {
+  try {
+    const { deductInventory, deductions } = req.validated.body;
+    const result = await req.prisma.$transaction(tx =>
+      eatPlannedMeal(tx, req.params.id, { deductInventory, deductions }));
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unmark meal as eaten, removing its history entry and putting back what it
+// took from inventory
 router.post('/:id/uncomplete', async (req, res, next) => {
   try {
-    const plan = await req.prisma.mealPlan.update({
-      where: { id: req.params.id },
-      data: {
-        completed: false,
-        completedAt: null
-      },
-      include: { meal: true }
-    });
-    res.json(plan);
+    const result = await req.prisma.$transaction(tx => uneatPlannedMeal(tx, req.params.id));
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -130,60 +223,211 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// AI Generate entire week's meal plan
+// AI Generate the week's meal plan: fill the empty slots, or replace
+// everything not eaten yet
 router.post('/generate-week', validate(generateWeekSchema), async (req, res, next) => {
   try {
-    const { weekStart } = req.validated.body;
+    const { mode } = req.validated.body;
+    // Any day of the week plans the week it falls in, as templates and copy-week do
+    const weekStart = formatDate(startOfWeek(new Date(req.validated.body.weekStart)));
+
+    const weekPlans = await findWeekPlans(req.prisma, weekStart);
+    const taken = new Set(weekPlans
+      .filter(plan => mode === 'fill' || plan.completed)
+      .map(plan => slotKey(plan.date, plan.mealType)));
+    const slots = weekSlots(weekStart).filter(slot => !taken.has(slotKey(slot.date, slot.mealType)));
 
     // Get context using shared utility (eliminates ~60 lines of duplicate code)
     const context = await buildFullAIContext(req.prisma);
 
-    // Generate week plan
-    const result = await generateWeekMealPlan({
-      weekStart,
-      inventory: context.inventoryFormatted,
-      recentMeals: context.recentMealNames.join(', '),
-      reviewContext: context.reviewContext,
-      calorieContext: { dailyGoal: context.calorieContext.dailyGoal }
-    });
-
-    // Calculate week dates
-    const startDate = new Date(weekStart);
-    const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-
-    // Save all meals to the plan
-    const createdPlans = [];
-    for (const dayPlan of result.weekPlan) {
-      const dayIndex = DAYS.indexOf(dayPlan.day);
-      const planDate = new Date(startDate);
-      planDate.setDate(startDate.getDate() + dayIndex);
-
-      for (const [mealType, meal] of Object.entries(dayPlan.meals)) {
-        if (meal && meal.name) {
-          const plan = await req.prisma.mealPlan.create({
-            data: {
-              date: planDate,
-              mealType,
-              notes: JSON.stringify({
-                name: meal.name,
-                cuisine: meal.cuisine,
-                prepTime: meal.prepTime,
-                estimatedCalories: meal.estimatedCalories,
-                description: meal.description,
-                ingredients: meal.ingredients
-              })
-            }
-          });
-          createdPlans.push(plan);
-        }
-      }
+    if (slots.length === 0) {
+      const check = await loadConstraintCheck(req.prisma, weekStart, context);
+      return res.json({
+        success: true,
+        mode,
+        createdPlans: 0,
+        replacedPlans: 0,
+        plans: [],
+        unfilled: [],
+        constraintReport: checkWeekPlans(weekPlans, check)
+      });
     }
 
+    const { created, replaced, unfilled, report } = await planSlots(req.prisma, { slots, weekPlans, context, weekStart });
+
     res.json({
       success: true,
-      weekPlan: result.weekPlan,
-      createdPlans: createdPlans.length
+      mode,
+      createdPlans: created.length,
+      replacedPlans: replaced.length,
+      plans: [...created, ...replaced],
+      // Slots with no dish that keeps the dietary rules
+      unfilled,
+      constraintReport: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// AI Regenerate one slot, keeping the rest of the week
+router.post('/regenerate-slot', validate(regenerateSlotSchema), async (req, res, next) => {
+  try {
+    const { date, mealType } = req.validated.body;
+
+    const weekPlans = await findWeekPlans(req.prisma, formatDate(startOfWeek(new Date(date))));
+    const eaten = weekPlans.some(plan => plan.completed && slotKey(plan.date, plan.mealType) === slotKey(date, mealType));
+    if (eaten) {
+      return res.status(409).json({
+        error: 'This meal has already been eaten. Undo it first to plan something else.',
+        code: 'PLAN_COMPLETED'
+      });
+    }
+
+    const context = await buildFullAIContext(req.prisma);
+    const slots = daySlots(date).filter(slot => slot.mealType === mealType);
+    const { created, replaced } = await planSlots(req.prisma, { slots, weekPlans, context });
+
+    res.json([...created, ...replaced][0] ?? null);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// AI Regenerate a day's meals that haven't been eaten yet
+router.post('/regenerate-day', validate(regenerateDaySchema), async (req, res, next) => {
+  try {
+    const { date } = req.validated.body;
+
+    const weekPlans = await findWeekPlans(req.prisma, formatDate(startOfWeek(new Date(date))));
+    const eaten = new Set(weekPlans.filter(plan => plan.completed).map(plan => slotKey(plan.date, plan.mealType)));
+    const slots = daySlots(date).filter(slot => !eaten.has(slotKey(slot.date, slot.mealType)));
+
+    if (slots.length === 0) {
+      return res.json({ plans: [], unfilled: [] });
+    }
+
+    const context = await buildFullAIContext(req.prisma);
+    const { created, replaced, unfilled, report } = await planSlots(req.prisma, { slots, weekPlans, context });
+
+    res.json({ plans: [...created, ...replaced], unfilled, constraintReport: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a week's meal plan against the planner constraints
+router.get('/constraint-report', validate(constraintReportQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { week } = req.validated.query;
+    const weekStart = formatDate(startOfWeek(week ? new Date(week) : new Date()));
+
+    const [weekPlans, calorieContext, dietaryRules] = await Promise.all([
+      findWeekPlans(req.prisma, weekStart),
+      getCalorieContext(req.prisma),
+      getDietaryRules(req.prisma)
+    ]);
+    const check = await loadConstraintCheck(req.prisma, weekStart, { calorieContext, dietaryRules });
+
+    res.json({ weekStart, ...checkWeekPlans(weekPlans, check) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List saved week templates
+router.get('/templates', async (req, res, next) => {
+  try {
+    const templates = await req.prisma.mealPlanTemplate.findMany({
+      include: TEMPLATE_INCLUDE,
+      orderBy: { name: 'asc' }
     });
+    res.json(templates.map(formatTemplate));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a week's meal plan as a template
+router.post('/templates', validate(mealPlanTemplateSchema), async (req, res, next) => {
+  try {
+    const { name, weekStart } = req.validated.body;
+
+    const template = await saveWeekTemplate(req.prisma, {
+      name,
+      weekStart: formatDate(startOfWeek(new Date(weekStart)))
+    });
+    if (!template) {
+      return res.status(400).json({
+        error: 'No meals planned for this week. Plan some meals before saving it as a template.',
+        code: 'NO_MEALS_PLANNED'
+      });
+    }
+
+    res.status(201).json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a template
+router.delete('/templates/:id', async (req, res, next) => {
+  try {
+    await req.prisma.mealPlanTemplate.delete({ where: { id: req.params.id } });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Apply a template to a week
+router.post('/templates/:id/apply', validate(applyTemplateSchema), async (req, res, next) => {
+  try {
+    const { weekStart, mode, shuffleDays } = req.validated.body;
+
+    const template = await req.prisma.mealPlanTemplate.findUnique({
+      where: { id: req.params.id },
+      include: TEMPLATE_INCLUDE
+    });
+    if (!template) {
+      throw new NotFoundError('Meal plan template');
+    }
+
+    const { created, removed, skipped } = await applyWeekEntries(req.prisma, {
+      entries: formatTemplate(template).entries,
+      weekStart: formatDate(startOfWeek(new Date(weekStart))),
+      mode,
+      shuffleDays
+    });
+
+    res.json({ success: true, mode, createdPlans: created.length, removedPlans: removed, skippedPlans: skipped, plans: created });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Copy one week's meal plan onto another
+router.post('/copy-week', validate(copyWeekSchema), async (req, res, next) => {
+  try {
+    const { fromWeekStart, weekStart, mode, shuffleDays } = req.validated.body;
+    const from = formatDate(startOfWeek(new Date(fromWeekStart)));
+    const to = formatDate(startOfWeek(new Date(weekStart)));
+
+    if (from === to) {
+      return res.status(400).json({ error: 'Pick a different week to copy to.', code: 'SAME_WEEK' });
+    }
+
+    const entries = weekTemplateEntries(await findWeekPlans(req.prisma, from), from);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        error: 'No meals planned for the week to copy.',
+        code: 'NO_MEALS_PLANNED'
+      });
+    }
+
+    const { created, removed, skipped } = await applyWeekEntries(req.prisma, { entries, weekStart: to, mode, shuffleDays });
+
+    res.json({ success: true, mode, createdPlans: created.length, removedPlans: removed, skippedPlans: skipped, plans: created });
   } catch (error) {
     next(error);
   }
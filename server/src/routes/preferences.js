@@ -1,8 +1,140 @@
 import { Router } from 'express';
-import { validate, preferenceSchema } from '../validators/index.js';
+import {
+  validate,
+  preferenceSchema,
+  dietaryRulesSchema,
+  planConstraintsSchema,
+  calendarFeedSchema,
+  shoppingScheduleSchema
+} from '../validators/index.js';
+import { DIETARY_RULES_KEY, getDietaryRules } from '../utils/dietary-rules.js';
+import { PLAN_CONSTRAINTS_KEY, getPlanConstraints } from '../utils/plan-constraints.js';
+import { getCalendarFeed, saveCalendarFeed, generateFeedToken, describeFeed } from '../services/calendar-feed.js';
+import { SHOPPING_SCHEDULE_KEY, getShoppingSchedule } from '../services/stock-forecast.js';
 
 const router = Router();
 
+// Get the household's dietary rules (defaults when none are saved)
+router.get('/dietary-rules', async (req, res, next) => {
+  try {
+    const rules = await getDietaryRules(req.prisma);
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the household's dietary rules
+router.put('/dietary-rules', validate(dietaryRulesSchema), async (req, res, next) => {
+  try {
+    const rules = req.validated.body;
+    const value = JSON.stringify(rules);
+    await req.prisma.userPreferences.upsert({
+      where: { key: DIETARY_RULES_KEY },
+      update: { value },
+      create: { key: DIETARY_RULES_KEY, value }
+    });
+    res.json(rules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the weekly planner constraints (defaults when none are saved)
+router.get('/plan-constraints', async (req, res, next) => {
+  try {
+    const constraints = await getPlanConstraints(req.prisma);
+    res.json(constraints);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the weekly planner constraints
+router.put('/plan-constraints', validate(planConstraintsSchema), async (req, res, next) => {
+  try {
+    const constraints = req.validated.body;
+    const value = JSON.stringify(constraints);
+    await req.prisma.userPreferences.upsert({
+      where: { key: PLAN_CONSTRAINTS_KEY },
+      update: { value },
+      create: { key: PLAN_CONSTRAINTS_KEY, value }
+    });
+    res.json(constraints);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the calendar feed settings and URL
+router.get('/calendar-feed', async (req, res, next) => {
+  try {
+    const feed = await getCalendarFeed(req.prisma);
+    res.json(describeFeed(feed));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the calendar feed's meal times, keeping its URL
+router.put('/calendar-feed', validate(calendarFeedSchema), async (req, res, next) => {
+  try {
+    const { token } = await getCalendarFeed(req.prisma);
+    const feed = await saveCalendarFeed(req.prisma, { token, ...req.validated.body });
+    res.json(describeFeed(feed));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn the calendar feed on with a new URL; the old URL stops working
+router.post('/calendar-feed/token', async (req, res, next) => {
+  try {
+    const current = await getCalendarFeed(req.prisma);
+    const feed = await saveCalendarFeed(req.prisma, { ...current, token: generateFeedToken() });
+    res.json(describeFeed(feed));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn the calendar feed off
+router.delete('/calendar-feed/token', async (req, res, next) => {
+  try {
+    const current = await getCalendarFeed(req.prisma);
+    const feed = await saveCalendarFeed(req.prisma, { ...current, token: null });
+    res.json(describeFeed(feed));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the days the household goes shopping (defaults when none are saved)
+router.get('/shopping-schedule', async (req, res, next) => {
+  try {
+    const schedule = await getShoppingSchedule(req.prisma);
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the shopping schedule
+router.put('/shopping-schedule', validate(shoppingScheduleSchema), async (req, res, next) => {
+  try {
+    const schedule = req.validated.body;
+    const value = JSON.stringify(schedule);
+    await req.prisma.userPreferences.upsert({
+      where: { key: SHOPPING_SCHEDULE_KEY },
+      update: { value },
+      create: { key: SHOPPING_SCHEDULE_KEY, value }
+    });
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get a preference
 router.get('/:key', async (req, res, next) => {
   try {
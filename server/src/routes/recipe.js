@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { generateRecipe } from '../services/ai.js';
 import { validate, generateRecipeSchema } from '../validators/index.js';
 import { safeJsonParse } from '../utils/json.js';
+import { getDietaryRules } from '../utils/dietary-rules.js';
+import { getIngredientResolver } from '../utils/ingredients.js';
 
 const router = Router();
 
@@ -20,8 +22,9 @@ router.post('/generate', validate(generateRecipeSchema), async (req, res, next)
   try {
     const { meal } = req.validated.body;
 
-    // Generate recipe using AI
-    const recipeData = await generateRecipe(meal);
+    // Generate recipe using AI, within the household's dietary rules
+    const dietaryRules = await getDietaryRules(req.prisma);
+    const recipeData = await generateRecipe(meal, { dietaryRules });
 
     // Save to database
     const recipe = await req.prisma.recipe.create({
@@ -44,7 +47,8 @@ router.post('/generate', validate(generateRecipeSchema), async (req, res, next)
       ...recipe,
       ingredients: recipeData.ingredients,
       instructions: recipeData.instructions,
-      tips: recipeData.tips
+      tips: recipeData.tips,
+      ...(recipeData.dietaryWarnings && { dietaryWarnings: recipeData.dietaryWarnings })
     });
   } catch (error) {
     next(error);
@@ -65,7 +69,7 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// Search recipes by name or cuisine (must be before /:id to avoid conflicts)
+// Search recipes by name, cuisine or ingredient (must be before /:id to avoid conflicts)
 router.get('/search/:query', async (req, res, next) => {
   try {
     const { query } = req.params;
@@ -76,11 +80,17 @@ router.get('/search/:query', async (req, res, next) => {
       });
     }
 
+    // An ingredient matches under any of its names, e.g. "jeera" finds cumin
+    const resolver = await getIngredientResolver(req.prisma);
+    const known = resolver.resolve(query);
+    const ingredientNames = known ? [known.name, ...known.aliases] : [query];
+
     const recipes = await req.prisma.recipe.findMany({
       where: {
         OR: [
           { mealName: { contains: query } },
-          { cuisine: { contains: query } }
+          { cuisine: { contains: query } },
+          ...ingredientNames.map(name => ({ ingredients: { contains: name, mode: 'insensitive' } }))
         ]
       },
       orderBy: { createdAt: 'desc' }
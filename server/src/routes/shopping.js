@@ -1,6 +1,19 @@
 import { Router } from 'express';
-import { validate, shoppingItemSchema, shoppingUpdateSchema } from '../validators/index.js';
+import {
+  validate,
+  shoppingItemSchema,
+  shoppingUpdateSchema,
+  putAwaySchema,
+  receiptTextSchema,
+  receiptPutAwaySchema
+} from '../validators/index.js';
 import { startOfWeek, endOfWeek } from '../utils/date.js';
+import { putAwayItems } from '../services/put-away.js';
+import { stockedShoppingItemIds } from '../services/stock-ledger.js';
+import { reviewReceipt, putAwayReceipt } from '../services/receipt-import.js';
+import { categorizeIngredient, collectNeeds, reconcileShoppingList } from '../services/shopping-list.js';
+import { PLAN_INCLUDE } from '../services/planned-dish.js';
+import { getIngredientResolver } from '../utils/ingredients.js';
 import { z } from 'zod';
 
 const router = Router();
@@ -16,13 +29,13 @@ router.get('/', async (req, res, next) => {
     const items = await req.prisma.shoppingItem.findMany({
       orderBy: [{ isPurchased: 'asc' }, { category: 'asc' }]
     });
-    res.json(items);
+    res.json(await withStocked(req.prisma, items));
   } catch (error) {
     next(error);
   }
 });
 
-// Generate shopping list from meal plan
+// Generate shopping list from meal plan, merging into the current list
 router.post('/generate', validate(generateSchema), async (req, res, next) => {
   try {
     const { week } = req.validated.body;
@@ -31,12 +44,13 @@ router.post('/generate', validate(generateSchema), async (req, res, next) => {
     const weekStart = startOfWeek(baseDate);
     const weekEnd = endOfWeek(baseDate);
 
-    // Get meal plans - look for plans with notes (meal data stored as JSON)
+    // Get the week's planned dishes with their ingredients
     const plans = await req.prisma.mealPlan.findMany({
       where: {
         date: { gte: weekStart, lte: weekEnd },
-        notes: { not: null }
-      }
+        dishName: { not: null }
+      },
+      include: PLAN_INCLUDE
     });
 
     if (plans.length === 0) {
@@ -46,80 +60,20 @@ router.post('/generate', validate(generateSchema), async (req, res, next) => {
       });
     }
 
-    // Get current inventory
-    const inventory = await req.prisma.inventoryItem.findMany();
-    const inventoryMap = new Map(
-      inventory.map(i => [i.name.toLowerCase(), i])
-    );
-
-    // Aggregate ingredients needed
-    const needed = new Map();
-
-    for (const plan of plans) {
-      // Parse meal data from notes field
-      let mealData = null;
-      try {
-        mealData = JSON.parse(plan.notes);
-      } catch {
-        continue;
-      }
-
-      if (!mealData || !mealData.ingredients) continue;
-
-      const ingredients = Array.isArray(mealData.ingredients)
-        ? mealData.ingredients
-        : [];
-
-      for (const ing of ingredients) {
-        // Handle both formats: { name, quantity, unit } and { item, quantity, unit }
-        const ingredientName = ing.name || ing.item;
-        if (!ingredientName) continue;
-
-        const key = ingredientName.toLowerCase();
-        const current = needed.get(key) || {
-          name: ingredientName,
-          quantity: 0,
-          unit: ing.unit || 'pieces',
-          category: categorizeIngredient(ingredientName)
-        };
-        // Handle quantity as string or number
-        const qty = typeof ing.quantity === 'string' ? parseFloat(ing.quantity) || 1 : ing.quantity || 1;
-        current.quantity += qty;
-        needed.set(key, current);
-      }
-    }
+    const [inventory, resolver] = await Promise.all([
+      req.prisma.inventoryItem.findMany(),
+      getIngredientResolver(req.prisma)
+    ]);
+    const needs = collectNeeds(plans, resolver);
 
-    // Check against inventory and create shopping items
-    const shoppingItems = [];
-
-    for (const [key, item] of needed) {
-      const inStock = inventoryMap.get(key);
-      const neededQty = item.quantity;
-      const haveQty = inStock?.quantity || 0;
-
-      if (haveQty < neededQty) {
-        shoppingItems.push({
-          name: item.name,
-          quantity: neededQty - haveQty,
-          unit: item.unit,
-          category: item.category,
-          isPurchased: false
-        });
-      }
-    }
-
-    // Create shopping items in DB
-    if (shoppingItems.length > 0) {
-      await req.prisma.shoppingItem.createMany({
-        data: shoppingItems
-      });
-    }
+    const diff = await req.prisma.$transaction(tx =>
+      reconcileShoppingList(tx, needs, inventory, { planIds: plans.map(plan => plan.id), resolver }));
 
-    const allItems = await req.prisma.shoppingItem.findMany({
+    const items = await req.prisma.shoppingItem.findMany({
       orderBy: [{ isPurchased: 'asc' }, { category: 'asc' }]
     });
 
-    res.json(allItems);
+    res.json({ items: await withStocked(req.prisma, items), diff });
   } catch (error) {
     next(error);
   }
@@ -129,12 +83,13 @@ router.post('/generate', validate(generateSchema), async (req, res, next) => {
 router.post('/', validate(shoppingItemSchema), async (req, res, next) => {
   try {
     const { name, quantity, unit, category } = req.validated.body;
+    const resolver = await getIngredientResolver(req.prisma);
     const item = await req.prisma.shoppingItem.create({
       data: {
         name,
         quantity,
         unit,
-        category: category || categorizeIngredient(name)
+        category: category || categorizeIngredient(name, resolver)
       }
     });
     res.status(201).json(item);
@@ -160,6 +115,49 @@ router.patch('/:id', validate(shoppingUpdateSchema), async (req, res, next) => {
   }
 });
 
+// Put purchased items away into inventory
+router.post('/put-away', validate(putAwaySchema), async (req, res, next) => {
+  try {
+    const { items } = req.validated.body;
+    const overrides = new Map(items.map(({ id, ...override }) => [id, override]));
+
+    const resolver = await getIngredientResolver(req.prisma);
+
+    const results = await req.prisma.$transaction(async (tx) => {
+      const shoppingItems = await tx.shoppingItem.findMany({
+        where: { id: { in: [...overrides.keys()] } }
+      });
+      return putAwayItems(tx, shoppingItems, overrides, resolver);
+    });
+
+    res.json({ results, putAway: results.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Read a pasted grocery receipt: what each line would add to inventory and
+// which list items it checks off. Nothing is saved.
+router.post('/receipt/preview', validate(receiptTextSchema), async (req, res, next) => {
+  try {
+    const resolver = await getIngredientResolver(req.prisma);
+    res.json(await reviewReceipt(req.prisma, req.validated.body.text, resolver));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Put reviewed receipt items away and check off what they were bought for
+router.post('/receipt', validate(receiptPutAwaySchema), async (req, res, next) => {
+  try {
+    const resolver = await getIngredientResolver(req.prisma);
+    const result = await req.prisma.$transaction(tx => putAwayReceipt(tx, req.validated.body.items, resolver));
+    res.json({ ...result, putAway: result.results.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Delete item
 router.delete('/:id', async (req, res, next) => {
   try {
@@ -182,25 +180,11 @@ router.delete('/clear/purchased', async (req, res, next) => {
   }
 });
 
-// Helper to categorize ingredients
-function categorizeIngredient(name) {
-  const n = name.toLowerCase();
-
-  const categories = {
-    vegetables: ['onion', 'tomato', 'potato', 'carrot', 'beans', 'capsicum', 'cauliflower', 'cabbage', 'spinach', 'palak', 'methi', 'bhindi', 'brinjal', 'lauki', 'turai', 'parwal', 'peas', 'mushroom'],
-    dairy: ['milk', 'curd', 'paneer', 'butter', 'ghee', 'cream', 'cheese', 'yogurt', 'dahi'],
-    grains: ['rice', 'atta', 'maida', 'besan', 'rava', 'suji', 'poha', 'oats', 'bread', 'roti'],
-    proteins: ['chicken', 'mutton', 'fish', 'egg', 'prawn', 'dal', 'chana', 'rajma', 'chole', 'tofu', 'soya'],
-    spices: ['haldi', 'mirchi', 'jeera', 'dhania', 'garam masala', 'hing', 'rai', 'methi', 'kasuri', 'chaat masala'],
-    others: []
-  };
-
-  for (const [cat, items] of Object.entries(categories)) {
-    if (items.some(item => n.includes(item))) {
-      return cat;
-    }
-  }
-  return 'others';
+// Items with whether a receipt already put them away, so the list doesn't
+// offer to put them away again
+async function withStocked(prisma, items) {
+  const stocked = await stockedShoppingItemIds(prisma, items.filter(item => item.isPurchased).map(item => item.id));
+  return items.map(item => ({ ...item, stocked: stocked.has(item.id) }));
 }
 
 export default router;
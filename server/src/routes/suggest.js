@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { suggestMeals, chatSuggestMeals } from '../services/ai.js';
+import { suggestMeals, chatSuggestMeals, streamChatSuggestMeals } from '../services/ai.js';
 import { validate, suggestSchema, chatSuggestSchema } from '../validators/index.js';
 import {
   buildFullAIContext,
@@ -7,13 +7,21 @@ import {
   formatInventoryForPrompt,
   processSuggestions
 } from '../utils/context-builder.js';
+import { recordRejections, startChatTurn, finishChatTurn } from '../services/chat-history.js';
+import { loadCandidates } from '../services/recommender.js';
 
 const router = Router();
 
+const latestUserMessage = conversation =>
+  conversation.findLast(m => m.role === 'user')?.content;
+
 // Get AI meal suggestions
 router.post('/', validate(suggestSchema), async (req, res, next) => {
   try {
-    const { mood, timeAvailable, cuisine, mealType, rejectedMeals = [] } = req.validated.body;
+    const { mood, timeAvailable, cuisine, mealType, rejectedMeals = [], sessionId, useUpExpiring = false } = req.validated.body;
+
+    // Remember what was turned down so it shapes future suggestions too
+    await recordRejections(req.prisma, rejectedMeals, { sessionId, mealType });
 
     // Get all context using shared utility (eliminates ~80 lines of duplicate code)
     const context = await buildFullAIContext(req.prisma);
@@ -29,7 +37,12 @@ router.post('/', validate(suggestSchema), async (req, res, next) => {
       avoidCuisines,
       rejectedMeals,
       reviewContext: context.reviewContext,
-      calorieContext: context.calorieContext
+      rejectionInsights: context.rejectionInsights,
+      dietaryRules: context.dietaryRules,
+      calorieContext: context.calorieContext,
+      expiring: context.expiring,
+      useUpExpiring,
+      getFallbackCandidates: () => loadCandidates(req.prisma)
     });
 
     // Process and sort suggestions
@@ -40,7 +53,9 @@ router.post('/', validate(suggestSchema), async (req, res, next) => {
 
     res.json({
       suggestions: processedSuggestions,
-      calorieInfo: context.calorieContext
+      calorieInfo: context.calorieContext,
+      // What the suggestions were asked to use up
+      ...(useUpExpiring && { expiring: context.expiring })
     });
   } catch (error) {
     next(error);
@@ -50,7 +65,12 @@ router.post('/', validate(suggestSchema), async (req, res, next) => {
 // Conversational meal suggestions
 router.post('/chat', validate(chatSuggestSchema), async (req, res, next) => {
   try {
-    const { mealType, conversation } = req.validated.body;
+    const { mealType, conversation, sessionId, rejected } = req.validated.body;
+    const userMessage = latestUserMessage(conversation);
+
+    if (sessionId && userMessage) {
+      await startChatTurn(req.prisma, sessionId, userMessage, rejected);
+    }
 
     // Get all context using shared utility
     const context = await buildFullAIContext(req.prisma);
@@ -61,13 +81,84 @@ router.post('/chat', validate(chatSuggestSchema), async (req, res, next) => {
       inventory: context.inventoryFormatted,
       recentMeals: context.recentMealNames.join(', '),
       reviewContext: context.reviewContext,
+      rejectionInsights: context.rejectionInsights,
+      dietaryRules: context.dietaryRules,
       calorieContext: context.calorieContext
     });
 
+    if (sessionId && userMessage) {
+      await finishChatTurn(req.prisma, sessionId, result);
+    }
+
     res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Write one Server-Sent Event
+ * @param {import('express').Response} res
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Conversational meal suggestions streamed as Server-Sent Events:
+// `message` ({ delta }), `suggestion` ({ suggestion }), then `done`
+// ({ message, suggestions }) or `error` ({ error, code })
+router.post('/chat/stream', validate(chatSuggestSchema), async (req, res, next) => {
+  const { mealType, conversation, sessionId, rejected } = req.validated.body;
+  const userMessage = latestUserMessage(conversation);
+  const persist = Boolean(sessionId && userMessage);
+
+  let context;
+  try {
+    if (persist) {
+      await startChatTurn(req.prisma, sessionId, userMessage, rejected);
+    }
+    context = await buildFullAIContext(req.prisma);
+  } catch (error) {
+    return next(error);
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  try {
+    const events = streamChatSuggestMeals({
+      mealType,
+      conversation,
+      inventory: context.inventoryFormatted,
+      recentMeals: context.recentMealNames.join(', '),
+      reviewContext: context.reviewContext,
+      rejectionInsights: context.rejectionInsights,
+      dietaryRules: context.dietaryRules,
+      calorieContext: context.calorieContext
+    }, { signal: controller.signal });
+
+    for await (const { type, ...data } of events) {
+      if (controller.signal.aborted) break;
+      if (type === 'done' && persist) {
+        await finishChatTurn(req.prisma, sessionId, data);
+      }
+      sendEvent(res, type, data);
+    }
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    sendEvent(res, 'error', { error: 'Failed to get suggestions', code: error.code || 'INTERNAL_ERROR' });
+  }
+  res.end();
+});
+
 export default router;
@@ -1,8 +1,198 @@
-import OpenAI from 'openai';
+import { getProvider } from './providers/index.js';
+import { AIResponseError } from '../middleware/error-handler.js';
+import {
+  aiMealSchema,
+  aiSuggestionsResponseSchema,
+  aiChatResponseSchema,
+  aiWeekPlanResponseSchema,
+  aiPlanSlotsResponseSchema,
+  aiRecipeResponseSchema
+} from '../validators/index.js';
+import {
+  normalizeMeal,
+  normalizeSuggestions,
+  normalizeChatResponse,
+  normalizeWeekPlan,
+  normalizePlanSlots,
+  normalizeRecipe
+} from '../utils/ai-normalize.js';
+import { createChatStreamParser } from '../utils/json-stream.js';
+import { builtinCandidates, recommendMeals } from './recommender.js';
+import {
+  checkMeal,
+  formatRulesForPrompt,
+  hasDietaryRules,
+  isVegetarianDay
+} from '../utils/dietary-rules.js';
+import { formatConstraintsForPrompt } from '../utils/plan-constraints.js';
+import { formatExpiringForPrompt } from '../utils/expiry.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const MAX_REPORTED_ISSUES = 20;
+
+/**
+ * Run a completion on the configured provider and parse the JSON reply
+ * @param {string} task - suggest | chat | weekPlan | planSlots | recipe
+ * @param {object} request
+ * @param {Array<{role: string, content: string}>} request.messages
+ * @param {number} request.temperature
+ * @param {object} request.input - Structured inputs behind the prompt
+ * @returns {Promise<object>}
+ */
+async function completeJSON(task, { messages, temperature, input }) {
+  const content = await getProvider().complete({ task, messages, temperature, input });
+  return JSON.parse(content);
+}
+
+/**
+ * Run one completion and check it against the schema after repair
+ * @returns {Promise<{data?: object, raw?: object, issues?: Array}>}
+ */
+async function attemptValidated(task, request, { schema, normalize }) {
+  let raw;
+  try {
+    raw = await completeJSON(task, request);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return { issues: [{ field: '', message: 'Response was not valid JSON' }] };
+  }
+
+  const result = schema.safeParse(normalize(raw));
+  if (result.success) return { data: result.data };
+
+  return {
+    raw,
+    issues: result.error.issues.map(issue => ({
+      field: issue.path.join('.'),
+      message: issue.message
+    }))
+  };
+}
+
+/**
+ * Run a completion whose reply must match a schema. Near-misses are
+ * repaired by `normalize`; if the reply still fails, the model is
+ * re-prompted once with the validation errors.
+ * @param {string} task
+ * @param {object} request - As for completeJSON
+ * @param {object} validation
+ * @param {import('zod').ZodSchema} validation.schema
+ * @param {Function} validation.normalize - (raw) => repaired response
+ * @returns {Promise<object>} Validated response
+ * @throws {AIResponseError} if the retry is still invalid
+ */
+async function completeValidated(task, request, validation) {
+  const first = await attemptValidated(task, request, validation);
+  if (first.data) return first.data;
+
+  const issueList = first.issues
+    .slice(0, MAX_REPORTED_ISSUES)
+    .map(i => `- ${i.field || 'response'}: ${i.message}`)
+    .join('\n');
+
+  const retry = await attemptValidated(task, {
+    ...request,
+    messages: [
+      ...request.messages,
+      ...(first.raw ? [{ role: 'assistant', content: JSON.stringify(first.raw) }] : []),
+      {
+        role: 'user',
+        content: `Your previous response did not match the required JSON format:\n${issueList}\n\nRespond again with the complete, corrected JSON only.`
+      }
+    ]
+  }, validation);
+  if (retry.data) return retry.data;
+
+  console.error(`AI ${task} response invalid after retry:`, retry.issues);
+  throw new AIResponseError(undefined, retry.issues.slice(0, MAX_REPORTED_ISSUES));
+}
+
+/**
+ * Prompt section listing the household's dietary rules
+ * @returns {string} '' when there are no rules
+ */
+function dietarySection(rules, options) {
+  const text = formatRulesForPrompt(rules, options);
+  return text ? `\nDIETARY RULES (never break these):\n${text}\n` : '';
+}
+
+/**
+ * Prompt section listing the weekly planner constraints
+ * @returns {string} '' when there are none, or every rule is off
+ */
+function constraintsSection(constraints, dailyGoal) {
+  const text = constraints ? formatConstraintsForPrompt(constraints, dailyGoal) : '';
+  return text ? `\nPLANNER RULES (the week is checked against these):\n${text}\n` : '';
+}
+
+/**
+ * Prompt section listing stock about to expire
+ * @param {Array} expiring - From findExpiring
+ * @param {boolean} required - Whether every dish must use some of it
+ * @returns {string} '' when nothing is expiring
+ */
+function expiringSection(expiring, required) {
+  const text = formatExpiringForPrompt(expiring);
+  if (!text) return '';
+  return required
+    ? `\nUSE IT UP (EVERY suggestion MUST use at least one of these, soonest first, and list it in its ingredients):\n${text}\n`
+    : `\nEXPIRING SOON (prefer dishes that use these up):\n${text}\n`;
+}
+
+/**
+ * Check dishes against the dietary rules
+ * @param {Array<{key: *, meal: object, vegetarian?: boolean}>} items
+ * @param {object} rules
+ * @returns {Array<{key: *, name: string, problems: string[]}>} Dishes that break a rule
+ */
+function findDietaryViolations(items, rules) {
+  if (!hasDietaryRules(rules)) return [];
+
+  return items
+    .map(({ key, meal, vegetarian }) => ({
+      key,
+      name: meal.name ?? meal.mealName,
+      problems: checkMeal(meal, rules, { vegetarian }).map(v => v.message)
+    }))
+    .filter(v => v.problems.length > 0);
+}
+
+/**
+ * Re-prompt once when a validated reply breaks the dietary rules
+ * @param {string} task
+ * @param {object} request - As for completeJSON
+ * @param {object} validation - As for completeValidated
+ * @param {object} data - The validated reply
+ * @param {object} rules
+ * @param {Function} listDishes - (data) => items for findDietaryViolations
+ * @returns {Promise<{data: object, violations: Array}>} The reply (regenerated
+ *   if needed) and the violations still left in it
+ */
+async function repairDietaryViolations(task, request, validation, data, rules, listDishes) {
+  if (!hasDietaryRules(rules)) return { data, violations: [] };
+
+  const violations = findDietaryViolations(listDishes(data), rules);
+  if (violations.length === 0) return { data, violations };
+
+  const list = violations.map(v => `- ${v.name}: ${v.problems.join('; ')}`).join('\n');
+  try {
+    const retry = await completeValidated(task, {
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: JSON.stringify(data) },
+        {
+          role: 'user',
+          content: `These dishes break the household's dietary rules:\n${list}\n\nReplace them with dishes that follow every rule, keep everything else the same, and respond again with the complete JSON only.`
+        }
+      ]
+    }, validation);
+    return { data: retry, violations: findDietaryViolations(listDishes(retry), rules) };
+  } catch (error) {
+    if (!(error instanceof AIResponseError)) throw error;
+    console.error(`AI ${task} dietary repair invalid:`, error.details);
+    return { data, violations };
+  }
+}
 
 export async function suggestMeals({
   mood,
@@ -14,8 +204,14 @@ export async function suggestMeals({
   avoidCuisines,
   rejectedMeals = [],
   reviewContext = null,
-  calorieContext = null
+  calorieContext = null,
+  rejectionInsights = '',
+  dietaryRules = null,
+  expiring = [],
+  useUpExpiring = false,
+  getFallbackCandidates
 }) {
+  const useUp = useUpExpiring ? expiring.map(i => i.name) : [];
   const inventoryList = inventory
     .map(i => `${i.name} (${i.quantity} ${i.unit})`)
     .join(', ');
@@ -104,7 +300,8 @@ CRITICAL RULES:
 8. ${cuisine ? `IMPORTANT: User selected "${cuisine}" cuisine - ALL suggestions MUST be authentic ${cuisine} dishes. Do NOT suggest dishes from other cuisines.` : 'Suggest diverse cuisines'}
 9. ${mealType ? `User wants ${mealType} options - ALL suggestions must be appropriate for ${mealType}.` : ''}
 ${reviewInsights ? `\nUSER PREFERENCES FROM PAST REVIEWS:${reviewInsights}` : ''}
-
+${rejectionInsights ? `\nLONG-TERM REJECTION PATTERNS (steer away from these):\n${rejectionInsights}` : ''}
+${dietarySection(dietaryRules, { date: new Date() })}${expiringSection(expiring, useUp.length > 0)}
 USER CONTEXT:
 - Mood: ${mood || 'not specified'}
 - Time available: ${timeAvailable || 'not specified'} minutes
@@ -149,9 +346,22 @@ Respond in this exact JSON format:
   ]
 }`;
 
+  const vegetarian = isVegetarianDay(dietaryRules);
+  const fallbackCriteria = {
+    mood,
+    timeAvailable,
+    cuisine,
+    mealType,
+    inventory,
+    recentMeals,
+    avoidCuisines,
+    rejectedMeals,
+    remainingCalories: calorieContext?.remaining,
+    useUp
+  };
+
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const request = {
       messages: [
         {
           role: 'system',
@@ -160,131 +370,69 @@ Respond in this exact JSON format:
         { role: 'user', content: prompt }
       ],
       temperature: 0.8,
-      response_format: { type: 'json_object' }
-    });
+      input: { mood, timeAvailable, cuisine, mealType, recentMeals, avoidCuisines, rejectedMeals, dietaryRules, vegetarian, useUp }
+    };
+    const validation = {
+      schema: aiSuggestionsResponseSchema,
+      normalize: raw => normalizeSuggestions(raw, { mealType, cuisine })
+    };
+
+    const result = await completeValidated('suggest', request, validation);
+    const { data, violations } = await repairDietaryViolations('suggest', request, validation, result, dietaryRules,
+      ({ suggestions }) => suggestions.map((meal, key) => ({ key, meal, vegetarian })));
 
-    const content = response.choices[0].message.content;
-    const result = JSON.parse(content);
+    // Anything still breaking a rule is dropped, never shown
+    const broken = new Set(violations.map(v => v.key));
+    const allowed = data.suggestions.filter((_, i) => !broken.has(i));
+    if (allowed.length > 0) return allowed;
 
-    return result.suggestions || [];
+    console.error('AI suggestions all break dietary rules:', violations);
+    return getFallbackSuggestions(getFallbackCandidates, fallbackCriteria, dietaryRules);
   } catch (error) {
-    console.error('OpenAI error:', error);
+    console.error('AI provider error:', error);
 
-    // Fallback suggestions if API fails
-    return getFallbackSuggestions(mood, timeAvailable, mealType);
+    // Recommend from what we know locally if the provider fails
+    return getFallbackSuggestions(getFallbackCandidates, fallbackCriteria, dietaryRules);
   }
 }
 
-// Fallback suggestions when API is unavailable
-function getFallbackSuggestions(mood, timeAvailable, mealType) {
-  const quickMeals = [
-    {
-      name: 'Masala Maggi with Vegetables',
-      cuisine: 'fusion',
-      mealType: 'snack',
-      prepTime: 15,
-      estimatedCalories: 350,
-      ingredients: [
-        { name: 'Maggi noodles', quantity: 2, unit: 'packets' },
-        { name: 'Mixed vegetables', quantity: 100, unit: 'g' },
-        { name: 'Butter', quantity: 1, unit: 'tbsp' }
-      ],
-      reason: 'Quick comfort food when you need something fast',
-      description: 'Loaded veggie Maggi with a buttery kick'
-    },
-    {
-      name: 'Egg Bhurji with Paratha',
-      cuisine: 'north_indian',
-      mealType: 'breakfast',
-      prepTime: 20,
-      estimatedCalories: 450,
-      ingredients: [
-        { name: 'Eggs', quantity: 4, unit: 'pieces' },
-        { name: 'Onion', quantity: 1, unit: 'medium' },
-        { name: 'Tomato', quantity: 1, unit: 'medium' },
-        { name: 'Atta', quantity: 100, unit: 'g' }
-      ],
-      reason: 'Protein-packed and satisfying',
-      description: 'Spiced scrambled eggs with flaky homemade parathas'
-    },
-    {
-      name: 'Curd Rice with Pickle',
-      cuisine: 'south_indian',
-      mealType: 'lunch',
-      prepTime: 10,
-      estimatedCalories: 280,
-      ingredients: [
-        { name: 'Rice', quantity: 200, unit: 'g' },
-        { name: 'Curd', quantity: 200, unit: 'g' },
-        { name: 'Mustard seeds', quantity: 1, unit: 'tsp' }
-      ],
-      reason: 'Light, cooling, and comforting',
-      description: 'Silky curd rice tempered with mustard and curry leaves'
-    }
-  ];
-
-  const elaborateMeals = [
-    {
-      name: 'Paneer Tikka Masala',
-      cuisine: 'north_indian',
-      mealType: 'dinner',
-      prepTime: 45,
-      estimatedCalories: 550,
-      ingredients: [
-        { name: 'Paneer', quantity: 250, unit: 'g' },
-        { name: 'Capsicum', quantity: 1, unit: 'medium' },
-        { name: 'Onion', quantity: 2, unit: 'medium' },
-        { name: 'Tomato', quantity: 3, unit: 'medium' },
-        { name: 'Cream', quantity: 50, unit: 'ml' }
-      ],
-      reason: 'Restaurant-quality dinner at home',
-      description: 'Charred paneer in smoky, creamy tomato gravy'
-    },
-    {
-      name: 'Hyderabadi Vegetable Biryani',
-      cuisine: 'south_indian',
-      mealType: 'lunch',
-      prepTime: 60,
-      estimatedCalories: 650,
-      ingredients: [
-        { name: 'Basmati rice', quantity: 300, unit: 'g' },
-        { name: 'Mixed vegetables', quantity: 200, unit: 'g' },
-        { name: 'Curd', quantity: 100, unit: 'g' },
-        { name: 'Ghee', quantity: 3, unit: 'tbsp' },
-        { name: 'Biryani masala', quantity: 2, unit: 'tbsp' }
-      ],
-      reason: 'When you want something special and aromatic',
-      description: 'Layered, fragrant biryani with perfectly spiced vegetables'
-    },
-    {
-      name: 'Palak Paneer with Butter Naan',
-      cuisine: 'north_indian',
-      mealType: 'dinner',
-      prepTime: 50,
-      estimatedCalories: 580,
-      ingredients: [
-        { name: 'Spinach', quantity: 300, unit: 'g' },
-        { name: 'Paneer', quantity: 200, unit: 'g' },
-        { name: 'Cream', quantity: 50, unit: 'ml' },
-        { name: 'Atta', quantity: 200, unit: 'g' }
-      ],
-      reason: 'Nutritious and deeply satisfying',
-      description: 'Velvety spinach gravy with soft paneer cubes'
+/**
+ * Suggestions from the offline recommender when the AI provider fails
+ * @param {Function} [getCandidates] - Loads the household's dishes; the
+ *   built-in catalog is used when absent or failing
+ * @param {object} criteria - As for recommendMeals
+ * @param {object} [dietaryRules] - Dishes breaking these are never offered
+ * @returns {Promise<Array>}
+ */
+async function getFallbackSuggestions(getCandidates, criteria, dietaryRules) {
+  let candidates = builtinCandidates();
+  if (getCandidates) {
+    try {
+      candidates = await getCandidates();
+    } catch (error) {
+      console.error('Failed to load fallback candidates:', error);
     }
-  ];
-
-  const time = parseInt(timeAvailable) || 30;
-  return time <= 25 ? quickMeals : elaborateMeals;
+  }
+  const vegetarian = isVegetarianDay(dietaryRules);
+  return recommendMeals(
+    candidates.filter(c => checkMeal(c, dietaryRules, { vegetarian }).length === 0),
+    criteria
+  );
 }
 
-// Conversational meal suggestions
-export async function chatSuggestMeals({
+/**
+ * Build the chat prompt shared by the plain and streaming chat calls
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildChatMessages({
   mealType,
   conversation,
   inventory,
   recentMeals,
   reviewContext,
-  calorieContext
+  calorieContext,
+  rejectionInsights = '',
+  dietaryRules = null
 }) {
   // Build preference insights from review context
   let preferenceInsights = '';
@@ -314,12 +462,13 @@ export async function chatSuggestMeals({
   const systemPrompt = `You are a friendly culinary assistant for "No Daal Chawal" - helping a food-loving couple in Bangalore find exciting meals. You HATE boring, repetitive food.
 
 CONTEXT:
-- Meal type: ${mealType === 'any' ? 'Any (user will tell you)' : mealType}
+- Meal type: ${!mealType || mealType === 'any' ? 'Any (user will tell you)' : mealType}
 - Available ingredients: ${inventory || 'Not specified'}
 - Recently eaten (avoid these): ${recentMeals || 'None'}
 - Calorie budget: ${calorieContext.remaining} kcal remaining today (goal: ${calorieContext.dailyGoal})
 ${preferenceInsights ? `\nUSER PREFERENCES (from past ratings):${preferenceInsights}` : ''}
-
+${rejectionInsights ? `\nLONG-TERM REJECTION PATTERNS (steer away from these):\n${rejectionInsights}` : ''}
+${dietarySection(dietaryRules, { date: new Date() })}
 YOUR PERSONALITY:
 - Friendly and enthusiastic about food
 - Ask clarifying questions if needed (cuisine preference, spice level, time available)
@@ -342,7 +491,7 @@ Always respond with valid JSON:
     {
       "name": "Dish Name",
       "cuisine": "one of the valid cuisines above",
-      "mealType": "${mealType}",
+      "mealType": "${mealType && mealType !== 'any' ? mealType : 'breakfast|lunch|dinner|snack'}",
       "prepTime": 30,
       "estimatedCalories": 450,
       "ingredients": [{"name": "Ingredient", "quantity": 1, "unit": "kg"}],
@@ -356,63 +505,184 @@ RULES:
 - If user names a SPECIFIC DISH (e.g. "chicken biryani", "palak paneer"), include that EXACT dish as the FIRST suggestion, then add 2 similar alternatives
 - If user describes preferences (e.g. "something light and Indian"), give 3 matching suggestions
 - Never suggest recently eaten meals
+- Never break the dietary rules, even if the user asks
 - Include calorie estimates
 - Keep suggestions interesting and varied
 - ALWAYS update suggestions based on user's latest message - never keep old suggestions`;
 
-  const messages = [
+  return [
     { role: 'system', content: systemPrompt },
     ...conversation.map(msg => ({
       role: msg.role,
       content: msg.content
     }))
   ];
+}
+
+const CHAT_FAILURE_MESSAGE = "I'm having trouble thinking right now. Could you try again?";
+
+/**
+ * Whether a chat suggestion is allowed by the dietary rules
+ * @param {object} rules
+ * @returns {Function} (suggestion) => boolean
+ */
+function chatDietFilter(rules) {
+  const vegetarian = isVegetarianDay(rules);
+  return meal => checkMeal(meal, rules, { vegetarian }).length === 0;
+}
+
+// Conversational meal suggestions
+export async function chatSuggestMeals(params) {
+  const { mealType, conversation, recentMeals, dietaryRules = null } = params;
+  const vegetarian = isVegetarianDay(dietaryRules);
+  const request = {
+    messages: buildChatMessages(params),
+    temperature: 0.8,
+    input: { mealType, conversation, recentMeals, dietaryRules, vegetarian }
+  };
+  const validation = {
+    schema: aiChatResponseSchema,
+    normalize: raw => normalizeChatResponse(raw, { mealType: mealType === 'any' ? undefined : mealType })
+  };
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages,
-      temperature: 0.8,
-      response_format: { type: 'json_object' }
-    });
+    const result = await completeValidated('chat', request, validation);
+    const { data } = await repairDietaryViolations('chat', request, validation, result, dietaryRules,
+      ({ suggestions }) => suggestions.map((meal, key) => ({ key, meal, vegetarian })));
 
-    const content = response.choices[0].message.content;
-    return JSON.parse(content);
+    return { ...data, suggestions: data.suggestions.filter(chatDietFilter(dietaryRules)) };
   } catch (error) {
     console.error('Chat AI error:', error);
     return {
-      message: "I'm having trouble thinking right now. Could you try again?",
+      message: CHAT_FAILURE_MESSAGE,
       suggestions: []
     };
   }
 }
 
+/**
+ * Stream provider output, falling back to a single chunk for providers
+ * without streaming support
+ * @returns {AsyncGenerator<string>}
+ */
+async function* streamCompletion(task, { messages, temperature, input, signal }) {
+  const provider = getProvider();
+  if (typeof provider.stream !== 'function') {
+    yield await provider.complete({ task, messages, temperature, input });
+    return;
+  }
+  yield* provider.stream({ task, messages, temperature, input, signal });
+}
+
+/**
+ * Conversational suggestions, streamed. Yields events as the reply arrives:
+ * - `{ type: 'message', delta }` - more of the assistant's chat text
+ * - `{ type: 'suggestion', suggestion }` - one complete, validated suggestion
+ * - `{ type: 'done', message, suggestions }` - the full validated reply
+ * A reply that fails validation with nothing usable streamed is retried
+ * through chatSuggestMeals, so `done` always carries a usable answer.
+ * @param {object} params - As for chatSuggestMeals
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops generation when the client goes away
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* streamChatSuggestMeals(params, { signal } = {}) {
+  const { mealType, conversation, recentMeals, dietaryRules = null } = params;
+  const defaults = { mealType: mealType === 'any' ? undefined : mealType };
+  const allowed = chatDietFilter(dietaryRules);
+  const parser = createChatStreamParser();
+  const streamed = [];
+  let content = '';
+
+  try {
+    const chunks = streamCompletion('chat', {
+      messages: buildChatMessages(params),
+      temperature: 0.8,
+      input: { mealType, conversation, recentMeals, dietaryRules, vegetarian: isVegetarianDay(dietaryRules) },
+      signal
+    });
+
+    for await (const chunk of chunks) {
+      content += chunk;
+      for (const event of parser.push(chunk)) {
+        if (event.type === 'message') {
+          yield event;
+          continue;
+        }
+        const result = aiMealSchema.safeParse(normalizeMeal(event.value, defaults));
+        // Suggestions that break a dietary rule are never shown
+        if (result.success && allowed(result.data)) {
+          streamed.push(result.data);
+          yield { type: 'suggestion', suggestion: result.data };
+        }
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) return;
+    console.error('Chat AI stream error:', error);
+    yield { type: 'done', message: parser.message || CHAT_FAILURE_MESSAGE, suggestions: streamed };
+    return;
+  }
+
+  if (signal?.aborted) return;
+
+  let reply = null;
+  try {
+    const result = aiChatResponseSchema.safeParse(normalizeChatResponse(JSON.parse(content), defaults));
+    if (result.success) {
+      reply = { ...result.data, suggestions: result.data.suggestions.filter(allowed) };
+    }
+  } catch {
+    // Not valid JSON - handled below
+  }
+
+  if ((!reply || reply.suggestions.length === 0) && streamed.length > 0) {
+    reply = { message: parser.message.trim() || 'Here are a few ideas.', suggestions: streamed };
+  }
+  if (!reply || (reply.suggestions.length === 0 && hasDietaryRules(dietaryRules))) {
+    reply = await chatSuggestMeals(params);
+  }
+
+  yield { type: 'done', ...reply };
+}
+
+/**
+ * Favourite and disliked meals and cuisines for meal plan prompts
+ * @param {object} [reviewContext]
+ * @returns {string} '' when there are no ratings yet
+ */
+function planPreferenceInsights(reviewContext) {
+  if (!reviewContext) return '';
+
+  const { highRatedMeals, lowRatedMeals, cuisinePreferences } = reviewContext;
+  let insights = '';
+  if (highRatedMeals?.length > 0) {
+    insights += `\nFAVORITE MEALS: ${highRatedMeals.map(m => m.mealName).join(', ')}`;
+  }
+  if (lowRatedMeals?.length > 0) {
+    insights += `\nDISLIKED MEALS (AVOID): ${lowRatedMeals.map(m => m.mealName).join(', ')}`;
+  }
+  const topCuisines = (cuisinePreferences || []).filter(c => c.avgRating >= 4);
+  if (topCuisines.length > 0) {
+    insights += `\nFAVORITE CUISINES: ${topCuisines.map(c => c.cuisine).join(', ')}`;
+  }
+  return insights;
+}
+
 // Generate a full week's meal plan
 export async function generateWeekMealPlan({
   weekStart,
   inventory,
   recentMeals,
   reviewContext,
-  calorieContext
+  calorieContext,
+  rejectionInsights = '',
+  dietaryRules = null,
+  constraints = null
 }) {
-  // Build preference insights
-  let preferenceInsights = '';
-  if (reviewContext) {
-    const { highRatedMeals, lowRatedMeals, cuisinePreferences } = reviewContext;
-
-    if (highRatedMeals?.length > 0) {
-      preferenceInsights += `\nFAVORITE MEALS: ${highRatedMeals.map(m => m.mealName).join(', ')}`;
-    }
-    if (lowRatedMeals?.length > 0) {
-      preferenceInsights += `\nDISLIKED MEALS (AVOID): ${lowRatedMeals.map(m => m.mealName).join(', ')}`;
-    }
-    if (cuisinePreferences?.length > 0) {
-      const topCuisines = cuisinePreferences.filter(c => c.avgRating >= 4);
-      if (topCuisines.length > 0) {
-        preferenceInsights += `\nFAVORITE CUISINES: ${topCuisines.map(c => c.cuisine).join(', ')}`;
-      }
-    }
-  }
+  const preferenceInsights = planPreferenceInsights(reviewContext);
+  const dailyGoal = calorieContext?.dailyGoal || 2000;
+  const plannerRules = constraintsSection(constraints, dailyGoal);
 
   const prompt = `Generate a complete week meal plan for a food-loving couple in Bangalore. They HATE repetitive, boring meals (especially daal chawal!).
 
@@ -421,16 +691,17 @@ WEEK STARTING: ${weekStart}
 CONTEXT:
 - Available ingredients: ${inventory || 'Standard Indian pantry'}
 - Recently eaten (AVOID these): ${recentMeals || 'None'}
-- Daily calorie target: ${calorieContext?.dailyGoal || 2000} kcal per person
+- Daily calorie target: ${dailyGoal} kcal per person
 ${preferenceInsights}
-
+${rejectionInsights ? `\nLONG-TERM REJECTION PATTERNS (steer away from these):\n${rejectionInsights}` : ''}
+${dietarySection(dietaryRules)}${plannerRules}
 REQUIREMENTS:
 1. Plan breakfast, lunch, and dinner for all 7 days (Mon-Sun)
-2. Ensure variety - no cuisine repeated more than 2 days in a row
-3. Mix of quick meals (15-30 min) and elaborate ones (45-60 min)
+2. ${plannerRules ? 'Follow every planner rule above' : 'Ensure variety - no cuisine repeated more than 2 days in a row'}
+3. ${plannerRules ? 'Mix of quick meals and more elaborate ones, within the prep time limits' : 'Mix of quick meals (15-30 min) and elaborate ones (45-60 min)'}
 4. Balance nutrition across the week
 5. Weekend meals can be more elaborate
-6. Include a mix of vegetarian and non-vegetarian options
+6. ${hasDietaryRules(dietaryRules) ? 'Follow every dietary rule above on the right days' : 'Include a mix of vegetarian and non-vegetarian options'}
 7. Consider Indian home cooking reality - practical portions and prep times
 
 VALID CUISINES (use ONLY these exact values):
@@ -464,8 +735,7 @@ Respond in this exact JSON format:
 }`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const request = {
       messages: [
         {
           role: 'system',
@@ -474,19 +744,251 @@ Respond in this exact JSON format:
         { role: 'user', content: prompt }
       ],
       temperature: 0.8,
-      response_format: { type: 'json_object' }
-    });
+      input: { weekStart, recentMeals, dietaryRules, constraints }
+    };
+    const validation = {
+      schema: aiWeekPlanResponseSchema,
+      normalize: raw => normalizeWeekPlan(raw, weekStart)
+    };
+
+    const result = await completeValidated('weekPlan', request, validation);
+    const { data, violations } = await repairDietaryViolations('weekPlan', request, validation, result, dietaryRules,
+      listWeekPlanDishes(dietaryRules));
 
-    const content = response.choices[0].message.content;
-    return JSON.parse(content);
+    return violations.length > 0 ? replaceWeekPlanViolations(data, violations, dietaryRules) : data;
   } catch (error) {
+    if (error instanceof AIResponseError) throw error;
     console.error('Week meal plan generation error:', error);
     throw new Error('Failed to generate week meal plan');
   }
 }
 
+/**
+ * Lists a week plan's dishes for findDietaryViolations, keyed by day index and slot
+ * @param {object} rules
+ * @returns {Function}
+ */
+function listWeekPlanDishes(rules) {
+  return ({ weekPlan }) => weekPlan.flatMap((day, index) =>
+    Object.entries(day.meals)
+      .filter(([, meal]) => meal)
+      .map(([slot, meal]) => ({
+        key: `${index}:${slot}`,
+        meal,
+        vegetarian: rules.vegetarianDays.includes(day.day)
+      }))
+  );
+}
+
+/**
+ * Swap dishes that still break a rule after the retry for compliant
+ * dishes from the built-in catalog, or leave the slot empty (null) when
+ * there is none; a dish that breaks the rules is never planned
+ * @param {object} plan - Validated week plan
+ * @param {Array} violations - From findDietaryViolations
+ * @param {object} rules
+ * @returns {object} The plan with the broken slots replaced or emptied
+ */
+function replaceWeekPlanViolations(plan, violations, rules) {
+  const broken = new Set(violations.map(v => v.key));
+  const used = plan.weekPlan.flatMap(day => Object.values(day.meals).filter(Boolean).map(m => m.name));
+
+  const weekPlan = plan.weekPlan.map((day, index) => {
+    const vegetarian = rules.vegetarianDays.includes(day.day);
+    const meals = { ...day.meals };
+
+    for (const slot of Object.keys(meals)) {
+      if (!broken.has(`${index}:${slot}`)) continue;
+
+      const pick = compliantCatalogDish(slot, rules, vegetarian, used);
+      if (!pick) console.error(`No compliant dish for ${day.day} ${slot}, leaving it empty`);
+      else used.push(pick.name);
+      meals[slot] = pick;
+    }
+    return { ...day, meals };
+  });
+
+  return { ...plan, weekPlan };
+}
+
+/**
+ * A built-in catalog dish for a slot that follows the dietary rules
+ * @param {string} mealType
+ * @param {object} rules
+ * @param {boolean} vegetarian - Whether the day is a vegetarian day
+ * @param {string[]} used - Dish names not to pick
+ * @returns {object|null} The dish as a plan meal
+ */
+function compliantCatalogDish(mealType, rules, vegetarian, used) {
+  const candidates = builtinCandidates().filter(c => checkMeal(c, rules, { vegetarian }).length === 0);
+  const [pick] = recommendMeals(candidates, { mealType, recentMeals: used, count: 1 });
+  if (!pick) return null;
+
+  return {
+    name: pick.name,
+    cuisine: pick.cuisine,
+    prepTime: pick.prepTime,
+    estimatedCalories: pick.estimatedCalories,
+    description: pick.description,
+    ingredients: pick.ingredients
+  };
+}
+
+/**
+ * Plan dishes for some slots of a week around the meals already planned,
+ * keeping cuisines varied, days near the calorie target and dishes unrepeated
+ * @param {object} params
+ * @param {Array<{date: string, day: string, mealType: string}>} params.slots - Slots to fill
+ * @param {Array<{date: string, day: string, mealType: string, name: string, cuisine: string|null, calories: number|null}>} params.planned -
+ *   The rest of the week, which stays as it is
+ * @param {string[]} [params.replacing] - Dishes the new ones replace
+ * @param {string} [params.inventory]
+ * @param {string} [params.recentMeals]
+ * @param {object} [params.reviewContext]
+ * @param {object} [params.calorieContext]
+ * @param {string} [params.rejectionInsights]
+ * @param {object} [params.dietaryRules]
+ * @param {object} [params.constraints] - Weekly planner constraints
+ * @param {string[]} [params.problems] - Planner rules the slots' last dishes broke
+ * @returns {Promise<{meals: Array}>} One dish per slot, each with its date and
+ *   mealType. A slot is left out when its dish breaks the dietary rules and
+ *   the catalog has nothing that doesn't.
+ */
+export async function generatePlanSlots({
+  slots,
+  planned = [],
+  replacing = [],
+  inventory,
+  recentMeals,
+  reviewContext,
+  calorieContext,
+  rejectionInsights = '',
+  dietaryRules = null,
+  constraints = null,
+  problems = []
+}) {
+  const preferenceInsights = planPreferenceInsights(reviewContext);
+  const dailyGoal = calorieContext?.dailyGoal || 2000;
+  const plannerRules = constraintsSection(constraints, dailyGoal);
+  const dates = [...new Set(slots.map(s => s.date))];
+
+  const slotLines = slots.map(s => `- ${s.day} ${s.date} ${s.mealType}`).join('\n');
+  const plannedLines = planned.length > 0
+    ? planned.map(p => `- ${p.day} ${p.date} ${p.mealType}: ${p.name}${p.cuisine ? ` (${p.cuisine})` : ''}${p.calories ? `, ${p.calories} kcal` : ''}`).join('\n')
+    : '- Nothing yet';
+  const calorieLines = dates.map(date => {
+    const total = planned.filter(p => p.date === date).reduce((sum, p) => sum + (p.calories || 0), 0);
+    return `- ${slots.find(s => s.date === date).day} ${date}: ${total} kcal already planned`;
+  }).join('\n');
+
+  const prompt = `Fill the open slots in a week's meal plan for a food-loving couple in Bangalore. They HATE repetitive, boring meals (especially daal chawal!).
+
+SLOTS TO FILL:
+${slotLines}
+
+ALREADY PLANNED THIS WEEK (keep as they are):
+${plannedLines}
+
+CALORIES SO FAR (target ${dailyGoal} kcal per person per day):
+${calorieLines}
+
+CONTEXT:
+- Available ingredients: ${inventory || 'Standard Indian pantry'}
+- Recently eaten (AVOID these): ${recentMeals || 'None'}${replacing.length > 0 ? `\n- Being replaced (suggest something different): ${replacing.join(', ')}` : ''}
+${preferenceInsights}
+${rejectionInsights ? `\nLONG-TERM REJECTION PATTERNS (steer away from these):\n${rejectionInsights}` : ''}
+${dietarySection(dietaryRules)}${plannerRules}${problems.length > 0 ? `\nTHE LAST DISHES FOR THESE SLOTS BROKE THE PLANNER RULES (pick differently):\n${problems.map(p => `- ${p}`).join('\n')}\n` : ''}
+REQUIREMENTS:
+1. Exactly one dish for every slot listed above
+2. Never repeat a dish already planned this week
+3. Balance cuisines - avoid cuisines already planned for the same day or the day before
+4. Keep each day close to the calorie target, counting what is already planned
+5. ${hasDietaryRules(dietaryRules) ? 'Follow every dietary rule above on the right days' : 'Include a mix of vegetarian and non-vegetarian options'}
+6. Consider Indian home cooking reality - practical portions and prep times${plannerRules ? '\n7. Follow every planner rule above' : ''}
+
+VALID CUISINES (use ONLY these exact values):
+indian, south_indian, north_indian, gujarati, punjabi, bengali, maharashtrian, kerala, hyderabadi, rajasthani, goan,
+chinese, japanese, korean, thai, vietnamese, indonesian, malaysian, singaporean, filipino, burmese, cambodian, taiwanese,
+italian, french, spanish, greek, german, british, irish, portuguese, swiss, belgian, dutch, scandinavian, polish, russian, hungarian, austrian, continental, european,
+middle_eastern, turkish, lebanese, persian, israeli, moroccan, egyptian, ethiopian, african, arab,
+american, mexican, brazilian, peruvian, argentinian, cuban, caribbean, cajun, tex_mex, latin_american, colombian,
+mediterranean, fusion, healthy, vegan, vegetarian, street_food, fast_food, comfort_food, seafood, bbq, other
+
+Respond in this exact JSON format:
+{
+  "meals": [
+    {
+      "date": "2024-01-15",
+      "mealType": "lunch",
+      "name": "Dish name",
+      "cuisine": "one of the valid cuisines above",
+      "prepTime": 20,
+      "estimatedCalories": 350,
+      "description": "Brief appetizing description",
+      "ingredients": [{"name": "Ingredient", "quantity": 1, "unit": "kg"}]
+    }
+  ]
+}`;
+
+  const wanted = slots.map(s => `${s.date}:${s.mealType}`);
+  try {
+    const request = {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a culinary expert who creates balanced, exciting weekly meal plans for Indian home cooks. Always respond with valid JSON only.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.8,
+      input: { slots, planned, replacing, recentMeals, dietaryRules, constraints, calorieContext: { dailyGoal } }
+    };
+    const validation = {
+      schema: aiPlanSlotsResponseSchema.refine(
+        data => wanted.every(key => data.meals.some(m => `${m.date}:${m.mealType}` === key)),
+        { message: `Plan a dish for each slot: ${wanted.join(', ')}`, path: ['meals'] }
+      ),
+      normalize: raw => normalizePlanSlots(raw, slots)
+    };
+    const slotDay = new Map(slots.map(s => [s.date, s.day]));
+    const listDishes = ({ meals }) => meals.map(meal => ({
+      key: `${meal.date}:${meal.mealType}`,
+      meal,
+      vegetarian: Boolean(dietaryRules?.vegetarianDays.includes(slotDay.get(meal.date)))
+    }));
+
+    const result = await completeValidated('planSlots', request, validation);
+    const { data, violations } = await repairDietaryViolations('planSlots', request, validation, result, dietaryRules, listDishes);
+
+    // One dish per requested slot, in the order asked for
+    const used = planned.map(p => p.name);
+    const broken = new Set(violations.map(v => v.key));
+    const meals = [];
+    for (const slot of slots) {
+      const key = `${slot.date}:${slot.mealType}`;
+      let meal = data.meals.find(m => `${m.date}:${m.mealType}` === key);
+      if (broken.has(key)) {
+        const vegetarian = dietaryRules.vegetarianDays.includes(slot.day);
+        const pick = compliantCatalogDish(slot.mealType, dietaryRules, vegetarian, [...used, ...replacing]);
+        if (!pick) {
+          console.error(`No compliant dish for ${slot.day} ${slot.mealType}, leaving it out`);
+          continue;
+        }
+        meal = { ...pick, date: slot.date, mealType: slot.mealType };
+      }
+      used.push(meal.name);
+      meals.push(meal);
+    }
+    return { meals };
+  } catch (error) {
+    if (error instanceof AIResponseError) throw error;
+    console.error('Meal plan slot generation error:', error);
+    throw new Error('Failed to plan meals');
+  }
+}
+
 // Generate a detailed recipe for a meal
-export async function generateRecipe(meal) {
+export async function generateRecipe(meal, { dietaryRules = null } = {}) {
   const prompt = `Generate a simple, home-cook friendly recipe for "${meal.name}" (${meal.cuisine} cuisine).
 
 MEAL CONTEXT:
@@ -502,7 +1004,7 @@ REQUIREMENTS:
 3. Clear, numbered step-by-step instructions
 4. Include helpful tips for best results
 5. Realistic prep and cook times
-
+${dietarySection(dietaryRules, { includeDays: false })}
 Respond in this exact JSON format:
 {
   "mealName": "${meal.name}",
@@ -525,8 +1027,7 @@ Respond in this exact JSON format:
 }`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const request = {
       messages: [
         {
           role: 'system',
@@ -535,12 +1036,24 @@ Respond in this exact JSON format:
         { role: 'user', content: prompt }
       ],
       temperature: 0.7,
-      response_format: { type: 'json_object' }
-    });
+      input: { meal, dietaryRules }
+    };
+    const validation = {
+      schema: aiRecipeResponseSchema,
+      normalize: raw => normalizeRecipe(raw, meal)
+    };
 
-    const content = response.choices[0].message.content;
-    return JSON.parse(content);
+    const result = await completeValidated('recipe', request, validation);
+    const { data, violations } = await repairDietaryViolations('recipe', request, validation, result, dietaryRules,
+      recipe => [{ key: 'recipe', meal: recipe }]);
+
+    // The user asked for this dish, so warn rather than refuse
+    if (violations.length > 0) {
+      return { ...data, dietaryWarnings: violations[0].problems };
+    }
+    return data;
   } catch (error) {
+    if (error instanceof AIResponseError) throw error;
     console.error('Recipe generation error:', error);
     throw new Error('Failed to generate recipe');
   }
@@ -0,0 +1,292 @@
+/**
+ * Backup and restore
+ * A backup is one versioned JSON archive holding every row of every model.
+ * Restoring either replaces all data with the archive or merges it in,
+ * keeping relations intact: rows are written parents first, and in merge
+ * mode rows matched by a unique name or date take over the existing row's
+ * id so the rows that point at them still do.
+ */
+
+export const BACKUP_FORMAT = 'no-daal-chawal-backup';
+export const BACKUP_VERSION = 1;
+
+// Restores write row by row, far past the default 5s transaction timeout
+const RESTORE_TIMEOUT_MS = 120000;
+const MAX_PROBLEMS = 20;
+
+/**
+ * Models in the archive, parents before the rows that point at them.
+ * fields lists every column, required the ones without a default,
+ * refs the foreign keys by the archive key they point into and unique
+ * the natural key merge matches rows by.
+ */
+export const BACKUP_MODELS = [
+  {
+    key: 'inventoryItems',
+    model: 'inventoryItem',
+    fields: ['id', 'name', 'category', 'quantity', 'unit', 'lowStockAt', 'lowStockUnit', 'expiresAt', 'createdAt', 'updatedAt'],
+    required: ['name', 'category', 'quantity', 'unit']
+  },
+  {
+    key: 'ingredients',
+    model: 'ingredient',
+    fields: ['id', 'name', 'aliases', 'category', 'defaultUnit', 'isCustom', 'createdAt', 'updatedAt'],
+    required: ['name', 'aliases', 'category'],
+    unique: 'name'
+  },
+  {
+    key: 'meals',
+    model: 'meal',
+    fields: ['id', 'name', 'cuisine', 'mealType', 'prepTime', 'ingredients', 'recipe', 'isCustom', 'createdAt'],
+    required: ['name', 'cuisine', 'mealType', 'prepTime', 'ingredients']
+  },
+  {
+    key: 'recipes',
+    model: 'recipe',
+    fields: ['id', 'mealName', 'cuisine', 'prepTime', 'cookTime', 'servings', 'ingredients', 'instructions', 'tips',
+      'description', 'calories', 'createdAt'],
+    required: ['mealName', 'cuisine', 'prepTime', 'cookTime', 'ingredients', 'instructions']
+  },
+  {
+    key: 'mealPlans',
+    model: 'mealPlan',
+    fields: ['id', 'date', 'mealType', 'dishName', 'cuisine', 'calories', 'prepTime', 'servings', 'description',
+      'mealId', 'recipeId', 'notes', 'completed', 'completedAt'],
+    required: ['date', 'mealType'],
+    refs: { mealId: 'meals', recipeId: 'recipes' }
+  },
+  {
+    key: 'plannedIngredients',
+    model: 'plannedIngredient',
+    fields: ['id', 'mealPlanId', 'name', 'quantity', 'unit', 'position'],
+    required: ['mealPlanId', 'name'],
+    refs: { mealPlanId: 'mealPlans' }
+  },
+  {
+    key: 'mealPlanTemplates',
+    model: 'mealPlanTemplate',
+    fields: ['id', 'name', 'createdAt', 'updatedAt'],
+    required: ['name'],
+    unique: 'name'
+  },
+  {
+    key: 'mealPlanTemplateEntries',
+    model: 'mealPlanTemplateEntry',
+    fields: ['id', 'templateId', 'dayOffset', 'mealType', 'dishName', 'cuisine', 'calories', 'prepTime', 'servings',
+      'description', 'ingredients', 'mealId', 'recipeId', 'notes'],
+    required: ['templateId', 'dayOffset', 'mealType', 'dishName'],
+    refs: { templateId: 'mealPlanTemplates', mealId: 'meals', recipeId: 'recipes' }
+  },
+  {
+    key: 'mealHistory',
+    model: 'mealHistory',
+    fields: ['id', 'mealName', 'cuisine', 'mealType', 'eatenAt', 'rating', 'notes', 'calories', 'recipeId', 'mealPlanId'],
+    required: ['mealName', 'cuisine', 'mealType'],
+    refs: { recipeId: 'recipes', mealPlanId: 'mealPlans' }
+  },
+  {
+    key: 'stockMovements',
+    model: 'stockMovement',
+    fields: ['id', 'itemId', 'quantity', 'unit', 'reason', 'note', 'mealPlanId', 'mealHistoryId', 'shoppingItemId',
+      'revertedAt', 'createdAt'],
+    required: ['itemId', 'quantity', 'unit', 'reason'],
+    refs: { itemId: 'inventoryItems' }
+  },
+  {
+    key: 'shoppingItems',
+    model: 'shoppingItem',
+    fields: ['id', 'name', 'quantity', 'unit', 'category', 'isPurchased', 'source', 'mealPlanIds',
+      'planQuantities', 'createdAt'],
+    required: ['name', 'category']
+  },
+  {
+    key: 'dayReviews',
+    model: 'dayReview',
+    fields: ['id', 'date', 'varietyScore', 'effortScore', 'satisfactionScore', 'notes', 'createdAt'],
+    required: ['date'],
+    unique: 'date'
+  },
+  {
+    key: 'weekReviews',
+    model: 'weekReview',
+    fields: ['id', 'weekStart', 'varietyBalance', 'effortVsSatisfaction', 'highlights', 'improvements', 'notes', 'createdAt'],
+    required: ['weekStart'],
+    unique: 'weekStart'
+  },
+  {
+    key: 'userPreferences',
+    model: 'userPreferences',
+    fields: ['id', 'key', 'value', 'updatedAt'],
+    required: ['key', 'value'],
+    unique: 'key'
+  },
+  {
+    key: 'chatSessions',
+    model: 'chatSession',
+    fields: ['id', 'title', 'mealType', 'source', 'createdAt', 'updatedAt'],
+    required: []
+  },
+  {
+    key: 'chatMessages',
+    model: 'chatMessage',
+    fields: ['id', 'sessionId', 'role', 'content', 'suggestions', 'createdAt'],
+    required: ['sessionId', 'role', 'content'],
+    refs: { sessionId: 'chatSessions' }
+  },
+  {
+    key: 'rejectedSuggestions',
+    model: 'rejectedSuggestion',
+    fields: ['id', 'mealName', 'cuisine', 'mealType', 'reason', 'sessionId', 'createdAt'],
+    required: ['mealName'],
+    refs: { sessionId: 'chatSessions' }
+  }
+];
+
+const MODELS_BY_KEY = new Map(BACKUP_MODELS.map(config => [config.key, config]));
+
+/**
+ * Export every row of every model
+ * @param {object} prisma - Prisma client instance
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{format: string, version: number, createdAt: string,
+ *   counts: Object<string, number>, data: Object<string, Array>}>}
+ */
+export async function createBackup(prisma, now = new Date()) {
+  const data = {};
+  for (const { key, model } of BACKUP_MODELS) {
+    data[key] = await prisma[model].findMany();
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: now.toISOString(),
+    counts: Object.fromEntries(BACKUP_MODELS.map(({ key }) => [key, data[key].length])),
+    data
+  };
+}
+
+/**
+ * Check that an archive can be restored: every row has its required
+ * fields, no id appears twice and every foreign key points at a row in
+ * the archive, or, when merging, at one already saved
+ * @param {object} prisma - Prisma client instance
+ * @param {object} archive - Parsed with backupArchiveSchema
+ * @param {string} mode - merge | replace
+ * @returns {Promise<Array<{field: string, message: string}>>} Problems found, at most 20
+ */
+export async function checkBackup(prisma, archive, mode) {
+  const problems = [];
+  const report = (field, message) => {
+    if (problems.length < MAX_PROBLEMS) problems.push({ field, message });
+  };
+
+  for (const key of Object.keys(archive.data)) {
+    if (!MODELS_BY_KEY.has(key)) report(`data.${key}`, 'Unknown model');
+  }
+
+  const ids = new Map();
+  for (const { key, required } of BACKUP_MODELS) {
+    const seen = new Set();
+    (archive.data[key] || []).forEach((row, index) => {
+      if (seen.has(row.id)) report(`data.${key}[${index}].id`, `Duplicate id ${row.id}`);
+      seen.add(row.id);
+      for (const field of required) {
+        if (row[field] === undefined || row[field] === null) report(`data.${key}[${index}].${field}`, 'Required');
+      }
+    });
+    ids.set(key, seen);
+  }
+
+  for (const { key, refs = {} } of BACKUP_MODELS) {
+    for (const [field, target] of Object.entries(refs)) {
+      const rows = (archive.data[key] || [])
+        .map((row, index) => ({ index, id: row[field] }))
+        .filter(({ id }) => id !== undefined && id !== null && !ids.get(target).has(id));
+      if (rows.length === 0) continue;
+
+      let saved = new Set();
+      if (mode === 'merge') {
+        const found = await prisma[MODELS_BY_KEY.get(target).model].findMany({
+          where: { id: { in: [...new Set(rows.map(({ id }) => id))] } },
+          select: { id: true }
+        });
+        saved = new Set(found.map(row => row.id));
+      }
+      for (const { index, id } of rows) {
+        if (!saved.has(id)) report(`data.${key}[${index}].${field}`, `No ${target} row with id ${id}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// A row's known columns, with foreign keys moved to the ids they were merged into
+function rowData(config, row, idMaps = null) {
+  const data = {};
+  for (const field of config.fields) {
+    if (row[field] !== undefined) data[field] = row[field];
+  }
+  for (const [field, target] of Object.entries(config.refs || {})) {
+    if (data[field] && idMaps?.get(target).has(data[field])) {
+      data[field] = idMaps.get(target).get(data[field]);
+    }
+  }
+  return data;
+}
+
+async function replaceAll(tx, archive) {
+  for (const { model } of [...BACKUP_MODELS].reverse()) {
+    await tx[model].deleteMany();
+  }
+
+  const counts = {};
+  for (const config of BACKUP_MODELS) {
+    const rows = (archive.data[config.key] || []).map(row => rowData(config, row));
+    if (rows.length > 0) await tx[config.model].createMany({ data: rows });
+    counts[config.key] = rows.length;
+  }
+  return counts;
+}
+
+async function mergeAll(tx, archive) {
+  const idMaps = new Map(BACKUP_MODELS.map(({ key }) => [key, new Map()]));
+  const counts = {};
+
+  for (const config of BACKUP_MODELS) {
+    const rows = archive.data[config.key] || [];
+    for (const row of rows) {
+      const { id, ...data } = rowData(config, row, idMaps);
+      const existing = config.unique
+        ? await tx[config.model].findUnique({ where: { [config.unique]: data[config.unique] } })
+        : null;
+
+      if (existing) {
+        await tx[config.model].update({ where: { id: existing.id }, data });
+        idMaps.get(config.key).set(id, existing.id);
+      } else {
+        await tx[config.model].upsert({ where: { id }, update: data, create: { id, ...data } });
+      }
+    }
+    counts[config.key] = rows.length;
+  }
+  return counts;
+}
+
+/**
+ * Restore an archive checked with checkBackup, all in one transaction.
+ * Replace deletes everything first, including models the archive leaves
+ * out; merge keeps rows the archive doesn't have and overwrites the ones
+ * it does.
+ * @param {object} prisma - Prisma client instance
+ * @param {object} archive - Parsed with backupArchiveSchema
+ * @param {string} mode - merge | replace
+ * @returns {Promise<Object<string, number>>} Rows restored by model
+ */
+export async function restoreBackup(prisma, archive, mode) {
+  return prisma.$transaction(
+    tx => (mode === 'replace' ? replaceAll(tx, archive) : mergeAll(tx, archive)),
+    { timeout: RESTORE_TIMEOUT_MS }
+  );
+}
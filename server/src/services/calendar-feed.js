@@ -0,0 +1,170 @@
+/**
+ * Meal plan calendar feed
+ * Publishes the meal plan as an iCalendar feed that calendar apps can
+ * subscribe to. Calendar apps can't log in, so the feed URL carries a
+ * secret token instead of a session; rotating the token revokes old URLs.
+ * Settings and token are kept as JSON in the `calendarFeed` preference.
+ */
+
+import crypto from 'crypto';
+import { calendarFeedSchema } from '../validators/index.js';
+import { safeJsonParse } from '../utils/json.js';
+import { formatDate } from '../utils/date.js';
+import { renderCalendar, floatingDateTime } from '../utils/ical.js';
+import { PLAN_INCLUDE } from './planned-dish.js';
+
+export const CALENDAR_FEED_KEY = 'calendarFeed';
+
+// Days of plans around today that the feed covers
+export const FEED_WINDOW = {
+  PAST_DAYS: 14,
+  FUTURE_DAYS: 56
+};
+
+const DAY_MS = 86400000;
+
+const MEAL_LABELS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  snack: 'Snack'
+};
+
+/**
+ * Parse stored feed settings, filling in defaults for anything missing or invalid
+ * @param {string|object} value - Stored preference value
+ * @returns {{token: string|null, mealTimes: object, durationMinutes: number}}
+ */
+export function parseCalendarFeed(value) {
+  const raw = (typeof value === 'string' ? safeJsonParse(value, {}) : value) || {};
+  const result = calendarFeedSchema.safeParse(raw);
+  const settings = result.success ? result.data : calendarFeedSchema.parse({});
+  const token = typeof raw.token === 'string' && raw.token ? raw.token : null;
+  return { token, ...settings };
+}
+
+/**
+ * Load the feed settings
+ * @param {object} prisma - Prisma client instance
+ * @returns {Promise<object>} Feed settings with token, null while the feed is off
+ */
+export async function getCalendarFeed(prisma) {
+  const pref = await prisma.userPreferences.findUnique({
+    where: { key: CALENDAR_FEED_KEY }
+  });
+  return parseCalendarFeed(pref?.value);
+}
+
+/**
+ * Save the feed settings
+ * @param {object} prisma - Prisma client instance
+ * @param {object} feed - Settings with token
+ * @returns {Promise<object>} The saved feed
+ */
+export async function saveCalendarFeed(prisma, feed) {
+  const value = JSON.stringify(feed);
+  await prisma.userPreferences.upsert({
+    where: { key: CALENDAR_FEED_KEY },
+    update: { value },
+    create: { key: CALENDAR_FEED_KEY, value }
+  });
+  return feed;
+}
+
+/**
+ * A new secret for the feed URL
+ * @returns {string} URL-safe token
+ */
+export function generateFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Compare a token from a feed URL against the feed's in constant time
+ * @param {object} feed - From getCalendarFeed
+ * @param {string} token
+ * @returns {boolean} False while the feed is off
+ */
+export function feedTokenMatches(feed, token) {
+  if (!feed.token || typeof token !== 'string') return false;
+  const expected = Buffer.from(feed.token);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Feed settings as shown in Settings
+ * @param {object} feed - From getCalendarFeed
+ * @returns {object} The feed with enabled and its URL path
+ */
+export function describeFeed(feed) {
+  return {
+    ...feed,
+    enabled: Boolean(feed.token),
+    path: feed.token ? `/api/calendar/${feed.token}.ics` : null
+  };
+}
+
+/**
+ * Calendar event for a plan entry
+ * @param {object} plan - MealPlan row with PLAN_INCLUDE
+ * @param {object} options
+ * @param {object} options.feed - Feed settings
+ * @param {string} options.baseUrl - App origin, for links back
+ * @param {Date} [options.now=new Date()]
+ * @returns {object|null} Event for renderCalendar, or null when no dish is planned
+ */
+export function planEvent(plan, { feed, baseUrl, now = new Date() }) {
+  const name = plan.dishName || plan.meal?.name;
+  if (!name) return null;
+
+  const date = formatDate(plan.date);
+  const time = feed.mealTimes[plan.mealType] || feed.mealTimes.dinner;
+  const prepTime = plan.prepTime ?? plan.meal?.prepTime;
+  const url = plan.recipeId ? `${baseUrl}/recipes?recipe=${plan.recipeId}` : `${baseUrl}/meal-plan`;
+
+  const description = [
+    prepTime ? `Prep time: ${prepTime} min` : null,
+    plan.calories ? `About ${plan.calories} kcal` : null,
+    plan.description,
+    plan.recipeId ? `Recipe: ${url}` : `Meal plan: ${url}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `${plan.id}@no-daal-chawal`,
+    stamp: now,
+    start: floatingDateTime(date, time),
+    end: floatingDateTime(date, time, feed.durationMinutes),
+    summary: `${MEAL_LABELS[plan.mealType] || 'Meal'}: ${name}`,
+    description,
+    url
+  };
+}
+
+/**
+ * Render the meal plan around today as an iCalendar feed
+ * @param {object} prisma - Prisma client instance
+ * @param {object} feed - Feed settings
+ * @param {object} options
+ * @param {string} options.baseUrl - App origin, for links back
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<string>} text/calendar body
+ */
+export async function renderMealPlanFeed(prisma, feed, { baseUrl, now = new Date() }) {
+  const today = Date.parse(formatDate(now));
+  const plans = await prisma.mealPlan.findMany({
+    where: {
+      date: {
+        gte: new Date(today - FEED_WINDOW.PAST_DAYS * DAY_MS),
+        lte: new Date(today + FEED_WINDOW.FUTURE_DAYS * DAY_MS)
+      }
+    },
+    include: PLAN_INCLUDE,
+    orderBy: [{ date: 'asc' }, { mealType: 'asc' }]
+  });
+
+  return renderCalendar({
+    name: 'Meal plan',
+    events: plans.map(plan => planEvent(plan, { feed, baseUrl, now })).filter(Boolean)
+  });
+}
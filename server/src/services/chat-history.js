@@ -0,0 +1,142 @@
+/**
+ * Chat session persistence
+ * Stores suggestion conversations and the suggestions the user turned down,
+ * so rejections survive reloads and feed long-term patterns into prompts.
+ */
+
+import { NotFoundError } from '../middleware/error-handler.js';
+import { safeJsonParse } from '../utils/json.js';
+
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Parse the stored suggestions of a chat message
+ * @param {object} message - ChatMessage row
+ * @returns {object}
+ */
+export function parseChatMessage(message) {
+  return {
+    ...message,
+    suggestions: message.suggestions ? safeJsonParse(message.suggestions, []) : []
+  };
+}
+
+/**
+ * Record suggestions the user said no to
+ * @param {object} prisma - Prisma client or transaction
+ * @param {Array<{name: string, cuisine?: string, mealType?: string, reason?: string}>} rejections
+ * @param {object} [options]
+ * @param {string} [options.sessionId] - Chat session the rejection happened in
+ * @param {string} [options.mealType] - Fallback when a suggestion has none
+ * @returns {Promise<number>} Number of rejections recorded
+ */
+export async function recordRejections(prisma, rejections, { sessionId, mealType } = {}) {
+  if (!rejections?.length) return 0;
+
+  const { count } = await prisma.rejectedSuggestion.createMany({
+    data: rejections.map(r => ({
+      mealName: r.name,
+      cuisine: r.cuisine || null,
+      mealType: r.mealType || (mealType && mealType !== 'any' ? mealType : null),
+      reason: r.reason || null,
+      sessionId: sessionId || null
+    }))
+  });
+  return count;
+}
+
+/**
+ * Create a chat session, optionally opening with the suggestions already shown
+ * @param {object} prisma - Prisma client instance
+ * @param {object} data
+ * @param {string} [data.mealType]
+ * @param {string} [data.source]
+ * @param {string} [data.message] - Opening assistant message
+ * @param {Array} [data.suggestions] - Suggestions shown with the opening message
+ * @returns {Promise<object>} Session with parsed messages
+ */
+export async function createChatSession(prisma, { mealType, source, message, suggestions = [] }) {
+  const session = await prisma.chatSession.create({
+    data: {
+      mealType: mealType || null,
+      source,
+      ...((message || suggestions.length > 0) && {
+        messages: {
+          create: {
+            role: 'assistant',
+            content: message || '',
+            suggestions: JSON.stringify(suggestions)
+          }
+        }
+      })
+    },
+    include: { messages: { orderBy: { createdAt: 'asc' } } }
+  });
+
+  return { ...session, messages: session.messages.map(parseChatMessage) };
+}
+
+/**
+ * Record the user's side of a chat turn, with the suggestions they turned
+ * down since the previous reply. Suggestions they just moved on from are
+ * not rejections.
+ * @param {object} prisma - Prisma client instance
+ * @param {string} sessionId
+ * @param {string} content - The user's message
+ * @param {Array<{name: string, reason?: string}>} [rejected] - Suggestions the user said no to
+ * @returns {Promise<object>} The session
+ * @throws {NotFoundError} if the session does not exist
+ */
+export async function startChatTurn(prisma, sessionId, content, rejected = []) {
+  return prisma.$transaction(async (tx) => {
+    const session = await tx.chatSession.findUnique({ where: { id: sessionId } });
+    if (!session) throw new NotFoundError('Chat session not found');
+
+    if (rejected.length > 0) {
+      // The cuisine and meal type come from the suggestion as it was shown
+      const lastReply = await tx.chatMessage.findFirst({
+        where: { sessionId, role: 'assistant' },
+        orderBy: { createdAt: 'desc' }
+      });
+      const shown = lastReply ? parseChatMessage(lastReply).suggestions : [];
+
+      await recordRejections(tx, rejected.map(r => {
+        const suggestion = shown.find(s => s.name === r.name);
+        return { ...r, cuisine: suggestion?.cuisine, mealType: suggestion?.mealType };
+      }), {
+        sessionId,
+        mealType: session.mealType
+      });
+    }
+    await tx.chatMessage.create({ data: { sessionId, role: 'user', content } });
+    await tx.chatSession.update({
+      where: { id: sessionId },
+      data: { title: session.title || content.slice(0, TITLE_MAX_LENGTH) }
+    });
+
+    return session;
+  });
+}
+
+/**
+ * Record the assistant's reply for a chat turn
+ * @param {object} prisma - Prisma client instance
+ * @param {string} sessionId
+ * @param {{message: string, suggestions: Array}} reply
+ * @returns {Promise<object>} Created message
+ */
+export async function finishChatTurn(prisma, sessionId, { message, suggestions = [] }) {
+  const created = await prisma.chatMessage.create({
+    data: {
+      sessionId,
+      role: 'assistant',
+      content: message,
+      suggestions: JSON.stringify(suggestions)
+    }
+  });
+  await prisma.chatSession.update({
+    where: { id: sessionId },
+    data: { updatedAt: new Date() }
+  });
+  return parseChatMessage(created);
+}
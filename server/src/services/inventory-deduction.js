@@ -0,0 +1,223 @@
+/**
+ * Inventory deduction for cooked meals
+ * Works out which pantry items a meal used and how much of each, subtracts
+ * them and records the movement so completing a meal can be undone.
+ */
+
+import { normalizeIngredient } from '../utils/ai-normalize.js';
+import { safeJsonParse } from '../utils/json.js';
+import { convertIngredientQuantity, unitKind } from '../utils/units.js';
+import { ingredientTokens, defaultIngredientResolver } from '../utils/ingredients.js';
+import { recordMovement, revertMovement } from './stock-ledger.js';
+
+export const DEDUCTION_CONFIG = {
+  MIN_MATCH_SCORE: 0.5,
+  QUANTITY_PRECISION: 1000
+};
+
+const round = value => Math.round(value * DEDUCTION_CONFIG.QUANTITY_PRECISION) / DEDUCTION_CONFIG.QUANTITY_PRECISION;
+
+// Token overlap between two names: 1 for the same words, 0.8 when one
+// contains the other, less for a partial overlap
+function tokenScore(ta, tb) {
+  if (ta.length === 0 || tb.length === 0) return 0;
+  const setB = new Set(tb);
+  const shared = ta.filter(t => setB.has(t)).length;
+  if (shared === 0) return 0;
+  if (shared === ta.length && shared === tb.length) return 1;
+
+  // "Basmati rice" in the pantry for "rice" in a recipe
+  if (shared === Math.min(ta.length, tb.length)) return 0.8;
+  return (0.7 * shared) / new Set([...ta, ...tb]).size;
+}
+
+/**
+ * How alike two ingredient names are, as written and by their canonical names
+ * @param {string} a
+ * @param {string} b
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {number} 1 for the same ingredient, 0 for nothing in common
+ */
+export function matchScore(a, b, resolver = defaultIngredientResolver) {
+  const canonical = resolver.key(a);
+  if (canonical && canonical === resolver.key(b)) return 1;
+  return Math.max(
+    tokenScore(ingredientTokens(a), ingredientTokens(b)),
+    tokenScore(resolver.tokens(a), resolver.tokens(b))
+  );
+}
+
+/**
+ * Best matching inventory item for an ingredient
+ * @param {string} name
+ * @param {Array} inventory - InventoryItem rows
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {object|null}
+ */
+export function findInventoryMatch(name, inventory, resolver = defaultIngredientResolver) {
+  let best = null;
+  let bestScore = 0;
+  for (const item of inventory) {
+    const score = matchScore(name, item.name, resolver);
+    if (score > bestScore) {
+      best = item;
+      bestScore = score;
+    }
+  }
+  return bestScore >= DEDUCTION_CONFIG.MIN_MATCH_SCORE ? best : null;
+}
+
+/**
+ * Ingredients a planned meal uses: the planned dish's own, else its linked
+ * or a saved recipe for the dish, else the linked Meal
+ * @param {object} prisma - Prisma client or transaction
+ * @param {object} plan - MealPlan row including `meal` and `ingredients`
+ * @returns {Promise<{source: string|null, ingredients: Array}>}
+ */
+export async function getPlanIngredients(prisma, plan) {
+  const parse = list => (Array.isArray(list) ? list : [])
+    .map(normalizeIngredient)
+    .filter(i => i?.name);
+
+  const planned = parse(plan.ingredients);
+  if (planned.length > 0) return { source: 'plan', ingredients: planned };
+
+  const name = plan.dishName || plan.meal?.name;
+  let recipe = null;
+  if (plan.recipeId) {
+    recipe = await prisma.recipe.findUnique({ where: { id: plan.recipeId } });
+  } else if (name) {
+    recipe = await prisma.recipe.findFirst({
+      where: { mealName: { equals: name, mode: 'insensitive' } },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+  const fromRecipe = parse(safeJsonParse(recipe?.ingredients, []));
+  if (fromRecipe.length > 0) return { source: 'recipe', ingredients: fromRecipe };
+
+  const fromMeal = parse(safeJsonParse(plan.meal?.ingredients, []));
+  if (fromMeal.length > 0) return { source: 'meal', ingredients: fromMeal };
+
+  return { source: null, ingredients: [] };
+}
+
+/**
+ * Work out what cooking a meal takes from the pantry
+ * @param {Array<{name: string, quantity: number|null, unit: string|null}>} ingredients
+ * @param {Array} inventory - InventoryItem rows
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Array<object>} One line per ingredient:
+ *   - `status` 'ok', 'short' (not enough in stock), 'unit_mismatch' (can't
+ *     convert, e.g. packets vs g), 'no_quantity' or 'missing' (not in the pantry)
+ *   - `deduct` the amount to subtract in the inventory item's unit, null when
+ *     it can't be worked out
+ */
+export function previewDeduction(ingredients, inventory, resolver = defaultIngredientResolver) {
+  return ingredients.map(ingredient => {
+    const line = {
+      ingredient: ingredient.name,
+      quantity: ingredient.quantity ?? null,
+      unit: ingredient.unit ?? null,
+      inventoryItemId: null,
+      inventoryName: null,
+      inventoryUnit: null,
+      available: null,
+      deduct: null,
+      status: 'missing'
+    };
+
+    const item = findInventoryMatch(ingredient.name, inventory, resolver);
+    if (!item) return line;
+
+    Object.assign(line, {
+      inventoryItemId: item.id,
+      inventoryName: item.name,
+      inventoryUnit: item.unit,
+      available: item.quantity
+    });
+
+    if (!ingredient.quantity) return { ...line, status: 'no_quantity' };
+
+    // A bare count ("2 onions") is pieces, or packets/bunches if that's how it's stocked
+    const unit = ingredient.unit || (unitKind(item.unit) ? 'piece' : item.unit);
+    const converted = convertIngredientQuantity(ingredient.quantity, unit, item.unit, ingredient.name);
+    if (converted === null) return { ...line, status: 'unit_mismatch' };
+
+    const deduct = round(converted);
+    return { ...line, deduct, status: deduct > item.quantity ? 'short' : 'ok' };
+  });
+}
+
+/**
+ * Deductions to apply when the user didn't adjust the preview
+ * @param {Array} lines - From previewDeduction
+ * @returns {Array<{inventoryItemId: string, quantity: number}>}
+ */
+export function defaultDeductions(lines) {
+  return lines
+    .filter(line => line.inventoryItemId && line.deduct > 0)
+    .map(line => ({ inventoryItemId: line.inventoryItemId, quantity: line.deduct }));
+}
+
+/**
+ * Subtract cooked quantities from inventory and record each movement.
+ * Quantities never go below zero; the movement records what was actually taken.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array<{inventoryItemId: string, quantity: number}>} deductions - In each item's unit
+ * @param {object} link
+ * @param {string} [link.mealPlanId]
+ * @param {string} [link.mealHistoryId]
+ * @returns {Promise<Array>} Created StockMovement rows
+ */
+export async function applyDeductions(tx, deductions, { mealPlanId, mealHistoryId } = {}) {
+  const totals = new Map();
+  for (const { inventoryItemId, quantity } of deductions) {
+    if (quantity > 0) totals.set(inventoryItemId, (totals.get(inventoryItemId) || 0) + quantity);
+  }
+
+  const movements = [];
+  for (const [itemId, quantity] of totals) {
+    const item = await tx.inventoryItem.findUnique({ where: { id: itemId } });
+    if (!item) continue;
+
+    const taken = round(Math.min(quantity, item.quantity));
+    if (taken <= 0) continue;
+
+    await tx.inventoryItem.update({
+      where: { id: itemId },
+      data: { quantity: round(item.quantity - taken) }
+    });
+    movements.push(await recordMovement(tx, item, -taken, { reason: 'cooked', mealPlanId, mealHistoryId }));
+  }
+  return movements;
+}
+
+/**
+ * Put back what completing a meal plan entry took from inventory. Each
+ * movement goes through revertMovement, so it is converted to the unit the
+ * item is stocked in now and claimed before the stock changes.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} mealPlanId
+ * @returns {Promise<Array>} The reverted movements; ones whose unit no longer
+ *   converts are left as they are
+ * @throws {AppError} ALREADY_REVERTED when another request undid them first
+ */
+export async function revertMealPlanDeductions(tx, mealPlanId) {
+  const movements = await tx.stockMovement.findMany({
+    where: { mealPlanId, revertedAt: null },
+    include: { item: true }
+  });
+
+  const items = new Map();
+  const reverted = [];
+  for (const movement of movements) {
+    const item = items.get(movement.itemId) ?? movement.item;
+    if (!item) continue;
+
+    const result = await revertMovement(tx, movement, item);
+    if (!result) continue;
+    items.set(item.id, result.item);
+    reverted.push(result.movement);
+  }
+  return reverted;
+}
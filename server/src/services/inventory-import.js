@@ -0,0 +1,347 @@
+/**
+ * Bulk inventory import and export
+ * Reads inventory items from CSV, with columns mapped by header, or from a
+ * pasted list like "2 kg atta, 500g paneer, 12 eggs". Every row is checked
+ * against inventorySchema and shown as a preview before anything is saved;
+ * rows for an ingredient already in stock top it up the way putting
+ * shopping away does.
+ */
+
+import { inventorySchema } from '../validators/index.js';
+import { parseCsv, formatCsv } from '../utils/csv.js';
+import { parseQuantity } from '../utils/ai-normalize.js';
+import { canonicalUnit, isKnownUnit, convertQuantity } from '../utils/units.js';
+import { formatDate } from '../utils/date.js';
+import { estimateExpiry } from '../utils/expiry.js';
+import { defaultIngredientResolver } from '../utils/ingredients.js';
+import { AppError } from '../middleware/error-handler.js';
+import { categorizeIngredient } from './shopping-list.js';
+import { findStockFor } from './put-away.js';
+import { recordMovement } from './stock-ledger.js';
+
+export const IMPORT_CONFIG = {
+  MAX_ROWS: 1000,
+  QUANTITY_PRECISION: 1000
+};
+
+// Inventory fields and the CSV headers taken to mean them
+export const IMPORT_COLUMNS = {
+  name: ['name', 'item', 'ingredient', 'product'],
+  category: ['category', 'type', 'group'],
+  quantity: ['quantity', 'qty', 'amount', 'stock'],
+  unit: ['unit', 'units', 'uom', 'measure'],
+  lowStockAt: ['lowstockat', 'low stock at', 'low stock', 'reorder at', 'alert at', 'minimum'],
+  lowStockUnit: ['lowstockunit', 'low stock unit'],
+  expiresAt: ['expiresat', 'expires at', 'expires', 'expiry', 'expiry date', 'best before', 'use by']
+};
+
+// Units inventory is kept in, by canonical unit
+const INVENTORY_UNITS = {
+  kg: 'kg',
+  g: 'g',
+  l: 'L',
+  ml: 'ml',
+  piece: 'pieces',
+  packet: 'packets',
+  bunch: 'bunch',
+  tbsp: 'tbsp',
+  tsp: 'tsp'
+};
+
+// Canonical units inventory doesn't use, and what they are stocked as
+const CONVERTED_UNITS = {
+  mg: 'g',
+  dozen: 'piece',
+  cup: 'ml'
+};
+
+const round = value => Math.round(value * IMPORT_CONFIG.QUANTITY_PRECISION) / IMPORT_CONFIG.QUANTITY_PRECISION;
+
+const headerKey = header => String(header).trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+
+/**
+ * An amount in a unit inventory is kept in
+ * @param {number} [quantity]
+ * @param {string} [unit] - Any spelling, e.g. "Kgs", "dozen", "litre"
+ * @returns {{quantity: number, unit: string|undefined}} Unknown units are
+ *   kept as written; a missing unit stays undefined
+ */
+export function inventoryAmount(quantity, unit) {
+  const canonical = canonicalUnit(unit);
+  if (!canonical) return { quantity, unit: undefined };
+
+  const target = CONVERTED_UNITS[canonical];
+  if (target) {
+    const converted = typeof quantity === 'number' ? round(convertQuantity(quantity, canonical, target)) : quantity;
+    return { quantity: converted, unit: INVENTORY_UNITS[target] };
+  }
+  return { quantity, unit: INVENTORY_UNITS[canonical] ?? unit.trim() };
+}
+
+/**
+ * Work out which column holds which field
+ * @param {string[]} headers - The CSV's first row
+ * @param {object} [mapping] - Field -> header name, overriding the guesses;
+ *   null leaves a field out
+ * @returns {object} Field -> column index, for the fields found
+ */
+export function mapColumns(headers, mapping = {}) {
+  const keys = headers.map(headerKey);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(IMPORT_COLUMNS)) {
+    if (mapping[field] === null) continue;
+    const index = mapping[field] !== undefined
+      ? keys.indexOf(headerKey(mapping[field]))
+      : keys.findIndex(key => aliases.includes(key));
+    if (index !== -1) columns[field] = index;
+  }
+  return columns;
+}
+
+/**
+ * Check a raw item against inventorySchema
+ * @param {object} raw - Fields as read
+ * @returns {{item?: object, errors?: Array<{field: string, message: string}>}}
+ */
+export function validateImportItem(raw) {
+  const result = inventorySchema.safeParse(raw);
+  if (result.success) return { item: result.data };
+  return {
+    errors: result.error.issues.map(issue => ({ field: issue.path.join('.') || 'row', message: issue.message }))
+  };
+}
+
+// A date cell as the datetime inventorySchema takes; anything else is
+// passed through for the schema to reject
+function importDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value}T00:00:00.000Z`;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
+}
+
+// What a quantity cell holds: "2", "1.5", "1 1/2", "½", "2 kg", "500g"
+const AMOUNT_CELL = /^(?:\d+\s+)?(?:\d+(?:\.\d+)?(?:\/\d+)?|\d*\s*[½¼¾⅓⅔⅛])\s*[a-z]*\.?$/i;
+
+/**
+ * Read inventory rows from CSV
+ * @param {string} text
+ * @param {object} [mapping] - Field -> header name, see mapColumns
+ * @returns {{headers: string[], columns: object, rows: Array<{line: number, item?: object, errors?: Array}>}}
+ *   A missing name column is reported as an error on every row
+ * @throws {AppError} TOO_MANY_ROWS over IMPORT_CONFIG.MAX_ROWS rows
+ */
+export function readInventoryCsv(text, mapping = {}) {
+  const [headers = [], ...lines] = parseCsv(text);
+  checkRowCount(lines.length);
+  const columns = mapColumns(headers, mapping);
+
+  const rows = lines.map((cells, index) => {
+    // Without the ' inventoryToCsv puts before text that looks like a formula
+    const cell = field => (columns[field] === undefined ? '' : (cells[columns[field]] ?? '').trim().replace(/^'(?=[=+\-@])/, ''));
+    const raw = { name: cell('name') };
+
+    // "2 kg" in the quantity column works as well as separate columns. A
+    // cell that doesn't read as an amount goes to the schema as it is, so
+    // "-1" or "two" are reported for what they are rather than as missing
+    const quantityCell = cell('quantity');
+    const parsed = AMOUNT_CELL.test(quantityCell) ? parseQuantity(quantityCell) : { quantity: null, unit: null };
+    const unread = parsed.quantity === null && quantityCell !== ''
+      ? (Number.isNaN(Number(quantityCell)) ? quantityCell : Number(quantityCell))
+      : undefined;
+    const amount = inventoryAmount(unread ?? parsed.quantity ?? undefined, cell('unit') || parsed.unit || undefined);
+    raw.quantity = amount.quantity;
+    if (amount.unit) raw.unit = amount.unit;
+
+    if (cell('category')) raw.category = cell('category').toLowerCase();
+    if (cell('lowStockAt')) raw.lowStockAt = Number(cell('lowStockAt'));
+    if (cell('lowStockUnit')) raw.lowStockUnit = inventoryAmount(1, cell('lowStockUnit')).unit;
+    if (cell('expiresAt')) raw.expiresAt = importDate(cell('expiresAt'));
+
+    // Line 1 is the header
+    return { line: index + 2, ...validateImportItem(raw) };
+  });
+
+  return { headers, columns, rows };
+}
+
+// "2 kg atta", "500g paneer", "12 eggs", "a dozen bananas"
+const LEADING_AMOUNT = /^(\d+\s+\d+\/\d+|\d+(?:\.\d+)?(?:\s*\/\s*\d+)?|an?(?=\s))\s*([a-z]+\.?)?\s+(.+)$/i;
+// "atta 2 kg", "paneer - 500g", "eggs x12"
+const TRAILING_AMOUNT = /^(.+?)(?:\s*[-:]\s*|\s+[x×]?\s*)(\d+(?:\.\d+)?)\s*([a-z]+\.?)?$/i;
+
+/**
+ * Parse one item of a pasted list
+ * @param {string} text - e.g. "2 kg atta", "atta 2kg", "12 eggs"
+ * @returns {object} Raw item with name, quantity and unit when given
+ */
+export function parsePastedItem(text) {
+  const entry = text.trim();
+  let name = entry;
+  let quantity;
+  let unit;
+
+  const leading = entry.match(LEADING_AMOUNT);
+  const trailing = entry.match(TRAILING_AMOUNT);
+  if (leading) {
+    quantity = /^an?$/i.test(leading[1]) ? 1 : parseQuantity(leading[1].replace(/\s*\/\s*/, '/')).quantity;
+    if (leading[2] && isKnownUnit(leading[2])) {
+      unit = leading[2];
+      name = leading[3];
+    } else {
+      // "12 eggs": the word after the number is the item
+      name = [leading[2], leading[3]].filter(Boolean).join(' ');
+    }
+  } else if (trailing) {
+    name = trailing[1];
+    quantity = parseFloat(trailing[2]);
+    // "coke 2 bottles" counts as 2 of them
+    if (trailing[3] && isKnownUnit(trailing[3])) unit = trailing[3];
+  }
+
+  name = name.replace(/^of\s+/i, '').trim();
+  if (isKnownUnit(name)) name = '';
+  const amount = inventoryAmount(quantity, unit);
+  return {
+    name: name.charAt(0).toUpperCase() + name.slice(1),
+    quantity: amount.quantity,
+    ...(amount.unit && { unit: amount.unit })
+  };
+}
+
+/**
+ * Read inventory items from a pasted list, one per line or separated by
+ * commas or semicolons
+ * @param {string} text
+ * @returns {Array<{line: number, text: string, item?: object, errors?: Array}>}
+ *   line counts the list's entries from 1
+ * @throws {AppError} TOO_MANY_ROWS over IMPORT_CONFIG.MAX_ROWS entries
+ */
+export function readPastedInventory(text) {
+  const entries = text
+    .split(/[\n;]|,(?!\d)/)
+    // Bullets too: "- 2 kg atta"
+    .map(entry => entry.trim().replace(/^[-*•]\s*/, ''))
+    .filter(Boolean);
+  checkRowCount(entries.length);
+  return entries.map((entry, index) => ({ line: index + 1, text: entry, ...validateImportItem(parsePastedItem(entry)) }));
+}
+
+// Refuse an import too big to take in one go rather than drop its tail
+function checkRowCount(count) {
+  if (count > IMPORT_CONFIG.MAX_ROWS) {
+    throw new AppError(
+      `That's ${count} items; import up to ${IMPORT_CONFIG.MAX_ROWS} at a time by splitting the list.`,
+      400,
+      'TOO_MANY_ROWS'
+    );
+  }
+}
+
+/**
+ * Import checked rows into inventory, or work out what importing would do.
+ * A row for an ingredient already in stock, in a unit that converts, tops
+ * it up (existing 'add'), sets it (existing 'replace') or is left out
+ * (existing 'skip'); anything else is added as a new item.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array} rows - From readInventoryCsv or readPastedInventory
+ * @param {object} [options]
+ * @param {string} [options.existing='add'] - add | replace | skip
+ * @param {boolean} [options.dryRun=false] - Only work out the actions
+ * @param {object} [options.resolver] - From createIngredientResolver
+ * @param {string} [options.note] - Recorded on each stock movement
+ * @returns {Promise<{rows: Array, summary: {create: number, update: number, skip: number, invalid: number}}>}
+ *   Each row gains action (create | update | skip | invalid) and, for
+ *   updates and skips, the matching inventory item
+ */
+export async function importInventoryRows(tx, rows, {
+  existing = 'add',
+  dryRun = false,
+  resolver = defaultIngredientResolver,
+  note
+} = {}) {
+  const inventory = (await tx.inventoryItem.findMany()).map(item => ({ ...item }));
+  const summary = { create: 0, update: 0, skip: 0, invalid: 0 };
+  const results = [];
+
+  for (const row of rows) {
+    if (row.errors) {
+      summary.invalid++;
+      results.push({ ...row, action: 'invalid' });
+      continue;
+    }
+
+    const { item } = row;
+    const known = resolver.resolve(item.name);
+    const unit = item.unit || known?.defaultUnit || 'pieces';
+    const stock = findStockFor(inventory, item.name, unit, item.quantity, resolver);
+
+    if (stock && existing === 'skip') {
+      summary.skip++;
+      results.push({ ...row, action: 'skip', match: { id: stock.item.id, name: stock.item.name } });
+      continue;
+    }
+
+    if (stock) {
+      const previous = stock.item.quantity;
+      const quantity = existing === 'replace' ? stock.quantity : round(previous + stock.quantity);
+      const data = {
+        quantity,
+        ...(item.lowStockAt !== undefined && { lowStockAt: item.lowStockAt }),
+        ...(item.lowStockUnit !== undefined && { lowStockUnit: item.lowStockUnit }),
+        ...(item.expiresAt && { expiresAt: new Date(item.expiresAt) })
+      };
+      let updated = { ...stock.item, ...data };
+      if (!dryRun) {
+        updated = await tx.inventoryItem.update({ where: { id: stock.item.id }, data });
+        await recordMovement(tx, updated, quantity - previous, { reason: 'adjusted', note });
+      }
+      // Later rows for the same ingredient build on this one
+      Object.assign(stock.item, updated);
+      summary.update++;
+      results.push({
+        ...row,
+        action: 'update',
+        match: { id: stock.item.id, name: stock.item.name, previousQuantity: previous, quantity, unit: stock.item.unit }
+      });
+      continue;
+    }
+
+    const category = item.category || categorizeIngredient(item.name, resolver);
+    const data = {
+      name: item.name,
+      category,
+      quantity: item.quantity,
+      unit,
+      lowStockAt: item.lowStockAt,
+      lowStockUnit: item.lowStockUnit,
+      expiresAt: item.expiresAt === undefined ? estimateExpiry(category) : item.expiresAt && new Date(item.expiresAt)
+    };
+    let created = { id: null, ...data };
+    if (!dryRun) {
+      created = await tx.inventoryItem.create({ data });
+      await recordMovement(tx, created, created.quantity, { reason: 'adjusted', note });
+    }
+    inventory.push({ ...created });
+    summary.create++;
+    results.push({ ...row, item: { ...item, category, unit }, action: 'create' });
+  }
+
+  return { rows: results, summary };
+}
+
+/**
+ * Inventory as CSV, in the columns readInventoryCsv maps without help
+ * @param {Array} items - InventoryItem rows
+ * @returns {string}
+ */
+export function inventoryToCsv(items) {
+  const fields = Object.keys(IMPORT_COLUMNS);
+  return formatCsv([
+    fields,
+    ...items.map(item => fields.map(field => {
+      if (field === 'expiresAt') return item.expiresAt ? formatDate(item.expiresAt) : null;
+      return item[field];
+    }))
+  ]);
+}
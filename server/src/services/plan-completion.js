@@ -0,0 +1,113 @@
+/**
+ * Eating a planned meal
+ * Completing a plan entry logs it to meal history and takes what it used
+ * from inventory, all in one transaction; undoing it reverses all three.
+ */
+
+import { PLAN_INCLUDE } from './planned-dish.js';
+import {
+  getPlanIngredients,
+  previewDeduction,
+  defaultDeductions,
+  applyDeductions,
+  revertMealPlanDeductions
+} from './inventory-deduction.js';
+import { getIngredientResolver } from '../utils/ingredients.js';
+import { NotFoundError } from '../middleware/error-handler.js';
+import { formatDate } from '../utils/date.js';
+
+/**
+ * When a planned meal counts as eaten: now for today's (or a future) plan,
+ * otherwise the day it was planned for
+ * @param {Date|string} planDate
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ */
+export function planEatenAt(planDate, now = new Date()) {
+  return formatDate(planDate) < formatDate(now) ? new Date(planDate) : now;
+}
+
+/**
+ * MealHistory data for an eaten plan entry
+ * @param {object} plan - MealPlan row with PLAN_INCLUDE
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function historyEntryData(plan, now) {
+  return {
+    mealName: plan.dishName || plan.meal?.name || 'Planned meal',
+    cuisine: plan.cuisine || plan.meal?.cuisine || 'other',
+    mealType: plan.mealType,
+    calories: plan.calories ?? null,
+    recipeId: plan.recipeId ?? null,
+    mealPlanId: plan.id,
+    eatenAt: planEatenAt(plan.date, now)
+  };
+}
+
+/**
+ * Mark a plan entry eaten: complete it, log it to history and take what it
+ * used from inventory. Eating it twice changes nothing.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} planId
+ * @param {object} [options]
+ * @param {boolean} [options.deductInventory=true]
+ * @param {Array<{inventoryItemId: string, quantity: number}>} [options.deductions] -
+ *   Adjusted quantities; worked out from the plan's ingredients when absent
+ * @returns {Promise<object>} The plan with historyEntry and inventoryDeductions
+ * @throws {NotFoundError}
+ */
+export async function eatPlannedMeal(tx, planId, { deductInventory = true, deductions } = {}) {
+  const plan = await tx.mealPlan.findUnique({
+    where: { id: planId },
+    include: { ...PLAN_INCLUDE, historyEntry: true }
+  });
+  if (!plan) throw new NotFoundError('Meal plan entry');
+  if (plan.completed) return { ...plan, inventoryDeductions: [] };
+
+  let toDeduct = [];
+  if (deductInventory) {
+    if (deductions) {
+      toDeduct = deductions;
+    } else {
+      const { ingredients } = await getPlanIngredients(tx, plan);
+      const inventory = await tx.inventoryItem.findMany();
+      toDeduct = defaultDeductions(previewDeduction(ingredients, inventory, await getIngredientResolver(tx)));
+    }
+  }
+
+  const updated = await tx.mealPlan.update({
+    where: { id: plan.id },
+    data: {
+      completed: true,
+      completedAt: new Date()
+    },
+    include: PLAN_INCLUDE
+  });
+  const historyEntry = await tx.mealHistory.create({ data: historyEntryData(plan) });
+  const movements = await applyDeductions(tx, toDeduct, { mealPlanId: plan.id });
+
+  return { ...updated, historyEntry, inventoryDeductions: movements };
+}
+
+/**
+ * Undo eating a plan entry: reopen it, drop its history entry and put back
+ * what it took from inventory
+ * @param {object} tx - Prisma transaction client
+ * @param {string} planId
+ * @returns {Promise<object>} The plan with inventoryRestored
+ */
+export async function uneatPlannedMeal(tx, planId) {
+  const plan = await tx.mealPlan.update({
+    where: { id: planId },
+    data: {
+      completed: false,
+      completedAt: null
+    },
+    include: PLAN_INCLUDE
+  });
+  await tx.mealHistory.deleteMany({ where: { mealPlanId: plan.id } });
+  const restored = await revertMealPlanDeductions(tx, plan.id);
+
+  return { ...plan, inventoryRestored: restored };
+}
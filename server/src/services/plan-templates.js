@@ -0,0 +1,149 @@
+/**
+ * Meal plan templates
+ * A template keeps a week's planned dishes by day of the week, so a good
+ * week can be saved and laid over any other week. Copying a past week works
+ * the same way, straight from its meal plan entries.
+ */
+
+import { PLAN_INCLUDE, plannedDishData } from './planned-dish.js';
+import { findWeekPlans, slotKey } from './week-planner.js';
+import { formatDate } from '../utils/date.js';
+import { safeJsonParse } from '../utils/json.js';
+
+const DAY_MS = 86400000;
+
+export const TEMPLATE_INCLUDE = {
+  entries: { orderBy: [{ dayOffset: 'asc' }, { mealType: 'asc' }] }
+};
+
+/**
+ * A week's planned dishes as template entries
+ * @param {Array} plans - MealPlan rows with PLAN_INCLUDE
+ * @param {string} weekStart - YYYY-MM-DD, the week's Monday
+ * @returns {Array<object>} Entries by day offset (0 = Monday), ingredients as a list
+ */
+export function weekTemplateEntries(plans, weekStart) {
+  const start = new Date(weekStart).getTime();
+
+  return plans
+    .filter(plan => plan.dishName || plan.meal?.name)
+    .map(plan => ({
+      dayOffset: Math.round((new Date(plan.date).getTime() - start) / DAY_MS),
+      mealType: plan.mealType,
+      dishName: plan.dishName || plan.meal.name,
+      cuisine: plan.cuisine ?? plan.meal?.cuisine ?? null,
+      calories: plan.calories ?? null,
+      prepTime: plan.prepTime ?? plan.meal?.prepTime ?? null,
+      servings: plan.servings ?? null,
+      description: plan.description ?? null,
+      ingredients: (plan.ingredients || []).map(({ name, quantity, unit }) => ({ name, quantity, unit })),
+      mealId: plan.mealId ?? null,
+      recipeId: plan.recipeId ?? null,
+      notes: plan.notes ?? null
+    }))
+    .filter(entry => entry.dayOffset >= 0 && entry.dayOffset < 7);
+}
+
+/**
+ * A template with its entries' ingredients parsed
+ * @param {object} template - MealPlanTemplate row with TEMPLATE_INCLUDE
+ * @returns {object}
+ */
+export function formatTemplate(template) {
+  return {
+    ...template,
+    entries: (template.entries || []).map(entry => ({
+      ...entry,
+      ingredients: safeJsonParse(entry.ingredients, [])
+    }))
+  };
+}
+
+/**
+ * Day order for a shuffled week
+ * @param {Function} [random=Math.random]
+ * @returns {number[]} The target day offset for each day offset
+ */
+export function shuffledDayOrder(random = Math.random) {
+  const days = [0, 1, 2, 3, 4, 5, 6];
+  for (let i = days.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [days[i], days[j]] = [days[j], days[i]];
+  }
+  return days;
+}
+
+/**
+ * Save a week's planned dishes as a named template
+ * @param {object} prisma
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.weekStart - YYYY-MM-DD, the week's Monday
+ * @returns {Promise<object|null>} The template, or null when nothing is planned
+ */
+export async function saveWeekTemplate(prisma, { name, weekStart }) {
+  const entries = weekTemplateEntries(await findWeekPlans(prisma, weekStart), weekStart);
+  if (entries.length === 0) return null;
+
+  const template = await prisma.mealPlanTemplate.create({
+    data: {
+      name,
+      entries: {
+        create: entries.map(entry => ({ ...entry, ingredients: JSON.stringify(entry.ingredients) }))
+      }
+    },
+    include: TEMPLATE_INCLUDE
+  });
+  return formatTemplate(template);
+}
+
+/**
+ * Lay template entries over a week. In fill mode only empty slots get a
+ * dish; in replace mode every meal not eaten yet is removed first. Slots
+ * with an eaten meal are never planned over.
+ * @param {object} prisma
+ * @param {object} options
+ * @param {Array} options.entries - Template entries, ingredients as a list
+ * @param {string} options.weekStart - YYYY-MM-DD, the week's Monday
+ * @param {string} [options.mode='fill'] - fill | replace
+ * @param {boolean} [options.shuffleDays=false] - Move each day's meals to another day
+ * @param {Function} [options.random] - For shuffling
+ * @returns {Promise<{created: Array, removed: number, skipped: number}>}
+ */
+export async function applyWeekEntries(prisma, { entries, weekStart, mode = 'fill', shuffleDays = false, random }) {
+  const weekPlans = await findWeekPlans(prisma, weekStart);
+  const start = new Date(weekStart).getTime();
+  const dayOrder = shuffleDays ? shuffledDayOrder(random) : [0, 1, 2, 3, 4, 5, 6];
+
+  const blocked = new Set(weekPlans
+    .filter(plan => mode === 'fill' || plan.completed)
+    .map(plan => slotKey(plan.date, plan.mealType)));
+  const placed = entries.map(entry => ({
+    ...entry,
+    date: formatDate(new Date(start + dayOrder[entry.dayOffset] * DAY_MS))
+  }));
+  const open = placed.filter(entry => !blocked.has(slotKey(entry.date, entry.mealType)));
+  const removing = mode === 'replace' ? weekPlans.filter(plan => !plan.completed) : [];
+
+  return prisma.$transaction(async (tx) => {
+    if (removing.length > 0) {
+      await tx.mealPlan.deleteMany({ where: { id: { in: removing.map(plan => plan.id) } } });
+    }
+
+    const created = [];
+    for (const entry of open) {
+      created.push(await tx.mealPlan.create({
+        data: {
+          date: new Date(entry.date),
+          mealType: entry.mealType,
+          ...plannedDishData({ ...entry, name: entry.dishName }),
+          mealId: entry.mealId,
+          recipeId: entry.recipeId,
+          notes: entry.notes
+        },
+        include: PLAN_INCLUDE
+      }));
+    }
+    return { created, removed: removing.length, skipped: placed.length - open.length };
+  });
+}
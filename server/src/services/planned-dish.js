@@ -0,0 +1,105 @@
+/**
+ * Planned dishes
+ * A meal plan entry keeps the dish planned for its slot in its own fields,
+ * with the ingredients as PlannedIngredient rows. Entries saved earlier held
+ * the whole dish as JSON in `notes`; migratePlanNotes moves it across.
+ */
+
+import { normalizeIngredient } from '../utils/ai-normalize.js';
+import { safeJsonParse } from '../utils/json.js';
+
+// Relations to load with a plan entry
+export const PLAN_INCLUDE = {
+  meal: true,
+  ingredients: { orderBy: { position: 'asc' } }
+};
+
+// Whole number from a number or text like "30 mins"
+function toInt(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number) : null;
+}
+
+/**
+ * PlannedIngredient rows for a dish's ingredients, in the order given
+ * @param {Array} ingredients - Strings or { name, quantity, unit }
+ * @returns {Array<{name: string, quantity: number|null, unit: string|null, position: number}>}
+ */
+export function plannedIngredientRows(ingredients) {
+  return (Array.isArray(ingredients) ? ingredients : [])
+    .map(normalizeIngredient)
+    .filter(ingredient => ingredient?.name)
+    .map((ingredient, position) => ({
+      name: ingredient.name,
+      quantity: ingredient.quantity,
+      unit: ingredient.unit,
+      position
+    }));
+}
+
+/**
+ * MealPlan data for a planned dish
+ * @param {object|null} dish - { name, cuisine, calories or estimatedCalories,
+ *   prepTime, servings, description, ingredients }; null clears the dish
+ * @param {object} [options]
+ * @param {boolean} [options.replace] - Drop the entry's current ingredients
+ *   first, for updates
+ * @returns {object}
+ */
+export function plannedDishData(dish, { replace = false } = {}) {
+  return {
+    dishName: dish?.name?.trim() || null,
+    cuisine: dish?.cuisine || null,
+    calories: toInt(dish?.calories ?? dish?.estimatedCalories),
+    prepTime: toInt(dish?.prepTime),
+    servings: toInt(dish?.servings),
+    description: dish?.description || null,
+    ingredients: {
+      ...(replace && { deleteMany: {} }),
+      create: plannedIngredientRows(dish?.ingredients)
+    }
+  };
+}
+
+/**
+ * Split notes saved before plans had dish fields into the dish and any
+ * free text left over
+ * @param {string|null} notes
+ * @returns {{dish: object|null, notes: string|null}} dish is null, and the
+ *   notes are returned unchanged, when they aren't a dish as JSON
+ */
+export function parseLegacyNotes(notes) {
+  const dish = notes?.trim().startsWith('{') ? safeJsonParse(notes, null) : null;
+  if (!dish || typeof dish !== 'object' || Array.isArray(dish) ||
+      typeof dish.name !== 'string' || !dish.name.trim()) {
+    return { dish: null, notes: notes ?? null };
+  }
+  return { dish, notes: typeof dish.notes === 'string' && dish.notes.trim() ? dish.notes.trim() : null };
+}
+
+/**
+ * Move dishes held as JSON in plan notes into the plan's own fields and
+ * give the notes back to free text. Converted entries and notes that aren't
+ * a dish are left alone, so running it again changes nothing.
+ * @param {object} prisma
+ * @returns {Promise<{converted: number, skipped: number}>}
+ */
+export async function migratePlanNotes(prisma) {
+  const plans = await prisma.mealPlan.findMany({
+    where: { dishName: null, notes: { startsWith: '{' } }
+  });
+
+  let converted = 0;
+  for (const plan of plans) {
+    const { dish, notes } = parseLegacyNotes(plan.notes);
+    if (!dish) continue;
+
+    await prisma.mealPlan.update({
+      where: { id: plan.id },
+      data: { ...plannedDishData(dish), notes }
+    });
+    converted++;
+  }
+
+  return { converted, skipped: plans.length - converted };
+}
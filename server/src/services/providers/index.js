@@ -0,0 +1,65 @@
+/**
+ * AI provider registry
+ *
+ * A provider is an object with `name`, `model` and
+ * `complete({ task, messages, temperature, input }) => Promise<string>`
+ * returning the raw JSON text of the assistant message. `task` and `input`
+ * carry the structured request behind the prompt for providers that do not
+ * read prompts (the stub). Providers may also implement
+ * `stream({ task, messages, temperature, input, signal })`, an async
+ * iterable of content deltas, for token-by-token responses.
+ *
+ * Selected by AI_PROVIDER:
+ * - openai: OpenAI API (OPENAI_API_KEY, AI_MODEL)
+ * - local:  OpenAI-compatible server (AI_BASE_URL, AI_MODEL, AI_API_KEY, AI_JSON_MODE)
+ * - stub:   deterministic offline answers from the built-in catalog
+ * Defaults to openai when OPENAI_API_KEY is set, otherwise stub.
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createLocalProvider } from './local.js';
+import { createStubProvider } from './stub.js';
+
+export const PROVIDERS = {
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.AI_MODEL || 'gpt-4o'
+  }),
+  local: () => createLocalProvider({
+    baseURL: process.env.AI_BASE_URL,
+    model: process.env.AI_MODEL,
+    apiKey: process.env.AI_API_KEY,
+    jsonMode: process.env.AI_JSON_MODE !== 'false'
+  }),
+  stub: () => createStubProvider()
+};
+
+const instances = new Map();
+
+/**
+ * Resolve the configured provider name
+ * @returns {string}
+ */
+export function getProviderName() {
+  const name = (process.env.AI_PROVIDER || '').toLowerCase();
+  if (name) return name;
+  return process.env.OPENAI_API_KEY ? 'openai' : 'stub';
+}
+
+/**
+ * Get the configured AI provider (instances are cached per name)
+ * @returns {object} AI provider
+ * @throws {Error} if AI_PROVIDER names an unknown provider
+ */
+export function getProvider() {
+  const name = getProviderName();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
@@ -0,0 +1,29 @@
+/**
+ * Local OpenAI-compatible provider (Ollama, llama.cpp server, LM Studio, vLLM)
+ */
+
+import { createOpenAIProvider } from './openai.js';
+
+export const LOCAL_DEFAULTS = {
+  BASE_URL: 'http://localhost:11434/v1',
+  MODEL: 'llama3.1'
+};
+
+/**
+ * Create a provider for a local OpenAI-compatible endpoint
+ * @param {object} options
+ * @param {string} [options.baseURL] - Server base URL including /v1
+ * @param {string} [options.model] - Model name as the server knows it
+ * @param {string} [options.apiKey] - Most local servers ignore this but the SDK requires one
+ * @param {boolean} [options.jsonMode=true] - Disable for servers without response_format support
+ * @returns {object} AI provider
+ */
+export function createLocalProvider({ baseURL, model, apiKey, jsonMode = true } = {}) {
+  return createOpenAIProvider({
+    name: 'local',
+    baseURL: baseURL || LOCAL_DEFAULTS.BASE_URL,
+    model: model || LOCAL_DEFAULTS.MODEL,
+    apiKey: apiKey || 'local',
+    jsonMode
+  });
+}
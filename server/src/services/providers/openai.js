@@ -0,0 +1,64 @@
+/**
+ * OpenAI chat completions provider
+ * Also used for OpenAI-compatible servers by passing a baseURL.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create a provider backed by the OpenAI chat completions API
+ * @param {object} options
+ * @param {string} [options.name='openai'] - Provider name for logs
+ * @param {string} [options.apiKey] - API key
+ * @param {string} [options.baseURL] - Override API base URL
+ * @param {string} options.model - Model name
+ * @param {boolean} [options.jsonMode=true] - Request JSON object responses
+ * @returns {object} AI provider
+ */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  return {
+    name,
+    model,
+
+    /**
+     * Run a chat completion and return the raw message content
+     * @param {object} request
+     * @param {Array<{role: string, content: string}>} request.messages
+     * @param {number} [request.temperature]
+     * @returns {Promise<string>}
+     */
+    async complete({ messages, temperature }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        ...(jsonMode && { response_format: { type: 'json_object' } })
+      });
+
+      return response.choices[0].message.content;
+    },
+
+    /**
+     * Run a streaming chat completion
+     * @param {object} request - As for complete
+     * @param {AbortSignal} [request.signal] - Cancels the upstream request
+     * @returns {AsyncGenerator<string>} Content deltas
+     */
+    async *stream({ messages, temperature, signal }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        stream: true,
+        ...(jsonMode && { response_format: { type: 'json_object' } })
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+}
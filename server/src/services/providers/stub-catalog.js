@@ -0,0 +1,482 @@
+/**
+ * Built-in dish catalog for the offline stub provider and the fallback
+ * recommender
+ * Quantities are for two people.
+ */
+
+export const STUB_DISHES = [
+  // Breakfast
+  {
+    name: 'Kanda Poha',
+    cuisine: 'maharashtrian',
+    mealTypes: ['breakfast', 'snack'],
+    prepTime: 20,
+    calories: 300,
+    vegetarian: true,
+    description: 'Fluffy flattened rice with onions, peanuts and a squeeze of lime',
+    ingredients: [
+      { name: 'Poha', quantity: 200, unit: 'g' },
+      { name: 'Onion', quantity: 1, unit: 'medium' },
+      { name: 'Peanuts', quantity: 30, unit: 'g' },
+      { name: 'Green Chillies', quantity: 2, unit: 'pieces' }
+    ]
+  },
+  {
+    name: 'Rava Upma',
+    cuisine: 'south_indian',
+    mealTypes: ['breakfast'],
+    prepTime: 20,
+    calories: 320,
+    vegetarian: true,
+    description: 'Savoury semolina tempered with mustard, curry leaves and veggies',
+    ingredients: [
+      { name: 'Rava', quantity: 150, unit: 'g' },
+      { name: 'Onion', quantity: 1, unit: 'medium' },
+      { name: 'Carrot', quantity: 1, unit: 'medium' },
+      { name: 'Ghee', quantity: 1, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Masala Dosa',
+    cuisine: 'south_indian',
+    mealTypes: ['breakfast', 'dinner'],
+    prepTime: 40,
+    calories: 420,
+    vegetarian: true,
+    description: 'Crisp dosa wrapped around spiced potato with coconut chutney',
+    ingredients: [
+      { name: 'Dosa Batter', quantity: 500, unit: 'g' },
+      { name: 'Potato', quantity: 3, unit: 'medium' },
+      { name: 'Onion', quantity: 1, unit: 'medium' },
+      { name: 'Coconut', quantity: 100, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Aloo Paratha with Curd',
+    cuisine: 'punjabi',
+    mealTypes: ['breakfast', 'lunch'],
+    prepTime: 35,
+    calories: 480,
+    vegetarian: true,
+    description: 'Buttery stuffed flatbreads with cool curd on the side',
+    ingredients: [
+      { name: 'Atta', quantity: 250, unit: 'g' },
+      { name: 'Potato', quantity: 3, unit: 'medium' },
+      { name: 'Curd', quantity: 200, unit: 'g' },
+      { name: 'Butter', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Egg Bhurji with Toast',
+    cuisine: 'north_indian',
+    mealTypes: ['breakfast', 'snack'],
+    prepTime: 15,
+    calories: 380,
+    vegetarian: false,
+    description: 'Spicy scrambled eggs with onions and tomatoes on crisp toast',
+    ingredients: [
+      { name: 'Eggs', quantity: 4, unit: 'pieces' },
+      { name: 'Onion', quantity: 1, unit: 'medium' },
+      { name: 'Tomato', quantity: 1, unit: 'medium' },
+      { name: 'Bread', quantity: 4, unit: 'slices' }
+    ]
+  },
+  {
+    name: 'Masala Omelette',
+    cuisine: 'indian',
+    mealTypes: ['breakfast'],
+    prepTime: 10,
+    calories: 280,
+    vegetarian: false,
+    description: 'Fluffy omelette packed with chillies, onion and coriander',
+    ingredients: [
+      { name: 'Eggs', quantity: 4, unit: 'pieces' },
+      { name: 'Onion', quantity: 1, unit: 'small' },
+      { name: 'Coriander Leaves', quantity: 1, unit: 'bunch' }
+    ]
+  },
+  {
+    name: 'Overnight Oats with Fruit',
+    cuisine: 'healthy',
+    mealTypes: ['breakfast'],
+    prepTime: 5,
+    calories: 320,
+    vegetarian: true,
+    description: 'Creamy oats soaked overnight and topped with seasonal fruit',
+    ingredients: [
+      { name: 'Oats', quantity: 100, unit: 'g' },
+      { name: 'Milk', quantity: 300, unit: 'ml' },
+      { name: 'Banana', quantity: 1, unit: 'pieces' }
+    ]
+  },
+  {
+    name: 'Besan Chilla',
+    cuisine: 'rajasthani',
+    mealTypes: ['breakfast', 'snack'],
+    prepTime: 20,
+    calories: 300,
+    vegetarian: true,
+    description: 'Savoury gram flour pancakes with green chutney',
+    ingredients: [
+      { name: 'Besan', quantity: 150, unit: 'g' },
+      { name: 'Onion', quantity: 1, unit: 'small' },
+      { name: 'Tomato', quantity: 1, unit: 'small' }
+    ]
+  },
+
+  // Lunch & dinner
+  {
+    name: 'Rajma Chawal',
+    cuisine: 'punjabi',
+    mealTypes: ['lunch'],
+    prepTime: 50,
+    calories: 550,
+    vegetarian: true,
+    description: 'Slow-cooked kidney beans in onion-tomato gravy over steamed rice',
+    ingredients: [
+      { name: 'Rajma', quantity: 200, unit: 'g' },
+      { name: 'Basmati Rice', quantity: 200, unit: 'g' },
+      { name: 'Onion', quantity: 2, unit: 'medium' },
+      { name: 'Tomato', quantity: 2, unit: 'medium' }
+    ]
+  },
+  {
+    name: 'Chole Bhature',
+    cuisine: 'punjabi',
+    mealTypes: ['lunch'],
+    prepTime: 60,
+    calories: 750,
+    vegetarian: true,
+    description: 'Tangy chickpea curry with puffy fried bread',
+    ingredients: [
+      { name: 'Chana', quantity: 250, unit: 'g' },
+      { name: 'Maida', quantity: 250, unit: 'g' },
+      { name: 'Onion', quantity: 2, unit: 'medium' },
+      { name: 'Tomato', quantity: 2, unit: 'medium' }
+    ]
+  },
+  {
+    name: 'Paneer Butter Masala with Naan',
+    cuisine: 'north_indian',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 40,
+    calories: 650,
+    vegetarian: true,
+    description: 'Soft paneer in a rich, buttery tomato gravy',
+    ingredients: [
+      { name: 'Paneer', quantity: 250, unit: 'g' },
+      { name: 'Tomato', quantity: 3, unit: 'medium' },
+      { name: 'Butter', quantity: 2, unit: 'tbsp' },
+      { name: 'Cream', quantity: 50, unit: 'ml' },
+      { name: 'Maida', quantity: 200, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Chicken Biryani',
+    cuisine: 'hyderabadi',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 75,
+    calories: 700,
+    vegetarian: false,
+    description: 'Fragrant dum-cooked rice layered with spiced chicken',
+    ingredients: [
+      { name: 'Chicken', quantity: 500, unit: 'g' },
+      { name: 'Basmati Rice', quantity: 300, unit: 'g' },
+      { name: 'Curd', quantity: 150, unit: 'g' },
+      { name: 'Onion', quantity: 3, unit: 'medium' },
+      { name: 'Ghee', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Kerala Fish Curry with Rice',
+    cuisine: 'kerala',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 40,
+    calories: 520,
+    vegetarian: false,
+    description: 'Tangy coconut fish curry with kokum and curry leaves',
+    ingredients: [
+      { name: 'Fish', quantity: 400, unit: 'g' },
+      { name: 'Coconut Milk', quantity: 200, unit: 'ml' },
+      { name: 'Basmati Rice', quantity: 200, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Bisi Bele Bath',
+    cuisine: 'south_indian',
+    mealTypes: ['lunch'],
+    prepTime: 45,
+    calories: 500,
+    vegetarian: true,
+    description: 'Karnataka-style spiced rice and lentils with vegetables',
+    ingredients: [
+      { name: 'Basmati Rice', quantity: 150, unit: 'g' },
+      { name: 'Toor Dal', quantity: 100, unit: 'g' },
+      { name: 'Carrot', quantity: 1, unit: 'medium' },
+      { name: 'Beans', quantity: 100, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Gujarati Thepla with Aloo Sabzi',
+    cuisine: 'gujarati',
+    mealTypes: ['lunch', 'breakfast'],
+    prepTime: 35,
+    calories: 450,
+    vegetarian: true,
+    description: 'Soft fenugreek flatbreads with a simple potato curry',
+    ingredients: [
+      { name: 'Atta', quantity: 200, unit: 'g' },
+      { name: 'Methi', quantity: 1, unit: 'bunch' },
+      { name: 'Potato', quantity: 2, unit: 'medium' }
+    ]
+  },
+  {
+    name: 'Macher Jhol',
+    cuisine: 'bengali',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 40,
+    calories: 480,
+    vegetarian: false,
+    description: 'Light Bengali fish stew with potatoes and mustard oil',
+    ingredients: [
+      { name: 'Fish', quantity: 400, unit: 'g' },
+      { name: 'Potato', quantity: 2, unit: 'medium' },
+      { name: 'Tomato', quantity: 1, unit: 'medium' }
+    ]
+  },
+  {
+    name: 'Veg Hakka Noodles',
+    cuisine: 'chinese',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 25,
+    calories: 450,
+    vegetarian: true,
+    description: 'Wok-tossed noodles with crunchy vegetables and soy',
+    ingredients: [
+      { name: 'Noodles', quantity: 200, unit: 'g' },
+      { name: 'Cabbage', quantity: 150, unit: 'g' },
+      { name: 'Capsicum', quantity: 1, unit: 'medium' },
+      { name: 'Soy Sauce', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Chilli Chicken',
+    cuisine: 'chinese',
+    mealTypes: ['dinner'],
+    prepTime: 35,
+    calories: 520,
+    vegetarian: false,
+    description: 'Indo-Chinese chicken tossed with capsicum, chillies and soy',
+    ingredients: [
+      { name: 'Chicken', quantity: 400, unit: 'g' },
+      { name: 'Capsicum', quantity: 1, unit: 'medium' },
+      { name: 'Onion', quantity: 1, unit: 'medium' },
+      { name: 'Soy Sauce', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Thai Green Curry with Rice',
+    cuisine: 'thai',
+    mealTypes: ['dinner', 'lunch'],
+    prepTime: 35,
+    calories: 580,
+    vegetarian: true,
+    description: 'Fragrant coconut curry with vegetables and jasmine rice',
+    ingredients: [
+      { name: 'Coconut Milk', quantity: 400, unit: 'ml' },
+      { name: 'Green Curry Paste', quantity: 3, unit: 'tbsp' },
+      { name: 'Mixed Vegetables', quantity: 300, unit: 'g' },
+      { name: 'Basmati Rice', quantity: 200, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Pasta Arrabbiata',
+    cuisine: 'italian',
+    mealTypes: ['dinner', 'lunch'],
+    prepTime: 25,
+    calories: 520,
+    vegetarian: true,
+    description: 'Penne in a garlicky, chilli-spiked tomato sauce',
+    ingredients: [
+      { name: 'Pasta', quantity: 200, unit: 'g' },
+      { name: 'Tomato', quantity: 4, unit: 'medium' },
+      { name: 'Garlic', quantity: 6, unit: 'cloves' },
+      { name: 'Olive Oil', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Mushroom Risotto',
+    cuisine: 'italian',
+    mealTypes: ['dinner'],
+    prepTime: 45,
+    calories: 560,
+    vegetarian: true,
+    description: 'Creamy arborio rice slow-stirred with mushrooms and parmesan',
+    ingredients: [
+      { name: 'Arborio Rice', quantity: 200, unit: 'g' },
+      { name: 'Mushroom', quantity: 250, unit: 'g' },
+      { name: 'Cheese', quantity: 50, unit: 'g' },
+      { name: 'Butter', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Chicken Burrito Bowl',
+    cuisine: 'mexican',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 35,
+    calories: 620,
+    vegetarian: false,
+    description: 'Spiced chicken, rice, beans and salsa in one hearty bowl',
+    ingredients: [
+      { name: 'Chicken', quantity: 300, unit: 'g' },
+      { name: 'Rajma', quantity: 150, unit: 'g' },
+      { name: 'Basmati Rice', quantity: 150, unit: 'g' },
+      { name: 'Tomato', quantity: 2, unit: 'medium' }
+    ]
+  },
+  {
+    name: 'Falafel Wrap with Hummus',
+    cuisine: 'middle_eastern',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 40,
+    calories: 540,
+    vegetarian: true,
+    description: 'Crisp chickpea fritters, hummus and salad in warm pita',
+    ingredients: [
+      { name: 'Chana', quantity: 250, unit: 'g' },
+      { name: 'Pita Bread', quantity: 4, unit: 'pieces' },
+      { name: 'Cucumber', quantity: 1, unit: 'medium' },
+      { name: 'Tahini', quantity: 3, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Greek Salad with Grilled Paneer',
+    cuisine: 'greek',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 20,
+    calories: 380,
+    vegetarian: true,
+    description: 'Crunchy cucumber, tomato and olives with charred paneer',
+    ingredients: [
+      { name: 'Paneer', quantity: 200, unit: 'g' },
+      { name: 'Cucumber', quantity: 1, unit: 'medium' },
+      { name: 'Tomato', quantity: 2, unit: 'medium' },
+      { name: 'Olive Oil', quantity: 2, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Palak Paneer with Phulka',
+    cuisine: 'north_indian',
+    mealTypes: ['dinner', 'lunch'],
+    prepTime: 40,
+    calories: 520,
+    vegetarian: true,
+    description: 'Velvety spinach gravy with soft paneer and fresh phulkas',
+    ingredients: [
+      { name: 'Spinach', quantity: 300, unit: 'g' },
+      { name: 'Paneer', quantity: 200, unit: 'g' },
+      { name: 'Atta', quantity: 200, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Egg Curry with Jeera Rice',
+    cuisine: 'indian',
+    mealTypes: ['dinner', 'lunch'],
+    prepTime: 35,
+    calories: 560,
+    vegetarian: false,
+    description: 'Boiled eggs simmered in a spicy onion-tomato masala',
+    ingredients: [
+      { name: 'Eggs', quantity: 4, unit: 'pieces' },
+      { name: 'Onion', quantity: 2, unit: 'medium' },
+      { name: 'Tomato', quantity: 2, unit: 'medium' },
+      { name: 'Basmati Rice', quantity: 200, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Curd Rice',
+    cuisine: 'south_indian',
+    mealTypes: ['lunch', 'dinner'],
+    prepTime: 15,
+    calories: 350,
+    vegetarian: true,
+    description: 'Cooling curd rice tempered with mustard seeds and curry leaves',
+    ingredients: [
+      { name: 'Basmati Rice', quantity: 150, unit: 'g' },
+      { name: 'Curd', quantity: 300, unit: 'g' }
+    ]
+  },
+  {
+    name: 'Vegetable Khichdi',
+    cuisine: 'gujarati',
+    mealTypes: ['dinner'],
+    prepTime: 30,
+    calories: 420,
+    vegetarian: true,
+    description: 'One-pot rice and moong dal with vegetables and ghee',
+    ingredients: [
+      { name: 'Basmati Rice', quantity: 150, unit: 'g' },
+      { name: 'Moong Dal', quantity: 100, unit: 'g' },
+      { name: 'Mixed Vegetables', quantity: 200, unit: 'g' },
+      { name: 'Ghee', quantity: 1, unit: 'tbsp' }
+    ]
+  },
+
+  // Snacks
+  {
+    name: 'Pav Bhaji',
+    cuisine: 'street_food',
+    mealTypes: ['snack', 'dinner'],
+    prepTime: 40,
+    calories: 600,
+    vegetarian: true,
+    description: 'Buttery mashed vegetable curry with toasted pav',
+    ingredients: [
+      { name: 'Potato', quantity: 3, unit: 'medium' },
+      { name: 'Mixed Vegetables', quantity: 300, unit: 'g' },
+      { name: 'Pav', quantity: 6, unit: 'pieces' },
+      { name: 'Butter', quantity: 3, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Bhel Puri',
+    cuisine: 'street_food',
+    mealTypes: ['snack'],
+    prepTime: 10,
+    calories: 250,
+    vegetarian: true,
+    description: 'Tangy puffed rice tossed with chutneys, onion and sev',
+    ingredients: [
+      { name: 'Puffed Rice', quantity: 150, unit: 'g' },
+      { name: 'Onion', quantity: 1, unit: 'medium' },
+      { name: 'Tomato', quantity: 1, unit: 'medium' }
+    ]
+  },
+  {
+    name: 'Corn Chaat',
+    cuisine: 'street_food',
+    mealTypes: ['snack'],
+    prepTime: 10,
+    calories: 200,
+    vegetarian: true,
+    description: 'Sweet corn tossed with lime, chaat masala and chilli',
+    ingredients: [
+      { name: 'Sweet Corn', quantity: 250, unit: 'g' },
+      { name: 'Butter', quantity: 1, unit: 'tbsp' }
+    ]
+  },
+  {
+    name: 'Paneer Tikka',
+    cuisine: 'north_indian',
+    mealTypes: ['snack', 'dinner'],
+    prepTime: 30,
+    calories: 420,
+    vegetarian: true,
+    description: 'Smoky marinated paneer skewers with peppers and onion',
+    ingredients: [
+      { name: 'Paneer', quantity: 250, unit: 'g' },
+      { name: 'Curd', quantity: 100, unit: 'g' },
+      { name: 'Capsicum', quantity: 1, unit: 'medium' }
+    ]
+  }
+];
@@ -0,0 +1,356 @@
+/**
+ * Deterministic offline provider
+ * Answers every AI task from the built-in dish catalog so the app runs
+ * and demos with no network. The same input always yields the same output.
+ */
+
+import { STUB_DISHES } from './stub-catalog.js';
+import { checkMeal } from '../../utils/dietary-rules.js';
+import { ingredientKey } from '../../utils/ingredients.js';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const PLAN_MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+const STREAM_CHUNK_SIZE = 16;
+
+/**
+ * Small stable string hash (FNV-1a) used to vary picks by input
+ * @param {string} str
+ * @returns {number}
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const lower = (list = []) => list.map(s => String(s).toLowerCase());
+
+/**
+ * Pick dishes from the catalog, relaxing filters until enough are found
+ * @param {object} options
+ * @param {string} [options.mealType]
+ * @param {string} [options.cuisine]
+ * @param {number} [options.maxPrepTime]
+ * @param {number} [options.maxCalories]
+ * @param {string[]} [options.exclude] - Dish names to skip
+ * @param {string[]} [options.avoidCuisines]
+ * @param {object} [options.dietaryRules] - Never relaxed
+ * @param {boolean} [options.vegetarian] - Whether the day is a vegetarian day
+ * @param {string[]} [options.useUp] - Ingredients to use up; dishes with one come first
+ * @param {number} [options.count=3]
+ * @param {string} [options.seed='']
+ * @returns {Array} Catalog dishes
+ */
+export function pickDishes({
+  mealType,
+  cuisine,
+  maxPrepTime,
+  maxCalories,
+  exclude = [],
+  avoidCuisines = [],
+  dietaryRules,
+  vegetarian = false,
+  useUp = [],
+  count = 3,
+  seed = ''
+}) {
+  const excluded = new Set(lower(exclude));
+  const avoided = new Set(lower(avoidCuisines));
+  const usingUp = new Set(useUp.map(name => ingredientKey(name)));
+  const usesUp = d => d.ingredients.some(i => usingUp.has(ingredientKey(i.name)));
+
+  // Filters in order of how readily we give them up
+  const filters = [
+    d => !avoided.has(d.cuisine),
+    d => !maxCalories || d.calories <= maxCalories,
+    d => !maxPrepTime || d.prepTime <= maxPrepTime,
+    d => !cuisine || d.cuisine === cuisine,
+    d => !mealType || mealType === 'any' || d.mealTypes.includes(mealType)
+  ];
+
+  const offset = hash(seed);
+  const rotated = STUB_DISHES
+    .map((dish, i) => ({ dish, order: (i + offset) % STUB_DISHES.length }))
+    .sort((a, b) => a.order - b.order)
+    .map(({ dish }) => dish)
+    .filter(d => !excluded.has(d.name.toLowerCase()))
+    .filter(d => checkMeal(d, dietaryRules, { vegetarian }).length === 0)
+    // Stable, so the seeded order holds within each group
+    .sort((a, b) => Number(usesUp(b)) - Number(usesUp(a)));
+
+  const picked = [];
+  for (let relaxed = 0; relaxed <= filters.length && picked.length < count; relaxed++) {
+    const active = filters.slice(relaxed);
+    for (const dish of rotated) {
+      if (picked.length >= count) break;
+      if (picked.includes(dish)) continue;
+      // Prefer cuisine variety within one answer
+      if (relaxed === 0 && picked.some(p => p.cuisine === dish.cuisine)) continue;
+      if (active.every(f => f(dish))) picked.push(dish);
+    }
+  }
+  return picked;
+}
+
+function toSuggestion(dish, mealType, reason) {
+  return {
+    name: dish.name,
+    cuisine: dish.cuisine,
+    mealType: mealType && mealType !== 'any' ? mealType : dish.mealTypes[0],
+    prepTime: dish.prepTime,
+    estimatedCalories: dish.calories,
+    ingredients: dish.ingredients,
+    ...(reason && { reason }),
+    description: dish.description
+  };
+}
+
+function suggestReason(dish, { mood, timeAvailable }) {
+  const parts = [];
+  if (timeAvailable) parts.push(`Ready in ${dish.prepTime} minutes`);
+  if (mood) parts.push(`suits a ${mood} mood`);
+  return parts.length > 0 ? parts.join(' and ') : 'Something different from your recent meals';
+}
+
+function answerSuggest(input) {
+  const {
+    mood,
+    timeAvailable,
+    cuisine,
+    mealType,
+    recentMeals = [],
+    avoidCuisines = [],
+    rejectedMeals = [],
+    dietaryRules,
+    vegetarian,
+    useUp = []
+  } = input;
+  const dishes = pickDishes({
+    mealType,
+    cuisine,
+    maxPrepTime: parseInt(timeAvailable, 10) || undefined,
+    exclude: [...recentMeals, ...rejectedMeals.map(r => r.name)],
+    avoidCuisines,
+    dietaryRules,
+    vegetarian,
+    useUp,
+    seed: JSON.stringify({ mood, timeAvailable, cuisine, mealType, rejected: rejectedMeals.length })
+  });
+
+  return {
+    suggestions: dishes.map(d => toSuggestion(d, mealType, suggestReason(d, { mood, timeAvailable })))
+  };
+}
+
+function answerChat(input) {
+  const { mealType, conversation = [], recentMeals = '', dietaryRules, vegetarian } = input;
+  const lastUserMessage = [...conversation].reverse().find(m => m.role === 'user')?.content || '';
+  const text = lastUserMessage.toLowerCase();
+
+  const named = STUB_DISHES.find(d =>
+    text.includes(d.name.toLowerCase()) && checkMeal(d, dietaryRules, { vegetarian }).length === 0
+  );
+  const cuisine = STUB_DISHES
+    .map(d => d.cuisine)
+    .find(c => text.includes(c.replace(/_/g, ' ')));
+  const quick = /\b(quick|fast|hurry|short on time)\b/.test(text);
+  const light = /\b(light|healthy|low cal)/.test(text);
+
+  const picks = pickDishes({
+    mealType,
+    cuisine,
+    maxPrepTime: quick ? 25 : undefined,
+    maxCalories: light ? 450 : undefined,
+    exclude: [
+      ...String(recentMeals).split(',').map(s => s.trim()).filter(Boolean),
+      ...(named ? [named.name] : [])
+    ],
+    dietaryRules,
+    vegetarian,
+    count: named ? 2 : 3,
+    seed: lastUserMessage
+  });
+  const dishes = named ? [named, ...picks] : picks;
+
+  let message = 'Here are a few ideas to get you started. Want something quicker or lighter?';
+  if (named) message = `${named.name} it is! Here are a couple of similar options too.`;
+  else if (cuisine) message = `Some ${cuisine.replace(/_/g, ' ')} ideas for you.`;
+  else if (quick || light) message = `Here are some ${quick ? 'quick' : 'light'} options.`;
+
+  return {
+    message,
+    suggestions: dishes.map(d => toSuggestion(d, mealType))
+  };
+}
+
+// Longest prep time for a day under the planner constraints
+function prepLimit(constraints, weekend) {
+  if (!constraints) return weekend ? undefined : 45;
+  return (weekend ? constraints.weekendMaxPrepTime : constraints.weekdayMaxPrepTime) ?? undefined;
+}
+
+function answerWeekPlan(input) {
+  const { weekStart, recentMeals = '', dietaryRules, constraints } = input;
+  const start = new Date(weekStart);
+  const used = String(recentMeals).split(',').map(s => s.trim()).filter(Boolean);
+  let previousCuisines = [];
+
+  const weekPlan = DAYS.map((day, i) => {
+    const date = new Date(start);
+    date.setDate(start.getDate() + i);
+    const weekend = i >= 5;
+
+    const meals = {};
+    const todaysCuisines = [];
+    for (const mealType of PLAN_MEAL_TYPES) {
+      const [dish] = pickDishes({
+        mealType,
+        maxPrepTime: prepLimit(constraints, weekend),
+        exclude: used,
+        avoidCuisines: [...previousCuisines, ...todaysCuisines],
+        dietaryRules,
+        vegetarian: Boolean(dietaryRules?.vegetarianDays.includes(day)),
+        count: 1,
+        seed: `${weekStart}:${day}:${mealType}`
+      });
+      if (!dish) continue;
+
+      used.push(dish.name);
+      todaysCuisines.push(dish.cuisine);
+      const { mealType: _mealType, reason: _reason, ...meal } = toSuggestion(dish, mealType);
+      meals[mealType] = meal;
+    }
+    previousCuisines = todaysCuisines;
+
+    return { day, date: date.toISOString().split('T')[0], meals };
+  });
+
+  return { weekPlan };
+}
+
+function answerPlanSlots(input) {
+  const { slots = [], planned = [], replacing = [], recentMeals = '', dietaryRules, constraints, calorieContext } = input;
+  const used = [
+    ...String(recentMeals).split(',').map(s => s.trim()).filter(Boolean),
+    ...planned.map(p => p.name),
+    ...replacing
+  ];
+  const chosen = [...planned];
+  const openSlots = {};
+  for (const { date } of slots) openSlots[date] = (openSlots[date] || 0) + 1;
+
+  const meals = [];
+  for (const { date, day, mealType } of slots) {
+    // Stay clear of cuisines planned for the same day or the one before
+    const previous = new Date(`${date}T00:00:00Z`);
+    previous.setUTCDate(previous.getUTCDate() - 1);
+    const nearby = new Set([date, previous.toISOString().split('T')[0]]);
+    const calories = chosen.filter(p => p.date === date).reduce((sum, p) => sum + (p.calories || 0), 0);
+    const budget = calorieContext?.dailyGoal ? (calorieContext.dailyGoal - calories) / openSlots[date] : 0;
+    openSlots[date]--;
+
+    const [dish] = pickDishes({
+      mealType,
+      maxCalories: budget > 0 ? budget : undefined,
+      maxPrepTime: prepLimit(constraints, day === 'Saturday' || day === 'Sunday'),
+      exclude: used,
+      avoidCuisines: chosen.filter(p => nearby.has(p.date)).map(p => p.cuisine).filter(Boolean),
+      dietaryRules,
+      vegetarian: Boolean(dietaryRules?.vegetarianDays.includes(day)),
+      count: 1,
+      seed: `${date}:${mealType}:${replacing.join(',')}`
+    });
+    if (!dish) continue;
+
+    used.push(dish.name);
+    chosen.push({ date, name: dish.name, cuisine: dish.cuisine, calories: dish.calories });
+    const { reason: _reason, ...meal } = toSuggestion(dish, mealType);
+    meals.push({ date, ...meal });
+  }
+
+  return { meals };
+}
+
+function answerRecipe(input) {
+  const { meal, dietaryRules } = input;
+  const dish = STUB_DISHES.find(d => d.name.toLowerCase() === String(meal.name).toLowerCase());
+  const ingredients = (dish?.ingredients || [
+    { name: 'Onion', quantity: 1, unit: 'medium' },
+    { name: 'Tomato', quantity: 2, unit: 'medium' },
+    { name: 'Oil', quantity: 2, unit: 'tbsp' }
+  ]).filter(i => checkMeal({ name: i.name }, dietaryRules).length === 0);
+  const prepTime = meal.prepTime || dish?.prepTime || 30;
+
+  return {
+    mealName: meal.name,
+    cuisine: meal.cuisine || dish?.cuisine || 'other',
+    description: meal.description || dish?.description || `A simple home-style ${meal.name}`,
+    prepTime: Math.max(5, Math.round(prepTime / 3)),
+    cookTime: Math.max(5, prepTime - Math.round(prepTime / 3)),
+    servings: 2,
+    calories: meal.estimatedCalories || dish?.calories || 450,
+    ingredients: ingredients.map(i => ({ item: i.name, quantity: String(i.quantity), unit: i.unit })),
+    instructions: [
+      { step: 1, text: `Wash, chop and measure out the ${ingredients.map(i => i.name.toLowerCase()).join(', ')}.`, time: '10 min' },
+      { step: 2, text: 'Heat oil in a pan and cook the aromatics until soft and fragrant.', time: '5 min' },
+      { step: 3, text: 'Add the main ingredients and spices, then cook until done.', time: '15 min' },
+      { step: 4, text: 'Taste, adjust seasoning and serve hot.', time: '2 min' }
+    ],
+    tips: [
+      'Prep all ingredients before you start cooking',
+      'Adjust spice levels to taste'
+    ]
+  };
+}
+
+const HANDLERS = {
+  suggest: answerSuggest,
+  chat: answerChat,
+  weekPlan: answerWeekPlan,
+  planSlots: answerPlanSlots,
+  recipe: answerRecipe
+};
+
+/**
+ * Create the offline stub provider
+ * @returns {object} AI provider
+ */
+export function createStubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+
+    /**
+     * Answer from the local catalog using the structured task input
+     * @param {object} request
+     * @param {string} request.task - suggest | chat | weekPlan | planSlots | recipe
+     * @param {object} [request.input] - Structured inputs behind the prompt
+     * @returns {Promise<string>}
+     */
+    async complete({ task, input = {} }) {
+      const handler = HANDLERS[task];
+      if (!handler) {
+        throw new Error(`Stub provider cannot answer task "${task}"`);
+      }
+      return JSON.stringify(handler(input));
+    },
+
+    /**
+     * Stream the same answer as complete in small chunks
+     * @param {object} request - As for complete
+     * @param {AbortSignal} [request.signal]
+     * @returns {AsyncGenerator<string>}
+     */
+    async *stream({ task, input, signal }) {
+      const content = await this.complete({ task, input });
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+        if (signal?.aborted) return;
+        yield content.slice(i, i + STREAM_CHUNK_SIZE);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Putting shopping away
+ * Moves purchased shopping items into inventory, topping up an existing
+ * item when it is the same ingredient in a convertible unit.
+ */
+
+import { InventoryCategoryEnum } from '../validators/index.js';
+import { convertIngredientQuantity } from '../utils/units.js';
+import { defaultIngredientResolver } from '../utils/ingredients.js';
+import { estimateExpiry } from '../utils/expiry.js';
+import { recordMovement, stockedShoppingItemIds } from './stock-ledger.js';
+
+const DEFAULT_UNIT = 'pieces';
+const QUANTITY_PRECISION = 1000;
+
+const round = value => Math.round(value * QUANTITY_PRECISION) / QUANTITY_PRECISION;
+
+/**
+ * Inventory item the purchase should top up: the same ingredient in a unit
+ * the purchase converts to
+ * @param {Array} inventory - InventoryItem rows
+ * @param {string} name
+ * @param {string} unit
+ * @param {number} quantity
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {{item: object, quantity: number}|null} The item and the
+ *   purchased amount in the item's unit
+ */
+export function findStockFor(inventory, name, unit, quantity, resolver = defaultIngredientResolver) {
+  const key = resolver.key(name);
+  for (const item of inventory) {
+    if (resolver.key(item.name) !== key) continue;
+    const converted = convertIngredientQuantity(quantity, unit, item.unit, name);
+    if (converted !== null) return { item, quantity: round(converted) };
+  }
+  return null;
+}
+
+/**
+ * Keep the earlier expiry unless the old stock was used up, in which case
+ * the new stock's date (or its category's usual shelf life) applies
+ * @returns {Date|null}
+ */
+function mergedExpiry(item, expiresAt) {
+  if (item.quantity <= 0) return expiresAt || estimateExpiry(item.category);
+  if (!expiresAt) return item.expiresAt;
+  if (!item.expiresAt) return expiresAt;
+  return item.expiresAt < expiresAt ? item.expiresAt : expiresAt;
+}
+
+/**
+ * Add a purchase to inventory: top up the matching item or create one
+ * @param {object} tx - Prisma transaction client
+ * @param {Array} inventory - InventoryItem rows; a created item is added and
+ *   a topped-up one updated in place, so later purchases in a batch see them
+ * @param {object} purchase
+ * @param {string} purchase.name
+ * @param {number} purchase.quantity
+ * @param {string} purchase.unit
+ * @param {string} [purchase.category] - Replaces a topped-up item's category
+ * @param {string} [purchase.defaultCategory='others'] - A new item's category
+ *   when category isn't given
+ * @param {Date|null} [purchase.expiresAt]
+ * @param {string} [purchase.shoppingItemId] - Shopping item it was bought for
+ * @param {string} [purchase.note] - Recorded on the stock movement
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Promise<{action: 'created'|'updated', item: object}>}
+ */
+export async function stockPurchase(tx, inventory, purchase, resolver = defaultIngredientResolver) {
+  const { name, quantity, unit, category, defaultCategory = 'others', expiresAt = null, shoppingItemId, note } = purchase;
+  const stock = findStockFor(inventory, name, unit, quantity, resolver);
+  let item;
+  let added;
+
+  if (stock) {
+    added = stock.quantity;
+    item = await tx.inventoryItem.update({
+      where: { id: stock.item.id },
+      data: {
+        quantity: round(stock.item.quantity + added),
+        expiresAt: mergedExpiry(stock.item, expiresAt),
+        ...(category && { category })
+      }
+    });
+    // Later purchases in the same batch top up the updated row
+    Object.assign(stock.item, item);
+  } else {
+    const newCategory = category || defaultCategory;
+    added = quantity;
+    item = await tx.inventoryItem.create({
+      data: {
+        name,
+        category: newCategory,
+        quantity,
+        unit,
+        expiresAt: expiresAt || estimateExpiry(newCategory)
+      }
+    });
+    inventory.push(item);
+  }
+
+  await recordMovement(tx, item, added, { reason: 'purchased', note, shoppingItemId });
+  return { action: stock ? 'updated' : 'created', item };
+}
+
+/**
+ * Move shopping items into inventory and off the list. Items a receipt
+ * already put away only come off the list.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array} shoppingItems - ShoppingItem rows
+ * @param {Map<string, object>} [overrides] - Per shopping item id:
+ *   { category, quantity, unit, expiresAt }
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Promise<Array<{shoppingItemId: string, action: 'created'|'updated', item: object}>>}
+ */
+export async function putAwayItems(tx, shoppingItems, overrides = new Map(), resolver = defaultIngredientResolver) {
+  const inventory = await tx.inventoryItem.findMany();
+  const stocked = await stockedShoppingItemIds(tx, shoppingItems.map(item => item.id));
+  const results = [];
+
+  for (const shoppingItem of shoppingItems) {
+    if (stocked.has(shoppingItem.id)) continue;
+    const override = overrides.get(shoppingItem.id) || {};
+    const { action, item } = await stockPurchase(tx, inventory, {
+      name: shoppingItem.name,
+      quantity: override.quantity ?? shoppingItem.quantity ?? 1,
+      unit: override.unit || shoppingItem.unit || DEFAULT_UNIT,
+      category: override.category,
+      defaultCategory: InventoryCategoryEnum.safeParse(shoppingItem.category).success ? shoppingItem.category : undefined,
+      expiresAt: override.expiresAt ? new Date(override.expiresAt) : null,
+      shoppingItemId: shoppingItem.id
+    }, resolver);
+    results.push({ shoppingItemId: shoppingItem.id, action, item });
+  }
+
+  if (shoppingItems.length > 0) {
+    await tx.shoppingItem.deleteMany({
+      where: { id: { in: shoppingItems.map(i => i.id) } }
+    });
+  }
+
+  return results;
+}
@@ -0,0 +1,150 @@
+/**
+ * Putting away a grocery receipt
+ * Turns the items read off a pasted receipt into inventory purchases: each
+ * product is identified as an ingredient, matched to the stock it tops up
+ * and to the shopping list item it was bought for. Nothing is saved until
+ * the reviewed items come back.
+ */
+
+import { parseReceipt } from '../utils/receipt.js';
+import { defaultIngredientResolver } from '../utils/ingredients.js';
+import { categorizeIngredient } from './shopping-list.js';
+import { inventoryAmount } from './inventory-import.js';
+import { findStockFor, stockPurchase } from './put-away.js';
+import { stockedShoppingItemIds } from './stock-ledger.js';
+
+const DEFAULT_UNIT = 'pieces';
+const MOVEMENT_NOTE = 'Receipt';
+
+const titleCase = text => text.toLowerCase().replace(/\b[a-z]/g, char => char.toUpperCase());
+
+/**
+ * The ingredient a product is, from the longest run of words in its name
+ * that is something the household stocks, has on the list or the dictionary
+ * knows. Of runs the same length the last wins: it's "Coconut Oil", not
+ * coconut.
+ * @param {string} product - e.g. "Aashirvaad Shudh Chakki Atta"
+ * @param {string[]} [knownNames] - Inventory and shopping item names; the
+ *   first of several for one ingredient is used
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {string} e.g. "Whole wheat flour"; the product name itself, in
+ *   title case if it was shouted, when nothing matches
+ */
+export function identifyProduct(product, knownNames = [], resolver = defaultIngredientResolver) {
+  const known = new Map();
+  for (const name of knownNames) {
+    const key = resolver.key(name);
+    if (!known.has(key)) known.set(key, name);
+  }
+  const words = product.replace(/\(.*?\)/g, ' ').toLowerCase().match(/[a-z]+/g) || [];
+
+  for (let size = words.length; size > 0; size--) {
+    for (let start = words.length - size; start >= 0; start--) {
+      const phrase = words.slice(start, start + size).join(' ');
+      const key = resolver.key(phrase);
+      if (!key) continue;
+      if (known.has(key)) return known.get(key);
+      if (resolver.resolve(phrase)) return resolver.canonicalName(phrase);
+    }
+  }
+  return product === product.toUpperCase() ? titleCase(product) : product;
+}
+
+/**
+ * Read a receipt and work out what putting it away would do
+ * @param {object} db - Prisma client or transaction
+ * @param {string} text - The receipt as pasted
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Promise<{items: Array, skipped: Array, unrecognized: Array, total: number}>}
+ *   Each item adds name, quantity and unit as they'd be stocked, category,
+ *   stock (the inventory item it tops up, with the amount added in that
+ *   item's unit) and shoppingItem (the list item it checks off), the last
+ *   two null when there's no match. total is the sum of the item prices.
+ */
+export async function reviewReceipt(db, text, resolver = defaultIngredientResolver) {
+  const { items, skipped, unrecognized } = parseReceipt(text);
+  const inventory = await db.inventoryItem.findMany();
+  const listed = await db.shoppingItem.findMany({ orderBy: { isPurchased: 'asc' } });
+  // What an earlier receipt put away has nothing left to check off
+  const stocked = await stockedShoppingItemIds(db, listed.filter(item => item.isPurchased).map(item => item.id));
+  const shoppingItems = listed.filter(item => !stocked.has(item.id));
+  const knownNames = [...inventory, ...shoppingItems].map(item => item.name);
+  const claimed = new Set();
+
+  const reviewed = items.map(item => {
+    const name = identifyProduct(item.name, knownNames, resolver);
+    const amount = inventoryAmount(item.quantity, item.unit ?? undefined);
+    const unit = amount.unit || DEFAULT_UNIT;
+    const stock = findStockFor(inventory, name, unit, amount.quantity, resolver);
+
+    // One list item per receipt line, so two packs of atta don't check off one entry twice
+    const key = resolver.key(name);
+    const shoppingItem = shoppingItems.find(s => !claimed.has(s.id) && resolver.key(s.name) === key);
+    if (shoppingItem) claimed.add(shoppingItem.id);
+
+    return {
+      ...item,
+      product: item.name,
+      name,
+      quantity: amount.quantity,
+      unit,
+      category: stock?.item.category ?? categorizeIngredient(name, resolver),
+      stock: stock && {
+        id: stock.item.id,
+        name: stock.item.name,
+        quantity: stock.item.quantity,
+        unit: stock.item.unit,
+        adding: stock.quantity
+      },
+      shoppingItem: shoppingItem
+        ? { id: shoppingItem.id, name: shoppingItem.name, quantity: shoppingItem.quantity, unit: shoppingItem.unit }
+        : null
+    };
+  });
+
+  const total = reviewed.reduce((sum, item) => sum + (item.price ?? 0), 0);
+  return { items: reviewed, skipped, unrecognized, total: Math.round(total * 100) / 100 };
+}
+
+/**
+ * Put reviewed receipt items into inventory and check off the shopping
+ * items they were bought for. Checked-off items stay on the list as
+ * purchased, already put away.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array<{name: string, quantity: number, unit: string, category?: string,
+ *   expiresAt?: string|null, shoppingItemId?: string}>} items
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Promise<{results: Array<{action: 'created'|'updated', item: object,
+ *   shoppingItemId: string|null}>, checkedOff: number}>}
+ */
+export async function putAwayReceipt(tx, items, resolver = defaultIngredientResolver) {
+  const inventory = await tx.inventoryItem.findMany();
+  const shoppingIds = [...new Set(items.map(item => item.shoppingItemId).filter(Boolean))];
+  const listed = shoppingIds.length > 0
+    ? await tx.shoppingItem.findMany({ where: { id: { in: shoppingIds } } })
+    : [];
+  const listedIds = new Set(listed.map(item => item.id));
+  const results = [];
+
+  for (const entry of items) {
+    // A list item deleted since the review is no longer linked
+    const shoppingItemId = listedIds.has(entry.shoppingItemId) ? entry.shoppingItemId : null;
+    const { action, item } = await stockPurchase(tx, inventory, {
+      name: entry.name,
+      quantity: entry.quantity,
+      unit: entry.unit,
+      // A receipt never recategorizes what's already stocked
+      defaultCategory: entry.category,
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null,
+      shoppingItemId,
+      note: MOVEMENT_NOTE
+    }, resolver);
+    results.push({ action, item, shoppingItemId });
+  }
+
+  if (listedIds.size > 0) {
+    await tx.shoppingItem.updateMany({ where: { id: { in: [...listedIds] } }, data: { isPurchased: true } });
+  }
+
+  return { results, checkedOff: listedIds.size };
+}
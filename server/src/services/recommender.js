@@ -0,0 +1,362 @@
+/**
+ * Offline meal recommender
+ * Used when the AI provider fails. Scores dishes the household already
+ * knows - the Meal catalog, saved Recipes and highly rated MealHistory -
+ * plus the built-in catalog against the request, and returns diverse
+ * picks in the same shape as AI suggestions.
+ */
+
+import { STUB_DISHES } from './providers/stub-catalog.js';
+import { safeJsonParse } from '../utils/json.js';
+import { ingredientKey } from '../utils/ingredients.js';
+
+export const RECOMMENDER_CONFIG = {
+  COUNT: 3,
+  HISTORY_MIN_RATING: 4,
+  HISTORY_LIMIT: 100,
+  RECIPE_LIMIT: 100,
+  DEFAULT_PREP_TIME: 30,
+  WEIGHTS: {
+    mood: 2,
+    time: 2,
+    overTimePer15Min: 2,
+    inventory: 3,
+    useUp: 6,
+    rating: 1.5,
+    savedRecipe: 1,
+    customMeal: 0.5,
+    mealTypeMismatch: 4,
+    cuisineMismatch: 4,
+    recent: 5,
+    yesterdayCuisine: 2,
+    overBudget: 1,
+    sameCuisinePicked: 3
+  }
+};
+
+const { WEIGHTS } = RECOMMENDER_CONFIG;
+
+/**
+ * What each mood (see MoodSelector) looks for in a dish
+ */
+export const MOOD_PROFILES = {
+  tired: { label: 'easy on a tiring day', maxPrepTime: 25 },
+  lazy: { label: 'minimal effort', maxPrepTime: 20 },
+  hungry: { label: 'quick and filling', maxPrepTime: 25, minCalories: 450 },
+  light: { label: 'light and healthy', maxCalories: 450, cuisines: ['healthy', 'vegan', 'mediterranean', 'greek'] },
+  spicy: {
+    label: 'brings the heat',
+    keywords: /spic|chilli|chili|masala|pepper|schezwan|vindaloo|kolhapuri|chettinad|bhurji|arrabbiata|curry/i,
+    cuisines: ['andhra', 'hyderabadi', 'thai', 'mexican', 'kerala', 'chinese']
+  },
+  comfort: {
+    label: 'soul-warming comfort food',
+    keywords: /khichdi|rajma|chawal|curd rice|dal|paratha|maggi|soup|bisi bele|jhol|pav bhaji|poha/i,
+    cuisines: ['comfort_food', 'north_indian', 'punjabi', 'south_indian', 'indian', 'bengali']
+  },
+  fancy: {
+    label: 'something special',
+    minPrepTime: 40,
+    keywords: /biryani|tikka|makhani|butter masala|risotto|thai|kebab|korma/i
+  },
+  experimental: { label: 'something new to try', novelCuisine: true }
+};
+
+const normalizeName = name => String(name || '').toLowerCase().trim();
+
+function parseIngredientList(value) {
+  const list = Array.isArray(value) ? value : safeJsonParse(value, []);
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(i => (typeof i === 'string'
+      ? { name: i, quantity: null, unit: null }
+      : { name: i?.name ?? i?.item, quantity: i?.quantity ?? null, unit: i?.unit ?? null }))
+    .filter(i => i.name);
+}
+
+/**
+ * Dishes from the built-in catalog as candidates
+ * @returns {Array} Candidates
+ */
+export function builtinCandidates() {
+  return STUB_DISHES.map(dish => ({
+    name: dish.name,
+    cuisine: dish.cuisine,
+    mealTypes: dish.mealTypes,
+    prepTime: dish.prepTime,
+    calories: dish.calories,
+    description: dish.description,
+    ingredients: dish.ingredients,
+    source: 'builtin'
+  }));
+}
+
+/**
+ * Merge candidates for the same dish, keeping the most useful details
+ * @param {Array} candidates
+ * @returns {Array}
+ */
+function mergeCandidates(candidates) {
+  const byName = new Map();
+
+  for (const candidate of candidates) {
+    const key = normalizeName(candidate.name);
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, { ...candidate, sources: [candidate.source] });
+      continue;
+    }
+
+    byName.set(key, {
+      ...existing,
+      mealTypes: [...new Set([...existing.mealTypes, ...candidate.mealTypes])],
+      prepTime: existing.prepTime ?? candidate.prepTime,
+      calories: existing.calories ?? candidate.calories,
+      description: existing.description || candidate.description,
+      ingredients: existing.ingredients.length > 0 ? existing.ingredients : candidate.ingredients,
+      rating: Math.max(existing.rating || 0, candidate.rating || 0) || undefined,
+      sources: [...new Set([...existing.sources, candidate.source])]
+    });
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Load every dish the household knows as recommender candidates
+ * @param {object} prisma - Prisma client instance
+ * @returns {Promise<Array>} Candidates, including the built-in catalog
+ */
+export async function loadCandidates(prisma) {
+  const [meals, recipes, history] = await Promise.all([
+    prisma.meal.findMany(),
+    prisma.recipe.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: RECOMMENDER_CONFIG.RECIPE_LIMIT
+    }),
+    prisma.mealHistory.findMany({
+      where: { rating: { gte: RECOMMENDER_CONFIG.HISTORY_MIN_RATING } },
+      orderBy: { eatenAt: 'desc' },
+      take: RECOMMENDER_CONFIG.HISTORY_LIMIT,
+      include: { recipe: true }
+    })
+  ]);
+
+  return [
+    ...history.map(h => ({
+      name: h.mealName,
+      cuisine: h.cuisine,
+      mealTypes: [h.mealType],
+      prepTime: h.recipe ? h.recipe.prepTime + h.recipe.cookTime : undefined,
+      calories: h.calories ?? h.recipe?.calories ?? undefined,
+      description: h.recipe?.description || undefined,
+      ingredients: parseIngredientList(h.recipe?.ingredients),
+      rating: h.rating,
+      source: 'history'
+    })),
+    ...recipes.map(r => ({
+      name: r.mealName,
+      cuisine: r.cuisine,
+      mealTypes: [],
+      prepTime: r.prepTime + r.cookTime,
+      calories: r.calories ?? undefined,
+      description: r.description || undefined,
+      ingredients: parseIngredientList(r.ingredients),
+      source: 'recipe'
+    })),
+    ...meals.map(m => ({
+      name: m.name,
+      cuisine: m.cuisine,
+      mealTypes: [m.mealType],
+      prepTime: m.prepTime,
+      ingredients: parseIngredientList(m.ingredients),
+      source: 'meal'
+    })),
+    ...builtinCandidates()
+  ];
+}
+
+/**
+ * Score how well a candidate fits the request
+ * @param {object} candidate - Merged candidate
+ * @param {object} criteria - As for recommendMeals, with sets prepared
+ * @returns {{score: number, reasons: Array<{weight: number, text: string}>}}
+ */
+export function scoreCandidate(candidate, criteria) {
+  const { mood, time, cuisine, mealType, pantry, useUp, recent, yesterday, familiarCuisines, remainingCalories } = criteria;
+  const prepTime = candidate.prepTime ?? RECOMMENDER_CONFIG.DEFAULT_PREP_TIME;
+  let score = 0;
+  const reasons = [];
+
+  // What was asked for
+  if (mealType && candidate.mealTypes.length > 0 && !candidate.mealTypes.includes(mealType)) {
+    score -= WEIGHTS.mealTypeMismatch;
+  }
+  if (cuisine && candidate.cuisine !== cuisine) {
+    score -= WEIGHTS.cuisineMismatch;
+  }
+
+  if (time) {
+    if (prepTime <= time) {
+      score += WEIGHTS.time;
+      reasons.push({ weight: WEIGHTS.time, text: `ready in ${prepTime} minutes` });
+    } else {
+      score -= Math.ceil((prepTime - time) / 15) * WEIGHTS.overTimePer15Min;
+    }
+  }
+
+  const profile = MOOD_PROFILES[mood];
+  if (profile) {
+    const fits = [
+      profile.maxPrepTime && prepTime <= profile.maxPrepTime,
+      profile.minPrepTime && prepTime >= profile.minPrepTime,
+      profile.maxCalories && candidate.calories && candidate.calories <= profile.maxCalories,
+      profile.minCalories && candidate.calories && candidate.calories >= profile.minCalories,
+      profile.keywords?.test(candidate.name),
+      profile.cuisines?.includes(candidate.cuisine),
+      profile.novelCuisine && !familiarCuisines.has(candidate.cuisine)
+    ].filter(Boolean).length;
+
+    if (fits > 0) {
+      const weight = Math.min(fits, 2) * WEIGHTS.mood;
+      score += weight;
+      reasons.push({ weight, text: profile.label });
+    }
+  }
+
+  // What is already in the kitchen
+  if (pantry.size > 0 && candidate.ingredients.length > 0) {
+    const have = candidate.ingredients.filter(i => pantry.has(ingredientKey(i.name)));
+    if (have.length > 0) {
+      const weight = WEIGHTS.inventory * (have.length / candidate.ingredients.length);
+      score += weight;
+      reasons.push({
+        weight,
+        text: `uses ${have.slice(0, 3).map(i => i.name.toLowerCase()).join(', ')} from your pantry`
+      });
+    }
+  }
+
+  // What has to be used up before it goes off
+  if (useUp?.size > 0) {
+    const using = candidate.ingredients.filter(i => useUp.has(ingredientKey(i.name)));
+    if (using.length > 0) {
+      score += WEIGHTS.useUp;
+      reasons.push({
+        weight: WEIGHTS.useUp,
+        text: `uses up ${using.slice(0, 2).map(i => i.name.toLowerCase()).join(', ')} before it goes off`
+      });
+    }
+  }
+
+  // What the household thinks of it
+  if (candidate.rating) {
+    const weight = (candidate.rating - 3) * WEIGHTS.rating;
+    score += weight;
+    reasons.push({ weight, text: `you rated it ${candidate.rating}/5` });
+  }
+  if (candidate.sources.includes('recipe')) {
+    score += WEIGHTS.savedRecipe;
+    reasons.push({ weight: WEIGHTS.savedRecipe, text: 'from your saved recipes' });
+  }
+  if (candidate.sources.includes('meal')) {
+    score += WEIGHTS.customMeal;
+  }
+
+  // Variety
+  if (recent.has(normalizeName(candidate.name))) {
+    score -= WEIGHTS.recent;
+  }
+  if (yesterday.has(candidate.cuisine)) {
+    score -= WEIGHTS.yesterdayCuisine;
+  }
+  if (remainingCalories != null && candidate.calories > remainingCalories) {
+    score -= WEIGHTS.overBudget;
+  }
+
+  return { score, reasons };
+}
+
+function buildReason(reasons) {
+  const top = [...reasons].sort((a, b) => b.weight - a.weight).slice(0, 2).map(r => r.text);
+  if (top.length === 0) return 'Something different from your recent meals';
+  const text = top.join(' and ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Recommend meals from candidates without the AI provider
+ * @param {Array} candidates - From loadCandidates or builtinCandidates
+ * @param {object} criteria
+ * @param {string} [criteria.mood]
+ * @param {string|number} [criteria.timeAvailable] - Minutes
+ * @param {string} [criteria.cuisine]
+ * @param {string} [criteria.mealType]
+ * @param {Array<{name: string}>} [criteria.inventory]
+ * @param {string[]} [criteria.recentMeals] - Names eaten recently (getRecentMealNames)
+ * @param {string[]} [criteria.avoidCuisines] - Cuisines eaten yesterday (getYesterdayCuisines)
+ * @param {Array<{name: string}>} [criteria.rejectedMeals]
+ * @param {number} [criteria.remainingCalories]
+ * @param {string[]} [criteria.useUp] - Ingredients about to expire, to use up first
+ * @param {number} [criteria.count=3]
+ * @returns {Array} Suggestions in the AI suggestion shape
+ */
+export function recommendMeals(candidates, {
+  mood,
+  timeAvailable,
+  cuisine,
+  mealType,
+  inventory = [],
+  recentMeals = [],
+  avoidCuisines = [],
+  rejectedMeals = [],
+  remainingCalories,
+  useUp = [],
+  count = RECOMMENDER_CONFIG.COUNT
+} = {}) {
+  const rejected = new Set(rejectedMeals.map(r => normalizeName(r.name)));
+  const pool = mergeCandidates(candidates).filter(c => !rejected.has(normalizeName(c.name)));
+
+  const criteria = {
+    mood,
+    time: parseInt(timeAvailable, 10) || null,
+    cuisine,
+    mealType: mealType && mealType !== 'any' ? mealType : null,
+    pantry: new Set(inventory.map(i => ingredientKey(i.name))),
+    useUp: new Set(useUp.map(name => ingredientKey(name))),
+    recent: new Set(recentMeals.map(normalizeName)),
+    yesterday: new Set(avoidCuisines),
+    familiarCuisines: new Set(pool.filter(c => c.sources.includes('history')).map(c => c.cuisine)),
+    remainingCalories
+  };
+
+  const scored = pool.map(candidate => ({ candidate, ...scoreCandidate(candidate, criteria) }));
+
+  // Pick greedily, penalising cuisines already picked so the three differ
+  const picked = [];
+  while (picked.length < count && scored.length > 0) {
+    const pickedCuisines = picked.map(p => p.candidate.cuisine);
+    const adjusted = scored
+      .map(s => ({
+        ...s,
+        adjusted: s.score - pickedCuisines.filter(c => c === s.candidate.cuisine).length * WEIGHTS.sameCuisinePicked
+      }))
+      .sort((a, b) => b.adjusted - a.adjusted || a.candidate.name.localeCompare(b.candidate.name));
+
+    const best = adjusted[0];
+    picked.push(best);
+    scored.splice(scored.findIndex(s => s.candidate === best.candidate), 1);
+  }
+
+  return picked.map(({ candidate, reasons }) => ({
+    name: candidate.name,
+    cuisine: candidate.cuisine,
+    mealType: criteria.mealType || candidate.mealTypes[0] || 'dinner',
+    prepTime: candidate.prepTime ?? RECOMMENDER_CONFIG.DEFAULT_PREP_TIME,
+    estimatedCalories: candidate.calories ?? null,
+    ingredients: candidate.ingredients,
+    reason: buildReason(reasons),
+    description: candidate.description || `One of your own ${candidate.cuisine.replace(/_/g, ' ')} dishes`
+  }));
+}
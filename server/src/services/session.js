@@ -0,0 +1,180 @@
+/**
+ * Session token service
+ * Issues and verifies HMAC-signed session tokens for the app PIN,
+ * tracks revoked tokens and locks out repeated wrong PIN attempts.
+ */
+
+import crypto from 'crypto';
+
+export const SESSION_CONFIG = {
+  TTL_MS: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7) * 60 * 60 * 1000,
+  MAX_FAILED_ATTEMPTS: 5,
+  LOCKOUT_MS: 15 * 60 * 1000
+};
+
+// Falls back to a per-process secret, which logs everyone out on restart
+const secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// jti -> expiry timestamp, pruned as tokens expire
+const revokedTokens = new Map();
+
+// client key (IP) -> { failures, lockedUntil }
+const loginAttempts = new Map();
+
+function sign(value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Fingerprint of the configured PIN, embedded in every token so that
+ * changing APP_PIN invalidates all sessions issued under the old PIN
+ * @param {string} pin
+ * @returns {string}
+ */
+function pinFingerprint(pin) {
+  return sign(`pin:${pin}`).slice(0, 16);
+}
+
+function pruneRevoked(now = Date.now()) {
+  for (const [jti, exp] of revokedTokens) {
+    if (exp <= now) revokedTokens.delete(jti);
+  }
+}
+
+/**
+ * Check whether a PIN is required to use the app
+ * @returns {boolean}
+ */
+export function isPinEnabled() {
+  return !!process.env.APP_PIN;
+}
+
+/**
+ * Compare a submitted PIN against APP_PIN in constant time
+ * @param {string} pin
+ * @returns {boolean}
+ */
+export function checkPin(pin) {
+  return safeEqual(pin, process.env.APP_PIN);
+}
+
+/**
+ * Issue a new session token
+ * @returns {{token: string, expiresAt: string}}
+ */
+export function issueToken() {
+  const now = Date.now();
+  const payload = {
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + SESSION_CONFIG.TTL_MS,
+    pin: pinFingerprint(process.env.APP_PIN || '')
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    token: `${body}.${sign(body)}`,
+    expiresAt: new Date(payload.exp).toISOString()
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @returns {object|null} Token payload, or null if invalid, expired or revoked
+ */
+export function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature || !safeEqual(signature, sign(body))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Date.now()) return null;
+  if (payload.pin !== pinFingerprint(process.env.APP_PIN || '')) return null;
+  if (revokedTokens.has(payload.jti)) return null;
+
+  return payload;
+}
+
+/**
+ * Revoke a token until it would have expired anyway
+ * @param {object} payload - Verified token payload
+ */
+export function revokeToken(payload) {
+  pruneRevoked();
+  revokedTokens.set(payload.jti, payload.exp);
+}
+
+/**
+ * Extract a bearer token from the request
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+export function getRequestToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Get remaining lockout time for a client
+ * @param {string} key - Client key (IP address)
+ * @returns {number} Milliseconds until unlocked, 0 if not locked
+ */
+export function getLockoutRemaining(key) {
+  const entry = loginAttempts.get(key);
+  if (!entry?.lockedUntil) return 0;
+
+  const remaining = entry.lockedUntil - Date.now();
+  if (remaining <= 0) {
+    loginAttempts.delete(key);
+    return 0;
+  }
+  return remaining;
+}
+
+/**
+ * Record a failed PIN attempt, locking the client out after too many
+ * @param {string} key - Client key (IP address)
+ * @returns {{attemptsLeft: number, lockedUntil: number|null}}
+ */
+export function recordFailedAttempt(key) {
+  const entry = loginAttempts.get(key) || { failures: 0, lockedUntil: null };
+  entry.failures += 1;
+
+  if (entry.failures >= SESSION_CONFIG.MAX_FAILED_ATTEMPTS) {
+    entry.failures = 0;
+    entry.lockedUntil = Date.now() + SESSION_CONFIG.LOCKOUT_MS;
+  }
+
+  loginAttempts.set(key, entry);
+  return {
+    attemptsLeft: entry.lockedUntil ? 0 : SESSION_CONFIG.MAX_FAILED_ATTEMPTS - entry.failures,
+    lockedUntil: entry.lockedUntil
+  };
+}
+
+/**
+ * Clear failed attempts for a client (after a successful login)
+ * @param {string} [key] - Client key; clears all clients when omitted
+ */
+export function clearFailedAttempts(key) {
+  if (key === undefined) {
+    loginAttempts.clear();
+    return;
+  }
+  loginAttempts.delete(key);
+}
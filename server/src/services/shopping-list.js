@@ -0,0 +1,335 @@
+/**
+ * Shopping list generation
+ * Works out what the week's meal plan still needs after inventory and
+ * reconciles it against the current list, so generating again only tops up
+ * what changed instead of duplicating every ingredient.
+ */
+
+import { normalizeIngredient } from '../utils/ai-normalize.js';
+import { safeJsonParse } from '../utils/json.js';
+import { convertIngredientQuantity } from '../utils/units.js';
+import { defaultIngredientResolver } from '../utils/ingredients.js';
+import { stockedShoppingItemIds } from './stock-ledger.js';
+
+const DEFAULT_UNIT = 'pieces';
+const QUANTITY_PRECISION = 1000;
+
+const round = value => Math.round(value * QUANTITY_PRECISION) / QUANTITY_PRECISION;
+
+const CATEGORY_KEYWORDS = {
+  vegetables: ['onion', 'tomato', 'potato', 'carrot', 'beans', 'capsicum', 'cauliflower', 'cabbage', 'spinach', 'palak', 'methi', 'bhindi', 'brinjal', 'lauki', 'turai', 'parwal', 'peas', 'mushroom'],
+  dairy: ['milk', 'curd', 'paneer', 'butter', 'ghee', 'cream', 'cheese', 'yogurt', 'dahi'],
+  grains: ['rice', 'atta', 'maida', 'besan', 'rava', 'suji', 'poha', 'oats', 'bread', 'roti'],
+  proteins: ['chicken', 'mutton', 'fish', 'egg', 'prawn', 'dal', 'chana', 'rajma', 'chole', 'tofu', 'soya'],
+  spices: ['haldi', 'mirchi', 'jeera', 'dhania', 'garam masala', 'hing', 'rai', 'methi', 'kasuri', 'chaat masala']
+};
+
+/**
+ * Shopping category for an ingredient name: its dictionary category, else
+ * a guess from keywords in the name
+ * @param {string} name
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {string}
+ */
+export function categorizeIngredient(name, resolver = defaultIngredientResolver) {
+  const known = resolver.resolve(name);
+  if (known) return known.category;
+
+  const n = name.toLowerCase();
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (keywords.some(keyword => n.includes(keyword))) return category;
+  }
+  return 'others';
+}
+
+/**
+ * A quantity of one ingredient expressed in another's unit
+ * @param {object} row - { name, quantity, unit }
+ * @param {object} target - { name, unit }
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {number|null} null when it's a different ingredient or the
+ *   units don't convert
+ */
+export function sameIngredientQuantity(row, target, resolver = defaultIngredientResolver) {
+  if (resolver.key(row.name) !== resolver.key(target.name)) return null;
+  return convertIngredientQuantity(row.quantity ?? 0, row.unit || DEFAULT_UNIT, target.unit || DEFAULT_UNIT, target.name);
+}
+
+/**
+ * Meal plan entries a shopping item is needed for
+ * @param {object} item - ShoppingItem row
+ * @returns {string[]}
+ */
+export function itemMealPlanIds(item) {
+  const ids = safeJsonParse(item.mealPlanIds, []);
+  return Array.isArray(ids) ? ids : [];
+}
+
+/**
+ * How much of a shopping item each meal plan entry added to it
+ * @param {object} item - ShoppingItem row
+ * @returns {Object<string, number>}
+ */
+function itemPlanQuantities(item) {
+  const shares = safeJsonParse(item.planQuantities, {});
+  return shares && typeof shares === 'object' && !Array.isArray(shares) ? shares : {};
+}
+
+/**
+ * Total each ingredient the planned dishes call for. Amounts of the same
+ * ingredient add up in the unit it was first seen in, so 1 kg and 200 g of
+ * rice make 1.2 kg; amounts that can't be converted stay separate.
+ * @param {Array} plans - MealPlan rows including their planned `ingredients`
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Array<{name: string, quantity: number, unit: string, category: string, mealPlanIds: string[], planQuantities: Object<string, number>}>}
+ *   `planQuantities` holds each entry's part of `quantity`
+ */
+export function collectNeeds(plans, resolver = defaultIngredientResolver) {
+  const needs = [];
+
+  for (const plan of plans) {
+    const ingredients = Array.isArray(plan.ingredients) ? plan.ingredients : [];
+
+    for (const ingredient of ingredients.map(normalizeIngredient)) {
+      if (!ingredient?.name) continue;
+
+      const amount = { name: ingredient.name, quantity: ingredient.quantity || 1, unit: ingredient.unit || DEFAULT_UNIT };
+      let need = null;
+      let quantity = null;
+      for (const candidate of needs) {
+        quantity = sameIngredientQuantity(amount, candidate, resolver);
+        if (quantity !== null) {
+          need = candidate;
+          break;
+        }
+      }
+
+      if (!need) {
+        need = {
+          name: ingredient.name,
+          quantity: 0,
+          unit: amount.unit,
+          category: categorizeIngredient(ingredient.name, resolver),
+          mealPlanIds: [],
+          planQuantities: {}
+        };
+        quantity = amount.quantity;
+        needs.push(need);
+      }
+      need.quantity = round(need.quantity + quantity);
+      if (!need.mealPlanIds.includes(plan.id)) need.mealPlanIds.push(plan.id);
+      need.planQuantities[plan.id] = round((need.planQuantities[plan.id] || 0) + quantity);
+    }
+  }
+
+  return needs;
+}
+
+/**
+ * How much of a need some rows already cover, in the need's unit
+ * @param {object} need
+ * @param {Array<{name: string, quantity: number|null, unit: string|null}>} rows
+ * @param {object} resolver
+ * @returns {number}
+ */
+function coveredBy(need, rows, resolver) {
+  let covered = 0;
+  for (const row of rows) {
+    if (row.quantity) covered += sameIngredientQuantity(row, need, resolver) ?? 0;
+  }
+  return covered;
+}
+
+/**
+ * Bring the shopping list in line with what the plan still needs.
+ * - Stock in inventory, and purchased items not yet put away, count as had
+ *   (a purchased item a receipt put away is already in the stock)
+ * - A generated item for the same ingredient, in a unit that converts, keeps
+ *   what entries outside the plans being reconciled added to it (another
+ *   week's needs, a forecast top-up) plus the shortfall, and is re-tagged with
+ *   the entries that need it now
+ * - A manual item is kept, tagged, and only raised if it is less than the shortfall
+ * - Anything else is added as a generated item
+ * - A generated item nothing needs any more is removed, unless it was also
+ *   generated for entries outside the plans being reconciled; then it only
+ *   loses what the reconciled entries had added
+ * Each generated item records how much every entry added (`planQuantities`),
+ * which is how the part owned elsewhere is told apart. Running it twice with
+ * nothing changed leaves the list as it is.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array} needs - From collectNeeds
+ * @param {Array} inventory - InventoryItem rows
+ * @param {object} [options]
+ * @param {string[]} [options.planIds] - Every meal plan entry the needs were
+ *   collected from, including ones that need nothing
+ * @param {object} [options.resolver] - From createIngredientResolver
+ * @returns {Promise<{added: Array, updated: Array, unchanged: Array, skipped: Array, removed: Array}>}
+ *   `updated` entries carry the item and its previousQuantity; `skipped`
+ *   lists needs already covered, with the reason ('in_stock' or 'purchased')
+ */
+export async function reconcileShoppingList(tx, needs, inventory, { planIds = [], resolver = defaultIngredientResolver } = {}) {
+  const reconciled = new Set([...planIds, ...needs.flatMap(need => need.mealPlanIds)]);
+  const existing = await tx.shoppingItem.findMany();
+  const bought = existing.filter(item => item.isPurchased);
+  const stocked = await stockedShoppingItemIds(tx, bought.map(item => item.id));
+  const purchased = bought.filter(item => !stocked.has(item.id));
+  const open = existing.filter(item => !item.isPurchased);
+  const matched = new Set();
+
+  const diff = { added: [], updated: [], unchanged: [], skipped: [], removed: [] };
+
+  for (const need of needs) {
+    const afterStock = round(need.quantity - coveredBy(need, inventory, resolver));
+    const shortfall = round(afterStock - coveredBy(need, purchased, resolver));
+
+    if (shortfall <= 0) {
+      diff.skipped.push({
+        name: need.name,
+        quantity: need.quantity,
+        unit: need.unit,
+        reason: afterStock <= 0 ? 'in_stock' : 'purchased'
+      });
+      continue;
+    }
+
+    const item = open.find(row => sameIngredientQuantity({ ...need, quantity: shortfall }, row, resolver) !== null);
+    if (!item) {
+      diff.added.push(await tx.shoppingItem.create({
+        data: {
+          name: need.name,
+          quantity: shortfall,
+          unit: need.unit,
+          category: need.category,
+          isPurchased: false,
+          source: 'generated',
+          mealPlanIds: JSON.stringify(need.mealPlanIds),
+          planQuantities: JSON.stringify(splitShortfall(need, shortfall))
+        }
+      }));
+      continue;
+    }
+
+    matched.add(item.id);
+
+    // The shortfall in the unit the item is listed in
+    const needed = round(sameIngredientQuantity({ ...need, quantity: shortfall }, item, resolver));
+    const previousIds = itemMealPlanIds(item);
+    const data = item.source === 'generated'
+      ? regenerated(item, need, needed, reconciled)
+      : {
+          quantity: Math.max(item.quantity ?? 0, needed),
+          mealPlanIds: JSON.stringify([...new Set([...previousIds, ...need.mealPlanIds])])
+        };
+    const sameIds = data.mealPlanIds === JSON.stringify(previousIds);
+
+    if (data.quantity === item.quantity && sameIds && (data.planQuantities ?? null) === (item.planQuantities ?? null)) {
+      diff.unchanged.push(item);
+      continue;
+    }
+
+    const updated = await tx.shoppingItem.update({ where: { id: item.id }, data });
+    diff.updated.push({ item: updated, previousQuantity: item.quantity });
+  }
+
+  const unmatched = open.filter(item => item.source === 'generated' && !matched.has(item.id));
+  const { removed, lowered } = await releaseUnmatchedItems(tx, unmatched, reconciled);
+  diff.removed = removed;
+  diff.updated.push(...lowered);
+  return diff;
+}
+
+/**
+ * Share a shortfall out between the entries that need it, in proportion to
+ * what each needs. The shares always add up to the shortfall.
+ * @param {object} need - From collectNeeds
+ * @param {number} shortfall - In the unit the shares are recorded in
+ * @returns {Object<string, number>}
+ */
+function splitShortfall(need, shortfall) {
+  const shares = {};
+  let left = shortfall;
+  need.mealPlanIds.forEach((id, index) => {
+    const last = index === need.mealPlanIds.length - 1;
+    const part = need.planQuantities?.[id] ?? need.quantity / need.mealPlanIds.length;
+    shares[id] = last ? round(left) : round(shortfall * part / need.quantity);
+    left -= shares[id];
+  });
+  return shares;
+}
+
+/**
+ * What part of a generated item entries outside the reconcile added. Items
+ * listed before shares were recorded count as wholly theirs when they carry
+ * any outside entry.
+ * @param {object} item - ShoppingItem row
+ * @param {Set<string>} reconciled - Entries being reconciled
+ * @returns {number}
+ */
+function quantityOwnedElsewhere(item, reconciled) {
+  const quantity = item.quantity ?? 0;
+  if (item.planQuantities == null) {
+    return itemMealPlanIds(item).some(id => !reconciled.has(id)) ? quantity : 0;
+  }
+  const ownedHere = Object.entries(itemPlanQuantities(item))
+    .filter(([id]) => reconciled.has(id))
+    .reduce((sum, [, share]) => sum + (Number(share) || 0), 0);
+  return Math.max(0, round(quantity - ownedHere));
+}
+
+/**
+ * The new quantity, tags and shares of a generated item a need matched
+ * @param {object} item - ShoppingItem row
+ * @param {object} need - From collectNeeds
+ * @param {number} needed - The shortfall, in the item's unit
+ * @param {Set<string>} reconciled - Entries being reconciled
+ * @returns {{quantity: number, mealPlanIds: string, planQuantities: string}}
+ */
+function regenerated(item, need, needed, reconciled) {
+  // Entries keep their place so that running it again compares equal
+  const kept = id => !reconciled.has(id) || need.mealPlanIds.includes(id);
+  const shares = Object.fromEntries(Object.entries(itemPlanQuantities(item)).filter(([id]) => kept(id)));
+  return {
+    quantity: round(quantityOwnedElsewhere(item, reconciled) + needed),
+    mealPlanIds: JSON.stringify([...new Set([...itemMealPlanIds(item).filter(kept), ...need.mealPlanIds])]),
+    planQuantities: JSON.stringify(Object.assign(shares, splitShortfall(need, needed)))
+  };
+}
+
+/**
+ * Delete generated items no longer needed by the plans just reconciled. An
+ * item still tagged with an entry outside them (another week's) is kept,
+ * less what the reconciled entries had added to it.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array} items - Open generated items no need matched
+ * @param {Set<string>} reconciled - The entries reconciled
+ * @returns {Promise<{removed: Array, lowered: Array}>} `lowered` entries
+ *   carry the item and its previousQuantity
+ */
+async function releaseUnmatchedItems(tx, items, reconciled) {
+  const otherIds = [...new Set(items.flatMap(itemMealPlanIds).filter(id => !reconciled.has(id)))];
+  // Entries deleted since the item was generated don't keep it either
+  const live = otherIds.length > 0
+    ? new Set((await tx.mealPlan.findMany({ where: { id: { in: otherIds } }, select: { id: true } })).map(plan => plan.id))
+    : new Set();
+
+  const stale = items.filter(item => !itemMealPlanIds(item).some(id => !reconciled.has(id) && live.has(id)));
+  if (stale.length > 0) {
+    await tx.shoppingItem.deleteMany({ where: { id: { in: stale.map(item => item.id) } } });
+  }
+
+  const lowered = [];
+  for (const item of items) {
+    if (stale.includes(item) || !itemMealPlanIds(item).some(id => reconciled.has(id))) continue;
+    const otherShares = Object.entries(itemPlanQuantities(item)).filter(([id]) => !reconciled.has(id));
+    const updated = await tx.shoppingItem.update({
+      where: { id: item.id },
+      data: {
+        quantity: quantityOwnedElsewhere(item, reconciled),
+        mealPlanIds: JSON.stringify(itemMealPlanIds(item).filter(id => !reconciled.has(id))),
+        planQuantities: item.planQuantities == null ? null : JSON.stringify(Object.fromEntries(otherShares))
+      }
+    });
+    lowered.push({ item: updated, previousQuantity: item.quantity });
+  }
+  return { removed: stale, lowered };
+}
@@ -0,0 +1,246 @@
+/**
+ * Stock forecasting
+ * Works out how fast the household gets through each item from its stock
+ * movements, when it will run out and what that means for the next
+ * shopping trip. The shopping schedule is kept as JSON in the
+ * `shoppingSchedule` preference.
+ */
+
+import { shoppingScheduleSchema, DayNameEnum } from '../validators/index.js';
+import { safeJsonParse } from '../utils/json.js';
+import { formatDate } from '../utils/date.js';
+import { defaultIngredientResolver } from '../utils/ingredients.js';
+import { sameIngredientQuantity } from './shopping-list.js';
+import { CONSUMING_REASONS } from './stock-ledger.js';
+
+export const SHOPPING_SCHEDULE_KEY = 'shoppingSchedule';
+
+export const FORECAST_CONFIG = {
+  // Movements older than this don't count towards the rate
+  LOOKBACK_DAYS: 60,
+  // Shortest history a rate is worked out over, so one busy day isn't a trend
+  MIN_SPAN_DAYS: 7,
+  // Uses needed before an item is forecast at all
+  MIN_USES: 2,
+  QUANTITY_PRECISION: 1000
+};
+
+const DAY_MS = 86400000;
+
+// Day name of a UTC date, Monday first like DayNameEnum
+const weekday = date => DayNameEnum.options[(date.getUTCDay() + 6) % 7];
+
+const round = value => Math.round(value * FORECAST_CONFIG.QUANTITY_PRECISION) / FORECAST_CONFIG.QUANTITY_PRECISION;
+
+/**
+ * Round a quantity up to a step that suits its size (350.3 g → 360 g,
+ * 1.23 kg → 1.3 kg)
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundUpQuantity(value) {
+  if (value <= 0) return 0;
+  const step = value >= 100 ? 10 : value >= 10 ? 1 : value >= 1 ? 0.1 : 0.01;
+  return round(Math.ceil(round(value / step)) * step);
+}
+
+/**
+ * Parse a stored shopping schedule, filling in defaults for anything missing or invalid
+ * @param {string|object} value - Stored preference value
+ * @returns {{shoppingDays: string[], bufferDays: number}}
+ */
+export function parseShoppingSchedule(value) {
+  const raw = typeof value === 'string' ? safeJsonParse(value, {}) : value;
+  const result = shoppingScheduleSchema.safeParse(raw || {});
+  return result.success ? result.data : shoppingScheduleSchema.parse({});
+}
+
+/**
+ * Load the household's shopping schedule
+ * @param {object} prisma - Prisma client instance
+ * @returns {Promise<object>}
+ */
+export async function getShoppingSchedule(prisma) {
+  const pref = await prisma.userPreferences.findUnique({
+    where: { key: SHOPPING_SCHEDULE_KEY }
+  });
+  return parseShoppingSchedule(pref?.value);
+}
+
+/**
+ * The next shopping day after today
+ * @param {object} schedule
+ * @param {Date} [now=new Date()]
+ * @returns {string} YYYY-MM-DD
+ */
+export function nextShoppingDate(schedule, now = new Date()) {
+  const today = Date.parse(formatDate(now));
+  for (let offset = 1; offset <= 7; offset++) {
+    const date = new Date(today + offset * DAY_MS);
+    if (schedule.shoppingDays.includes(weekday(date))) return formatDate(date);
+  }
+  return formatDate(new Date(today + 7 * DAY_MS));
+}
+
+/**
+ * Longest stretch between two shopping trips
+ * @param {object} schedule
+ * @returns {number} Days, 7 when shopping once a week
+ */
+export function shoppingCycleDays(schedule) {
+  const days = [...new Set(schedule.shoppingDays.map(day => DayNameEnum.options.indexOf(day)))].sort((a, b) => a - b);
+  if (days.length === 0) return 7;
+  return Math.max(...days.map((day, i) => (i === days.length - 1 ? days[0] + 7 : days[i + 1]) - day));
+}
+
+/**
+ * How much of an item the household uses a day, averaged from the first
+ * use within the lookback to now
+ * @param {object} item - InventoryItem row
+ * @param {Array} movements - The item's StockMovement rows
+ * @param {Date} [now=new Date()]
+ * @returns {{perDay: number, uses: number, spanDays: number}|null} null
+ *   without enough uses to go on
+ */
+export function dailyUsage(item, movements, now = new Date()) {
+  const since = now.getTime() - FORECAST_CONFIG.LOOKBACK_DAYS * DAY_MS;
+  const uses = movements.filter(m =>
+    !m.revertedAt &&
+    m.unit === item.unit &&
+    m.quantity < 0 &&
+    CONSUMING_REASONS.includes(m.reason) &&
+    new Date(m.createdAt).getTime() >= since
+  );
+  if (uses.length < FORECAST_CONFIG.MIN_USES) return null;
+
+  const first = Math.min(...uses.map(m => new Date(m.createdAt).getTime()));
+  const spanDays = Math.max(FORECAST_CONFIG.MIN_SPAN_DAYS, Math.round((now.getTime() - first) / DAY_MS));
+  const used = uses.reduce((sum, m) => sum - m.quantity, 0);
+  return { perDay: round(used / spanDays), uses: uses.length, spanDays };
+}
+
+/**
+ * Forecast one item against the shopping schedule
+ * @param {object} item - InventoryItem row
+ * @param {Array} movements - The item's StockMovement rows
+ * @param {object} options
+ * @param {object} options.schedule - From getShoppingSchedule
+ * @param {Date} [options.now=new Date()]
+ * @returns {object|null} Run-out date, suggested lowStockAt and how much to
+ *   buy on the next trip to last the following cycle, all in the item's
+ *   unit; null when the item isn't used often enough to forecast
+ */
+export function forecastItem(item, movements, { schedule, now = new Date() }) {
+  const usage = dailyUsage(item, movements, now);
+  if (!usage || usage.perDay <= 0) return null;
+
+  const { perDay } = usage;
+  const daysLeft = item.quantity / perDay;
+  const shoppingDate = nextShoppingDate(schedule, now);
+  const daysToShopping = (Date.parse(shoppingDate) - Date.parse(formatDate(now))) / DAY_MS;
+  const cover = shoppingCycleDays(schedule) + schedule.bufferDays;
+  const leftAtShopping = Math.max(0, item.quantity - perDay * daysToShopping);
+
+  return {
+    itemId: item.id,
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity,
+    unit: item.unit,
+    perDay,
+    uses: usage.uses,
+    daysLeft: Math.floor(daysLeft),
+    runOutDate: formatDate(new Date(Date.parse(formatDate(now)) + Math.floor(daysLeft) * DAY_MS)),
+    runsOutBeforeShopping: daysLeft < daysToShopping,
+    lowStockAt: item.lowStockAt ?? null,
+    lowStockUnit: item.lowStockUnit ?? null,
+    // Enough to get through a whole shopping cycle
+    suggestedLowStockAt: roundUpQuantity(perDay * cover),
+    toBuy: roundUpQuantity(perDay * cover - leftAtShopping)
+  };
+}
+
+/**
+ * Forecast every item in inventory that is used often enough
+ * @param {object} prisma - Prisma client instance
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{nextShoppingDate: string, cycleDays: number, bufferDays: number, items: Array}>}
+ *   Items soonest to run out first
+ */
+export async function forecastInventory(prisma, now = new Date()) {
+  const [items, movements, schedule] = await Promise.all([
+    prisma.inventoryItem.findMany(),
+    prisma.stockMovement.findMany({
+      where: {
+        revertedAt: null,
+        quantity: { lt: 0 },
+        createdAt: { gte: new Date(now.getTime() - FORECAST_CONFIG.LOOKBACK_DAYS * DAY_MS) }
+      }
+    }),
+    getShoppingSchedule(prisma)
+  ]);
+
+  const byItem = new Map();
+  for (const movement of movements) {
+    if (!byItem.has(movement.itemId)) byItem.set(movement.itemId, []);
+    byItem.get(movement.itemId).push(movement);
+  }
+
+  const forecasts = items
+    .map(item => forecastItem(item, byItem.get(item.id) || [], { schedule, now }))
+    .filter(Boolean)
+    .sort((a, b) => a.daysLeft - b.daysLeft || a.name.localeCompare(b.name));
+
+  return {
+    nextShoppingDate: nextShoppingDate(schedule, now),
+    cycleDays: shoppingCycleDays(schedule),
+    bufferDays: schedule.bufferDays,
+    items: forecasts
+  };
+}
+
+/**
+ * Put forecast items on the shopping list. An open item for the same
+ * ingredient is raised to the forecast amount, never lowered.
+ * @param {object} tx - Prisma transaction client
+ * @param {Array} forecasts - From forecastItem
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {Promise<{added: Array, updated: Array, unchanged: Array}>}
+ */
+export async function addForecastToShoppingList(tx, forecasts, resolver = defaultIngredientResolver) {
+  const open = (await tx.shoppingItem.findMany()).filter(item => !item.isPurchased);
+  const diff = { added: [], updated: [], unchanged: [] };
+
+  for (const forecast of forecasts) {
+    if (forecast.toBuy <= 0) continue;
+    const need = { name: forecast.name, quantity: forecast.toBuy, unit: forecast.unit };
+    const existing = open.find(row => sameIngredientQuantity(need, row, resolver) !== null);
+
+    if (!existing) {
+      const created = await tx.shoppingItem.create({
+        data: {
+          ...need,
+          category: forecast.category,
+          isPurchased: false,
+          source: 'forecast'
+        }
+      });
+      open.push(created);
+      diff.added.push(created);
+      continue;
+    }
+
+    const needed = round(sameIngredientQuantity(need, existing, resolver));
+    if ((existing.quantity ?? 0) >= needed) {
+      diff.unchanged.push(existing);
+      continue;
+    }
+    const updated = await tx.shoppingItem.update({
+      where: { id: existing.id },
+      data: { quantity: needed }
+    });
+    diff.updated.push({ item: updated, previousQuantity: existing.quantity });
+  }
+
+  return diff;
+}
@@ -0,0 +1,143 @@
+/**
+ * Stock movement ledger
+ * Every change to an inventory item's quantity is recorded as a signed
+ * movement with the reason it happened and what caused it. Movements are
+ * never edited; undoing one marks it reverted and puts the stock back.
+ */
+
+import { convertIngredientQuantity } from '../utils/units.js';
+import { AppError } from '../middleware/error-handler.js';
+
+export const LEDGER_CONFIG = {
+  QUANTITY_PRECISION: 1000,
+  RATE_WINDOW_DAYS: 30
+};
+
+// Reasons that count as the household using stock; spoiled stock is waste
+export const CONSUMING_REASONS = ['cooked', 'adjusted'];
+const DAY_MS = 86400000;
+
+const round = value => Math.round(value * LEDGER_CONFIG.QUANTITY_PRECISION) / LEDGER_CONFIG.QUANTITY_PRECISION;
+
+/**
+ * Record a change to an item's quantity. Nothing is recorded when the
+ * quantity didn't change.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} item - InventoryItem row, after the change
+ * @param {number} change - Signed change, in the item's unit
+ * @param {object} options
+ * @param {string} options.reason - purchased | cooked | spoiled | adjusted
+ * @param {string} [options.note]
+ * @param {string} [options.mealPlanId]
+ * @param {string} [options.mealHistoryId]
+ * @param {string} [options.shoppingItemId]
+ * @returns {Promise<object|null>} The StockMovement row
+ */
+export async function recordMovement(tx, item, change, { reason, note, mealPlanId, mealHistoryId, shoppingItemId }) {
+  const quantity = round(change);
+  if (quantity === 0) return null;
+
+  return tx.stockMovement.create({
+    data: {
+      itemId: item.id,
+      quantity,
+      unit: item.unit,
+      reason,
+      note: note || null,
+      mealPlanId: mealPlanId || null,
+      mealHistoryId: mealHistoryId || null,
+      shoppingItemId: shoppingItemId || null
+    }
+  });
+}
+
+/**
+ * Which shopping items have already been put away: a purchase was recorded
+ * for them and not undone
+ * @param {object} db - Prisma client or transaction
+ * @param {string[]} shoppingItemIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function stockedShoppingItemIds(db, shoppingItemIds) {
+  if (shoppingItemIds.length === 0) return new Set();
+  const movements = await db.stockMovement.findMany({
+    where: { shoppingItemId: { in: shoppingItemIds }, reason: 'purchased', revertedAt: null },
+    select: { shoppingItemId: true }
+  });
+  return new Set(movements.map(movement => movement.shoppingItemId));
+}
+
+/**
+ * How fast an item is being used, from its movements over a window
+ * @param {object} item - InventoryItem row
+ * @param {Array} movements - The item's StockMovement rows
+ * @param {object} [options]
+ * @param {number} [options.days=30]
+ * @param {Date} [options.now=new Date()]
+ * @returns {{days: number, unit: string, used: number, wasted: number, purchased: number,
+ *   perDay: number, daysLeft: number|null}} Quantities in the item's unit; daysLeft
+ *   is null when nothing was used
+ */
+export function consumptionRate(item, movements, { days = LEDGER_CONFIG.RATE_WINDOW_DAYS, now = new Date() } = {}) {
+  const since = now.getTime() - days * DAY_MS;
+  let used = 0;
+  let wasted = 0;
+  let purchased = 0;
+
+  for (const movement of movements) {
+    if (movement.revertedAt || new Date(movement.createdAt).getTime() < since) continue;
+    // Movements recorded before the item changed unit are left out
+    if (movement.unit !== item.unit) continue;
+
+    if (movement.quantity > 0) {
+      if (movement.reason === 'purchased') purchased += movement.quantity;
+    } else if (movement.reason === 'spoiled') {
+      wasted -= movement.quantity;
+    } else if (CONSUMING_REASONS.includes(movement.reason)) {
+      used -= movement.quantity;
+    }
+  }
+
+  const perDay = round(used / days);
+  return {
+    days,
+    unit: item.unit,
+    used: round(used),
+    wasted: round(wasted),
+    purchased: round(purchased),
+    perDay,
+    daysLeft: perDay > 0 ? Math.floor(item.quantity / perDay) : null
+  };
+}
+
+/**
+ * Undo a movement: put its quantity back on the item and mark it reverted.
+ * Stock never goes below zero. The movement is claimed by marking it first,
+ * so of two undos at once only one puts the stock back.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} movement - StockMovement row
+ * @param {object} item - Its InventoryItem row, read in the same transaction
+ * @returns {Promise<{movement: object, item: object}|null>} null when the
+ *   movement's unit no longer converts to the item's
+ * @throws {AppError} ALREADY_REVERTED when the movement has been undone
+ */
+export async function revertMovement(tx, movement, item) {
+  const change = movement.unit === item.unit
+    ? movement.quantity
+    : convertIngredientQuantity(movement.quantity, movement.unit, item.unit, item.name);
+  if (change === null) return null;
+
+  const revertedAt = new Date();
+  const { count } = await tx.stockMovement.updateMany({
+    where: { id: movement.id, revertedAt: null },
+    data: { revertedAt }
+  });
+  if (count === 0) throw new AppError('This stock change has already been undone.', 409, 'ALREADY_REVERTED');
+
+  const updatedItem = await tx.inventoryItem.update({
+    where: { id: item.id },
+    data: { quantity: Math.max(0, round(item.quantity - change)) }
+  });
+  const { item: _item, ...reverted } = movement;
+  return { movement: { ...reverted, revertedAt }, item: updatedItem };
+}
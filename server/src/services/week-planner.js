@@ -0,0 +1,312 @@
+/**
+ * Week planning
+ * Fills meal plan slots with AI dishes around what the rest of the week
+ * already has, so a slot, a day or the empty part of a week can be planned
+ * again without touching the meals that are kept. New dishes are checked
+ * against the planner constraints and the slots that break one are planned
+ * again.
+ */
+
+import { generateWeekMealPlan, generatePlanSlots } from './ai.js';
+import { PLAN_INCLUDE, plannedDishData } from './planned-dish.js';
+import { DayNameEnum } from '../validators/index.js';
+import { formatDate } from '../utils/date.js';
+import { parseIngredients } from '../utils/json.js';
+import { getPlanConstraints, checkWeekConstraints, violatingSlots } from '../utils/plan-constraints.js';
+
+export const PLAN_MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+const DAY_MS = 86400000;
+
+// Times the planner asks again for slots that break a constraint
+const MAX_REPAIR_ROUNDS = 2;
+
+/**
+ * Day of the week for a date
+ * @param {Date|string} date
+ * @returns {string} e.g. 'Monday'
+ */
+export function dayName(date) {
+  return DayNameEnum.options[(new Date(date).getUTCDay() + 6) % 7];
+}
+
+/**
+ * Key for a meal plan slot
+ * @param {Date|string} date
+ * @param {string} mealType
+ * @returns {string} e.g. '2024-01-15:lunch'
+ */
+export function slotKey(date, mealType) {
+  return `${formatDate(date)}:${mealType}`;
+}
+
+/**
+ * Every slot of a week
+ * @param {string} weekStart - YYYY-MM-DD
+ * @returns {Array<{date: string, day: string, mealType: string}>}
+ */
+export function weekSlots(weekStart) {
+  const start = new Date(weekStart).getTime();
+  return DayNameEnum.options.flatMap((_, index) => {
+    const date = formatDate(new Date(start + index * DAY_MS));
+    return PLAN_MEAL_TYPES.map(mealType => ({ date, day: dayName(date), mealType }));
+  });
+}
+
+/**
+ * A day's slots
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<{date: string, day: string, mealType: string}>}
+ */
+export function daySlots(date) {
+  return PLAN_MEAL_TYPES.map(mealType => ({ date, day: dayName(date), mealType }));
+}
+
+/**
+ * Meal plan entries in the seven days from a date
+ * @param {object} prisma
+ * @param {string} weekStart - YYYY-MM-DD
+ * @returns {Promise<Array>}
+ */
+export function findWeekPlans(prisma, weekStart) {
+  const start = new Date(weekStart);
+  return prisma.mealPlan.findMany({
+    where: { date: { gte: start, lt: new Date(start.getTime() + 7 * DAY_MS) } },
+    include: PLAN_INCLUDE,
+    orderBy: [{ date: 'asc' }, { mealType: 'asc' }]
+  });
+}
+
+/**
+ * A meal plan row as a constraint check entry
+ * @param {object} plan - MealPlan row with PLAN_INCLUDE
+ * @returns {object|null} null when nothing is planned in the slot
+ */
+export function planEntry(plan) {
+  const name = plan.dishName || plan.meal?.name;
+  if (!name) return null;
+
+  return {
+    date: formatDate(plan.date),
+    day: dayName(plan.date),
+    mealType: plan.mealType,
+    name,
+    cuisine: plan.cuisine ?? plan.meal?.cuisine ?? null,
+    prepTime: plan.prepTime ?? plan.meal?.prepTime ?? null,
+    calories: plan.calories ?? null,
+    ingredients: plan.ingredients?.length > 0 ? plan.ingredients : parseIngredients(plan.meal?.ingredients)
+  };
+}
+
+/**
+ * A generated dish as a constraint check entry
+ * @param {object} meal - Dish with its date and mealType
+ * @returns {object}
+ */
+function mealEntry(meal) {
+  return {
+    date: meal.date,
+    day: dayName(meal.date),
+    mealType: meal.mealType,
+    name: meal.name,
+    cuisine: meal.cuisine ?? null,
+    prepTime: meal.prepTime ?? null,
+    calories: meal.calories ?? meal.estimatedCalories ?? null,
+    ingredients: meal.ingredients || []
+  };
+}
+
+/**
+ * The planned dishes, as the AI is told about them
+ * @param {Array} plans - MealPlan rows
+ * @returns {Array<{date: string, day: string, mealType: string, name: string, cuisine: string|null, calories: number|null}>}
+ */
+export function plannedSummary(plans) {
+  return plans
+    .map(planEntry)
+    .filter(Boolean)
+    .map(({ date, day, mealType, name, cuisine, calories }) => ({ date, day, mealType, name, cuisine, calories }));
+}
+
+/**
+ * What the planner constraints are checked with: the constraints themselves,
+ * the calorie goal, dietary rules and the meals eaten in the no-repeat
+ * window before the week
+ * @param {object} prisma
+ * @param {string} weekStart - YYYY-MM-DD, the first day being checked
+ * @param {object} context - From buildFullAIContext
+ * @returns {Promise<object>} Options for checkWeekConstraints
+ */
+export async function loadConstraintCheck(prisma, weekStart, context) {
+  const constraints = await getPlanConstraints(prisma);
+  const history = constraints.noRepeatDays === null
+    ? []
+    : await prisma.mealHistory.findMany({
+      where: { eatenAt: { gte: new Date(new Date(weekStart).getTime() - constraints.noRepeatDays * DAY_MS) } },
+      select: { mealName: true, eatenAt: true }
+    });
+
+  return {
+    constraints,
+    dailyGoal: context.calorieContext.dailyGoal,
+    dietaryRules: context.dietaryRules,
+    history
+  };
+}
+
+/**
+ * Check a week's meal plan against the planner constraints
+ * @param {Array} weekPlans - The week's MealPlan rows
+ * @param {object} check - From loadConstraintCheck
+ * @returns {object} Report from checkWeekConstraints
+ */
+export function checkWeekPlans(weekPlans, check) {
+  return checkWeekConstraints(weekPlans.map(planEntry).filter(Boolean), check);
+}
+
+const violationCount = report => report.rules.reduce((sum, rule) => sum + rule.violations.length, 0);
+
+/**
+ * Dishes for the slots: the week plan when the whole week is asked for,
+ * otherwise just the slots around the rest of the week
+ * @returns {Promise<Array<{date: string, mealType: string}>>} Meals with their slot
+ */
+async function generateSlotDishes({ slots, weekStart, kept, replaced, context, constraints }) {
+  const shared = {
+    inventory: context.inventoryFormatted,
+    recentMeals: context.recentMealNames.join(', '),
+    reviewContext: context.reviewContext,
+    rejectionInsights: context.rejectionInsights,
+    dietaryRules: context.dietaryRules,
+    calorieContext: { dailyGoal: context.calorieContext.dailyGoal },
+    constraints
+  };
+
+  if (weekStart && slots.length === PLAN_MEAL_TYPES.length * 7) {
+    const { weekPlan } = await generateWeekMealPlan({ weekStart, ...shared });
+    return weekPlan.flatMap(day => Object.entries(day.meals)
+      .filter(([, meal]) => meal?.name)
+      .map(([mealType, meal]) => ({ ...meal, date: day.date, mealType })));
+  }
+
+  const { meals } = await generatePlanSlots({
+    slots,
+    planned: plannedSummary(kept),
+    replacing: replaced.map(plan => plan.dishName || plan.meal?.name).filter(Boolean),
+    ...shared
+  });
+  return meals;
+}
+
+/**
+ * Plan the new dishes that break a constraint again, a round at a time,
+ * keeping a round only if it leaves fewer violations than before
+ * @returns {Promise<{meals: Array, report: object}>}
+ */
+async function repairConstraintViolations({ meals, kept, context, check }) {
+  const keptEntries = kept.map(planEntry).filter(Boolean);
+  const checkMeals = list => checkWeekConstraints([...keptEntries, ...list.map(mealEntry)], check);
+  let report = checkMeals(meals);
+
+  for (let round = 0; round < MAX_REPAIR_ROUNDS && !report.passed; round++) {
+    const generated = new Set(meals.map(meal => slotKey(meal.date, meal.mealType)));
+    const broken = violatingSlots(report).filter(slot => generated.has(slotKey(slot.date, slot.mealType)));
+    if (broken.length === 0) break;
+
+    const brokenKeys = new Set(broken.map(slot => slotKey(slot.date, slot.mealType)));
+    const others = meals.filter(meal => !brokenKeys.has(slotKey(meal.date, meal.mealType)));
+    const { meals: retried } = await generatePlanSlots({
+      slots: broken.map(({ date, mealType }) => ({ date, day: dayName(date), mealType })),
+      planned: [...keptEntries, ...others.map(mealEntry)],
+      replacing: meals.filter(meal => brokenKeys.has(slotKey(meal.date, meal.mealType))).map(meal => meal.name),
+      problems: broken.flatMap(slot => slot.messages),
+      inventory: context.inventoryFormatted,
+      recentMeals: context.recentMealNames.join(', '),
+      reviewContext: context.reviewContext,
+      rejectionInsights: context.rejectionInsights,
+      dietaryRules: context.dietaryRules,
+      calorieContext: { dailyGoal: context.calorieContext.dailyGoal },
+      constraints: check.constraints
+    });
+
+    const candidate = [...others, ...retried];
+    const retriedReport = checkMeals(candidate);
+    if (violationCount(retriedReport) >= violationCount(report)) break;
+    meals = candidate;
+    report = retriedReport;
+  }
+
+  return { meals, report };
+}
+
+/**
+ * Plan new dishes for some slots and save them. A slot's entry that isn't
+ * eaten yet gets the new dish in place (keeping its id and notes); any other
+ * uneaten entries in the slot are removed. Eaten entries are never changed.
+ * New dishes that break a planner constraint are planned again before saving.
+ * A slot no dish could be planned for that keeps the dietary rules is left
+ * as it was.
+ * @param {object} prisma
+ * @param {object} options
+ * @param {Array<{date: string, day: string, mealType: string}>} options.slots - Slots to plan
+ * @param {Array} options.weekPlans - The week's MealPlan rows
+ * @param {object} options.context - From buildFullAIContext
+ * @param {string} [options.weekStart] - Set when planning a whole week, so
+ *   an empty week is planned in one go
+ * @returns {Promise<{created: Array, replaced: Array, removed: number, unfilled: Array, report: object}>}
+ *   unfilled lists the slots left as they were; report is the saved week's
+ *   constraint check
+ */
+export async function planSlots(prisma, { slots, weekPlans, context, weekStart }) {
+  const wanted = new Set(slots.map(slot => slotKey(slot.date, slot.mealType)));
+  const replacing = new Map();
+  const extra = [];
+  const kept = [];
+  for (const plan of weekPlans) {
+    const key = slotKey(plan.date, plan.mealType);
+    if (!wanted.has(key) || plan.completed) kept.push(plan);
+    else if (replacing.has(key)) extra.push(plan);
+    else replacing.set(key, plan);
+  }
+
+  const firstDate = [...slots.map(slot => slot.date), ...kept.map(plan => formatDate(plan.date))].sort()[0];
+  const check = await loadConstraintCheck(prisma, firstDate, context);
+  const generated = await generateSlotDishes({
+    slots,
+    weekStart,
+    kept,
+    replaced: [...replacing.values()],
+    context,
+    constraints: check.constraints
+  });
+  const { meals, report } = await repairConstraintViolations({ meals: generated, kept, context, check });
+
+  return prisma.$transaction(async (tx) => {
+    const created = [];
+    const replaced = [];
+    for (const meal of meals) {
+      const existing = replacing.get(slotKey(meal.date, meal.mealType));
+      if (existing) {
+        replaced.push(await tx.mealPlan.update({
+          where: { id: existing.id },
+          data: { ...plannedDishData(meal, { replace: true }), mealId: null, recipeId: null },
+          include: PLAN_INCLUDE
+        }));
+      } else {
+        created.push(await tx.mealPlan.create({
+          data: { date: new Date(meal.date), mealType: meal.mealType, ...plannedDishData(meal) },
+          include: PLAN_INCLUDE
+        }));
+      }
+    }
+
+    if (extra.length > 0) {
+      await tx.mealPlan.deleteMany({ where: { id: { in: extra.map(plan => plan.id) } } });
+    }
+    const planned = new Set(meals.map(meal => slotKey(meal.date, meal.mealType)));
+    const unfilled = slots
+      .filter(slot => !planned.has(slotKey(slot.date, slot.mealType)))
+      .map(({ date, mealType }) => ({ date, mealType }));
+    return { created, replaced, removed: extra.length, unfilled, report };
+  });
+}
@@ -0,0 +1,375 @@
+/**
+ * Repair near-miss AI responses before schema validation
+ * Handles cuisine aliases, string quantities and times, alternate field
+ * names and loosely shaped week plans. Anything that cannot be repaired
+ * is left as-is for the schema to reject.
+ */
+
+import { CuisineEnum, DayNameEnum } from '../validators/index.js';
+
+const CUISINES = new Set(CuisineEnum.options);
+const DAY_NAMES = DayNameEnum.options;
+const PLAN_MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+export const CUISINE_ALIASES = {
+  indo_chinese: 'chinese',
+  hakka: 'chinese',
+  cantonese: 'chinese',
+  sichuan: 'chinese',
+  szechuan: 'chinese',
+  mughlai: 'north_indian',
+  awadhi: 'north_indian',
+  kashmiri: 'north_indian',
+  udupi: 'south_indian',
+  karnataka: 'south_indian',
+  kannada: 'south_indian',
+  tamil: 'south_indian',
+  chettinad: 'south_indian',
+  andhra: 'south_indian',
+  mangalorean: 'south_indian',
+  malabar: 'kerala',
+  konkani: 'goan',
+  parsi: 'indian',
+  sindhi: 'indian',
+  odia: 'bengali',
+  mexican_american: 'tex_mex',
+  texmex: 'tex_mex',
+  levantine: 'middle_eastern',
+  arabic: 'arab',
+  pan_asian: 'fusion',
+  asian: 'fusion',
+  asian_fusion: 'fusion',
+  barbecue: 'bbq',
+  american_bbq: 'bbq',
+  english: 'british',
+  street: 'street_food',
+  comfort: 'comfort_food',
+  sea_food: 'seafood'
+};
+
+const UNICODE_FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+
+/**
+ * Map a free-form cuisine to a CuisineEnum value
+ * @param {any} value - e.g. "South Indian", "indo-chinese", "Italian cuisine"
+ * @param {string} [fallback='other'] - Used when nothing matches
+ * @returns {string}
+ */
+export function normalizeCuisine(value, fallback = 'other') {
+  if (typeof value !== 'string') return fallback;
+
+  const key = value
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/\bcuisine\b/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '_');
+
+  if (CUISINES.has(key)) return key;
+  if (CUISINE_ALIASES[key]) return CUISINE_ALIASES[key];
+
+  // "Authentic Punjabi" / "Punjabi style"
+  const word = key.split('_').find(part => CUISINES.has(part) || CUISINE_ALIASES[part]);
+  if (word) return CUISINES.has(word) ? word : CUISINE_ALIASES[word];
+
+  return fallback;
+}
+
+/**
+ * Parse a quantity that may be a number or a string
+ * @param {any} value - e.g. 2, "200", "1/2", "1 ½", "200g", "2-3"
+ * @returns {{quantity: number|null, unit: string|null}}
+ */
+export function parseQuantity(value) {
+  if (typeof value === 'number') {
+    return { quantity: Number.isFinite(value) && value > 0 ? value : null, unit: null };
+  }
+  if (typeof value !== 'string') return { quantity: null, unit: null };
+
+  let text = value.trim().toLowerCase();
+  for (const [char, num] of Object.entries(UNICODE_FRACTIONS)) {
+    text = text.replace(new RegExp(`(\\d)?\\s*${char}`), (_, whole) => String((whole ? parseInt(whole, 10) : 0) + num));
+  }
+
+  // Whole and fraction: "1 1/2"
+  let match = text.match(/^(\d+)\s+(\d+)\/(\d+)\s*([a-z]*)/);
+  if (match) {
+    return {
+      quantity: parseInt(match[1], 10) + parseInt(match[2], 10) / parseInt(match[3], 10),
+      unit: match[4] || null
+    };
+  }
+
+  // Fraction: "1/2"
+  match = text.match(/^(\d+)\/(\d+)\s*([a-z]*)/);
+  if (match && parseInt(match[2], 10) > 0) {
+    return { quantity: parseInt(match[1], 10) / parseInt(match[2], 10), unit: match[3] || null };
+  }
+
+  // Number, optionally a range ("2-3" takes the upper bound), optionally followed by a unit
+  match = text.match(/^(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*([a-z]*)/);
+  if (match) {
+    const quantity = parseFloat(match[2] ?? match[1]);
+    return { quantity: quantity > 0 ? quantity : null, unit: match[3] || null };
+  }
+
+  return { quantity: null, unit: null };
+}
+
+/**
+ * Parse a whole number like prep time or calories
+ * @param {any} value - e.g. 30, "30", "30 minutes", "450 kcal", "1 hour"
+ * @returns {number|null}
+ */
+export function parseWholeNumber(value) {
+  if (typeof value === 'string' && /\b(hour|hr)s?\b/i.test(value)) {
+    const { quantity } = parseQuantity(value);
+    return quantity ? Math.round(quantity * 60) : null;
+  }
+  const { quantity } = parseQuantity(value);
+  return quantity ? Math.round(quantity) : null;
+}
+
+/**
+ * Normalize an ingredient to { name, quantity, unit }
+ * @param {any} ingredient - Object using name or item, or a plain string
+ * @returns {object}
+ */
+export function normalizeIngredient(ingredient) {
+  if (typeof ingredient === 'string') {
+    return { name: ingredient.trim(), quantity: null, unit: null };
+  }
+  if (!ingredient || typeof ingredient !== 'object') return ingredient;
+
+  const parsed = parseQuantity(ingredient.quantity ?? ingredient.amount);
+  const unit = typeof ingredient.unit === 'string' && ingredient.unit.trim()
+    ? ingredient.unit.trim()
+    : parsed.unit;
+
+  return {
+    name: String(ingredient.name ?? ingredient.item ?? '').trim(),
+    quantity: parsed.quantity,
+    unit: unit || null
+  };
+}
+
+/**
+ * Normalize one meal suggestion
+ * @param {any} meal
+ * @param {object} [defaults] - Values to use when the AI omitted them
+ * @returns {object}
+ */
+export function normalizeMeal(meal, defaults = {}) {
+  if (!meal || typeof meal !== 'object') return meal;
+
+  const ingredients = Array.isArray(meal.ingredients) ? meal.ingredients : [];
+  const mealType = typeof meal.mealType === 'string' ? meal.mealType.toLowerCase().trim() : defaults.mealType;
+
+  return {
+    ...meal,
+    name: typeof meal.name === 'string' ? meal.name.trim() : meal.name,
+    cuisine: normalizeCuisine(meal.cuisine, defaults.cuisine),
+    ...(mealType && { mealType }),
+    prepTime: parseWholeNumber(meal.prepTime) ?? defaults.prepTime ?? 30,
+    estimatedCalories: parseWholeNumber(meal.estimatedCalories ?? meal.calories),
+    ingredients: ingredients.map(normalizeIngredient).filter(i => i?.name)
+  };
+}
+
+/**
+ * Normalize a suggestions response
+ * @param {any} raw
+ * @param {object} [defaults] - e.g. { mealType, cuisine } the user asked for
+ * @returns {object}
+ */
+export function normalizeSuggestions(raw, defaults = {}) {
+  const list = Array.isArray(raw) ? raw : raw?.suggestions ?? raw?.meals;
+  if (!Array.isArray(list)) return raw;
+
+  return {
+    ...(Array.isArray(raw) ? {} : raw),
+    suggestions: list.filter(m => m?.name).map(m => normalizeMeal(m, defaults))
+  };
+}
+
+/**
+ * Normalize a chat response
+ * @param {any} raw
+ * @param {object} [defaults]
+ * @returns {object}
+ */
+export function normalizeChatResponse(raw, defaults = {}) {
+  if (!raw || typeof raw !== 'object') return raw;
+
+  const suggestions = Array.isArray(raw.suggestions) ? raw.suggestions : [];
+  return {
+    ...raw,
+    message: typeof raw.message === 'string' ? raw.message.trim() : raw.message,
+    suggestions: suggestions.filter(m => m?.name).map(m => normalizeMeal(m, defaults))
+  };
+}
+
+function normalizeDayName(value) {
+  if (typeof value !== 'string') return null;
+  const prefix = value.trim().slice(0, 3).toLowerCase();
+  return DAY_NAMES.find(d => d.slice(0, 3).toLowerCase() === prefix) || null;
+}
+
+function dayNameFromDate(dateStr, weekStart) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(dateStr)) return null;
+  const offset = Math.round((Date.parse(dateStr.slice(0, 10)) - Date.parse(weekStart)) / 86400000);
+  return offset >= 0 && offset < 7 ? DAY_NAMES[offset] : null;
+}
+
+/**
+ * Collect a day's meals whether given as an object, an array or inline on the day
+ * @param {object} dayPlan
+ * @returns {object} Map of mealType to meal
+ */
+function collectDayMeals(dayPlan) {
+  const { meals } = dayPlan;
+  const collected = {};
+
+  if (Array.isArray(meals)) {
+    for (const meal of meals) {
+      const type = String(meal?.mealType ?? meal?.type ?? '').toLowerCase();
+      if (PLAN_MEAL_TYPES.includes(type)) collected[type] = meal;
+    }
+  } else if (meals && typeof meals === 'object') {
+    for (const [type, meal] of Object.entries(meals)) {
+      collected[type.toLowerCase()] = meal;
+    }
+  }
+
+  for (const type of PLAN_MEAL_TYPES) {
+    if (!collected[type] && dayPlan[type]) collected[type] = dayPlan[type];
+  }
+  return collected;
+}
+
+/**
+ * Normalize a week plan response
+ * Resolves day names from abbreviations, dates or position, and
+ * reshapes meals into { breakfast, lunch, dinner }.
+ * @param {any} raw
+ * @param {string} weekStart - YYYY-MM-DD of the Monday
+ * @returns {object}
+ */
+export function normalizeWeekPlan(raw, weekStart) {
+  const days = Array.isArray(raw) ? raw : raw?.weekPlan ?? raw?.week ?? raw?.days;
+  if (!Array.isArray(days)) return raw;
+
+  const used = new Set();
+  const resolved = days.filter(d => d && typeof d === 'object').map(dayPlan => {
+    let day = normalizeDayName(dayPlan.day) || dayNameFromDate(dayPlan.date, weekStart);
+    if (day && used.has(day)) day = null;
+    if (day) used.add(day);
+    return { dayPlan, day };
+  });
+
+  // Days we still can't place take the first free slot in order
+  for (const entry of resolved) {
+    if (entry.day) continue;
+    entry.day = DAY_NAMES.find(d => !used.has(d)) || entry.dayPlan.day;
+    used.add(entry.day);
+  }
+
+  const weekPlan = resolved.map(({ dayPlan, day }) => {
+    const meals = collectDayMeals(dayPlan);
+    const normalized = {};
+    for (const [type, meal] of Object.entries(meals)) {
+      normalized[type] = normalizeMeal(meal);
+    }
+
+    const offset = DAY_NAMES.indexOf(day);
+    const date = new Date(`${weekStart}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offset);
+
+    return {
+      day,
+      ...(offset >= 0 && { date: date.toISOString().split('T')[0] }),
+      meals: normalized
+    };
+  });
+
+  weekPlan.sort((a, b) => DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day));
+  return { weekPlan };
+}
+
+/**
+ * Normalize a response filling some meal plan slots
+ * Takes dates from the day name when missing, and places meals that name
+ * neither by their position in the requested slots.
+ * @param {any} raw
+ * @param {Array<{date: string, day: string, mealType: string}>} slots - The slots asked for
+ * @returns {object}
+ */
+export function normalizePlanSlots(raw, slots) {
+  const list = Array.isArray(raw) ? raw : raw?.meals ?? raw?.slots ?? raw?.suggestions;
+  if (!Array.isArray(list)) return raw;
+
+  const meals = list.filter(m => m?.name).map((meal, index) => {
+    const mealType = String(meal.mealType ?? meal.type ?? '').toLowerCase().trim();
+    let date = typeof meal.date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(meal.date) ? meal.date.slice(0, 10) : null;
+    if (!date) {
+      const day = normalizeDayName(meal.day);
+      date = slots.find(s => s.day === day && (!mealType || s.mealType === mealType))?.date ?? null;
+    }
+
+    const slot = slots[index];
+    return {
+      ...normalizeMeal(meal),
+      date: date ?? slot?.date,
+      mealType: mealType || slot?.mealType
+    };
+  });
+
+  return { meals };
+}
+
+/**
+ * Normalize a recipe response
+ * @param {any} raw
+ * @param {object} meal - The meal the recipe was requested for
+ * @returns {object}
+ */
+export function normalizeRecipe(raw, meal = {}) {
+  if (!raw || typeof raw !== 'object') return raw;
+
+  const ingredients = Array.isArray(raw.ingredients) ? raw.ingredients : [];
+  const instructions = Array.isArray(raw.instructions) ? raw.instructions : [];
+  let tips = raw.tips ?? [];
+  if (typeof tips === 'string') tips = [tips];
+
+  return {
+    ...raw,
+    mealName: typeof raw.mealName === 'string' && raw.mealName.trim() ? raw.mealName.trim() : meal.name,
+    cuisine: normalizeCuisine(raw.cuisine, normalizeCuisine(meal.cuisine)),
+    prepTime: parseWholeNumber(raw.prepTime) ?? meal.prepTime ?? 30,
+    cookTime: parseWholeNumber(raw.cookTime) ?? 20,
+    servings: parseWholeNumber(raw.servings) ?? 2,
+    calories: parseWholeNumber(raw.calories) ?? meal.estimatedCalories ?? null,
+    ingredients: ingredients
+      .map(ing => {
+        const normalized = normalizeIngredient(ing);
+        if (!normalized?.name) return null;
+        const { name, ...rest } = normalized;
+        return {
+          item: name,
+          ...rest,
+          ...(typeof ing?.notes === 'string' && ing.notes && { notes: ing.notes })
+        };
+      })
+      .filter(Boolean),
+    instructions: instructions
+      .map((step, i) => (typeof step === 'string'
+        ? { step: i + 1, text: step.trim() }
+        : step && {
+          ...step,
+          step: parseWholeNumber(step.step) ?? i + 1,
+          ...(step.time !== undefined && { time: String(step.time) })
+        }))
+      .filter(Boolean),
+    tips: Array.isArray(tips) ? tips.filter(t => typeof t === 'string') : []
+  };
+}
@@ -4,6 +4,9 @@
  */
 
 import { daysAgo, startOfDay, tomorrow } from './date.js';
+import { getDietaryRules } from './dietary-rules.js';
+import { defaultIngredientResolver, getIngredientResolver, ingredientTokens } from './ingredients.js';
+import { expiryStatus, daysUntilExpiry, describeDaysLeft, findExpiring } from './expiry.js';
 
 // Configuration constants
 export const CONFIG = {
@@ -14,7 +17,24 @@ export const CONFIG = {
   DEFAULT_CALORIE_GOAL: 2000,
   HIGH_RATED_MEALS_LIMIT: 10,
   LOW_RATED_MEALS_LIMIT: 5,
-  RECENT_REVIEWS_LIMIT: 7
+  RECENT_REVIEWS_LIMIT: 7,
+  REJECTION_CONTEXT_DAYS: 90,
+  REJECTION_PATTERN_MIN: 2,
+  REJECTED_MEALS_LIMIT: 10,
+  PATTERN_DOMINANCE: 0.75
+};
+
+/**
+ * Recurring reasons for turning suggestions down, matched against the
+ * free-text reason the user gave
+ */
+export const REJECTION_THEMES = {
+  heavy: { label: 'too heavy', pattern: /\b(heavy|rich|oily|greasy|filling|creamy)\b/i },
+  spicy: { label: 'too spicy', pattern: /\b(too spicy|spicy|too hot|chill?i)\b/i },
+  effort: { label: 'too much effort or time', pattern: /\b(long|time|effort|complicated|elaborate|tired|lazy|quick|quicker)\b/i },
+  bland: { label: 'too bland or boring', pattern: /\b(bland|boring|plain|same|again)\b/i },
+  unhealthy: { label: 'not healthy enough', pattern: /\b(unhealthy|healthy|junk|fried|calories?)\b/i },
+  ingredients: { label: 'missing ingredients', pattern: /\b(don'?t have|out of|missing|no \w+ (at home|left))\b/i }
 };
 
 /**
@@ -189,6 +209,100 @@ export async function getReviewContext(prisma, days = CONFIG.REVIEW_CONTEXT_DAYS
   };
 }
 
+const isWeekend = date => [0, 6].includes(new Date(date).getDay());
+
+/**
+ * Return the value that makes up at least PATTERN_DOMINANCE of a list, if any
+ * @param {Array} values
+ * @returns {*}
+ */
+function dominant(values) {
+  const counts = {};
+  for (const value of values) {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  }
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top && top[1] >= values.length * CONFIG.PATTERN_DOMINANCE ? top[0] : null;
+}
+
+/**
+ * Get long-term rejection patterns from rejected suggestions
+ * @param {object} prisma - Prisma client instance
+ * @param {number} [days=90] - Number of days to look back
+ * @returns {Promise<{repeatedMeals: Array, themes: Array, cuisines: Array, total: number}>}
+ */
+export async function getRejectionContext(prisma, days = CONFIG.REJECTION_CONTEXT_DAYS) {
+  const since = daysAgo(days);
+
+  const rejections = await prisma.rejectedSuggestion.findMany({
+    where: { createdAt: { gte: since } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  // Meals turned down more than once
+  const meals = {};
+  for (const r of rejections) {
+    const key = r.mealName.toLowerCase();
+    if (!meals[key]) meals[key] = { name: r.mealName, count: 0 };
+    meals[key].count += 1;
+  }
+  const repeatedMeals = Object.values(meals)
+    .filter(m => m.count >= CONFIG.REJECTION_PATTERN_MIN)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, CONFIG.REJECTED_MEALS_LIMIT);
+
+  // Recurring reasons, with when they tend to come up
+  const themes = Object.entries(REJECTION_THEMES)
+    .map(([theme, { label, pattern }]) => {
+      const matches = rejections.filter(r => r.reason && pattern.test(r.reason));
+      return {
+        theme,
+        label,
+        count: matches.length,
+        when: dominant(matches.map(r => (isWeekend(r.createdAt) ? 'weekends' : 'weekdays'))),
+        mealType: dominant(matches.map(r => r.mealType))
+      };
+    })
+    .filter(t => t.count >= CONFIG.REJECTION_PATTERN_MIN)
+    .sort((a, b) => b.count - a.count);
+
+  // Cuisines turned down often
+  const cuisineCounts = {};
+  for (const r of rejections) {
+    if (r.cuisine) cuisineCounts[r.cuisine] = (cuisineCounts[r.cuisine] || 0) + 1;
+  }
+  const cuisines = Object.entries(cuisineCounts)
+    .map(([cuisine, count]) => ({ cuisine, count }))
+    .filter(c => c.count >= CONFIG.REJECTION_PATTERN_MIN)
+    .sort((a, b) => b.count - a.count);
+
+  return { repeatedMeals, themes, cuisines, total: rejections.length };
+}
+
+/**
+ * Format rejection patterns for AI prompt
+ * @param {object} rejectionContext - From getRejectionContext
+ * @returns {string} One pattern per line, or '' when there are none
+ */
+export function formatRejectionsForPrompt(rejectionContext) {
+  if (!rejectionContext) return '';
+  const { repeatedMeals = [], themes = [], cuisines = [] } = rejectionContext;
+  const lines = [];
+
+  for (const t of themes) {
+    const when = [t.when, t.mealType].filter(Boolean).join(', ');
+    lines.push(`- Rejected ${t.count} times as ${t.label}${when ? ` (mostly ${when})` : ''}`);
+  }
+  if (repeatedMeals.length > 0) {
+    lines.push(`- Repeatedly turned down: ${repeatedMeals.map(m => `${m.name} (${m.count}x)`).join(', ')}`);
+  }
+  if (cuisines.length > 0) {
+    lines.push(`- Often rejected cuisines: ${cuisines.map(c => `${c.cuisine} (${c.count}x)`).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Get current inventory
  * @param {object} prisma - Prisma client instance
@@ -196,19 +310,31 @@ export async function getReviewContext(prisma, days = CONFIG.REVIEW_CONTEXT_DAYS
  */
 export async function getInventory(prisma) {
   return prisma.inventoryItem.findMany({
-    select: { name: true, quantity: true, unit: true }
+    select: { name: true, quantity: true, unit: true, expiresAt: true }
   });
 }
 
 /**
- * Format inventory for AI prompt
+ * Format inventory for AI prompt. Items stocked under a local name also give
+ * the canonical one, e.g. "Dahi [Curd] (500 g)", and items about to expire
+ * say so, e.g. "Spinach (200 g, expires tomorrow)"
  * @param {Array} inventory
+ * @param {object} [resolver] - From createIngredientResolver
  * @returns {string}
  */
-export function formatInventoryForPrompt(inventory) {
+export function formatInventoryForPrompt(inventory, resolver = defaultIngredientResolver) {
   if (!inventory?.length) return 'No inventory information available';
   return inventory
-    .map(i => `${i.name}${i.quantity ? ` (${i.quantity}${i.unit ? ' ' + i.unit : ''})` : ''}`)
+    .map(i => {
+      const isCanonical = ingredientTokens(i.name).join(' ') === resolver.key(i.name);
+      const label = isCanonical ? i.name : `${i.name} [${resolver.canonicalName(i.name)}]`;
+      const status = expiryStatus(i);
+      const details = [
+        i.quantity ? `${i.quantity}${i.unit ? ' ' + i.unit : ''}` : null,
+        status === 'expiring' || status === 'expired' ? describeDaysLeft(daysUntilExpiry(i.expiresAt)) : null
+      ].filter(Boolean);
+      return `${label}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+    })
     .join(', ');
 }
 
@@ -225,24 +351,34 @@ export async function buildFullAIContext(prisma) {
     recentMealNames,
     yesterdayCuisines,
     calorieContext,
-    reviewContext
+    reviewContext,
+    rejectionContext,
+    dietaryRules,
+    ingredientResolver
   ] = await Promise.all([
     getInventory(prisma),
     getRecentMeals(prisma),
     getRecentMealNames(prisma),
     getYesterdayCuisines(prisma),
     getCalorieContext(prisma),
-    getReviewContext(prisma)
+    getReviewContext(prisma),
+    getRejectionContext(prisma),
+    getDietaryRules(prisma),
+    getIngredientResolver(prisma)
   ]);
 
   return {
     inventory,
-    inventoryFormatted: formatInventoryForPrompt(inventory),
+    inventoryFormatted: formatInventoryForPrompt(inventory, ingredientResolver),
+    expiring: findExpiring(inventory, { includeExpired: false }),
     recentMeals,
     recentMealNames,
     yesterdayCuisines,
     calorieContext,
-    reviewContext
+    reviewContext,
+    rejectionContext,
+    rejectionInsights: formatRejectionsForPrompt(rejectionContext),
+    dietaryRules
   };
 }
 
@@ -0,0 +1,76 @@
+/**
+ * CSV reading and writing
+ * Enough of RFC 4180 for spreadsheets: quoted fields with commas, quotes
+ * and line breaks, CRLF or LF line endings and a leading byte order mark.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @returns {string[][]} Rows, blank lines left out
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+// Text a spreadsheet would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a field when it needs it. Text that a spreadsheet would take for a
+ * formula ("=HYPERLINK(...)", "@SUM(...)") gets a leading ' so it opens as text.
+ * @param {any} value - null and undefined become empty fields
+ * @returns {string}
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV text
+ * @param {Array<Array<any>>} rows
+ * @returns {string} CRLF line endings, with a trailing line break
+ */
+export function formatCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,233 @@
+/**
+ * Household dietary rules
+ * Stored as JSON in the `dietaryRules` preference. Used to tell the AI what
+ * is off the table and to check what comes back.
+ */
+
+import { dietaryRulesSchema, DayNameEnum } from '../validators/index.js';
+import { safeJsonParse } from './json.js';
+
+export const DIETARY_RULES_KEY = 'dietaryRules';
+
+export const DEFAULT_DIETARY_RULES = dietaryRulesSchema.parse({});
+
+// Words that give a dish away, matched as whole words (with plurals)
+export const MEAT_TERMS = {
+  beef: ['beef', 'steak', 'veal', 'brisket', 'pastrami', 'corned beef'],
+  pork: ['pork', 'bacon', 'ham', 'sausage', 'pepperoni', 'salami', 'prosciutto', 'chorizo', 'lard', 'pancetta'],
+  chicken: ['chicken', 'murgh', 'turkey', 'duck'],
+  mutton: ['mutton', 'lamb', 'goat', 'gosht', 'keema', 'nihari', 'rogan josh'],
+  fish: ['fish', 'salmon', 'tuna', 'pomfret', 'surmai', 'rohu', 'hilsa', 'mackerel', 'sardine', 'anchovy', 'macher', 'meen'],
+  seafood: ['prawn', 'shrimp', 'crab', 'lobster', 'squid', 'calamari', 'mussel', 'clam', 'oyster', 'jhinga']
+};
+
+const EGG_TERMS = ['egg', 'omelette', 'omelet', 'anda', 'mayonnaise', 'mayo'];
+const ONION_GARLIC_TERMS = ['onion', 'garlic', 'shallot', 'leek', 'scallion', 'spring onion', 'chive', 'kanda', 'pyaz', 'lehsun'];
+const JAIN_ROOT_TERMS = ['potato', 'aloo', 'carrot', 'beetroot', 'radish', 'mooli', 'ginger', 'sweet potato', 'yam', 'turnip', 'arbi'];
+
+// Common names an allergen hides behind
+export const ALLERGEN_ALIASES = {
+  peanut: ['peanut', 'groundnut', 'moongphali', 'shengdana', 'satay'],
+  'tree nut': ['almond', 'cashew', 'kaju', 'badam', 'walnut', 'pistachio', 'pista', 'hazelnut', 'pecan'],
+  dairy: ['milk', 'paneer', 'cheese', 'butter', 'ghee', 'cream', 'curd', 'yogurt', 'yoghurt', 'dahi', 'khoya', 'malai', 'raita', 'lassi'],
+  gluten: ['wheat', 'atta', 'maida', 'bread', 'naan', 'roti', 'paratha', 'pasta', 'noodle', 'semolina', 'rava', 'sooji', 'barley'],
+  soy: ['soy', 'soya', 'tofu', 'edamame'],
+  sesame: ['sesame', 'til', 'tahini'],
+  shellfish: MEAT_TERMS.seafood,
+  egg: EGG_TERMS,
+  fish: MEAT_TERMS.fish
+};
+
+// Other names households give the allergens above. "Nuts" covers both
+// peanuts and tree nuts.
+const ALLERGEN_NAMES = {
+  nut: ['peanut', 'tree nut'],
+  nuts: ['peanut', 'tree nut'],
+  peanuts: ['peanut'],
+  groundnut: ['peanut'],
+  groundnuts: ['peanut'],
+  'tree nuts': ['tree nut'],
+  milk: ['dairy'],
+  lactose: ['dairy'],
+  soya: ['soy'],
+  eggs: ['egg']
+};
+
+const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function matcher(terms) {
+  const pattern = new RegExp(`\\b(${terms.map(escape).join('|')})(e?s)?\\b`, 'i');
+  return text => text.match(pattern)?.[1]?.toLowerCase() ?? null;
+}
+
+const ALL_MEAT_TERMS = Object.values(MEAT_TERMS).flat();
+const findMeat = matcher(ALL_MEAT_TERMS);
+const findEgg = matcher(EGG_TERMS);
+const findOnionGarlic = matcher(ONION_GARLIC_TERMS);
+const findRootVegetable = matcher(JAIN_ROOT_TERMS);
+
+/**
+ * Terms to look for for one allergen (its aliases, or the word itself)
+ * @param {string} allergen
+ * @returns {string[]}
+ */
+function allergenTerms(allergen) {
+  const name = allergen.trim().toLowerCase();
+  const keys = ALLERGEN_NAMES[name] ?? (ALLERGEN_ALIASES[name] ? [name] : null);
+  if (keys) return keys.flatMap(key => ALLERGEN_ALIASES[key]);
+
+  // The matcher finds plurals of a term but not singulars, so "lentils"
+  // looks for "lentil" too
+  return /[^s]s$/.test(name) ? [name, name.slice(0, -1)] : [name];
+}
+
+/**
+ * Parse stored rules, filling in defaults for anything missing or invalid
+ * @param {string|object} value - Stored preference value
+ * @returns {object} Dietary rules
+ */
+export function parseDietaryRules(value) {
+  const raw = typeof value === 'string' ? safeJsonParse(value, {}) : value;
+  const result = dietaryRulesSchema.safeParse(raw || {});
+  return result.success ? result.data : DEFAULT_DIETARY_RULES;
+}
+
+/**
+ * Load the household's dietary rules
+ * @param {object} prisma - Prisma client instance
+ * @returns {Promise<object>} Dietary rules
+ */
+export async function getDietaryRules(prisma) {
+  const pref = await prisma.userPreferences.findUnique({
+    where: { key: DIETARY_RULES_KEY }
+  });
+  return parseDietaryRules(pref?.value);
+}
+
+/**
+ * Whether any rule is set
+ * @param {object} rules
+ * @returns {boolean}
+ */
+export function hasDietaryRules(rules) {
+  if (!rules) return false;
+  return rules.vegetarianDays.length > 0 ||
+    rules.avoidMeats.length > 0 ||
+    rules.allergens.length > 0 ||
+    rules.jain ||
+    rules.noOnionGarlic;
+}
+
+/**
+ * Day name for a date
+ * @param {Date|string} [date=new Date()]
+ * @returns {string} e.g. 'Tuesday'
+ */
+export function dayName(date = new Date()) {
+  const d = new Date(date);
+  return DayNameEnum.options[(d.getDay() + 6) % 7];
+}
+
+/**
+ * Whether a date falls on a vegetarian day
+ * @param {object} rules
+ * @param {Date|string} [date]
+ * @returns {boolean}
+ */
+export function isVegetarianDay(rules, date) {
+  return Boolean(rules?.vegetarianDays.includes(dayName(date)));
+}
+
+/**
+ * Check a dish against the rules
+ * @param {object} meal - Anything with a name and optional ingredients
+ *   ({ name } or { item }) - suggestions, plan meals and recipes all work
+ * @param {object} rules
+ * @param {object} [options]
+ * @param {boolean} [options.vegetarian] - Whether the dish must be vegetarian (e.g. a veg day)
+ * @returns {Array<{rule: string, term: string, message: string}>} Violations, empty when allowed
+ */
+export function checkMeal(meal, rules, { vegetarian = false } = {}) {
+  if (!rules || !meal) return [];
+
+  const texts = [
+    meal.name ?? meal.mealName,
+    ...(meal.ingredients || []).map(i => (typeof i === 'string' ? i : i?.name ?? i?.item))
+  ].filter(Boolean).map(String);
+  const find = fn => texts.map(fn).find(Boolean) ?? null;
+
+  const violations = [];
+  const add = (rule, term, message) => violations.push({ rule, term, message });
+
+  for (const meat of rules.avoidMeats) {
+    const term = find(matcher(MEAT_TERMS[meat]));
+    if (term) add('avoidMeats', term, `contains ${term} (no ${meat})`);
+  }
+
+  if (vegetarian) {
+    const meat = find(findMeat);
+    if (meat) add('vegetarianDays', meat, `contains ${meat} on a vegetarian day`);
+    const egg = !rules.eggAllowed && find(findEgg);
+    if (egg) add('vegetarianDays', egg, `contains ${egg} on a vegetarian day (no eggs)`);
+  }
+
+  for (const allergen of rules.allergens) {
+    const term = find(matcher(allergenTerms(allergen)));
+    if (term) add('allergens', term, `contains ${term} (${allergen} allergy)`);
+  }
+
+  if (rules.jain || rules.noOnionGarlic) {
+    const term = find(findOnionGarlic);
+    if (term) add(rules.jain ? 'jain' : 'noOnionGarlic', term, `contains ${term} (no onion or garlic)`);
+  }
+
+  if (rules.jain) {
+    const root = find(findRootVegetable);
+    if (root) add('jain', root, `contains ${root} (Jain: no root vegetables)`);
+    const meat = !vegetarian && find(findMeat);
+    if (meat) add('jain', meat, `contains ${meat} (Jain: vegetarian only)`);
+    const egg = find(findEgg);
+    if (egg) add('jain', egg, `contains ${egg} (Jain: no eggs)`);
+  }
+
+  return violations;
+}
+
+/**
+ * Describe the rules for an AI prompt
+ * @param {object} rules
+ * @param {object} [options]
+ * @param {Date|string} [options.date] - The day being planned for; mentions
+ *   whether it is a vegetarian day
+ * @param {boolean} [options.includeDays=true] - List the vegetarian days
+ * @returns {string} One rule per line, or '' when there are none
+ */
+export function formatRulesForPrompt(rules, { date, includeDays = true } = {}) {
+  if (!hasDietaryRules(rules)) return '';
+  const lines = [];
+  const eggs = rules.eggAllowed ? 'eggs are fine' : 'no eggs either';
+
+  if (rules.jain) {
+    lines.push('- Jain diet at all times: strictly vegetarian, no eggs, no onion, garlic or root vegetables (potato, carrot, ginger, beetroot, radish)');
+  } else if (rules.noOnionGarlic) {
+    lines.push('- No onion or garlic in any dish');
+  }
+  if (rules.avoidMeats.length > 0) {
+    lines.push(`- Never use: ${rules.avoidMeats.join(', ')}`);
+  }
+  if (rules.allergens.length > 0) {
+    lines.push(`- ALLERGIES (must not appear in any form): ${rules.allergens.join(', ')}`);
+  }
+  if (rules.vegetarianDays.length > 0 && !rules.jain) {
+    if (date) {
+      const today = dayName(date);
+      lines.push(isVegetarianDay(rules, date)
+        ? `- ${today} is a vegetarian day: no meat or fish (${eggs})`
+        : `- ${today} is not a vegetarian day`);
+    } else if (includeDays) {
+      lines.push(`- Vegetarian days: ${rules.vegetarianDays.join(', ')} - no meat or fish on these days (${eggs})`);
+    }
+  }
+
+  return lines.join('\n');
+}
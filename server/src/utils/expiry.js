@@ -0,0 +1,107 @@
+/**
+ * Inventory expiry
+ * How long stock keeps, what is about to go off, and how to tell the AI
+ * what must be used up first.
+ */
+
+import { formatDate } from './date.js';
+
+export const EXPIRY_CONFIG = {
+  // Items expiring within this many days count as expiring soon
+  SOON_DAYS: 3,
+  MAX_HORIZON_DAYS: 60,
+  // Typical shelf life once bought, by inventory category; null keeps no date
+  SHELF_LIFE_DAYS: {
+    vegetables: 7,
+    fruits: 7,
+    dairy: 7,
+    proteins: 3,
+    grains: 180,
+    spices: 365,
+    others: null
+  }
+};
+
+const DAY_MS = 86400000;
+
+/**
+ * Default expiry for newly added stock
+ * @param {string} category - Inventory category
+ * @param {Date} [from=new Date()]
+ * @returns {Date|null} Midnight UTC of the expiry day, or null when the category keeps no date
+ */
+export function estimateExpiry(category, from = new Date()) {
+  const days = EXPIRY_CONFIG.SHELF_LIFE_DAYS[category];
+  if (!days) return null;
+  return new Date(Date.parse(formatDate(from)) + days * DAY_MS);
+}
+
+/**
+ * Whole days until an expiry date, counted by calendar day
+ * @param {Date|string|null} expiresAt
+ * @param {Date} [now=new Date()]
+ * @returns {number|null} Negative once expired, null without a date
+ */
+export function daysUntilExpiry(expiresAt, now = new Date()) {
+  if (!expiresAt) return null;
+  return Math.round((Date.parse(formatDate(expiresAt)) - Date.parse(formatDate(now))) / DAY_MS);
+}
+
+/**
+ * Where an item stands against its expiry date
+ * @param {object} item - InventoryItem row
+ * @param {object} [options]
+ * @param {number} [options.days] - Horizon for expiring soon
+ * @param {Date} [options.now]
+ * @returns {'expired'|'expiring'|'fresh'|null} Null when the item has no date
+ */
+export function expiryStatus(item, { days = EXPIRY_CONFIG.SOON_DAYS, now = new Date() } = {}) {
+  const left = daysUntilExpiry(item.expiresAt, now);
+  if (left === null) return null;
+  if (left < 0) return 'expired';
+  return left <= days ? 'expiring' : 'fresh';
+}
+
+/**
+ * Items in stock that expire within the horizon, soonest first
+ * @param {Array} items - InventoryItem rows
+ * @param {object} [options]
+ * @param {number} [options.days] - Horizon in days
+ * @param {boolean} [options.includeExpired=true]
+ * @param {Date} [options.now]
+ * @returns {Array} Items with daysLeft and expiryStatus
+ */
+export function findExpiring(items, { days = EXPIRY_CONFIG.SOON_DAYS, includeExpired = true, now = new Date() } = {}) {
+  return items
+    .filter(item => item.quantity > 0)
+    .map(item => ({
+      ...item,
+      daysLeft: daysUntilExpiry(item.expiresAt, now),
+      expiryStatus: expiryStatus(item, { days, now })
+    }))
+    .filter(item => item.expiryStatus === 'expiring' || (includeExpired && item.expiryStatus === 'expired'))
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * How soon an item expires, as said in a prompt
+ * @param {number} daysLeft
+ * @returns {string}
+ */
+export function describeDaysLeft(daysLeft) {
+  if (daysLeft < 0) return 'past its date';
+  if (daysLeft === 0) return 'expires today';
+  if (daysLeft === 1) return 'expires tomorrow';
+  return `expires in ${daysLeft} days`;
+}
+
+/**
+ * List expiring items for an AI prompt
+ * @param {Array} expiring - From findExpiring
+ * @returns {string} One per line, or '' when nothing is expiring
+ */
+export function formatExpiringForPrompt(expiring) {
+  return expiring
+    .map(item => `- ${item.name} (${item.quantity} ${item.unit}, ${describeDaysLeft(item.daysLeft)})`)
+    .join('\n');
+}
@@ -0,0 +1,107 @@
+/**
+ * iCalendar (RFC 5545) output
+ * Just enough to publish a read-only feed of all-local-time events that
+ * calendar apps can subscribe to.
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets, without
+ * splitting a multi-byte character
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Local date-time without a time zone ("floating"), shown at the same
+ * clock time wherever the calendar is
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {number} [addMinutes=0]
+ * @returns {string} YYYYMMDDTHHMMSS
+ */
+export function floatingDateTime(date, time, addMinutes = 0) {
+  // Work in UTC so the machine's own time zone and DST never shift the clock time
+  const at = new Date(Date.parse(`${date}T${time}:00Z`) + addMinutes * 60000);
+  return at.toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+/**
+ * UTC timestamp for DTSTAMP
+ * @param {Date|string} date
+ * @returns {string} YYYYMMDDTHHMMSSZ
+ */
+export function utcDateTime(date) {
+  return `${new Date(date).toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+}
+
+/**
+ * Serialize a calendar
+ * @param {object} calendar
+ * @param {string} calendar.name - Shown by calendar apps as the feed's name
+ * @param {Array<{uid: string, stamp: Date, start: string, end: string, summary: string,
+ *   description?: string, url?: string}>} calendar.events - start and end as from floatingDateTime
+ * @returns {string}
+ */
+export function renderCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//No Daal Chawal//Meal Plan//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${utcDateTime(event.stamp)}`,
+      `DTSTART:${event.start}`,
+      `DTEND:${event.end}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,197 @@
+/**
+ * Ingredient names
+ * Reduces free-form ingredient names to a comparable key and resolves the
+ * many names one ingredient goes by (English, Hindi, Kannada) to a single
+ * canonical entry, so "Dahi", "Curd" and "Yogurt" are the same thing.
+ * The built-in dictionary can be extended from Settings; those entries are
+ * stored in the Ingredient table and take precedence.
+ */
+
+import { safeJsonParse } from './json.js';
+
+// Preparation words that don't change what the ingredient is
+const DESCRIPTORS = new Set([
+  'fresh', 'freshly', 'chopped', 'finely', 'roughly', 'sliced', 'diced', 'minced', 'grated',
+  'crushed', 'ground', 'boiled', 'cooked', 'raw', 'ripe', 'dried', 'whole', 'small', 'medium',
+  'large', 'optional', 'to', 'taste', 'for', 'garnish', 'of', 'and', 'peeled', 'soaked'
+]);
+
+// name, aliases, category (InventoryCategoryEnum), default unit
+export const BUILTIN_INGREDIENTS = [
+  // Vegetables
+  { name: 'Onion', aliases: ['pyaz', 'pyaaz', 'kanda', 'eerulli', 'red onion'], category: 'vegetables', defaultUnit: 'kg' },
+  { name: 'Tomato', aliases: ['tamatar', 'tamaatar'], category: 'vegetables', defaultUnit: 'kg' },
+  { name: 'Potato', aliases: ['aloo', 'alu', 'aalugadde', 'batata'], category: 'vegetables', defaultUnit: 'kg' },
+  { name: 'Garlic', aliases: ['lehsun', 'lahsun', 'bellulli', 'garlic clove'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Ginger', aliases: ['adrak', 'shunti'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Green chilli', aliases: ['hari mirch', 'green chili', 'green chile', 'hasi menasinakai'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Coriander leaves', aliases: ['dhania patta', 'hara dhania', 'cilantro', 'kothambari soppu', 'kothambari', 'coriander'], category: 'vegetables', defaultUnit: 'bunch' },
+  { name: 'Curry leaves', aliases: ['kadi patta', 'kari patta', 'karibevu', 'kari bevu'], category: 'vegetables', defaultUnit: 'bunch' },
+  { name: 'Spinach', aliases: ['palak', 'palak soppu', 'palya soppu'], category: 'vegetables', defaultUnit: 'bunch' },
+  { name: 'Fenugreek leaves', aliases: ['methi', 'methi leaves', 'menthya soppu'], category: 'vegetables', defaultUnit: 'bunch' },
+  { name: 'Okra', aliases: ['bhindi', 'ladies finger', 'lady finger', 'bendekai'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Brinjal', aliases: ['baingan', 'eggplant', 'aubergine', 'badanekai'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Bottle gourd', aliases: ['lauki', 'dudhi', 'ghiya', 'sorekai'], category: 'vegetables', defaultUnit: 'pieces' },
+  { name: 'Cauliflower', aliases: ['gobi', 'phool gobi', 'hookosu'], category: 'vegetables', defaultUnit: 'pieces' },
+  { name: 'Cabbage', aliases: ['patta gobi', 'band gobi', 'elekosu'], category: 'vegetables', defaultUnit: 'pieces' },
+  { name: 'Green peas', aliases: ['matar', 'mattar', 'peas', 'batani'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Capsicum', aliases: ['shimla mirch', 'bell pepper', 'green pepper', 'donne menasinakai'], category: 'vegetables', defaultUnit: 'pieces' },
+  { name: 'Carrot', aliases: ['gajar', 'gajjari'], category: 'vegetables', defaultUnit: 'g' },
+  { name: 'Lemon', aliases: ['nimbu', 'lime', 'nimbe hannu', 'nimbe'], category: 'fruits', defaultUnit: 'pieces' },
+  { name: 'Coconut', aliases: ['nariyal', 'tengina kayi', 'grated coconut'], category: 'others', defaultUnit: 'pieces' },
+
+  // Dairy
+  { name: 'Curd', aliases: ['dahi', 'yogurt', 'yoghurt', 'mosaru', 'plain yogurt'], category: 'dairy', defaultUnit: 'g' },
+  { name: 'Milk', aliases: ['doodh', 'haalu'], category: 'dairy', defaultUnit: 'L' },
+  { name: 'Paneer', aliases: ['cottage cheese', 'indian cottage cheese'], category: 'dairy', defaultUnit: 'g' },
+  { name: 'Ghee', aliases: ['clarified butter', 'desi ghee', 'tuppa'], category: 'dairy', defaultUnit: 'ml' },
+  { name: 'Butter', aliases: ['makhan', 'makkhan', 'benne'], category: 'dairy', defaultUnit: 'g' },
+  { name: 'Cream', aliases: ['malai', 'fresh cream'], category: 'dairy', defaultUnit: 'ml' },
+
+  // Grains and dals
+  { name: 'Rice', aliases: ['chawal', 'akki'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Whole wheat flour', aliases: ['atta', 'gehun ka atta', 'wheat flour', 'godhi hittu', 'chapati flour'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Refined flour', aliases: ['maida', 'all purpose flour', 'plain flour'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Gram flour', aliases: ['besan', 'chickpea flour', 'kadle hittu'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Semolina', aliases: ['rava', 'rawa', 'suji', 'sooji', 'bombay rava', 'chiroti rava'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Flattened rice', aliases: ['poha', 'avalakki', 'beaten rice'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Toor dal', aliases: ['arhar dal', 'tuvar dal', 'togari bele', 'split pigeon pea'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Moong dal', aliases: ['mung dal', 'hesaru bele', 'split green gram'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Chana dal', aliases: ['kadle bele', 'split bengal gram'], category: 'grains', defaultUnit: 'kg' },
+  { name: 'Urad dal', aliases: ['uddina bele', 'split black gram'], category: 'grains', defaultUnit: 'kg' },
+
+  // Proteins
+  { name: 'Chickpeas', aliases: ['chole', 'kabuli chana', 'garbanzo bean', 'kadle kalu'], category: 'proteins', defaultUnit: 'kg' },
+  { name: 'Kidney beans', aliases: ['rajma', 'red kidney beans'], category: 'proteins', defaultUnit: 'kg' },
+  { name: 'Egg', aliases: ['anda', 'ande', 'motte'], category: 'proteins', defaultUnit: 'pieces' },
+  { name: 'Chicken', aliases: ['murgh', 'murg', 'koli'], category: 'proteins', defaultUnit: 'kg' },
+
+  // Spices
+  { name: 'Cumin seeds', aliases: ['jeera', 'zeera', 'cumin', 'jeerige', 'jeerige kalu'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Mustard seeds', aliases: ['rai', 'sarson', 'sasive', 'mustard'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Turmeric powder', aliases: ['haldi', 'turmeric', 'haldi powder', 'arishina'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Red chilli powder', aliases: ['mirchi powder', 'lal mirch', 'lal mirch powder', 'chilli powder', 'chili powder', 'menasina pudi'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Coriander powder', aliases: ['dhania powder', 'dhaniya powder', 'kothambari pudi'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Asafoetida', aliases: ['hing', 'hingu', 'ingu'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Dried fenugreek leaves', aliases: ['kasuri methi', 'kasoori methi'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Black pepper', aliases: ['kali mirch', 'pepper', 'menasu', 'peppercorn'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Cardamom', aliases: ['elaichi', 'elakki', 'green cardamom'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Cloves', aliases: ['laung', 'lavanga'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Cinnamon', aliases: ['dalchini', 'chakke'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Bay leaf', aliases: ['tej patta', 'tejpatta', 'palav ele'], category: 'spices', defaultUnit: 'g' },
+  { name: 'Garam masala', aliases: [], category: 'spices', defaultUnit: 'g' },
+
+  // Others
+  { name: 'Salt', aliases: ['namak', 'uppu'], category: 'others', defaultUnit: 'kg' },
+  { name: 'Sugar', aliases: ['chini', 'cheeni', 'sakkare'], category: 'others', defaultUnit: 'kg' },
+  { name: 'Jaggery', aliases: ['gur', 'gud', 'bella'], category: 'others', defaultUnit: 'g' },
+  { name: 'Tamarind', aliases: ['imli', 'hunase'], category: 'others', defaultUnit: 'g' },
+  { name: 'Cooking oil', aliases: ['oil', 'tel', 'enne', 'vegetable oil', 'refined oil'], category: 'others', defaultUnit: 'L' }
+];
+
+function singular(word) {
+  if (word.length <= 3 || word.endsWith('ss')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Reduce an ingredient name to the words that identify it
+ * @param {string} name - e.g. "Onions, finely chopped"
+ * @returns {string[]} e.g. ['onion']
+ */
+export function ingredientTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !DESCRIPTORS.has(word))
+    .map(singular);
+}
+
+/**
+ * The spelling-level key of a name, before any alias is applied,
+ * e.g. "Tomatoes" and "tomato (ripe)" both give 'tomato'
+ * @param {string} name
+ * @returns {string}
+ */
+function tokenKey(name) {
+  return ingredientTokens(name).join(' ');
+}
+
+/**
+ * Turn a stored Ingredient row into a dictionary entry
+ * @param {object} row - Ingredient row with aliases as JSON
+ * @returns {object}
+ */
+export function parseIngredientRow(row) {
+  const aliases = safeJsonParse(row.aliases, []);
+  return {
+    id: row.id,
+    name: row.name,
+    aliases: Array.isArray(aliases) ? aliases : [],
+    category: row.category,
+    defaultUnit: row.defaultUnit ?? null,
+    isCustom: row.isCustom ?? true
+  };
+}
+
+/**
+ * Build a resolver over the built-in dictionary plus household entries.
+ * An entry with the same name as a built-in one replaces it, and a custom
+ * alias wins over a built-in one.
+ * @param {Array<object>} [custom] - Dictionary entries, e.g. from parseIngredientRow
+ * @returns {{entries: Array<object>, resolve: Function, key: Function, tokens: Function, canonicalName: Function}}
+ */
+export function createIngredientResolver(custom = []) {
+  const byName = new Map(BUILTIN_INGREDIENTS.map(entry => [tokenKey(entry.name), { ...entry, isCustom: false }]));
+  for (const entry of custom) byName.set(tokenKey(entry.name), entry);
+
+  const entries = [...byName.values()];
+  const lookup = new Map();
+  // Built-in names and aliases first so household ones overwrite them
+  const ordered = [...entries.filter(e => !e.isCustom), ...entries.filter(e => e.isCustom)];
+  for (const entry of ordered) {
+    for (const alias of [entry.name, ...entry.aliases]) {
+      const key = tokenKey(alias);
+      if (key) lookup.set(key, entry);
+    }
+  }
+
+  const resolve = name => lookup.get(tokenKey(name)) ?? null;
+  const canonicalName = name => resolve(name)?.name ?? name;
+
+  return {
+    entries,
+    resolve,
+    canonicalName,
+    tokens: name => ingredientTokens(canonicalName(name)),
+    key: name => tokenKey(canonicalName(name))
+  };
+}
+
+export const defaultIngredientResolver = createIngredientResolver();
+
+/**
+ * Key under which the same ingredient always files, whatever it's called:
+ * "Tomatoes" and "tomato (ripe)" give 'tomato', "Dahi" and "Yogurt" give 'curd'
+ * @param {string} name
+ * @param {object} [resolver] - From createIngredientResolver
+ * @returns {string}
+ */
+export function ingredientKey(name, resolver = defaultIngredientResolver) {
+  return resolver.key(name);
+}
+
+/**
+ * Resolver including the household's own dictionary entries
+ * @param {object} prisma - Prisma client or transaction
+ * @returns {Promise<object>}
+ */
+export async function getIngredientResolver(prisma) {
+  const rows = await prisma.ingredient.findMany();
+  return createIngredientResolver(rows.map(parseIngredientRow));
+}
@@ -0,0 +1,130 @@
+/**
+ * Incremental parser for streamed chat responses
+ *
+ * Chat replies arrive as a JSON object `{ "message": "...", "suggestions": [...] }`
+ * split into arbitrary text chunks. The parser scans each chunk once and
+ * reports text of the top-level "message" string as it arrives and each
+ * element of the top-level "suggestions" array as soon as it is complete.
+ */
+
+const SIMPLE_ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+/**
+ * Create a parser for one streamed chat response
+ * @returns {{push: Function, message: string}} `push(text)` returns the events
+ *   found in that chunk: `{ type: 'message', delta }` and
+ *   `{ type: 'suggestion', value }`. `message` holds the decoded text so far.
+ */
+export function createChatStreamParser() {
+  let buffer = '';
+  let position = 0;
+  const stack = [];
+
+  let inString = false;
+  let escape = '';
+  let stringStart = -1;
+  let streamingMessage = false;
+
+  let key = null;
+  let pendingKey = null;
+  let afterColon = false;
+  let suggestionStart = -1;
+
+  const parser = {
+    message: '',
+
+    push(text) {
+      buffer += text;
+      const events = [];
+      let delta = '';
+
+      for (; position < buffer.length; position++) {
+        const char = buffer[position];
+
+        if (inString) {
+          if (escape) {
+            escape += char;
+            // \uXXXX needs four hex digits before it can be decoded
+            if (escape[1] === 'u' && escape.length < 6) continue;
+            if (streamingMessage) {
+              delta += escape[1] === 'u'
+                ? String.fromCharCode(parseInt(escape.slice(2), 16))
+                : SIMPLE_ESCAPES[escape[1]] ?? escape[1];
+            }
+            escape = '';
+          } else if (char === '\\') {
+            escape = char;
+          } else if (char === '"') {
+            inString = false;
+            if (streamingMessage) {
+              streamingMessage = false;
+            } else if (stack.length === 1 && !afterColon) {
+              pendingKey = JSON.parse(buffer.slice(stringStart, position + 1));
+            }
+          } else if (streamingMessage) {
+            delta += char;
+          }
+          continue;
+        }
+
+        switch (char) {
+          case '"':
+            inString = true;
+            stringStart = position;
+            streamingMessage = stack.length === 1 && afterColon && key === 'message';
+            break;
+          case ':':
+            if (stack.length === 1) {
+              key = pendingKey;
+              afterColon = true;
+            }
+            break;
+          case ',':
+            if (stack.length === 1) {
+              key = null;
+              afterColon = false;
+            }
+            break;
+          case '{':
+          case '[':
+            if (char === '{' && stack.length === 2 && stack[1] === '[' && key === 'suggestions') {
+              suggestionStart = position;
+            }
+            stack.push(char);
+            break;
+          case '}':
+          case ']':
+            stack.pop();
+            if (char === '}' && stack.length === 2 && suggestionStart !== -1) {
+              try {
+                events.push({ type: 'suggestion', value: JSON.parse(buffer.slice(suggestionStart, position + 1)) });
+              } catch {
+                // Malformed element - the final validation reports it
+              }
+              suggestionStart = -1;
+            }
+            break;
+          default:
+            break;
+        }
+      }
+
+      if (delta) {
+        parser.message += delta;
+        events.unshift({ type: 'message', delta });
+      }
+      return events;
+    }
+  };
+
+  return parser;
+}
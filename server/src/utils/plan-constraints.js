@@ -0,0 +1,262 @@
+/**
+ * Weekly planner constraints
+ * Stored as JSON in the `planConstraints` preference. The week prompt asks
+ * the AI to follow them; checkWeekConstraints verifies what comes back so
+ * the planner can regenerate the slots that break a rule.
+ */
+
+import { planConstraintsSchema } from '../validators/index.js';
+import { safeJsonParse } from './json.js';
+import { checkMeal, hasDietaryRules } from './dietary-rules.js';
+
+export const PLAN_CONSTRAINTS_KEY = 'planConstraints';
+
+export const DEFAULT_PLAN_CONSTRAINTS = planConstraintsSchema.parse({});
+
+const WEEKEND = ['Saturday', 'Sunday'];
+const PLAN_MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+const DAY_MS = 86400000;
+
+/**
+ * Parse stored constraints, filling in defaults for anything missing or invalid
+ * @param {string|object} value - Stored preference value
+ * @returns {object} Planner constraints
+ */
+export function parsePlanConstraints(value) {
+  const raw = typeof value === 'string' ? safeJsonParse(value, {}) : value;
+  const result = planConstraintsSchema.safeParse(raw || {});
+  return result.success ? result.data : DEFAULT_PLAN_CONSTRAINTS;
+}
+
+/**
+ * Load the household's planner constraints
+ * @param {object} prisma - Prisma client instance
+ * @returns {Promise<object>} Planner constraints
+ */
+export async function getPlanConstraints(prisma) {
+  const pref = await prisma.userPreferences.findUnique({
+    where: { key: PLAN_CONSTRAINTS_KEY }
+  });
+  return parsePlanConstraints(pref?.value);
+}
+
+/**
+ * Calorie band for one day
+ * @param {object} constraints
+ * @param {number} dailyGoal
+ * @returns {{min: number|null, max: number|null}}
+ */
+export function calorieBand(constraints, dailyGoal) {
+  const band = percent => (percent === null || !dailyGoal ? null : Math.round(dailyGoal * percent / 100));
+  return { min: band(constraints.minDailyCaloriesPercent), max: band(constraints.maxDailyCaloriesPercent) };
+}
+
+/**
+ * Describe the constraints for an AI prompt
+ * @param {object} constraints
+ * @param {number} dailyGoal - kcal per person
+ * @returns {string} One rule per line, or '' when all are off
+ */
+export function formatConstraintsForPrompt(constraints, dailyGoal) {
+  const lines = [];
+  const { min, max } = calorieBand(constraints, dailyGoal);
+
+  if (constraints.weekdayMaxPrepTime !== null) {
+    lines.push(`- Weekday dishes (Mon-Fri) take at most ${constraints.weekdayMaxPrepTime} minutes`);
+  }
+  if (constraints.weekendMaxPrepTime !== null) {
+    lines.push(`- Weekend dishes take at most ${constraints.weekendMaxPrepTime} minutes`);
+  }
+  if (constraints.maxCuisineStreak !== null) {
+    lines.push(`- No cuisine on more than ${constraints.maxCuisineStreak} day${constraints.maxCuisineStreak === 1 ? '' : 's'} in a row`);
+  }
+  if (min !== null && max !== null) {
+    lines.push(`- Each day's breakfast, lunch and dinner add up to ${min}-${max} kcal per person`);
+  } else if (max !== null) {
+    lines.push(`- Each day's meals add up to no more than ${max} kcal per person`);
+  } else if (min !== null) {
+    lines.push(`- Each day's meals add up to at least ${min} kcal per person`);
+  }
+  if (constraints.noRepeatDays !== null) {
+    lines.push(`- No dish eaten or planned in the last ${constraints.noRepeatDays} days`);
+  }
+
+  return lines.join('\n');
+}
+
+const slotOf = entry => ({ date: entry.date, mealType: entry.mealType });
+
+function checkPrepTime(entries, constraints) {
+  const violations = [];
+  for (const entry of entries) {
+    const weekend = WEEKEND.includes(entry.day);
+    const limit = weekend ? constraints.weekendMaxPrepTime : constraints.weekdayMaxPrepTime;
+    if (limit !== null && entry.prepTime > limit) {
+      violations.push({
+        ...slotOf(entry),
+        message: `${entry.day} ${entry.mealType}: ${entry.name} takes ${entry.prepTime} min (${weekend ? 'weekend' : 'weekday'} limit ${limit})`
+      });
+    }
+  }
+  return violations;
+}
+
+function checkCuisineStreak(entries, constraints) {
+  const limit = constraints.maxCuisineStreak;
+  const dates = [...new Set(entries.map(e => e.date))].sort();
+  const streaks = new Map();
+  const violations = [];
+
+  let previous = null;
+  for (const date of dates) {
+    const consecutive = previous && Date.parse(date) - Date.parse(previous) === DAY_MS;
+    const today = entries.filter(e => e.date === date && e.cuisine);
+    const cuisines = new Set(today.map(e => e.cuisine));
+
+    const next = new Map();
+    for (const cuisine of cuisines) {
+      const streak = (consecutive ? streaks.get(cuisine) ?? 0 : 0) + 1;
+      next.set(cuisine, streak);
+      if (streak <= limit) continue;
+      for (const entry of today.filter(e => e.cuisine === cuisine)) {
+        violations.push({
+          ...slotOf(entry),
+          message: `${entry.day} ${entry.mealType}: ${cuisine.replace(/_/g, ' ')} ${streak} days in a row (limit ${limit})`
+        });
+      }
+    }
+    streaks.clear();
+    for (const [cuisine, streak] of next) streaks.set(cuisine, streak);
+    previous = date;
+  }
+  return violations;
+}
+
+function checkDailyCalories(entries, constraints, dailyGoal) {
+  const { min, max } = calorieBand(constraints, dailyGoal);
+  const violations = [];
+
+  for (const date of [...new Set(entries.map(e => e.date))].sort()) {
+    const meals = entries.filter(e => e.date === date && e.calories);
+    if (meals.length === 0) continue;
+    const total = meals.reduce((sum, e) => sum + e.calories, 0);
+    const byCalories = [...meals].sort((a, b) => a.calories - b.calories);
+
+    if (max !== null && total > max) {
+      const entry = byCalories[byCalories.length - 1];
+      violations.push({ ...slotOf(entry), message: `${entry.day}: ${total} kcal is over ${max} kcal` });
+    }
+    // A day that isn't fully planned is expected to come in low
+    const planned = new Set(entries.filter(e => e.date === date).map(e => e.mealType));
+    if (min !== null && total < min && PLAN_MEAL_TYPES.every(type => planned.has(type))) {
+      const entry = byCalories[0];
+      violations.push({ ...slotOf(entry), message: `${entry.day}: ${total} kcal is under ${min} kcal` });
+    }
+  }
+  return violations;
+}
+
+function checkDietaryRules(entries, dietaryRules) {
+  const violations = [];
+  for (const entry of entries) {
+    const vegetarian = Boolean(dietaryRules?.vegetarianDays.includes(entry.day));
+    for (const problem of checkMeal(entry, dietaryRules, { vegetarian })) {
+      violations.push({ ...slotOf(entry), message: `${entry.day} ${entry.mealType}: ${entry.name} ${problem.message}` });
+    }
+  }
+  return violations;
+}
+
+function checkRepeats(entries, constraints, history) {
+  const window = constraints.noRepeatDays * DAY_MS;
+  const eaten = history.map(h => ({ name: h.mealName.toLowerCase(), at: new Date(h.eatenAt).getTime() }));
+  const ordered = [...entries].sort((a, b) =>
+    a.date.localeCompare(b.date) || PLAN_MEAL_TYPES.indexOf(a.mealType) - PLAN_MEAL_TYPES.indexOf(b.mealType));
+  const violations = [];
+
+  ordered.forEach((entry, index) => {
+    const name = entry.name.toLowerCase();
+    const at = Date.parse(entry.date);
+    const earlier = ordered.slice(0, index).find(e => e.name.toLowerCase() === name && at - Date.parse(e.date) < window);
+    const recent = eaten.find(e => e.name === name && e.at < at && at - e.at < window);
+
+    if (earlier) {
+      violations.push({ ...slotOf(entry), message: `${entry.day} ${entry.mealType}: ${entry.name} is also planned for ${earlier.day}` });
+    } else if (recent) {
+      violations.push({
+        ...slotOf(entry),
+        message: `${entry.day} ${entry.mealType}: ${entry.name} was eaten ${Math.ceil((at - recent.at) / DAY_MS)} days before`
+      });
+    }
+  });
+  return violations;
+}
+
+/**
+ * Check a week of planned dishes against the planner constraints and the
+ * household's dietary rules
+ * @param {Array<{date: string, day: string, mealType: string, name: string, cuisine: string|null,
+ *   prepTime: number|null, calories: number|null, ingredients: Array}>} entries - Dishes by slot
+ * @param {object} options
+ * @param {object} options.constraints - From getPlanConstraints
+ * @param {number} options.dailyGoal - kcal per person
+ * @param {object} [options.dietaryRules]
+ * @param {Array<{mealName: string, eatenAt: Date}>} [options.history] - MealHistory rows
+ * @returns {{passed: boolean, rules: Array<{rule: string, enabled: boolean, passed: boolean,
+ *   violations: Array<{date: string, mealType: string, message: string}>}>}}
+ *   Each violation names the slot to plan again to fix it
+ */
+export function checkWeekConstraints(entries, { constraints, dailyGoal, dietaryRules = null, history = [] }) {
+  const { min, max } = calorieBand(constraints, dailyGoal);
+  const checks = [
+    {
+      rule: 'prepTime',
+      enabled: constraints.weekdayMaxPrepTime !== null || constraints.weekendMaxPrepTime !== null,
+      run: () => checkPrepTime(entries, constraints)
+    },
+    {
+      rule: 'cuisineStreak',
+      enabled: constraints.maxCuisineStreak !== null,
+      run: () => checkCuisineStreak(entries, constraints)
+    },
+    {
+      rule: 'dailyCalories',
+      enabled: min !== null || max !== null,
+      run: () => checkDailyCalories(entries, constraints, dailyGoal)
+    },
+    {
+      rule: 'dietaryRules',
+      enabled: hasDietaryRules(dietaryRules),
+      run: () => checkDietaryRules(entries, dietaryRules)
+    },
+    {
+      rule: 'noRepeats',
+      enabled: constraints.noRepeatDays !== null,
+      run: () => checkRepeats(entries, constraints, history)
+    }
+  ];
+
+  const rules = checks.map(({ rule, enabled, run }) => {
+    const violations = enabled ? run() : [];
+    return { rule, enabled, passed: violations.length === 0, violations };
+  });
+
+  return { passed: rules.every(r => r.passed), rules };
+}
+
+/**
+ * Slots a report says to plan again
+ * @param {object} report - From checkWeekConstraints
+ * @returns {Array<{date: string, mealType: string, messages: string[]}>}
+ */
+export function violatingSlots(report) {
+  const slots = new Map();
+  for (const { violations } of report.rules) {
+    for (const { date, mealType, message } of violations) {
+      const key = `${date}:${mealType}`;
+      if (!slots.has(key)) slots.set(key, { date, mealType, messages: [] });
+      slots.get(key).messages.push(message);
+    }
+  }
+  return [...slots.values()];
+}
@@ -0,0 +1,197 @@
+/**
+ * Grocery receipt text
+ * Reads the itemized lines of a pasted supermarket bill or quick-commerce
+ * order confirmation. Each line is tried against a list of line formats in
+ * order; the first one that recognizes it wins, so supporting another shop
+ * is a matter of adding a format.
+ */
+
+// Lines labelled as being about the bill rather than something bought:
+// "Sub Total", "Item total", "Delivery fee", "Paid by UPI". Only the label
+// counts, so "Amul Cheese Slices MRP ₹150" or "Saffola Oil Offer Pack" are items.
+const NOT_AN_ITEM = new RegExp([
+  `^(?:(?:grand|item|items|cart|bill|net|your)\\s+)?(?:${[
+    'total', 'sub\\s*total', 'gst', 'cgst', 'sgst', 'igst', 'cess', 'tax', 'vat', 'hsn',
+    'delivery', 'handling', 'packaging', 'convenience', 'platform', 'surge', 'tip',
+    'discount', 'savings?', 'saved', 'you\\s+saved?', 'coupon', 'offer', 'cashback', 'round(?:ing)?\\s*off',
+    'paid', 'payment', 'upi', 'card', 'cash', 'change', 'balance', 'mrp',
+    'order', 'invoice', 'bill', 'receipt', 'gstin', 'fssai', 'phone', 'thank'
+  ].join('|')})\\b`,
+  // Not "Dates (Khajur)"
+  '\\b(?:date|time)\\s*:'
+].join('|'), 'i');
+
+const AMOUNT = '(\\d+(?:\\.\\d+)?)';
+const MONEY = '(\\d+(?:,\\d{3})*(?:\\.\\d{1,2})?)';
+const PRICE = `(?:₹|rs\\.?|inr)\\s*${MONEY}`;
+const SIZE_UNITS = 'kgs?|kilos?|g|gms?|grams?|gm|mg|ml|l|ltrs?|litres?|liters?|pcs?|pieces?|nos?|dozen|pkts?|packs?|packets?';
+
+// A struck-out list price next to the price paid: "MRP ₹150", "(M.R.P. Rs 150)"
+const LIST_PRICE = new RegExp(`\\s*\\(?\\bm\\.?r\\.?p\\b\\.?:?\\s*(?:₹|rs\\.?|inr)?\\s*${MONEY}\\)?`, 'gi');
+
+// How many following lines a product name can be split across
+const MAX_CONTINUATION_LINES = 2;
+
+const price = text => Number(text.replace(/,/g, ''));
+
+/**
+ * Pull the pack size out of a product name
+ * @param {string} product - e.g. "Amul Taaza Toned Milk 500 ml", "Maggi 4 x 70 g",
+ *   "Eggs (Pack of 12)", "Coriander Bunch"
+ * @returns {{name: string, quantity: number|null, unit: string|null}} The
+ *   name without the size; quantity and unit are null when there's no size
+ */
+export function packSize(product) {
+  const clean = name => name.replace(/\(\s*\)|\[\s*\]/g, ' ').replace(/[\s,(-]+$/, '').replace(/\s+/g, ' ').trim();
+
+  let match = product.match(new RegExp(`\\(?\\s*${AMOUNT}\\s*[x×]\\s*${AMOUNT}\\s*(${SIZE_UNITS})\\b\\s*\\)?`, 'i'));
+  if (match) {
+    return {
+      name: clean(product.replace(match[0], ' ')),
+      quantity: Number(match[1]) * Number(match[2]),
+      unit: match[3].toLowerCase()
+    };
+  }
+
+  match = product.match(/\(?\s*pack\s+of\s+(\d+)\s*\)?/i);
+  if (match) return { name: clean(product.replace(match[0], ' ')), quantity: Number(match[1]), unit: 'pieces' };
+
+  match = product.match(new RegExp(`\\(?\\s*${AMOUNT}\\s*(${SIZE_UNITS})\\b\\.?\\s*\\)?(?!.*\\d\\s*(?:${SIZE_UNITS})\\b)`, 'i'));
+  if (match) {
+    return { name: clean(product.replace(match[0], ' ')), quantity: Number(match[1]), unit: match[2].toLowerCase() };
+  }
+
+  // "Coriander Bunch", "Bananas Dozen"
+  match = product.match(/\s+(bunch|dozen)\s*$/i);
+  if (match) return { name: clean(product.slice(0, match.index)), quantity: 1, unit: match[1].toLowerCase() };
+
+  return { name: clean(product), quantity: null, unit: null };
+}
+
+/**
+ * Line formats, tried in order. parse() gets a trimmed line with runs of
+ * spaces kept and returns null when the line isn't in its format, or
+ * { product, count, quantity, unit, price } where quantity and unit are
+ * set for weighed items and otherwise read from the product name.
+ */
+export const RECEIPT_FORMATS = [
+  {
+    // "Tomato 0.75 kg @ 40/kg 30.00", "Onion 1.2kg @ ₹35/kg ₹42"
+    name: 'weighed',
+    parse(line) {
+      const match = line.match(new RegExp(`^(.+?)\\s+${AMOUNT}\\s*(kg|g|l|ml)\\s*@\\s*(?:₹|rs\\.?\\s*)?\\S+\\s+(?:₹|rs\\.?|inr)?\\s*${MONEY}$`, 'i'));
+      if (!match) return null;
+      return { product: match[1], count: 1, quantity: Number(match[2]), unit: match[3].toLowerCase(), price: price(match[4]) };
+    }
+  },
+  {
+    // Quick-commerce order lines: "Amul Butter 100 g x 2 ₹112", "2 x Tata Salt 1 kg ₹28",
+    // "Aashirvaad Atta 5 kg  Qty: 1  ₹245", and "Amul Taaza 500 ml 2 x ₹27" priced each
+    name: 'quick-commerce',
+    parse(line) {
+      let match = line.match(new RegExp(`^(.+?)\\s+(?:[x×]\\s*|qty:?\\s*)(\\d+)\\s+${PRICE}$`, 'i'));
+      if (match) return { product: match[1], count: Number(match[2]), price: price(match[3]) };
+      match = line.match(new RegExp(`^(\\d+)\\s*[x×]\\s+(.+?)\\s+${PRICE}$`, 'i'));
+      if (match) return { product: match[2], count: Number(match[1]), price: price(match[3]) };
+      match = line.match(new RegExp(`^(.+?)\\s+(\\d+)\\s*[x×]\\s*${PRICE}$`, 'i'));
+      if (match) return { product: match[1], count: Number(match[2]), price: Number(match[2]) * price(match[3]) };
+      return null;
+    }
+  },
+  {
+    // Supermarket till columns, item then qty, rate and amount:
+    // "TATA SALT 1KG      1   28.00   28.00", "ONION   1.250 KG   40.00   50.00"
+    name: 'till',
+    parse(line) {
+      const match = line.match(new RegExp(`^(?:\\d{1,3}[.)]?\\s+(?=[a-z]))?(.+?)\\s+${AMOUNT}\\s*(kg|g|l|ml)?\\s+${MONEY}\\s+${MONEY}$`, 'i'));
+      if (!match) return null;
+      const [, product, qty, unit, , amount] = match;
+      if (unit) return { product, count: 1, quantity: Number(qty), unit: unit.toLowerCase(), price: price(amount) };
+      if (!Number.isInteger(Number(qty))) return null;
+      return { product, count: Number(qty), price: price(amount) };
+    }
+  },
+  {
+    // One of something with its price: "Maggi Noodles 70g ₹14", "Curd 400 g - Rs 35",
+    // "Bread 400g 45.00"
+    name: 'priced',
+    parse(line) {
+      const match = line.match(new RegExp(`^(.+?[a-z)])\\s*[-:]?\\s+(?:${PRICE}|(\\d+(?:,\\d{3})*\\.\\d{2}))$`, 'i'));
+      if (!match) return null;
+      return { product: match[1], count: 1, price: price(match[2] ?? match[3]) };
+    }
+  }
+];
+
+// The first format that recognizes a line, and what it read
+function recognize(line, formats) {
+  const paid = line.replace(LIST_PRICE, '').trim();
+  for (const format of formats) {
+    const parsed = format.parse(paid);
+    if (parsed && /[a-z]{2}/i.test(parsed.product)) return { format: format.name, ...parsed };
+  }
+  return null;
+}
+
+/**
+ * Read the items on a receipt. A line no format recognizes is tried again
+ * joined to the lines after it, for apps that put the name, size and price
+ * on lines of their own.
+ * @param {string} text - The receipt as pasted
+ * @param {Array<{name: string, parse: Function}>} [formats=RECEIPT_FORMATS]
+ * @returns {{items: Array<{line: number, text: string, format: string, name: string,
+ *   quantity: number, unit: string|null, count: number, price: number|null}>,
+ *   skipped: Array<{line: number, text: string}>, unrecognized: Array<{line: number, text: string}>}}
+ *   quantity is the total bought (pack size times count) in unit; unit is
+ *   null when the receipt only gives a count. line counts from 1.
+ */
+export function parseReceipt(text, formats = RECEIPT_FORMATS) {
+  const lines = text.split(/\r?\n/)
+    .map((raw, index) => ({ line: index + 1, text: raw.trim().replace(/^[-*•]\s*/, '') }))
+    .filter(entry => entry.text);
+  const items = [];
+  const skipped = [];
+  const unrecognized = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const entry = lines[i];
+    if (NOT_AN_ITEM.test(entry.text)) {
+      skipped.push(entry);
+      continue;
+    }
+
+    let joined = entry.text;
+    let parsed = recognize(joined, formats);
+    let used = 0;
+    // Never into a line that is an item or a bill line of its own
+    while (!parsed && used < MAX_CONTINUATION_LINES && lines[i + used + 1] &&
+      !NOT_AN_ITEM.test(lines[i + used + 1].text) && !recognize(lines[i + used + 1].text, formats)) {
+      used++;
+      joined = `${joined} ${lines[i + used].text}`;
+      parsed = recognize(joined, formats);
+    }
+
+    if (!parsed) {
+      (/[a-z]{2}/i.test(entry.text) ? unrecognized : skipped).push(entry);
+      continue;
+    }
+
+    i += used;
+    const count = parsed.count > 0 ? parsed.count : 1;
+    const size = parsed.unit
+      ? { name: parsed.product.replace(/\s+/g, ' ').trim(), quantity: parsed.quantity, unit: parsed.unit }
+      : packSize(parsed.product);
+    items.push({
+      line: entry.line,
+      text: joined,
+      format: parsed.format,
+      name: size.name,
+      quantity: size.quantity === null ? count : size.quantity * count,
+      unit: size.unit,
+      count,
+      price: Number.isFinite(parsed.price) ? parsed.price : null
+    });
+  }
+
+  return { items, skipped, unrecognized };
+}
@@ -0,0 +1,213 @@
+/**
+ * Ingredient unit handling
+ * Canonicalizes the free-form units used by inventory, recipes and AI
+ * replies, and converts between units of the same kind (mass, volume, count).
+ * For known ingredients it also converts across kinds using typical
+ * densities and piece weights, so "2 onions" can come out of stock kept in kg.
+ */
+
+import { parseQuantity } from './ai-normalize.js';
+import { defaultIngredientResolver } from './ingredients.js';
+
+// Canonical unit -> spellings that mean it
+const UNIT_ALIASES = {
+  mg: ['mg', 'milligram', 'milligrams'],
+  g: ['g', 'gm', 'gms', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  ml: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+  l: ['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters'],
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons'],
+  cup: ['cup', 'cups'],
+  piece: ['piece', 'pieces', 'pc', 'pcs', 'no', 'nos', 'unit', 'units', 'whole', 'small', 'medium', 'large'],
+  dozen: ['dozen', 'dozens'],
+  packet: ['packet', 'packets', 'pack', 'packs', 'pkt', 'pkts'],
+  bunch: ['bunch', 'bunches']
+};
+
+const CANONICAL = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+// Kind and size of each convertible unit, relative to g, ml or piece
+export const UNIT_FACTORS = {
+  mg: { kind: 'mass', factor: 0.001 },
+  g: { kind: 'mass', factor: 1 },
+  kg: { kind: 'mass', factor: 1000 },
+  ml: { kind: 'volume', factor: 1 },
+  l: { kind: 'volume', factor: 1000 },
+  tsp: { kind: 'volume', factor: 5 },
+  tbsp: { kind: 'volume', factor: 15 },
+  cup: { kind: 'volume', factor: 240 },
+  piece: { kind: 'count', factor: 1 },
+  dozen: { kind: 'count', factor: 12 }
+};
+
+// Typical kitchen measures: grams per ml and grams per piece. Keys are matched
+// as whole words of the ingredient name, longest first.
+export const INGREDIENT_MEASURES = {
+  // Piece weights
+  onion: { pieceWeight: 150 },
+  tomato: { pieceWeight: 100 },
+  potato: { pieceWeight: 150 },
+  carrot: { pieceWeight: 60 },
+  capsicum: { pieceWeight: 120 },
+  cucumber: { pieceWeight: 200 },
+  brinjal: { pieceWeight: 250 },
+  lemon: { pieceWeight: 50 },
+  lime: { pieceWeight: 40 },
+  banana: { pieceWeight: 120 },
+  apple: { pieceWeight: 180 },
+  egg: { pieceWeight: 50 },
+  'green chilli': { pieceWeight: 5 },
+  'green chili': { pieceWeight: 5 },
+  'garlic clove': { pieceWeight: 5 },
+  garlic: { pieceWeight: 5 },
+  bread: { pieceWeight: 30 },
+  roti: { pieceWeight: 40 },
+
+  // Densities
+  rice: { density: 200 / 240 },
+  dal: { density: 200 / 240 },
+  atta: { density: 120 / 240 },
+  flour: { density: 120 / 240 },
+  maida: { density: 125 / 240 },
+  besan: { density: 90 / 240 },
+  rava: { density: 170 / 240 },
+  suji: { density: 170 / 240 },
+  poha: { density: 90 / 240 },
+  oats: { density: 90 / 240 },
+  sugar: { density: 200 / 240 },
+  salt: { density: 1.2 },
+  powder: { density: 0.5 },
+  masala: { density: 0.5 },
+  milk: { density: 1.03 },
+  curd: { density: 1.03 },
+  yogurt: { density: 1.03 },
+  dahi: { density: 1.03 },
+  cream: { density: 1 },
+  water: { density: 1 },
+  oil: { density: 0.92 },
+  ghee: { density: 0.91 },
+  butter: { density: 0.95 },
+  honey: { density: 1.42 },
+  peas: { density: 0.6 }
+};
+
+const MEASURE_KEYS = Object.keys(INGREDIENT_MEASURES)
+  .sort((a, b) => b.length - a.length)
+  .map(key => [key, new RegExp(`\\b${key}(?:e?s)?\\b`)]);
+
+/**
+ * Canonical spelling of a unit
+ * @param {string} [unit] - e.g. "Kgs", "tablespoons", "L"
+ * @returns {string|null} e.g. 'kg', 'tbsp', 'l'; unknown units are returned
+ *   trimmed and lowercased, missing ones as null
+ */
+export function canonicalUnit(unit) {
+  if (!unit || typeof unit !== 'string') return null;
+  const key = unit.trim().toLowerCase().replace(/\.$/, '');
+  if (!key) return null;
+  return CANONICAL.get(key) ?? key;
+}
+
+/**
+ * Whether a word is one of the units this module knows
+ * @param {string} [unit] - e.g. "kgs", "eggs"
+ * @returns {boolean}
+ */
+export function isKnownUnit(unit) {
+  if (!unit || typeof unit !== 'string') return false;
+  return CANONICAL.has(unit.trim().toLowerCase().replace(/\.$/, ''));
+}
+
+/**
+ * Kind of quantity a unit measures
+ * @param {string} [unit]
+ * @returns {'mass'|'volume'|'count'|null} null for units that only convert to themselves
+ */
+export function unitKind(unit) {
+  return UNIT_FACTORS[canonicalUnit(unit)]?.kind ?? null;
+}
+
+/**
+ * Convert a quantity between units of the same kind
+ * @param {number} quantity
+ * @param {string} from
+ * @param {string} to
+ * @returns {number|null} The converted quantity, or null when the units
+ *   measure different things (e.g. g to pieces)
+ */
+export function convertQuantity(quantity, from, to) {
+  const source = canonicalUnit(from);
+  const target = canonicalUnit(to);
+  if (source === target) return quantity;
+
+  const a = UNIT_FACTORS[source];
+  const b = UNIT_FACTORS[target];
+  if (!a || !b || a.kind !== b.kind) return null;
+  return (quantity * a.factor) / b.factor;
+}
+
+/**
+ * Typical density and piece weight of an ingredient, looked up by its name
+ * and then by its canonical name ("dahi" measures as curd)
+ * @param {string} [name] - e.g. "Basmati rice", "Onions, chopped"
+ * @returns {{density?: number, pieceWeight?: number}|null}
+ */
+export function ingredientMeasures(name) {
+  if (!name || typeof name !== 'string') return null;
+  for (const text of [name, defaultIngredientResolver.canonicalName(name)]) {
+    const lower = text.toLowerCase();
+    const match = MEASURE_KEYS.find(([, pattern]) => pattern.test(lower));
+    if (match) return INGREDIENT_MEASURES[match[0]];
+  }
+  return null;
+}
+
+// Grams in one unit of a kind, for an ingredient
+function gramsPer(kind, measures) {
+  if (kind === 'mass') return 1;
+  if (kind === 'volume') return measures?.density ?? null;
+  if (kind === 'count') return measures?.pieceWeight ?? null;
+  return null;
+}
+
+/**
+ * Convert a quantity of a particular ingredient, crossing between mass,
+ * volume and count where its density or piece weight is known
+ * @param {number} quantity
+ * @param {string} from
+ * @param {string} to
+ * @param {string} [name] - Ingredient name, e.g. "onion" for pieces to kg
+ * @returns {number|null} null when there's no sensible conversion
+ */
+export function convertIngredientQuantity(quantity, from, to, name) {
+  const direct = convertQuantity(quantity, from, to);
+  if (direct !== null) return direct;
+
+  const a = UNIT_FACTORS[canonicalUnit(from)];
+  const b = UNIT_FACTORS[canonicalUnit(to)];
+  if (!a || !b) return null;
+
+  const measures = ingredientMeasures(name);
+  const fromGrams = gramsPer(a.kind, measures);
+  const toGrams = gramsPer(b.kind, measures);
+  if (!fromGrams || !toGrams) return null;
+
+  return (quantity * a.factor * fromGrams) / (b.factor * toGrams);
+}
+
+/**
+ * Parse a free-form amount into a number and a canonical unit
+ * @param {any} quantity - e.g. 2, "200", "1/2", "200g"
+ * @param {string} [unit] - Takes precedence over a unit inside the quantity
+ * @returns {{quantity: number|null, unit: string|null}}
+ */
+export function normalizeAmount(quantity, unit) {
+  const parsed = parseQuantity(quantity);
+  return {
+    quantity: parsed.quantity,
+    unit: canonicalUnit(unit) ?? canonicalUnit(parsed.unit)
+  };
+}
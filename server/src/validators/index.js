@@ -26,6 +26,10 @@ export const CuisineEnum = z.enum([
 export const InventoryCategoryEnum = z.enum([
   'grains', 'spices', 'vegetables', 'dairy', 'proteins', 'fruits', 'others'
 ]);
+export const MovementReasonEnum = z.enum(['purchased', 'cooked', 'spoiled', 'adjusted']);
+export const DayNameEnum = z.enum([
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'
+]);
 
 // Suggestion schemas
 export const suggestSchema = z.object({
@@ -36,7 +40,10 @@ export const suggestSchema = z.object({
   rejectedMeals: z.array(z.object({
     name: z.string().max(200),
     reason: z.string().max(500).optional()
-  })).max(20).optional()
+  })).max(20).optional(),
+  sessionId: z.string().uuid().optional(),
+  // Only suggest dishes that use up stock about to expire
+  useUpExpiring: z.boolean().optional()
 });
 
 export const chatSuggestSchema = z.object({
@@ -44,7 +51,27 @@ export const chatSuggestSchema = z.object({
   conversation: z.array(z.object({
     role: z.enum(['user', 'assistant']),
     content: z.string().max(2000)
-  })).max(50)
+  })).max(50),
+  sessionId: z.string().uuid().optional(),
+  // Suggestions the user turned down since the last reply
+  rejected: z.array(z.object({
+    name: z.string().max(200),
+    reason: z.string().max(500).optional()
+  })).max(20).optional()
+});
+
+// Chat session schemas
+export const chatSessionSchema = z.object({
+  mealType: MealTypeEnum.optional(),
+  source: z.enum(['home', 'meal_plan']).default('home'),
+  message: z.string().max(2000).optional(),
+  suggestions: z.array(
+    z.object({ name: z.string().min(1).max(200) }).passthrough()
+  ).max(10).default([])
+});
+
+export const chatSessionListSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(50).default(20)
 });
 
 // Meal schemas
@@ -60,14 +87,58 @@ export const mealSchema = z.object({
 
 export const mealUpdateSchema = mealSchema.partial();
 
+// Inventory deduction schemas
+export const ingredientInputSchema = z.object({
+  name: z.string().min(1).max(100),
+  quantity: z.union([z.number(), z.string().max(30)]).nullable().optional(),
+  unit: z.string().max(20).nullable().optional()
+});
+
 // Meal Plan schemas
+// The dish planned for a slot. Suggestions call calories `estimatedCalories`.
+export const plannedDishSchema = z.object({
+  name: z.string().min(1).max(200),
+  cuisine: z.string().max(50).nullable().optional(),
+  calories: z.number().nonnegative().max(10000).nullable().optional(),
+  estimatedCalories: z.number().nonnegative().max(10000).nullable().optional(),
+  prepTime: z.number().nonnegative().max(1440).nullable().optional(),
+  servings: z.number().int().positive().max(50).nullable().optional(),
+  description: z.string().max(2000).nullable().optional(),
+  ingredients: z.array(z.union([z.string().max(200), ingredientInputSchema])).max(100).default([])
+});
+
 export const mealPlanSchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
   mealType: MealTypeEnum,
-  mealId: z.number().int().positive().optional(),
+  dish: plannedDishSchema.optional(),
+  mealId: z.string().uuid().optional(),
+  recipeId: z.string().uuid().optional(),
   notes: z.string().max(5000).optional()
 });
 
+// null clears a field; a dish replaces the planned one with its ingredients
+export const mealPlanUpdateSchema = z.object({
+  dish: plannedDishSchema.nullable().optional(),
+  mealId: z.string().uuid().nullable().optional(),
+  recipeId: z.string().uuid().nullable().optional(),
+  notes: z.string().max(5000).nullable().optional()
+});
+
+export const deductionSchema = z.object({
+  inventoryItemId: z.string().uuid(),
+  quantity: z.number().nonnegative().max(100000)
+});
+
+export const deductionPreviewSchema = z.object({
+  ingredients: z.array(ingredientInputSchema).min(1).max(100)
+});
+
+export const completeMealPlanSchema = z.object({
+  deductInventory: z.boolean().default(true),
+  // Adjusted quantities from the preview; worked out automatically when absent
+  deductions: z.array(deductionSchema).max(100).optional()
+});
+
 export const mealPlanQuerySchema = z.object({
   week: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
   year: z.coerce.number().int().min(2000).max(2100).optional(),
@@ -75,9 +146,47 @@ export const mealPlanQuerySchema = z.object({
 });
 
 export const generateWeekSchema = z.object({
+  weekStart: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
+  // fill: plan only the empty slots; replace: re-plan everything not yet eaten
+  mode: z.enum(['fill', 'replace']).default('fill')
+});
+
+export const regenerateSlotSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
+  mealType: z.enum(['breakfast', 'lunch', 'dinner'])
+});
+
+// Target slot for moving a plan entry; whatever is planned there swaps places
+export const movePlanSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
+  mealType: z.enum(['breakfast', 'lunch', 'dinner'])
+});
+
+export const regenerateDaySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format')
+});
+
+export const constraintReportQuerySchema = z.object({
+  week: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format').optional()
+});
+
+export const mealPlanTemplateSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  // The week to save
   weekStart: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format')
 });
 
+// fill: only the empty slots; replace: clear everything not eaten yet first
+export const applyTemplateSchema = z.object({
+  weekStart: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format'),
+  mode: z.enum(['fill', 'replace']).default('fill'),
+  shuffleDays: z.boolean().default(false)
+});
+
+export const copyWeekSchema = applyTemplateSchema.extend({
+  fromWeekStart: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format')
+});
+
 // Inventory schemas
 export const inventorySchema = z.object({
   name: z.string().min(1).max(100),
@@ -85,10 +194,68 @@ export const inventorySchema = z.object({
   quantity: z.number().positive().max(10000),
   unit: z.string().max(20).optional(),
   lowStockAt: z.number().positive().max(10000).optional(),
+  lowStockUnit: z.string().max(20).optional().nullable(),
   expiresAt: z.string().datetime().optional().nullable()
 });
 
-export const inventoryUpdateSchema = inventorySchema.partial();
+// Why the quantity changed, recorded in the item's stock movements
+const stockChangeFields = {
+  reason: MovementReasonEnum.optional(),
+  note: z.string().max(200).optional()
+};
+
+export const inventoryCreateSchema = inventorySchema.extend(stockChangeFields);
+
+export const inventoryUpdateSchema = inventorySchema.partial().extend(stockChangeFields);
+
+export const movementHistoryQuerySchema = z.object({
+  // Window for the consumption rate
+  days: z.coerce.number().int().min(1).max(365).default(30),
+  limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+const importOptionFields = {
+  // What a row does to an ingredient already in stock
+  existing: z.enum(['add', 'replace', 'skip']).default('add'),
+  // Only preview what importing would do
+  dryRun: z.boolean().default(false)
+};
+
+const importColumnSchema = z.string().max(100).nullable().optional();
+
+export const importCsvSchema = z.object({
+  csv: z.string().min(1).max(1000000),
+  // Inventory field -> CSV header; null leaves the field out
+  mapping: z.object({
+    name: importColumnSchema,
+    category: importColumnSchema,
+    quantity: importColumnSchema,
+    unit: importColumnSchema,
+    lowStockAt: importColumnSchema,
+    lowStockUnit: importColumnSchema,
+    expiresAt: importColumnSchema
+  }).strict().default({}),
+  ...importOptionFields
+});
+
+export const importTextSchema = z.object({
+  text: z.string().min(1).max(20000),
+  ...importOptionFields
+});
+
+export const expiringQuerySchema = z.object({
+  // Expiring within this many days
+  days: z.coerce.number().int().min(0).max(60).default(3),
+  includeExpired: z.enum(['true', 'false']).default('true').transform(v => v === 'true')
+});
+
+// Ingredient dictionary schemas
+export const ingredientSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  aliases: z.array(z.string().trim().min(1).max(100)).max(50).default([]),
+  category: InventoryCategoryEnum,
+  defaultUnit: z.string().max(20).optional().nullable()
+});
 
 // History schemas
 export const historySchema = z.object({
@@ -98,7 +265,10 @@ export const historySchema = z.object({
   rating: z.number().int().min(1).max(5).optional(),
   notes: z.string().max(1000).optional(),
   calories: z.number().int().positive().max(5000).optional(),
-  recipeId: z.number().int().positive().optional()
+  recipeId: z.number().int().positive().optional(),
+  // Deduct what was cooked from inventory: confirmed deductions, or ingredients to match
+  deductions: z.array(deductionSchema).max(100).optional(),
+  ingredients: z.array(ingredientInputSchema).max(100).optional()
 });
 
 export const historyUpdateSchema = z.object({
@@ -140,6 +310,33 @@ export const shoppingUpdateSchema = z.object({
   quantity: z.number().positive().max(1000).optional()
 });
 
+export const putAwaySchema = z.object({
+  items: z.array(z.object({
+    id: z.string().uuid(),
+    // Overrides for what the shopping item says
+    category: InventoryCategoryEnum.optional(),
+    quantity: z.number().positive().max(10000).optional(),
+    unit: z.string().max(20).optional(),
+    expiresAt: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format').nullable().optional()
+  })).min(1).max(200)
+});
+
+export const receiptTextSchema = z.object({
+  text: z.string().min(1).max(20000)
+});
+
+export const receiptPutAwaySchema = z.object({
+  items: z.array(z.object({
+    name: z.string().min(1).max(100),
+    quantity: z.number().positive().max(10000),
+    unit: z.string().min(1).max(20),
+    category: InventoryCategoryEnum.optional(),
+    expiresAt: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD format').nullable().optional(),
+    // The shopping list item this was bought for, taken off the list
+    shoppingItemId: z.string().uuid().optional()
+  })).min(1).max(200)
+});
+
 // Recipe schemas
 export const generateRecipeSchema = z.object({
   meal: z.object({
@@ -156,11 +353,154 @@ export const preferenceSchema = z.object({
   value: z.string().max(1000)
 });
 
+export const MeatEnum = z.enum(['beef', 'pork', 'chicken', 'mutton', 'fish', 'seafood']);
+
+export const dietaryRulesSchema = z.object({
+  vegetarianDays: z.array(DayNameEnum).max(7).default([]),
+  avoidMeats: z.array(MeatEnum).max(6).default([]),
+  allergens: z.array(z.string().trim().toLowerCase().min(2).max(50)).max(20).default([]),
+  jain: z.boolean().default(false),
+  noOnionGarlic: z.boolean().default(false),
+  eggAllowed: z.boolean().default(true)
+});
+
+// Weekly planner constraints, checked against every generated week.
+// null switches a rule off.
+export const planConstraintsSchema = z.object({
+  weekdayMaxPrepTime: z.number().int().min(5).max(480).nullable().default(45),
+  weekendMaxPrepTime: z.number().int().min(5).max(480).nullable().default(null),
+  // Most days in a row one cuisine may appear on
+  maxCuisineStreak: z.number().int().min(1).max(7).nullable().default(2),
+  // Band for each day's planned calories, as percentages of dailyCalorieGoal
+  minDailyCaloriesPercent: z.number().int().min(0).max(200).nullable().default(60),
+  maxDailyCaloriesPercent: z.number().int().min(50).max(300).nullable().default(110),
+  // No dish eaten or planned in the last N days
+  noRepeatDays: z.number().int().min(1).max(60).nullable().default(14)
+}).refine(
+  c => c.minDailyCaloriesPercent === null || c.maxDailyCaloriesPercent === null ||
+    c.minDailyCaloriesPercent < c.maxDailyCaloriesPercent,
+  { message: 'The calorie band minimum must be below its maximum', path: ['minDailyCaloriesPercent'] }
+);
+
+const mealTimeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use 24-hour HH:MM');
+
+export const calendarFeedSchema = z.object({
+  // Clock time each meal type's events start at
+  mealTimes: z.object({
+    breakfast: mealTimeSchema.default('08:00'),
+    lunch: mealTimeSchema.default('13:00'),
+    dinner: mealTimeSchema.default('20:00'),
+    snack: mealTimeSchema.default('17:00')
+  }).default({}),
+  durationMinutes: z.number().int().min(10).max(240).default(45)
+});
+
+// Shopping schedule schemas
+export const shoppingScheduleSchema = z.object({
+  // Days the household usually goes shopping
+  shoppingDays: z.array(DayNameEnum).min(1).max(7).default(['Saturday']).transform(days => [...new Set(days)]),
+  // Days of stock to keep on top of what lasts until the next trip
+  bufferDays: z.number().int().min(0).max(14).default(2)
+});
+
+export const runningOutShoppingSchema = z.object({
+  // Only these inventory items; all that are running out when left out
+  itemIds: z.array(z.string().uuid()).max(200).optional()
+});
+
+// Backup schemas
+export const backupArchiveSchema = z.object({
+  format: z.literal('no-daal-chawal-backup', {
+    errorMap: () => ({ message: 'Not a No Daal Chawal backup' })
+  }),
+  version: z.number().int().min(1),
+  createdAt: z.string().optional(),
+  // Rows by model; columns are checked against the model when restoring
+  data: z.record(z.array(z.object({ id: z.string().min(1) }).passthrough()))
+});
+
+export const restoreBackupSchema = z.object({
+  mode: z.enum(['merge', 'replace']).default('merge'),
+  archive: backupArchiveSchema
+});
+
 // Auth schemas
 export const authSchema = z.object({
   pin: z.string().min(4).max(10)
 });
 
+// AI response schemas
+// Applied after utils/ai-normalize.js has repaired near-misses
+export const aiIngredientSchema = z.object({
+  name: z.string().min(1).max(100),
+  quantity: z.number().positive().nullable(),
+  unit: z.string().max(20).nullable()
+});
+
+export const aiMealSchema = z.object({
+  name: z.string().min(1).max(200),
+  cuisine: CuisineEnum,
+  mealType: MealTypeEnum.optional(),
+  prepTime: z.number().int().positive().max(480),
+  estimatedCalories: z.number().int().positive().max(5000).nullable(),
+  ingredients: z.array(aiIngredientSchema).max(50),
+  reason: z.string().max(500).optional(),
+  description: z.string().max(1000).optional()
+});
+
+export const aiSuggestionsResponseSchema = z.object({
+  suggestions: z.array(aiMealSchema).min(1).max(10)
+});
+
+export const aiChatResponseSchema = z.object({
+  message: z.string().min(1).max(2000),
+  suggestions: z.array(aiMealSchema).max(10)
+});
+
+export const aiPlanSlotsResponseSchema = z.object({
+  meals: z.array(aiMealSchema.extend({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    mealType: MealTypeEnum
+  })).min(1).max(21)
+});
+
+export const aiWeekPlanResponseSchema = z.object({
+  weekPlan: z.array(z.object({
+    day: DayNameEnum,
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    meals: z.object({
+      breakfast: aiMealSchema,
+      lunch: aiMealSchema,
+      dinner: aiMealSchema
+    })
+  })).length(7)
+}).refine(
+  data => new Set(data.weekPlan.map(d => d.day)).size === 7,
+  { message: 'Each day of the week must appear exactly once', path: ['weekPlan'] }
+);
+
+export const aiRecipeResponseSchema = z.object({
+  mealName: z.string().min(1).max(200),
+  cuisine: CuisineEnum,
+  description: z.string().max(1000).optional(),
+  prepTime: z.number().int().positive().max(480),
+  cookTime: z.number().int().nonnegative().max(720),
+  servings: z.number().int().positive().max(20),
+  calories: z.number().int().positive().max(5000).nullable(),
+  ingredients: z.array(z.object({
+    item: z.string().min(1).max(100),
+    quantity: z.number().positive().nullable(),
+    unit: z.string().max(20).nullable(),
+    notes: z.string().max(200).optional()
+  })).min(1).max(50),
+  instructions: z.array(z.object({
+    step: z.number().int().positive(),
+    text: z.string().min(1).max(1000),
+    time: z.string().max(50).optional()
+  })).min(1).max(50),
+  tips: z.array(z.string().max(500)).max(20)
+});
+
 // Date parameter schema
 export const dateParamSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format');
 